@@ -23,13 +23,24 @@ const notificationRoutes = require('./routes/notification.routes');
 const aiRoutes = require('./routes/ai.routes');
 const showingRoutes = require('./routes/showing.routes');
 const professionalRoutes = require('./routes/professional.routes');
+const mortgageRoutes = require('./routes/mortgage.routes');
+const complianceRoutes = require('./routes/compliance.routes');
 
 // Legacy routes (from rental app)
 const itemRoutes = require('./item.routes');
 const rentalRoutes = require('./rental.routes');
 
+// Background services
+const { scheduler } = require('./services/scheduler.service');
+const { registerScheduledJobs } = require('./services/scheduled-jobs.service');
+
 // Province configuration
-const { getAllProvinces, calculateLandTransferTax } = require('./config/provinces');
+const {
+  getAllProvinces,
+  calculateLandTransferTax,
+  calculateNewHomeSalesTax,
+  normalizeTaxOptions
+} = require('./config/provinces');
 
 const app = express();
 
@@ -54,7 +65,9 @@ app.use(cors(corsOptions));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Only property photos are public; uploaded documents go through the
+// authorized /api/documents/:id/download route
+app.use('/uploads/properties', express.static(path.join(__dirname, 'uploads', 'properties')));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -101,6 +114,8 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/showings', showingRoutes);
 app.use('/api/professionals', professionalRoutes);
+app.use('/api/mortgage', mortgageRoutes);
+app.use('/api/compliance', complianceRoutes);
 
 // Legacy routes (keeping for backward compatibility)
 app.use('/auth', authRoutes);
@@ -119,7 +134,7 @@ app.get('/api/provinces', (req, res) => {
 // Calculate land transfer tax
 app.get('/api/calculate-tax', (req, res) => {
   try {
-    const { province, price, isFirstTimeBuyer, isToronto, isNewlyBuilt } = req.query;
+    const { province, price } = req.query;
 
     if (!province || !price) {
       return res.status(400).json({ error: 'Province and price are required' });
@@ -130,16 +145,18 @@ app.get('/api/calculate-tax', (req, res) => {
       return res.status(400).json({ error: 'Invalid price' });
     }
 
-    const result = calculateLandTransferTax(province, purchasePrice, {
-      isFirstTimeBuyer: isFirstTimeBuyer === 'true',
-      isToronto: isToronto === 'true',
-      isNewlyBuilt: isNewlyBuilt === 'true'
-    });
+    // Buyer status (citizenship, residency, exemptions) drives NRST, APTT
+    // and the federal foreign-buyer prohibition
+    const options = normalizeTaxOptions(req.query);
+    const result = calculateLandTransferTax(province, purchasePrice, options);
 
     res.json({
       province,
       purchasePrice,
-      ...result
+      ...result,
+      // GST/HST for new and substantially renovated homes (isNewlyBuilt,
+      // isSubstantialRenovation, gstIncluded, primaryResidence)
+      salesTax: calculateNewHomeSalesTax(province, purchasePrice, options)
     });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -176,7 +193,8 @@ app.get('/api', (req, res) => {
       professionals: '/api/professionals - Professional services directory',
       admin: '/api/admin - Admin dashboard and earnings',
       provinces: '/api/provinces - Province information',
-      calculateTax: '/api/calculate-tax - Land transfer tax calculator'
+      calculateTax: '/api/calculate-tax - Land transfer tax calculator',
+      mortgage: '/api/mortgage - Down payment, mortgage insurance, stress test and amortization'
     },
     documentation: 'See IMPLEMENTATION_PLAN.md for full API documentation'
   });
@@ -239,6 +257,9 @@ app.use((err, req, res, next) => {
 // Database Connection & Server Start
 // ==========================================
 
+// Background jobs start polling once the database is connected
+registerScheduledJobs(scheduler);
+
 // Start server first to pass health checks
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
@@ -247,7 +268,10 @@ app.listen(PORT, () => {
   // Connect to database after server starts
   if (process.env.MONGO_URI) {
     mongoose.connect(process.env.MONGO_URI)
-      .then(() => console.log('Connected to MongoDB'))
+      .then(() => {
+        console.log('Connected to MongoDB');
+        return scheduler.start();
+      })
       .catch((err) => console.error('Database connection error:', err));
   } else {
     console.warn('MONGO_URI not set - database features disabled');
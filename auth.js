@@ -7,6 +7,19 @@ const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const emailService = require('./services/email.service');
 const authMiddleware = require('./auth.middleware');
+const { logAudit } = require('./services/audit.service');
+
+// Record rate limit hits before sending the limiter's response
+const auditedLimitHandler = async (req, res, next, options) => {
+  await logAudit({
+    action: 'RATE_LIMIT_EXCEEDED',
+    userEmail: req.body?.email,
+    req,
+    details: { path: req.originalUrl },
+    success: false
+  });
+  res.status(options.statusCode).json(options.message);
+};
 
 // Strict rate limiting for login attempts (prevents brute force)
 const loginLimiter = rateLimit({
@@ -15,7 +28,8 @@ const loginLimiter = rateLimit({
   message: { error: 'Too many login attempts. Please try again in 15 minutes.' },
   standardHeaders: true,
   legacyHeaders: false,
-  skipSuccessfulRequests: true // Don't count successful logins
+  skipSuccessfulRequests: true, // Don't count successful logins
+  handler: auditedLimitHandler
 });
 
 // Rate limiting for registration (prevents mass account creation)
@@ -24,7 +38,8 @@ const registerLimiter = rateLimit({
   max: 3, // 3 registrations per hour per IP
   message: { error: 'Too many accounts created. Please try again later.' },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  handler: auditedLimitHandler
 });
 
 // Rate limiting for password reset (prevents abuse)
@@ -33,7 +48,18 @@ const passwordResetLimiter = rateLimit({
   max: 3, // 3 reset attempts per hour
   message: { error: 'Too many password reset attempts. Please try again later.' },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  handler: auditedLimitHandler
+});
+
+// Rate limiting for verification email resends
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 resends per hour
+  message: { error: 'Too many verification emails requested. Please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: auditedLimitHandler
 });
 
 // Password complexity regex - requires:
@@ -62,6 +88,41 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+// Issue a fresh verification token and email the link
+async function sendVerificationEmail(user) {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  return emailService.sendEmailVerification(user.email, {
+    name: user.name,
+    verifyUrl: `${appUrl}/api/auth/verify-email?token=${token}`,
+    expiresInHours: 24
+  });
+}
+
+// Verify a token and mark the user's email as verified
+async function verifyEmailToken(token, req) {
+  if (!token || typeof token !== 'string') return null;
+
+  const user = await User.findByVerificationToken(token);
+  if (!user) return null;
+
+  user.markEmailVerified();
+  await user.save();
+
+  await logAudit({
+    action: 'EMAIL_VERIFIED',
+    userId: user._id,
+    userEmail: user.email,
+    req,
+    resourceType: 'user',
+    resourceId: user._id
+  });
+
+  return user;
+}
+
 // Register
 router.post('/register', registerLimiter, registerValidation, async (req, res) => {
   try {
@@ -80,7 +141,23 @@ router.post('/register', registerLimiter, registerValidation, async (req, res) =
     const user = new User({ name, email, password });
     await user.save();
 
-    res.status(201).json({ id: user._id, name: user.name, email: user.email });
+    await logAudit({
+      action: 'REGISTER',
+      userId: user._id,
+      userEmail: user.email,
+      req,
+      resourceType: 'user',
+      resourceId: user._id
+    });
+
+    // Registration still succeeds if the email can't be sent; the user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (emailErr) {
+      console.error('Failed to send verification email:', emailErr);
+    }
+
+    res.status(201).json({ id: user._id, name: user.name, email: user.email, emailVerified: false });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal Server Error' });
@@ -97,12 +174,17 @@ router.post('/login', loginLimiter, loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid email or password.' });
-    }
+    const isValidPassword = user ? await user.comparePassword(password) : false;
 
-    const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
+      await logAudit({
+        action: 'LOGIN_FAILED',
+        userId: user?._id,
+        userEmail: email,
+        req,
+        success: false,
+        errorMessage: user ? 'Incorrect password' : 'Unknown email'
+      });
       return res.status(401).json({ error: 'Invalid email or password.' });
     }
 
@@ -110,13 +192,72 @@ router.post('/login', loginLimiter, loginValidation, async (req, res) => {
       expiresIn: '1h',
     });
 
-    res.json({ message: 'Login successful', token, user: { name: user.name, email: user.email } });
+    await logAudit({
+      action: user.isAdmin ? 'ADMIN_LOGIN' : 'LOGIN',
+      userId: user._id,
+      userEmail: user.email,
+      req
+    });
+
+    res.json({
+      message: 'Login successful',
+      token,
+      user: { name: user.name, email: user.email, emailVerified: user.emailVerified }
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
+// Verify email - link target from the verification email
+router.get('/verify-email', async (req, res) => {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  try {
+    const user = await verifyEmailToken(req.query.token, req);
+    res.redirect(`${appUrl}/?emailVerified=${user ? 'success' : 'invalid'}`);
+  } catch (err) {
+    console.error('Verify email error:', err);
+    res.redirect(`${appUrl}/?emailVerified=error`);
+  }
+});
+
+// Verify email - API form
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await verifyEmailToken(req.body.token, req);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (err) {
+    console.error('Verify email error:', err);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Resend verification email - For logged in users
+router.post('/resend-verification', verificationLimiter, authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
 // Forgot Password - Request reset link
 router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
   try {
@@ -137,6 +278,13 @@ router.post('/forgot-password', passwordResetLimiter, async (req, res) => {
     user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
     await user.save();
 
+    await logAudit({
+      action: 'PASSWORD_RESET_REQUEST',
+      userId: user._id,
+      userEmail: user.email,
+      req
+    });
+
     // Send email
     const appUrl = process.env.APP_URL || 'http://localhost:3000';
     await emailService.sendPasswordReset(user.email, {
@@ -197,6 +345,13 @@ router.post('/reset-password', async (req, res) => {
     user.resetPasswordExpires = undefined;
     await user.save();
 
+    await logAudit({
+      action: 'PASSWORD_RESET',
+      userId: user._id,
+      userEmail: user.email,
+      req
+    });
+
     res.json({ message: 'Password has been reset successfully' });
   } catch (err) {
     console.error('Reset password error:', err);
@@ -227,12 +382,27 @@ router.post('/change-password', authMiddleware, async (req, res) => {
 
     const isValidPassword = await user.comparePassword(currentPassword);
     if (!isValidPassword) {
+      await logAudit({
+        action: 'PASSWORD_CHANGE',
+        userId: user._id,
+        userEmail: user.email,
+        req,
+        success: false,
+        errorMessage: 'Current password is incorrect'
+      });
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
     user.password = newPassword;
     await user.save();
 
+    await logAudit({
+      action: 'PASSWORD_CHANGE',
+      userId: user._id,
+      userEmail: user.email,
+      req
+    });
+
     res.json({ message: 'Password changed successfully' });
   } catch (err) {
     console.error('Change password error:', err);
@@ -1,19 +1,117 @@
 /**
  * Canadian Province Configuration
- * Contains regulatory information, tax calculations, and form requirements
+ * Contains regulatory information, tax calculations, form requirements and
+ * statutory rescission (cooling-off) periods
  */
 
+const DAY = 24 * 60 * 60 * 1000;
+
+// Buyer status values accepted in tax options
+const BUYER_TYPES = ['individual', 'corporation'];
+const CITIZENSHIP_STATUSES = ['citizen', 'permanent_resident', 'foreign_national'];
+const RESIDENCY_STATUSES = ['resident', 'non_resident'];
+
+// Federal Prohibition on the Purchase of Residential Property by
+// Non-Canadians Act - a ban, not a tax, in force until this date
+const FEDERAL_FOREIGN_BUYER_BAN = {
+  name: 'Prohibition on the Purchase of Residential Property by Non-Canadians Act',
+  inForceUntil: new Date('2027-01-01T00:00:00Z'),
+  exemptions: {
+    work_permit: 'Temporary resident in Canada with a qualifying work permit',
+    refugee: 'Protected person or refugee claimant',
+    spouse_of_citizen: 'Buying with a spouse or common-law partner who is a citizen or permanent resident',
+    diplomat: 'Diplomat or member of an international organization'
+  }
+};
+
+// GST on new and substantially renovated homes, the federal part of HST
+const GST_RATE = 0.05;
+
+// Federal new housing rebate: 36% of the GST up to $6,300, phased out
+// between $350,000 and $450,000 of consideration before tax
+const FEDERAL_NEW_HOUSING_REBATE = {
+  name: 'GST/HST new housing rebate',
+  rate: 0.36,
+  maximum: 6300,
+  phaseOutStart: 350000,
+  phaseOutEnd: 450000
+};
+
+// Property types treated as homes for rescission rules
+const RESIDENTIAL_TYPES = ['residential', 'condo', 'townhouse', 'semi-detached', 'detached', 'multi-family'];
+
+// UTC midnight of the nth weekday (0 = Sunday) of a month
+function nthWeekday(year, month, weekday, n) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const offset = (weekday - first.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(year, month, 1 + offset + (n - 1) * 7));
+}
+
+// UTC midnight of Easter Sunday (anonymous Gregorian algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * BC statutory holidays for a year, as YYYY-MM-DD strings
+ */
+function bcStatutoryHolidays(year) {
+  const victoriaDay = new Date(Date.UTC(year, 4, 24));
+  victoriaDay.setUTCDate(24 - ((victoriaDay.getUTCDay() + 6) % 7)); // Monday on or before May 24
+
+  return [
+    new Date(Date.UTC(year, 0, 1)),                          // New Year's Day
+    nthWeekday(year, 1, 1, 3),                               // Family Day
+    new Date(easterSunday(year).getTime() - 2 * DAY),        // Good Friday
+    victoriaDay,                                             // Victoria Day
+    new Date(Date.UTC(year, 6, 1)),                          // Canada Day
+    nthWeekday(year, 7, 1, 1),                               // British Columbia Day
+    nthWeekday(year, 8, 1, 1),                               // Labour Day
+    new Date(Date.UTC(year, 8, 30)),                         // Truth and Reconciliation Day
+    nthWeekday(year, 9, 1, 2),                               // Thanksgiving
+    new Date(Date.UTC(year, 10, 11)),                        // Remembrance Day
+    new Date(Date.UTC(year, 11, 25))                         // Christmas Day
+  ].map(d => d.toISOString().slice(0, 10));
+}
+
 const provinces = {
   ON: {
     name: 'Ontario',
     code: 'ON',
+    // Zone that local times such as showing slots are in; provinces spanning
+    // more than one zone use the zone most of the population lives in
+    timeZone: 'America/Toronto',
     regulatoryBody: 'Real Estate Council of Ontario (RECO)',
     formsProvider: 'Ontario Real Estate Association (OREA)',
     closingProfessional: 'lawyer',
 
+    // HST on new homes; the Ontario rebate has no price cap
+    // 8% RST on mortgage default insurance premiums, paid on closing
+    mortgageInsuranceTaxRate: 0.08,
+
+    salesTax: {
+      type: 'HST',
+      provincialRate: 0.08,
+      provincialRebate: { name: 'Ontario new housing rebate', rate: 0.75, maximum: 24000 }
+    },
+
     // Land Transfer Tax Calculation
     landTransferTax: {
-      calculate: (purchasePrice, isFirstTimeBuyer = false, isToronto = false) => {
+      calculate: (purchasePrice, { isFirstTimeBuyer = false, isToronto = false } = {}) => {
         let provincialTax = 0;
         let municipalTax = 0;
 
@@ -76,18 +174,53 @@ const provinces = {
       'buyer_representation',
       'condition_waiver',
       'amendment'
+    ],
+
+    // Statement of Adjustments: OREA Form 100 apportions the day of
+    // completion itself to the buyer
+    adjustments: { closingDay: 'buyer' },
+
+    // Non-Resident Speculation Tax, province-wide since October 2022
+    foreignBuyerTax: {
+      code: 'NRST',
+      name: 'Non-Resident Speculation Tax',
+      rate: 0.25,
+      exemptions: {
+        provincial_nominee: 'Nominee under the Ontario Immigrant Nominee Program',
+        refugee: 'Protected person under the Immigration and Refugee Protection Act',
+        spouse_of_citizen: 'Buying with a spouse who is a citizen or permanent resident'
+      }
+    },
+
+    // Statutory rescission periods, matched on property type
+    rescission: [
+      {
+        id: 'on_new_condo_cooling_off',
+        name: 'New Condominium Cooling-Off Period',
+        authority: 'Condominium Act, 1998, s. 73',
+        propertyTypes: ['condo'],
+        newConstructionOnly: true,
+        period: { calendarDays: 10 },
+        feeRate: 0,
+        timeZone: 'America/Toronto',
+        note: 'Runs from the later of receiving the disclosure statement and the signed agreement; the deposit is returned in full'
+      }
     ]
   },
 
   BC: {
     name: 'British Columbia',
     code: 'BC',
+    timeZone: 'America/Vancouver',
     regulatoryBody: 'BC Financial Services Authority (BCFSA)',
     formsProvider: 'BC Real Estate Association (BCREA)',
     closingProfessional: 'lawyer_or_notary',
 
+    // PST does not apply to homes
+    salesTax: { type: 'GST', provincialRate: 0 },
+
     landTransferTax: {
-      calculate: (purchasePrice, isFirstTimeBuyer = false, isNewlyBuilt = false) => {
+      calculate: (purchasePrice, { isFirstTimeBuyer = false, isNewlyBuilt = false } = {}) => {
         let tax = 0;
 
         // BC Property Transfer Tax
@@ -134,16 +267,49 @@ const provinces = {
       'agreement_purchase_sale',
       'property_disclosure',
       'condition_waiver'
+    ],
+
+    // Buyer assumes taxes and charges from, and including, the adjustment date
+    adjustments: { closingDay: 'buyer' },
+
+    // Additional Property Transfer Tax on foreign entities and taxable
+    // trustees, charged only in the specified regional districts
+    foreignBuyerTax: {
+      code: 'APTT',
+      name: 'Additional Property Transfer Tax',
+      rate: 0.20,
+      regionalDistricts: ['metro_vancouver', 'fraser_valley', 'capital', 'central_okanagan', 'nanaimo'],
+      exemptions: {
+        provincial_nominee: 'Nominee under the BC Provincial Nominee Program'
+      }
+    },
+
+    rescission: [
+      {
+        id: 'bc_home_buyer_rescission',
+        name: 'Home Buyer Rescission Period',
+        authority: 'Property Law Act, Part 2.1',
+        propertyTypes: RESIDENTIAL_TYPES,
+        newConstructionOnly: false,
+        period: { businessDays: 3 },
+        feeRate: 0.0025,
+        timeZone: 'America/Vancouver',
+        holidays: bcStatutoryHolidays,
+        note: 'Rescission fee of 0.25% of the purchase price is paid to the seller'
+      }
     ]
   },
 
   AB: {
     name: 'Alberta',
     code: 'AB',
+    timeZone: 'America/Edmonton',
     regulatoryBody: 'Real Estate Council of Alberta (RECA)',
     formsProvider: 'Alberta Real Estate Association (AREA)',
     closingProfessional: 'lawyer',
 
+    salesTax: { type: 'GST', provincialRate: 0 },
+
     landTransferTax: {
       calculate: (purchasePrice) => {
         // Alberta has no land transfer tax, only registration fees
@@ -164,18 +330,38 @@ const provinces = {
       'agreement_purchase_sale',
       'property_disclosure',
       'real_property_report'
-    ]
+    ],
+
+    // Adjustments are made as of the adjustment date, which belongs to the buyer
+    adjustments: { closingDay: 'buyer' }
   },
 
   QC: {
     name: 'Quebec',
     code: 'QC',
+    timeZone: 'America/Toronto',
     regulatoryBody: 'OACIQ',
     formsProvider: 'OACIQ',
     closingProfessional: 'notary', // Required - not optional
 
+    // QST on new homes, with its own rebate phased out above $200,000
+    // 9% tax on insurance premiums on mortgage default insurance premiums, paid on closing
+    mortgageInsuranceTaxRate: 0.09,
+
+    salesTax: {
+      type: 'GST_QST',
+      provincialRate: 0.09975,
+      provincialRebate: {
+        name: 'QST new housing rebate',
+        rate: 0.36,
+        maximum: 9975,
+        phaseOutStart: 200000,
+        phaseOutEnd: 225000
+      }
+    },
+
     landTransferTax: {
-      calculate: (purchasePrice, municipality = 'default') => {
+      calculate: (purchasePrice, { municipality = 'default' } = {}) => {
         // Quebec Welcome Tax (Taxe de bienvenue)
         // Standard rates (Montreal may differ)
         // Up to $55,200: 0.5%
@@ -210,6 +396,23 @@ const provinces = {
       'property_disclosure'
     ],
 
+    // Adjusted as of the signing of the deed of sale
+    adjustments: { closingDay: 'buyer' },
+
+    rescission: [
+      {
+        id: 'qc_new_residence_withdrawal',
+        name: 'Right of Withdrawal (New Residence)',
+        authority: 'Civil Code of Québec, art. 1785',
+        propertyTypes: RESIDENTIAL_TYPES,
+        newConstructionOnly: true,
+        period: { calendarDays: 10 },
+        feeRate: 0.005,
+        timeZone: 'America/Toronto',
+        note: 'Applies to sales by a builder or promoter; the indemnity may not exceed 0.5% of the price'
+      }
+    ],
+
     specialNotes: [
       'Notary required for all real estate transactions',
       'Double representation prohibited since June 2022',
@@ -220,12 +423,16 @@ const provinces = {
   MB: {
     name: 'Manitoba',
     code: 'MB',
+    timeZone: 'America/Winnipeg',
     regulatoryBody: 'Manitoba Securities Commission',
     formsProvider: 'Manitoba Real Estate Association (MREA)',
     closingProfessional: 'lawyer',
 
+    // RST does not apply to homes
+    salesTax: { type: 'GST', provincialRate: 0 },
+
     landTransferTax: {
-      calculate: (purchasePrice, isFirstTimeBuyer = false) => {
+      calculate: (purchasePrice, { isFirstTimeBuyer = false } = {}) => {
         // Manitoba Land Transfer Tax
         // Up to $30,000: 0%
         // $30,000 to $90,000: 0.5%
@@ -265,10 +472,16 @@ const provinces = {
   SK: {
     name: 'Saskatchewan',
     code: 'SK',
+    timeZone: 'America/Regina',
     regulatoryBody: 'Saskatchewan Real Estate Commission (SREC)',
     formsProvider: 'Saskatchewan REALTORS Association',
     closingProfessional: 'lawyer',
 
+    // 6% PST on mortgage default insurance premiums, paid on closing
+    mortgageInsuranceTaxRate: 0.06,
+
+    salesTax: { type: 'GST', provincialRate: 0 },
+
     landTransferTax: {
       calculate: (purchasePrice) => {
         // Saskatchewan has NO land transfer tax - only registration fees
@@ -291,12 +504,16 @@ const provinces = {
   NS: {
     name: 'Nova Scotia',
     code: 'NS',
+    timeZone: 'America/Halifax',
     regulatoryBody: 'Nova Scotia Real Estate Commission (NSREC)',
     formsProvider: 'Nova Scotia Association of REALTORS (NSAR)',
     closingProfessional: 'lawyer',
 
+    // 14% HST since April 1, 2025
+    salesTax: { type: 'HST', provincialRate: 0.09 },
+
     landTransferTax: {
-      calculate: (purchasePrice, municipality = 'halifax') => {
+      calculate: (purchasePrice, { municipality = 'halifax' } = {}) => {
         // Nova Scotia Deed Transfer Tax varies by municipality
         // Halifax: 1.5%
         // Most others: 1.0% to 1.5%
@@ -327,10 +544,13 @@ const provinces = {
   NB: {
     name: 'New Brunswick',
     code: 'NB',
+    timeZone: 'America/Moncton',
     regulatoryBody: 'New Brunswick Real Estate Association',
     formsProvider: 'New Brunswick Real Estate Association',
     closingProfessional: 'lawyer',
 
+    salesTax: { type: 'HST', provincialRate: 0.10 },
+
     landTransferTax: {
       calculate: (purchasePrice) => {
         // New Brunswick Land Transfer Tax: 1%
@@ -354,10 +574,13 @@ const provinces = {
   PE: {
     name: 'Prince Edward Island',
     code: 'PE',
+    timeZone: 'America/Halifax',
     regulatoryBody: 'PEI Real Estate Association',
     formsProvider: 'PEI Real Estate Association',
     closingProfessional: 'lawyer',
 
+    salesTax: { type: 'HST', provincialRate: 0.10 },
+
     landTransferTax: {
       calculate: (purchasePrice) => {
         // PEI Real Property Transfer Tax: 1%
@@ -381,10 +604,13 @@ const provinces = {
   NL: {
     name: 'Newfoundland and Labrador',
     code: 'NL',
+    timeZone: 'America/St_Johns',
     regulatoryBody: 'Newfoundland and Labrador Association of REALTORS',
     formsProvider: 'Newfoundland and Labrador Association of REALTORS',
     closingProfessional: 'lawyer',
 
+    salesTax: { type: 'HST', provincialRate: 0.10 },
+
     landTransferTax: {
       calculate: (purchasePrice) => {
         // Newfoundland has registration fees, not land transfer tax
@@ -411,10 +637,13 @@ const provinces = {
   YT: {
     name: 'Yukon',
     code: 'YT',
+    timeZone: 'America/Whitehorse',
     regulatoryBody: 'Yukon Real Estate Association',
     formsProvider: 'Yukon Real Estate Association',
     closingProfessional: 'lawyer',
 
+    salesTax: { type: 'GST', provincialRate: 0 },
+
     landTransferTax: {
       calculate: (purchasePrice) => {
         // Yukon has no land transfer tax
@@ -435,10 +664,13 @@ const provinces = {
   NT: {
     name: 'Northwest Territories',
     code: 'NT',
+    timeZone: 'America/Edmonton',
     regulatoryBody: 'NWT Association of REALTORS',
     formsProvider: 'NWT Association of REALTORS',
     closingProfessional: 'lawyer',
 
+    salesTax: { type: 'GST', provincialRate: 0 },
+
     landTransferTax: {
       calculate: (purchasePrice) => {
         // NWT has no land transfer tax
@@ -459,10 +691,13 @@ const provinces = {
   NU: {
     name: 'Nunavut',
     code: 'NU',
+    timeZone: 'America/Iqaluit',
     regulatoryBody: 'N/A',
     formsProvider: 'Standard forms',
     closingProfessional: 'lawyer',
 
+    salesTax: { type: 'GST', provincialRate: 0 },
+
     landTransferTax: {
       calculate: (purchasePrice) => {
         // Nunavut has no land transfer tax
@@ -488,8 +723,136 @@ function getProvince(code) {
   return provinces[code.toUpperCase()] || null;
 }
 
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Whether the buyer is a foreign national or foreign-controlled corporation
+ * @param {Object} buyer - { buyerType, citizenship, isForeignControlled }
+ */
+function isForeignBuyer({ buyerType = 'individual', citizenship = 'citizen', isForeignControlled = false } = {}) {
+  if (buyerType === 'corporation') return Boolean(isForeignControlled);
+  return citizenship === 'foreign_national';
+}
+
+/**
+ * Provincial tax on foreign buyers (Ontario NRST, BC APTT)
+ * @returns {Object|null} { code, name, amount, exemption, explanation } or null if none
+ */
+function calculateForeignBuyerTax(province, purchasePrice, options = {}) {
+  const tax = province.foreignBuyerTax;
+  if (!tax || !isForeignBuyer(options)) return null;
+
+  const claimed = (options.exemptions || []).find(code => tax.exemptions[code]);
+  if (claimed) {
+    return {
+      code: tax.code,
+      name: tax.name,
+      amount: 0,
+      exemption: claimed,
+      explanation: `Exempt from the ${tax.name}: ${tax.exemptions[claimed]}`
+    };
+  }
+
+  if (tax.regionalDistricts) {
+    if (options.regionalDistrict && !tax.regionalDistricts.includes(options.regionalDistrict)) {
+      return {
+        code: tax.code,
+        name: tax.name,
+        amount: 0,
+        exemption: 'outside_specified_area',
+        explanation: `The ${tax.name} only applies in specified regional districts`
+      };
+    }
+  }
+
+  const amount = round2(purchasePrice * tax.rate);
+  const area = tax.regionalDistricts && !options.regionalDistrict
+    ? ' (assumes the property is in a specified regional district)'
+    : '';
+
+  return {
+    code: tax.code,
+    name: tax.name,
+    amount,
+    explanation: `${tax.rate * 100}% ${tax.name} on purchases by foreign nationals and foreign-controlled corporations${area}`
+  };
+}
+
+/**
+ * Whether the federal ban on non-Canadian buyers applies
+ * @returns {Object} { applies, explanation }
+ */
+function checkFederalForeignBuyerBan(options = {}, now = new Date()) {
+  const ban = FEDERAL_FOREIGN_BUYER_BAN;
+
+  if (!isForeignBuyer(options)) {
+    return { applies: false, explanation: 'Buyer is a Canadian citizen, permanent resident or Canadian-controlled corporation' };
+  }
+  if (now >= ban.inForceUntil) {
+    return { applies: false, explanation: `The ${ban.name} expired on ${ban.inForceUntil.toISOString().slice(0, 10)}` };
+  }
+  if (options.inCensusMetropolitanArea === false) {
+    return { applies: false, explanation: 'The federal prohibition only covers census metropolitan areas and census agglomerations' };
+  }
+
+  const claimed = (options.exemptions || []).find(code => ban.exemptions[code]);
+  // The work permit exception is for temporary residents living in Canada
+  if (claimed && !(claimed === 'work_permit' && options.residency === 'non_resident')) {
+    return { applies: false, exemption: claimed, explanation: `Exempt from the federal prohibition: ${ban.exemptions[claimed]}` };
+  }
+
+  return {
+    applies: true,
+    explanation: `Non-Canadians may not buy residential property under the ${ban.name} until ${ban.inForceUntil.toISOString().slice(0, 10)}. Contraventions carry fines of up to $10,000 and a court-ordered sale.`
+  };
+}
+
+/**
+ * Turn query-string or body values into tax options
+ * @throws {Error} When a buyer status value is not recognised
+ */
+function normalizeTaxOptions(raw = {}) {
+  const bool = (value) => value === true || value === 'true';
+  const oneOf = (field, allowed, fallback) => {
+    const value = raw[field] || fallback;
+    if (!allowed.includes(value)) {
+      throw new Error(`${field} must be one of: ${allowed.join(', ')}`);
+    }
+    return value;
+  };
+  const exemptions = Array.isArray(raw.exemptions)
+    ? raw.exemptions
+    : (raw.exemptions ? String(raw.exemptions).split(',') : []);
+
+  return {
+    isFirstTimeBuyer: bool(raw.isFirstTimeBuyer),
+    isToronto: bool(raw.isToronto),
+    isNewlyBuilt: bool(raw.isNewlyBuilt),
+    isSubstantialRenovation: bool(raw.isSubstantialRenovation),
+    gstIncluded: raw.gstIncluded === undefined ? true : bool(raw.gstIncluded),
+    primaryResidence: raw.primaryResidence === undefined ? true : bool(raw.primaryResidence),
+    municipality: raw.municipality || undefined,
+    buyerType: oneOf('buyerType', BUYER_TYPES, 'individual'),
+    citizenship: oneOf('citizenship', CITIZENSHIP_STATUSES, 'citizen'),
+    residency: oneOf('residency', RESIDENCY_STATUSES, 'resident'),
+    isForeignControlled: bool(raw.isForeignControlled),
+    exemptions: exemptions.map(e => e.trim()).filter(Boolean),
+    regionalDistrict: raw.regionalDistrict || undefined,
+    inCensusMetropolitanArea: raw.inCensusMetropolitanArea === undefined ? true : bool(raw.inCensusMetropolitanArea)
+  };
+}
+
 /**
  * Calculate land transfer tax for any province
+ * @param {string} provinceCode
+ * @param {number} purchasePrice
+ * @param {Object} options - isFirstTimeBuyer, isToronto, isNewlyBuilt, municipality,
+ *   and the buyer's status: buyerType ('individual' | 'corporation'),
+ *   citizenship ('citizen' | 'permanent_resident' | 'foreign_national'),
+ *   residency ('resident' | 'non_resident'), isForeignControlled, exemptions,
+ *   regionalDistrict, inCensusMetropolitanArea
+ * @returns {Object} Province breakdown plus foreignBuyerTax, lineItems,
+ *   exemptions and federalProhibition
  */
 function calculateLandTransferTax(provinceCode, purchasePrice, options = {}) {
   const province = getProvince(provinceCode);
@@ -497,14 +860,199 @@ function calculateLandTransferTax(provinceCode, purchasePrice, options = {}) {
     throw new Error(`Unknown province code: ${provinceCode}`);
   }
 
-  return province.landTransferTax.calculate(purchasePrice, ...Object.values(options));
+  const exemptions = [];
+  const baseOptions = { ...options };
+
+  // First-time buyer relief is only for citizens and permanent residents
+  const canClaimFirstTime = (options.buyerType || 'individual') === 'individual' &&
+    ['citizen', 'permanent_resident'].includes(options.citizenship || 'citizen');
+  if (options.isFirstTimeBuyer && !canClaimFirstTime) {
+    baseOptions.isFirstTimeBuyer = false;
+    exemptions.push({
+      code: 'first_time_buyer',
+      applied: false,
+      explanation: 'First-time buyer relief requires a Canadian citizen or permanent resident'
+    });
+  }
+
+  const base = province.landTransferTax.calculate(purchasePrice, baseOptions);
+
+  const lineItems = [];
+  if (base.provincial) lineItems.push({ code: 'provincial', label: 'Provincial land transfer tax', amount: base.provincial });
+  if (base.municipal) lineItems.push({ code: 'municipal', label: 'Municipal land transfer tax', amount: base.municipal });
+  if (base.registrationFee) lineItems.push({ code: 'registration', label: 'Registration fee', amount: base.registrationFee });
+  if (base.rebate) {
+    lineItems.push({ code: 'rebate', label: 'First-time buyer or new home relief', amount: -base.rebate });
+    exemptions.push({ code: 'first_time_buyer', applied: true, explanation: 'First-time buyer or newly built home relief applied' });
+  }
+
+  const foreignTax = calculateForeignBuyerTax(province, purchasePrice, options);
+  if (foreignTax?.amount) {
+    lineItems.push({ code: foreignTax.code, label: foreignTax.name, amount: foreignTax.amount, explanation: foreignTax.explanation });
+  } else if (foreignTax) {
+    exemptions.push({ code: foreignTax.exemption, applied: true, explanation: foreignTax.explanation });
+  }
+
+  const foreignBuyerTax = foreignTax?.amount || 0;
+
+  return {
+    ...base,
+    foreignBuyerTax,
+    total: round2(base.total + foreignBuyerTax),
+    lineItems,
+    exemptions,
+    federalProhibition: checkFederalForeignBuyerBan(options)
+  };
+}
+
+/**
+ * New housing rebate on a tax amount, reduced linearly across the
+ * rule's phase-out range of the pre-tax price
+ */
+function newHousingRebate(rule, tax, basePrice) {
+  if (!rule) return 0;
+
+  const full = Math.min(tax * rule.rate, rule.maximum);
+  if (!rule.phaseOutStart || basePrice <= rule.phaseOutStart) return round2(full);
+  if (basePrice >= rule.phaseOutEnd) return 0;
+
+  return round2(full * (rule.phaseOutEnd - basePrice) / (rule.phaseOutEnd - rule.phaseOutStart));
+}
+
+// Tax and rebates on a pre-tax price
+function salesTaxOnBasePrice(salesTax, basePrice, primaryResidence) {
+  const gst = round2(basePrice * GST_RATE);
+  const provincialTax = round2(basePrice * salesTax.provincialRate);
+  const federalRebate = primaryResidence ? newHousingRebate(FEDERAL_NEW_HOUSING_REBATE, gst, basePrice) : 0;
+  const provincialRebate = primaryResidence ? newHousingRebate(salesTax.provincialRebate, provincialTax, basePrice) : 0;
+
+  return {
+    gst,
+    provincialTax,
+    federalRebate,
+    provincialRebate,
+    netTax: round2(gst + provincialTax - federalRebate - provincialRebate)
+  };
+}
+
+/**
+ * GST/HST (and QST in Quebec) on a newly built or substantially renovated
+ * home, net of the new housing rebates. Resale homes are exempt.
+ * @param {string} provinceCode
+ * @param {number} purchasePrice - Price as written in the offer
+ * @param {Object} options
+ * @param {boolean} options.isNewlyBuilt - Bought from a builder
+ * @param {boolean} options.isSubstantialRenovation - 90% or more of the interior rebuilt
+ * @param {boolean} options.gstIncluded - Price includes tax net of rebates
+ *   assigned to the builder; otherwise tax is added to the price
+ * @param {boolean} options.primaryResidence - Buyer or a relative will live
+ *   there; the rebates aren't available otherwise
+ * @returns {Object} { taxable, basePrice, gst, provincialTax, federalRebate,
+ *   provincialRebate, netTax, payableOnClosing, lineItems, explanations }
+ */
+function calculateNewHomeSalesTax(provinceCode, purchasePrice, {
+  isNewlyBuilt = false,
+  isSubstantialRenovation = false,
+  gstIncluded = true,
+  primaryResidence = true
+} = {}) {
+  const province = getProvince(provinceCode);
+  if (!province) {
+    throw new Error(`Unknown province code: ${provinceCode}`);
+  }
+
+  const { salesTax } = province;
+  const taxName = { HST: 'HST', GST: 'GST', GST_QST: 'GST and QST' }[salesTax.type];
+  const price = Math.max(0, purchasePrice);
+
+  if (!isNewlyBuilt && !isSubstantialRenovation) {
+    return {
+      taxable: false,
+      taxType: salesTax.type,
+      gstIncluded,
+      basePrice: price,
+      gst: 0,
+      provincialTax: 0,
+      federalRebate: 0,
+      provincialRebate: 0,
+      netTax: 0,
+      payableOnClosing: 0,
+      lineItems: [],
+      explanations: [`Resale homes are exempt from ${taxName}`]
+    };
+  }
+
+  // For tax-included prices, find the pre-tax price that grosses up to the
+  // offer price. Net tax never falls as the base rises, so bisection works.
+  let basePrice = price;
+  if (gstIncluded) {
+    let low = 0;
+    let high = price;
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (mid + salesTaxOnBasePrice(salesTax, mid, primaryResidence).netTax > price) high = mid;
+      else low = mid;
+    }
+    basePrice = round2(low);
+  }
+
+  const tax = salesTaxOnBasePrice(salesTax, basePrice, primaryResidence);
+  const provincialLabel = salesTax.type === 'GST_QST' ? 'QST' : 'Provincial part of HST';
+  const explanations = [
+    isSubstantialRenovation
+      ? 'A substantially renovated home is taxed like a new home'
+      : `New homes bought from a builder are subject to ${taxName}`
+  ];
+
+  if (!primaryResidence) {
+    explanations.push('New housing rebates require the home to be the primary residence of the buyer or a relative');
+  } else {
+    const federal = FEDERAL_NEW_HOUSING_REBATE;
+    if (!tax.federalRebate) {
+      explanations.push(`No ${federal.name}: the pre-tax price is $${federal.phaseOutEnd.toLocaleString()} or more`);
+    } else if (basePrice > federal.phaseOutStart) {
+      explanations.push(`The ${federal.name} is reduced between $${federal.phaseOutStart.toLocaleString()} and $${federal.phaseOutEnd.toLocaleString()}`);
+    }
+
+    const provincial = salesTax.provincialRebate;
+    if (provincial?.phaseOutEnd && !tax.provincialRebate) {
+      explanations.push(`No ${provincial.name}: the pre-tax price is $${provincial.phaseOutEnd.toLocaleString()} or more`);
+    } else if (provincial?.phaseOutStart && basePrice > provincial.phaseOutStart) {
+      explanations.push(`The ${provincial.name} is reduced between $${provincial.phaseOutStart.toLocaleString()} and $${provincial.phaseOutEnd.toLocaleString()}`);
+    }
+  }
+
+  if (gstIncluded) {
+    explanations.push('Tax is included in the price, with the rebates assigned to the builder');
+  }
+
+  const lineItems = [
+    { code: 'gst', label: salesTax.type === 'HST' ? 'Federal part of HST' : 'GST', amount: tax.gst }
+  ];
+  if (tax.provincialTax) lineItems.push({ code: 'provincial_sales_tax', label: provincialLabel, amount: tax.provincialTax });
+  if (tax.federalRebate) lineItems.push({ code: 'federal_rebate', label: FEDERAL_NEW_HOUSING_REBATE.name, amount: -tax.federalRebate });
+  if (tax.provincialRebate) lineItems.push({ code: 'provincial_rebate', label: salesTax.provincialRebate.name, amount: -tax.provincialRebate });
+
+  return {
+    taxable: true,
+    taxType: salesTax.type,
+    gstIncluded,
+    basePrice,
+    ...tax,
+    payableOnClosing: gstIncluded ? 0 : tax.netTax,
+    lineItems,
+    explanations
+  };
 }
 
 /**
  * Get closing cost estimate
+ * @param {Object} options - Land transfer tax options, plus the
+ *   calculateNewHomeSalesTax options for new and renovated homes
  */
 function estimateClosingCosts(provinceCode, purchasePrice, options = {}) {
   const landTransferTax = calculateLandTransferTax(provinceCode, purchasePrice, options);
+  const salesTax = calculateNewHomeSalesTax(provinceCode, purchasePrice, options);
 
   // Standard estimates
   const legalFees = 1500; // Average
@@ -513,17 +1061,138 @@ function estimateClosingCosts(provinceCode, purchasePrice, options = {}) {
   const appraisal = 400;
   const movingCosts = 1000;
 
+  const lineItems = [
+    ...landTransferTax.lineItems,
+    { code: 'legal', label: 'Legal fees (average)', amount: legalFees },
+    { code: 'title_insurance', label: 'Title insurance', amount: titleInsurance },
+    { code: 'inspection', label: 'Home inspection', amount: homeInspection },
+    { code: 'appraisal', label: 'Appraisal', amount: appraisal },
+    { code: 'moving', label: 'Moving costs', amount: movingCosts }
+  ];
+  if (salesTax.taxable) {
+    lineItems.push({
+      code: 'sales_tax',
+      label: salesTax.gstIncluded ? 'GST/HST (included in price)' : 'GST/HST net of rebates',
+      amount: salesTax.payableOnClosing,
+      explanation: salesTax.explanations.join('. ')
+    });
+  }
+
   return {
     landTransferTax: landTransferTax.total,
+    foreignBuyerTax: landTransferTax.foreignBuyerTax,
+    salesTax,
     legalFees,
     titleInsurance,
     homeInspection,
     appraisal,
     movingCosts,
-    total: landTransferTax.total + legalFees + titleInsurance + homeInspection + appraisal + movingCosts
+    lineItems,
+    exemptions: landTransferTax.exemptions,
+    federalProhibition: landTransferTax.federalProhibition,
+    total: landTransferTax.total + salesTax.payableOnClosing +
+      legalFees + titleInsurance + homeInspection + appraisal + movingCosts
   };
 }
 
+/**
+ * Which party is charged for the closing day in adjustments.
+ * The buyer unless the province's standard contract says otherwise.
+ * @returns {string} 'buyer' or 'seller'
+ */
+function getClosingDayParty(provinceCode) {
+  const province = getProvince(provinceCode);
+  return province?.adjustments?.closingDay || 'buyer';
+}
+
+/**
+ * Find the rescission rule that applies to a property, if any
+ * @param {string} provinceCode
+ * @param {Object} property - { propertyType, newConstruction }
+ * @returns {Object|null}
+ */
+function getRescissionRule(provinceCode, property = {}) {
+  const province = getProvince(provinceCode);
+  if (!province || !province.rescission) return null;
+
+  return province.rescission.find(rule =>
+    rule.propertyTypes.includes(property.propertyType) &&
+    (!rule.newConstructionOnly || Boolean(property.newConstruction))
+  ) || null;
+}
+
+// Milliseconds to add to a UTC wall-clock time to get local wall-clock time
+function timeZoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Local calendar date (YYYY-MM-DD) of an instant in a time zone
+function localDate(date, timeZone) {
+  return new Date(date.getTime() + timeZoneOffset(date, timeZone)).toISOString().slice(0, 10);
+}
+
+/**
+ * Instant of a local wall-clock time in a time zone
+ * @param {string} date - Local calendar date (YYYY-MM-DD)
+ * @param {number} minutes - Minutes after local midnight
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function localTime(date, minutes, timeZone) {
+  const wallClock = new Date(`${date}T00:00:00Z`).getTime() + minutes * 60 * 1000;
+  // The offset at the wall-clock time read as UTC can be off by an hour near
+  // a daylight saving change, so it is taken again at the resulting instant
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * When a rescission period ends: 11:59:59 pm local time on the last day.
+ * The day after acceptance is day one; business-day periods skip
+ * weekends and the rule's statutory holidays.
+ * @param {Object} rule - From getRescissionRule
+ * @param {Date} acceptanceDate
+ * @returns {Date}
+ */
+function calculateRescissionDeadline(rule, acceptanceDate) {
+  const { calendarDays, businessDays } = rule.period;
+  let day = new Date(`${localDate(new Date(acceptanceDate), rule.timeZone)}T00:00:00Z`);
+
+  if (calendarDays) {
+    day = new Date(day.getTime() + calendarDays * DAY);
+  } else {
+    let counted = 0;
+    while (counted < businessDays) {
+      day = new Date(day.getTime() + DAY);
+      const weekday = day.getUTCDay();
+      const isoDate = day.toISOString().slice(0, 10);
+      const holidays = rule.holidays ? rule.holidays(day.getUTCFullYear()) : [];
+      if (weekday !== 0 && weekday !== 6 && !holidays.includes(isoDate)) {
+        counted++;
+      }
+    }
+  }
+
+  const endOfDay = new Date(day.getTime() + DAY - 1000);
+  return new Date(endOfDay.getTime() - timeZoneOffset(endOfDay, rule.timeZone));
+}
+
+/**
+ * Rescission fee owed to the seller
+ */
+function calculateRescissionFee(rule, purchasePrice) {
+  return Math.round(purchasePrice * (rule.feeRate || 0) * 100) / 100;
+}
+
 /**
  * Get all province codes
  */
@@ -545,8 +1214,22 @@ function getAllProvinces() {
 module.exports = {
   provinces,
   getProvince,
+  BUYER_TYPES,
+  CITIZENSHIP_STATUSES,
+  RESIDENCY_STATUSES,
   calculateLandTransferTax,
+  calculateForeignBuyerTax,
+  checkFederalForeignBuyerBan,
+  isForeignBuyer,
+  normalizeTaxOptions,
+  calculateNewHomeSalesTax,
   estimateClosingCosts,
+  getClosingDayParty,
+  getRescissionRule,
+  localTime,
+  calculateRescissionDeadline,
+  calculateRescissionFee,
+  bcStatutoryHolidays,
   getAllProvinceCodes,
   getAllProvinces
 };
@@ -1,15 +1,25 @@
 const User = require('../models/user.model');
+const { logAudit } = require('../services/audit.service');
 
 // Admin middleware - checks if user is admin
 const adminMiddleware = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.userId);
     if (!user || !user.isAdmin) {
+      await logAudit({
+        action: 'ACCESS_DENIED',
+        userId: req.user.userId,
+        userEmail: user?.email,
+        req,
+        details: { method: req.method, path: req.originalUrl, reason: 'Admin access required' },
+        success: false
+      });
       return res.status(403).json({ error: 'Admin access required' });
     }
+    req.adminUser = user;
     next();
   } catch (err) {
-    res.status(500).json({ error: 'Server error' });
+    res.status(500).json({ error: 'Authorization check failed' });
   }
 };
 
@@ -0,0 +1,27 @@
+const User = require('../models/user.model');
+const { logAudit } = require('../services/audit.service');
+
+// Compliance middleware - checks the user may review FINTRAC identification
+// (compliance officers and admins)
+const complianceMiddleware = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user || !(user.isComplianceOfficer || user.isAdmin)) {
+      await logAudit({
+        action: 'ACCESS_DENIED',
+        userId: req.user.userId,
+        userEmail: user?.email,
+        req,
+        details: { method: req.method, path: req.originalUrl, reason: 'Compliance access required' },
+        success: false
+      });
+      return res.status(403).json({ error: 'Compliance access required' });
+    }
+    req.complianceUser = user;
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Authorization check failed' });
+  }
+};
+
+module.exports = complianceMiddleware;
@@ -29,6 +29,33 @@ const IMAGE_SIGNATURES = {
   ]
 };
 
+// Third-party documents (pre-approval letters, inspection reports, ...) may be
+// PDFs or scans
+const ATTACHMENT_SIGNATURES = {
+  'application/pdf': [
+    { offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] } // %PDF-
+  ],
+  'image/jpeg': IMAGE_SIGNATURES['image/jpeg'],
+  'image/png': IMAGE_SIGNATURES['image/png']
+};
+
+// Read the start of a file and return the MIME type whose magic bytes match
+function detectFileType(filePath, signatures) {
+  const header = Buffer.alloc(16);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return Object.keys(signatures).find(mime =>
+    signatures[mime].some(({ offset, bytes }) =>
+      bytes.every((byte, i) => header[offset + i] === byte)
+    )
+  ) || null;
+}
+
 // Sanitize filename - prevent directory traversal and special characters
 function sanitizeFilename(filename) {
   // Remove any path components
@@ -97,6 +124,21 @@ const documentFilter = (req, file, cb) => {
   }
 };
 
+// Strict file filter for third-party document attachments
+const attachmentFilter = (req, file, cb) => {
+  const allowedMimes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png'];
+  const allowedExts = /\.(pdf|jpeg|jpg|png)$/i;
+
+  const extValid = allowedExts.test(file.originalname);
+  const mimeValid = allowedMimes.includes(file.mimetype);
+
+  if (extValid && mimeValid) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only PDF and image files (pdf, jpeg, jpg, png) are allowed'), false);
+  }
+};
+
 // Property image upload middleware
 const uploadPropertyImages = multer({
   storage: propertyStorage,
@@ -117,6 +159,33 @@ const uploadDocuments = multer({
   fileFilter: documentFilter
 });
 
+// Third-party document upload middleware (one file per request)
+const uploadAttachment = multer({
+  storage: documentStorage,
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB max file size
+    files: 1
+  },
+  fileFilter: attachmentFilter
+});
+
+// Check uploaded files by magic bytes rather than the client's MIME type.
+// Files that don't match are deleted; the detected type is set on each file.
+const verifyAttachmentSignature = (req, res, next) => {
+  const files = req.file ? [req.file] : (req.files || []);
+
+  for (const file of files) {
+    const detected = detectFileType(file.path, ATTACHMENT_SIGNATURES);
+    if (!detected) {
+      files.forEach(f => fs.existsSync(f.path) && fs.unlinkSync(f.path));
+      return res.status(400).json({ error: `${sanitizeFilename(file.originalname)} is not a valid PDF or image file` });
+    }
+    file.detectedMimeType = detected;
+  }
+
+  next();
+};
+
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -137,5 +206,10 @@ const handleUploadError = (err, req, res, next) => {
 module.exports = {
   uploadPropertyImages,
   uploadDocuments,
+  uploadAttachment,
+  verifyAttachmentSignature,
+  detectFileType,
+  sanitizeFilename,
+  ATTACHMENT_SIGNATURES,
   handleUploadError
 };
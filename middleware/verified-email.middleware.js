@@ -0,0 +1,23 @@
+const User = require('../models/user.model');
+
+// Verified email middleware - blocks actions with legal weight
+// (offers, signatures, listing activation) until the user's email is verified
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('emailVerified');
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        error: 'Please verify your email address before continuing',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: 'Verification check failed' });
+  }
+};
+
+module.exports = requireVerifiedEmail;
@@ -1,5 +1,25 @@
 const mongoose = require('mongoose');
 
+// Sub-record field an uploaded document fills, by condition type and document type
+const ATTACHMENT_FIELDS = {
+  financing: {
+    pre_approval_letter: 'financingDetails.approvalLetter',
+    mortgage_commitment: 'financingDetails.commitmentLetter'
+  },
+  inspection: {
+    home_inspection_report: 'inspectionDetails.inspectionReport'
+  },
+  well_septic: {
+    home_inspection_report: 'inspectionDetails.inspectionReport'
+  },
+  status_certificate: {
+    status_certificate: 'statusCertDetails.certificate'
+  }
+};
+
+// Statuses where the condition is still outstanding
+const OPEN_STATUSES = ['pending', 'extended'];
+
 const conditionSchema = new mongoose.Schema({
   transaction: {
     type: mongoose.Schema.Types.ObjectId,
@@ -70,7 +90,7 @@ const conditionSchema = new mongoose.Schema({
   },
   resolutionNotes: { type: String },
 
-  // Waiver Document
+  // Notice of fulfillment or waiver the buyer signs to resolve the condition
   waiverDocument: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Document'
@@ -84,6 +104,10 @@ const conditionSchema = new mongoose.Schema({
     approvalLetter: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Document'
+    },
+    commitmentLetter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
     }
   },
 
@@ -110,7 +134,11 @@ const conditionSchema = new mongoose.Schema({
     issues: [{ type: String }],
     reserveFundAmount: { type: Number },
     specialAssessments: { type: Boolean },
-    specialAssessmentAmount: { type: Number }
+    specialAssessmentAmount: { type: Number },
+    certificate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    }
   },
 
   // For Sale of Property Condition
@@ -126,17 +154,38 @@ const conditionSchema = new mongoose.Schema({
     soldPrice: { type: Number }
   },
 
+  // Uploaded supporting documents
+  documents: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
+
   // Notifications
   remindersSent: [{
     sentAt: { type: Date },
     daysBeforeDeadline: { type: Number }
   }],
 
-  // Extension History
+  // Extension History. An extension is proposed with an amendment both
+  // parties sign; the deadline moves only once it is agreed.
   extensions: [{
+    status: {
+      type: String,
+      enum: ['proposed', 'agreed', 'declined', 'withdrawn', 'lapsed'],
+      default: 'agreed'
+    },
     previousDeadline: { type: Date },
     newDeadline: { type: Date },
     reason: { type: String },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedAt: { type: Date },
+    document: {                           // Amendment extending the deadline
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    },
     agreedAt: { type: Date },
     agreedByBuyer: { type: Boolean },
     agreedBySeller: { type: Boolean }
@@ -153,7 +202,7 @@ conditionSchema.index({ conditionType: 1 });
 
 // Check if deadline passed
 conditionSchema.methods.isOverdue = function() {
-  return new Date() > this.deadlineDate && this.status === 'pending';
+  return new Date() > this.deadlineDate && OPEN_STATUSES.includes(this.status);
 };
 
 // Get days until deadline
@@ -164,6 +213,27 @@ conditionSchema.methods.getDaysUntilDeadline = function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 };
 
+// Extension awaiting both parties' signatures, if any
+conditionSchema.methods.getPendingExtension = function() {
+  return this.extensions.find(extension => extension.status === 'proposed') || null;
+};
+
+// Attach an uploaded document: always listed in documents, and set on the
+// matching sub-record field when there is one
+conditionSchema.methods.attachDocument = function(document) {
+  this.documents.push(document._id);
+
+  const field = ATTACHMENT_FIELDS[this.conditionType]?.[document.documentType] || null;
+  if (field) {
+    this.set(field, document._id);
+  }
+  if (field === 'statusCertDetails.certificate' && !this.statusCertDetails?.receivedDate) {
+    this.set('statusCertDetails.receivedDate', new Date());
+  }
+
+  return field;
+};
+
 // Standard condition templates by type
 conditionSchema.statics.getTemplate = function(type, province = 'ON') {
   const templates = {
@@ -203,4 +273,7 @@ conditionSchema.statics.getTemplate = function(type, province = 'ON') {
   };
 };
 
+conditionSchema.statics.ATTACHMENT_FIELDS = ATTACHMENT_FIELDS;
+conditionSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
 module.exports = mongoose.model('Condition', conditionSchema);
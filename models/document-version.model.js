@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a Document each time its content changes. Versions are
+// written once and never updated; the Document holds the current state.
+const documentVersionSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    immutable: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+
+  // Snapshot
+  title: { type: String, immutable: true },
+  status: { type: String, immutable: true },
+  content: { type: mongoose.Schema.Types.Mixed, immutable: true },
+  filePath: { type: String, immutable: true },
+  fileHash: { type: String, immutable: true }, // SHA-256 of the PDF for this version
+  signatures: {
+    type: [{
+      role: { type: String },
+      name: { type: String },
+      signedAt: { type: Date },
+      hash: { type: String }
+    }],
+    immutable: true
+  },
+
+  // Field-level changes from the previous version
+  changes: {
+    type: [{
+      path: { type: String },
+      type: {
+        type: String,
+        enum: ['added', 'removed', 'changed']
+      },
+      from: { type: mongoose.Schema.Types.Mixed },
+      to: { type: mongoose.Schema.Types.Mixed }
+    }],
+    immutable: true
+  },
+
+  // Who made the change and why
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  reason: { type: String, immutable: true },
+  amendment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+documentVersionSchema.index({ document: 1, version: 1 }, { unique: true });
+
+// Versions are append-only
+const rejectUpdate = function(next) {
+  next(new Error('Document versions cannot be modified'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(op => {
+  documentVersionSchema.pre(op, rejectUpdate);
+});
+documentVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Document versions cannot be modified'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('DocumentVersion', documentVersionSchema);
@@ -1,4 +1,22 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Previous hash of the first entry in a document's hash chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Attempts at appending to the chain before giving up on a busy document
+const CHAIN_ATTEMPTS = 5;
+
+// Paths a chained save appends to or derives, rather than copies on a retry
+const CHAIN_PATHS = ['signatures', 'auditLog', 'chainHash', 'chainLength', 'updatedAt'];
+
+// Fields linking a signature or audit entry into the document's hash chain
+const chainFields = {
+  sequence: { type: Number },      // Position in the chain, across signatures and audit entries
+  documentHash: { type: String },  // SHA-256 of the PDF when the entry was made
+  previousHash: { type: String },
+  hash: { type: String }
+};
 
 const documentSchema = new mongoose.Schema({
   // References
@@ -36,6 +54,7 @@ const documentSchema = new mongoose.Schema({
       'condition_waiver',
       'notice_fulfillment',
       'mutual_release',
+      'notice_of_rescission',
 
       // Buyer Documents
       'buyer_representation',
@@ -113,6 +132,20 @@ const documentSchema = new mongoose.Schema({
   },
   generatedPdfPath: { type: String },
 
+  // Integrity: SHA-256 of the current PDF and of every PDF version produced
+  fileHash: { type: String },
+  pdfVersions: [{
+    label: {
+      type: String,
+      enum: ['generated', 'uploaded', 'revised', 'signed']
+    },
+    filePath: { type: String },
+    hash: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  chainHash: { type: String },            // Hash of the latest chain entry
+  chainLength: { type: Number, default: 0 },
+
   // Signatures
   requiredSignatures: [{
     role: {
@@ -137,8 +170,13 @@ const documentSchema = new mongoose.Schema({
     signedAt: { type: Date },
     signatureData: { type: String }, // base64 or signature ID
     ipAddress: { type: String },
-    userAgent: { type: String }
+    userAgent: { type: String },
+    ...chainFields,
+    // Set when a later version changes what was signed; kept for the chain
+    invalidatedAt: { type: Date },
+    invalidatedReason: { type: String }
   }],
+  envelopeId: { type: String }, // E-signature envelope for the current signing round
 
   // Timestamps
   generatedAt: { type: Date },
@@ -158,8 +196,17 @@ const documentSchema = new mongoose.Schema({
   }],
   isPublic: { type: Boolean, default: false },
 
-  // Versioning
+  // Versioning (snapshots are DocumentVersion records)
   version: { type: Number, default: 1 },
+  parentDocument: {                       // Document an amendment changes
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  parentVersion: { type: Number },        // Version of the parent the amendment produced
+  amendments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  }],
   previousVersions: [{
     documentId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -173,7 +220,7 @@ const documentSchema = new mongoose.Schema({
   auditLog: [{
     action: {
       type: String,
-      enum: ['created', 'viewed', 'edited', 'signed', 'sent', 'downloaded', 'voided', 'archived']
+      enum: ['created', 'viewed', 'edited', 'signed', 'completed', 'sent', 'downloaded', 'voided', 'archived']
     },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -181,7 +228,8 @@ const documentSchema = new mongoose.Schema({
     },
     timestamp: { type: Date, default: Date.now },
     details: { type: String },
-    ipAddress: { type: String }
+    ipAddress: { type: String },
+    ...chainFields
   }]
 }, {
   timestamps: true
@@ -196,31 +244,255 @@ documentSchema.index({ createdBy: 1 });
 documentSchema.index({ status: 1 });
 documentSchema.index({ province: 1, documentType: 1 });
 
+// Signatures on the current version
+documentSchema.methods.getActiveSignatures = function() {
+  return this.signatures.filter(sig => !sig.invalidatedAt);
+};
+
 // Check if all signatures collected
 documentSchema.methods.isFullySigned = function() {
   if (this.requiredSignatures.length === 0) return true;
+  const active = this.getActiveSignatures();
   return this.requiredSignatures.every(required =>
-    this.signatures.some(sig => sig.role === required.role)
+    active.some(sig => sig.role === required.role)
   );
 };
 
 // Get missing signatures
 documentSchema.methods.getMissingSignatures = function() {
-  const signedRoles = this.signatures.map(s => s.role);
+  const signedRoles = this.getActiveSignatures().map(s => s.role);
   return this.requiredSignatures.filter(req => !signedRoles.includes(req.role));
 };
 
-// Add audit log entry
+// Invalidate the current signatures so every party has to sign again
+documentSchema.methods.invalidateSignatures = function(reason, now = new Date()) {
+  const active = this.getActiveSignatures();
+  active.forEach(sig => {
+    sig.invalidatedAt = now;
+    sig.invalidatedReason = reason;
+  });
+  return active.length;
+};
+
+// Hash of a chain entry: the previous hash plus the entry's own fields
+function hashChainEntry(previousHash, payload) {
+  return crypto.createHash('sha256')
+    .update(`${previousHash}\n${JSON.stringify(payload)}`)
+    .digest('hex');
+}
+
+// Fields of a signature that its chain hash covers
+function signaturePayload(signature) {
+  return {
+    kind: 'signature',
+    sequence: signature.sequence,
+    documentHash: signature.documentHash || null,
+    role: signature.role || null,
+    userId: signature.userId ? signature.userId.toString() : null,
+    name: signature.name || null,
+    email: signature.email || null,
+    signedAt: signature.signedAt ? new Date(signature.signedAt).toISOString() : null,
+    signatureData: signature.signatureData || null,
+    ipAddress: signature.ipAddress || null,
+    userAgent: signature.userAgent || null
+  };
+}
+
+// Fields of an audit entry that its chain hash covers
+function auditPayload(entry) {
+  return {
+    kind: 'audit',
+    sequence: entry.sequence,
+    documentHash: entry.documentHash || null,
+    action: entry.action,
+    userId: entry.userId ? entry.userId.toString() : null,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    details: entry.details || null,
+    ipAddress: entry.ipAddress || null
+  };
+}
+
+// A save that matched no stored document: another request changed the
+// chain (or the version) first. Mongoose reports a VersionError when the save
+// also bumps the version, as appending a signature or audit entry does.
+function isSaveConflict(err) {
+  return err instanceof mongoose.Error.VersionError || err instanceof mongoose.Error.DocumentNotFoundError;
+}
+
+// Match the stored chain length; documents from before chaining have none
+function chainLengthFilter(length) {
+  return length || { $in: [0, null] };
+}
+
+// Link a new entry to the end of the hash chain, bound to the current PDF hash.
+// The next save only applies if no other request has extended the stored
+// chain meanwhile; otherwise it fails (see isSaveConflict).
+documentSchema.methods.chainEntry = function(entry, toPayload) {
+  if (!this.isNew && this.$where?.chainLength === undefined) {
+    this.$where = { ...this.$where, chainLength: chainLengthFilter(this.chainLength) };
+    this.$locals.chainBase = this.chainLength || 0;
+  }
+
+  entry.sequence = this.chainLength || 0;
+  entry.documentHash = this.fileHash;
+  entry.previousHash = this.chainHash || GENESIS_HASH;
+  entry.hash = hashChainEntry(entry.previousHash, toPayload(entry));
+
+  this.chainHash = entry.hash;
+  this.chainLength = entry.sequence + 1;
+  return entry;
+};
+
+// Add a signature, chained to the previous entry
+documentSchema.methods.addSignature = function(signature) {
+  this.signatures.push(this.chainEntry({ ...signature, signedAt: signature.signedAt || new Date() }, signaturePayload));
+  return this.signatures[this.signatures.length - 1];
+};
+
+// Add audit log entry, chained to the previous entry
 documentSchema.methods.logAction = function(action, userId, details, ipAddress) {
-  this.auditLog.push({
+  this.auditLog.push(this.chainEntry({
     action,
     userId,
     timestamp: new Date(),
     details,
     ipAddress
+  }, auditPayload));
+};
+
+/**
+ * Add an audit entry and store it straight away with a conditional update on
+ * the chain length. When another request extends the chain first, the entry
+ * is re-linked to the stored chain head and tried again. For requests that
+ * change nothing else on the document, such as views and downloads.
+ */
+documentSchema.methods.recordAction = async function(action, userId, details, ipAddress) {
+  for (let attempt = 0; attempt < CHAIN_ATTEMPTS; attempt++) {
+    const length = this.chainLength || 0;
+    this.logAction(action, userId, details, ipAddress);
+    const entry = this.auditLog[this.auditLog.length - 1];
+
+    const { modifiedCount } = await this.constructor.updateOne(
+      { _id: this._id, chainLength: chainLengthFilter(length) },
+      {
+        $push: { auditLog: entry.toObject() },
+        $set: { chainHash: this.chainHash, chainLength: this.chainLength }
+      }
+    );
+    if (modifiedCount) return entry;
+
+    this.auditLog.pop();
+    const head = await this.constructor.findById(this._id).select('chainHash chainLength fileHash');
+    if (!head) {
+      throw new Error('Document not found');
+    }
+    this.chainHash = head.chainHash;
+    this.chainLength = head.chainLength;
+    this.fileHash = head.fileHash;
+  }
+
+  throw new Error('Document is being changed by too many requests; try again');
+};
+
+/**
+ * Save a document that has new chain entries and resolve to the saved copy.
+ * When another request extends the stored chain first, the document is
+ * loaded again, the entries appended since this copy was loaded are re-linked
+ * after the stored chain head along with this copy's other changes, and that
+ * is saved instead. Callers must carry on with the document this resolves to.
+ */
+documentSchema.methods.saveChained = async function(options, attempt = 1) {
+  try {
+    return await this.save(options);
+  } catch (err) {
+    if (!isSaveConflict(err) || this.$locals.chainBase === undefined || attempt >= CHAIN_ATTEMPTS) {
+      throw err;
+    }
+
+    const fresh = await this.constructor.findById(this._id).session(options?.session || null);
+    if (!fresh) throw err;
+    fresh.$where = { ...fresh.$where, chainLength: chainLengthFilter(fresh.chainLength) };
+    fresh.$locals.chainBase = fresh.chainLength || 0;
+
+    // A document another request has finished signing stays signed
+    const values = this.toObject({ depopulate: true });
+    this.modifiedPaths()
+      .filter(path => !path.includes('.') && !CHAIN_PATHS.includes(path))
+      .filter(path => path !== 'status' || fresh.status !== 'signed')
+      .forEach(path => fresh.set(path, values[path]));
+
+    [
+      ...values.signatures.map(entry => ({ entry, array: 'signatures', toPayload: signaturePayload })),
+      ...values.auditLog.map(entry => ({ entry, array: 'auditLog', toPayload: auditPayload }))
+    ]
+      .filter(({ entry }) => entry.sequence >= this.$locals.chainBase)
+      .sort((a, b) => a.entry.sequence - b.entry.sequence)
+      .forEach(({ entry, array, toPayload }) => fresh[array].push(fresh.relinkEntry(entry, toPayload)));
+
+    return fresh.saveChained(options, attempt + 1);
+  }
+};
+
+// Link an entry recorded on another copy of the document to the end of this
+// copy's chain. Unlike chainEntry it keeps the PDF hash the entry was made on.
+documentSchema.methods.relinkEntry = function(entry, toPayload) {
+  entry.sequence = this.chainLength || 0;
+  entry.previousHash = this.chainHash || GENESIS_HASH;
+  entry.hash = hashChainEntry(entry.previousHash, toPayload(entry));
+
+  this.chainHash = entry.hash;
+  this.chainLength = entry.sequence + 1;
+  return entry;
+};
+
+// Recompute the hash chain. Entries recorded before chaining existed have
+// no sequence and are reported but not checked.
+documentSchema.methods.verifyChain = function() {
+  const entries = [
+    ...this.signatures.map(entry => ({ entry, toPayload: signaturePayload })),
+    ...this.auditLog.map(entry => ({ entry, toPayload: auditPayload }))
+  ];
+  const chained = entries
+    .filter(({ entry }) => entry.sequence !== undefined && entry.sequence !== null)
+    .sort((a, b) => a.entry.sequence - b.entry.sequence);
+
+  const issues = [];
+  let previousHash = GENESIS_HASH;
+
+  chained.forEach(({ entry, toPayload }, index) => {
+    if (entry.sequence !== index) {
+      issues.push(`Entry ${index} is missing or out of order (found sequence ${entry.sequence})`);
+    }
+    if (entry.previousHash !== previousHash) {
+      issues.push(`Entry ${entry.sequence} does not link to the previous entry`);
+    }
+    if (hashChainEntry(entry.previousHash, toPayload(entry)) !== entry.hash) {
+      issues.push(`Entry ${entry.sequence} (${toPayload(entry).kind}) has been modified`);
+    }
+    previousHash = entry.hash;
   });
+
+  if (chained.length && (this.chainHash !== previousHash || this.chainLength !== chained.length)) {
+    issues.push('Chain head does not match the last entry');
+  }
+
+  return {
+    valid: issues.length === 0,
+    length: chained.length,
+    unchainedEntries: entries.length - chained.length,
+    head: previousHash,
+    issues
+  };
 };
 
+// Later entries on this copy extend the chain as just saved
+documentSchema.post('save', function() {
+  if (this.$where) {
+    delete this.$where.chainLength;
+  }
+  delete this.$locals.chainBase;
+});
+
 // Get form template info by province and document type
 documentSchema.statics.getFormInfo = function(province, documentType) {
   const formMappings = {
@@ -230,16 +502,23 @@ documentSchema.statics.getFormInfo = function(province, documentType) {
       property_disclosure: { formNumber: 'OREA Form 220', title: 'Seller Property Information Statement' },
       buyer_representation: { formNumber: 'OREA Form 300', title: 'Buyer Representation Agreement' },
       amendment: { formNumber: 'OREA Form 120', title: 'Amendment to Agreement' },
-      condition_waiver: { formNumber: 'OREA Form 408', title: 'Waiver' }
+      mutual_release: { formNumber: 'OREA Form 122', title: 'Mutual Release' },
+      notice_fulfillment: { formNumber: 'OREA Form 124', title: 'Notice of Fulfillment of Condition(s)' },
+      counter_offer: { formNumber: 'OREA Form 221', title: 'Counter Offer' },
+      condition_waiver: { formNumber: 'OREA Form 408', title: 'Waiver' },
+      land_transfer_tax_affidavit: { formNumber: 'LTT Affidavit', title: 'Land Transfer Tax Affidavit' }
     },
     BC: {
       agreement_purchase_sale: { formNumber: 'Form 578', title: 'Contract of Purchase and Sale' },
       property_disclosure: { formNumber: 'PDS', title: 'Property Disclosure Statement' },
-      condition_waiver: { formNumber: 'Subject Removal', title: 'Subject Removal Form' }
+      condition_waiver: { formNumber: 'Subject Removal', title: 'Subject Removal Form' },
+      notice_of_rescission: { formNumber: 'PLA Part 2.1', title: 'Notice of Rescission' },
+      property_transfer_tax_return: { formNumber: 'FIN 579', title: 'Property Transfer Tax Return' }
     },
     AB: {
       agreement_purchase_sale: { formNumber: 'AREA RPC', title: 'Residential Purchase Contract' },
-      property_disclosure: { formNumber: 'AREA PDS', title: 'Property Disclosure Statement' }
+      property_disclosure: { formNumber: 'AREA PDS', title: 'Property Disclosure Statement' },
+      real_property_report: { formNumber: 'RPR', title: 'Real Property Report' }
     },
     QC: {
       agreement_purchase_sale: { formNumber: 'OACIQ PP', title: 'Promise to Purchase' },
@@ -255,4 +534,8 @@ documentSchema.statics.getFormInfo = function(province, documentType) {
   };
 };
 
+documentSchema.statics.GENESIS_HASH = GENESIS_HASH;
+documentSchema.statics.hashChainEntry = hashChainEntry;
+documentSchema.statics.isSaveConflict = isSaveConflict;
+
 module.exports = mongoose.model('Document', documentSchema);
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+// FINTRAC threshold for large cash and the window receipts are aggregated over
+const LARGE_CASH_THRESHOLD = 10000;
+const LARGE_CASH_WINDOW = 24 * 60 * 60 * 1000; // 24 hours
+// Receipt of funds records are kept at least five years
+const RETENTION_YEARS = 5;
+
+// A person or entity funds came from or were paid on behalf of
+const personSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: { type: String },
+  address: { type: String },
+  dateOfBirth: { type: Date },
+  occupation: { type: String },
+  incorporationNumber: { type: String }, // Entities only
+  identificationVerified: { type: Boolean, default: false }
+}, { _id: false });
+
+// FINTRAC receipt of funds record. The receipt itself never changes once
+// recorded; only the compliance review and report fields are updated.
+const fundsReceiptSchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    immutable: true
+  },
+  purpose: {
+    type: String,
+    enum: ['deposit', 'additional_deposit', 'balance_due', 'other'],
+    default: 'deposit',
+    immutable: true
+  },
+
+  // The funds
+  amount: { type: Number, required: true, min: 0.01, immutable: true },
+  currency: { type: String, default: 'CAD', immutable: true },
+  method: {
+    type: String,
+    required: true,
+    enum: ['cash', 'cheque', 'certified_cheque', 'bank_draft', 'wire_transfer', 'eft', 'interac_e_transfer', 'other'],
+    immutable: true
+  },
+  receivedAt: { type: Date, required: true, immutable: true },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+
+  // Who paid and from which account
+  payer: { type: personSchema, required: true, immutable: true },
+  account: {
+    type: new mongoose.Schema({
+      institution: { type: String },
+      number: { type: String },
+      holderName: { type: String },
+      country: { type: String, default: 'Canada' }
+    }, { _id: false }),
+    immutable: true
+  },
+
+  // Third-party determination: whether the payer acted on someone else's instructions
+  thirdParty: {
+    type: new mongoose.Schema({
+      involved: { type: Boolean, required: true },
+      person: { type: personSchema },
+      relationship: { type: String },
+      determinationNotes: { type: String }
+    }, { _id: false }),
+    required: true,
+    immutable: true
+  },
+
+  sourceOfFunds: {
+    type: new mongoose.Schema({
+      type: {
+        type: String,
+        enum: ['savings', 'sale_of_property', 'mortgage_proceeds', 'gift', 'inheritance', 'investments', 'business_income', 'other'],
+        required: true
+      },
+      details: { type: String }
+    }, { _id: false }),
+    required: true,
+    immutable: true
+  },
+
+  // Cash of $10,000 or more from the same person within 24 hours
+  largeCash: {
+    flagged: { type: Boolean, default: false },
+    aggregateAmount: { type: Number },
+    relatedReceipts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FundsReceipt'
+    }],
+    reportDueBy: { type: Date },
+    reportedAt: { type: Date },
+    reportReference: { type: String }
+  },
+
+  // Rule-based suspicious transaction indicators found when recorded
+  indicators: [{
+    code: { type: String },
+    description: { type: String },
+    severity: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    }
+  }],
+
+  // Compliance review
+  review: {
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'cleared', 'escalated', 'reported'],
+      default: 'not_required'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: { type: Date },
+    notes: { type: String },
+    reportReference: { type: String } // Suspicious transaction report
+  },
+
+  retainUntil: { type: Date, required: true, immutable: true }
+}, {
+  timestamps: true
+});
+
+// Indexes
+fundsReceiptSchema.index({ transaction: 1, receivedAt: 1 });
+fundsReceiptSchema.index({ 'review.status': 1, createdAt: 1 });
+fundsReceiptSchema.index({ method: 1, 'payer.user': 1, receivedAt: 1 });
+
+// Records inside the retention period cannot be deleted
+['deleteOne', 'deleteMany', 'findOneAndDelete'].forEach(op => {
+  fundsReceiptSchema.pre(op, function(next) {
+    this.where({ retainUntil: { $lte: new Date() } });
+    next();
+  });
+});
+
+// End of the retention period for funds received at a given time
+fundsReceiptSchema.statics.retentionDate = function(receivedAt) {
+  const date = new Date(receivedAt);
+  date.setFullYear(date.getFullYear() + RETENTION_YEARS);
+  return date;
+};
+
+fundsReceiptSchema.statics.LARGE_CASH_THRESHOLD = LARGE_CASH_THRESHOLD;
+fundsReceiptSchema.statics.LARGE_CASH_WINDOW = LARGE_CASH_WINDOW;
+fundsReceiptSchema.statics.RETENTION_YEARS = RETENTION_YEARS;
+
+module.exports = mongoose.model('FundsReceipt', fundsReceiptSchema);
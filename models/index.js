@@ -5,6 +5,13 @@ const Offer = require('./offer.model');
 const Transaction = require('./transaction.model');
 const Condition = require('./condition.model');
 const Document = require('./document.model');
+const SavedSearch = require('./saved-search.model');
+const Notification = require('./notification.model');
+const Job = require('./job.model');
+const SigningEnvelope = require('./signing-envelope.model');
+const DocumentVersion = require('./document-version.model');
+const FundsReceipt = require('./funds-receipt.model');
+const TrustLedgerEntry = require('./trust-ledger-entry.model');
 
 module.exports = {
   User,
@@ -13,5 +20,12 @@ module.exports = {
   Offer,
   Transaction,
   Condition,
-  Document
+  Document,
+  SavedSearch,
+  Notification,
+  Job,
+  SigningEnvelope,
+  DocumentVersion,
+  FundsReceipt,
+  TrustLedgerEntry
 };
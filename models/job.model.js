@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A job lock older than this is assumed to belong to a crashed process
+const LOCK_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+
+const jobSchema = new mongoose.Schema({
+  // Unique job name, e.g. 'expire-offers'
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: { type: String },
+
+  // Schedule
+  intervalMs: {
+    type: Number,
+    required: true,
+    min: 1000
+  },
+  enabled: { type: Boolean, default: true },
+  nextRunAt: { type: Date, required: true },
+
+  // Lock held while a run is in progress
+  lockedAt: { type: Date, default: null },
+  lockedBy: { type: String, default: null },
+
+  // Last run
+  lastRunAt: { type: Date },
+  lastFinishedAt: { type: Date },
+  lastStatus: {
+    type: String,
+    enum: ['running', 'success', 'failed']
+  },
+  lastError: { type: String },
+  lastResult: { type: mongoose.Schema.Types.Mixed },
+  lastDurationMs: { type: Number },
+
+  // Totals
+  runCount: { type: Number, default: 0 },
+  failureCount: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Indexes
+jobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Whether the job should run at the given time
+jobSchema.methods.isDue = function(now = new Date()) {
+  return this.enabled && this.nextRunAt <= now;
+};
+
+// Whether another run currently holds the lock
+jobSchema.methods.isLocked = function(now = new Date()) {
+  return Boolean(this.lockedAt) && now - this.lockedAt < LOCK_TIMEOUT;
+};
+
+// Query matching a job that is free to be claimed at the given time
+jobSchema.statics.claimableFilter = function(name, now = new Date(), { force = false } = {}) {
+  const filter = {
+    name,
+    $or: [
+      { lockedAt: null },
+      { lockedAt: { $lt: new Date(now.getTime() - LOCK_TIMEOUT) } }
+    ]
+  };
+
+  if (!force) {
+    filter.enabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  return filter;
+};
+
+jobSchema.statics.LOCK_TIMEOUT = LOCK_TIMEOUT;
+
+module.exports = mongoose.model('Job', jobSchema);
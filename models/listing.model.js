@@ -65,9 +65,25 @@ const listingSchema = new mongoose.Schema({
   },
   showingAvailability: [{
     dayOfWeek: { type: Number, min: 0, max: 6 }, // 0 = Sunday
-    startTime: { type: String }, // "09:00"
-    endTime: { type: String }    // "17:00"
+    startTime: { type: String, match: /^([01][0-9]|2[0-3]):[0-5][0-9]$/ }, // "09:00"
+    endTime: { type: String, match: /^([01][0-9]|2[0-3]):[0-5][0-9]$/ }    // "17:00"
   }],
+  showingBlackoutDates: [{
+    startDate: { type: Date, required: true },
+    endDate: { type: Date }, // Defaults to startDate (single day)
+    reason: { type: String, maxlength: 200 }
+  }],
+  showingSlotMinutes: {
+    type: Number,
+    enum: [15, 30, 45, 60, 90],
+    default: 30
+  },
+  showingBufferMinutes: {
+    type: Number,
+    min: 0,
+    max: 120,
+    default: 0
+  },
   lockboxCode: { type: String },
 
   // Marketing
@@ -87,6 +103,14 @@ const listingSchema = new mongoose.Schema({
     ref: 'Offer'
   }],
 
+  // Multiple-offer (holdback) mode - offers are sealed from the seller
+  // until the presentation date, then revealed together
+  offerHoldback: {
+    enabled: { type: Boolean, default: false },
+    presentationDate: { type: Date },
+    revealedAt: { type: Date } // Set when the seller and buyers were told offers are open
+  },
+
   // Sold Information (populated when sold)
   soldInfo: {
     soldPrice: { type: Number },
@@ -98,13 +122,16 @@ const listingSchema = new mongoose.Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Every save checks and bumps __v, so stale copies can't overwrite status changes
+  optimisticConcurrency: true
 });
 
 // Indexes
 listingSchema.index({ property: 1 });
 listingSchema.index({ seller: 1 });
 listingSchema.index({ status: 1, startDate: 1, endDate: 1 });
+listingSchema.index({ 'offerHoldback.enabled': 1, 'offerHoldback.presentationDate': 1 });
 
 // Check if listing is active
 listingSchema.methods.isActive = function() {
@@ -114,6 +141,11 @@ listingSchema.methods.isActive = function() {
          this.endDate >= now;
 };
 
+// Check if offers are being held until the presentation date
+listingSchema.methods.isHoldingOffers = function(now = new Date()) {
+  return Boolean(this.offerHoldback?.enabled && this.offerHoldback.presentationDate > now);
+};
+
 // Calculate days on market
 listingSchema.methods.getDaysOnMarket = function() {
   const start = this.startDate;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown in the user's notification centre
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Category (drives icon and click-through in the UI)
+  type: {
+    type: String,
+    enum: ['offer', 'showing', 'message', 'condition', 'transaction', 'document', 'payment', 'system'],
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+
+  // Relative URL to open when the notification is clicked
+  link: String,
+
+  // References to the records that triggered the notification
+  metadata: {
+    propertyId: mongoose.Schema.Types.ObjectId,
+    offerId: mongoose.Schema.Types.ObjectId,
+    showingId: mongoose.Schema.Types.ObjectId,
+    conversationId: mongoose.Schema.Types.ObjectId,
+    conditionId: mongoose.Schema.Types.ObjectId,
+    transactionId: mongoose.Schema.Types.ObjectId,
+    documentId: mongoose.Schema.Types.ObjectId
+  },
+
+  // Read status
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, read: 1 });
+
+// Mark as read
+notificationSchema.methods.markRead = function() {
+  if (!this.read) {
+    this.read = true;
+    this.readAt = new Date();
+  }
+  return this;
+};
+
+// Count unread notifications for a user
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, read: false });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
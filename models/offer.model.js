@@ -122,6 +122,14 @@ const offerSchema = new mongoose.Schema({
     default: false
   },
 
+  // Sign-back invitation in a multiple-offer situation ("improve your offer")
+  signBack: {
+    invitedAt: { type: Date },
+    deadline: { type: Date },
+    message: { type: String, maxlength: 500 },
+    respondedAt: { type: Date }
+  },
+
   // Documents
   offerDocument: {
     type: mongoose.Schema.Types.ObjectId,
@@ -38,6 +38,7 @@ const propertySchema = new mongoose.Schema({
   lotSize: { type: Number, min: 0 }, // in square feet
   lotSizeUnit: { type: String, enum: ['sqft', 'acres', 'hectares'], default: 'sqft' },
   yearBuilt: { type: Number },
+  newConstruction: { type: Boolean, default: false }, // Sold by a builder or declarant (new or pre-construction)
   parkingSpaces: { type: Number, default: 0 },
   parkingType: { type: String, enum: ['garage', 'driveway', 'street', 'underground', 'none'] },
 
@@ -102,6 +103,7 @@ const propertySchema = new mongoose.Schema({
     enum: ['draft', 'active', 'pending', 'sold', 'withdrawn', 'expired'],
     default: 'draft'
   },
+  activatedAt: { type: Date }, // Last time the property went active (drives saved-search alerts)
 
   // Metadata
   description: { type: String, maxlength: 5000 },
@@ -127,6 +129,58 @@ propertySchema.index({ askingPrice: 1 });
 propertySchema.index({ propertyType: 1 });
 propertySchema.index({ bedrooms: 1, bathrooms: 1 });
 propertySchema.index({ seller: 1 });
+propertySchema.index({ status: 1, activatedAt: -1 });
+
+// Record when the property (re)enters the active market
+propertySchema.pre('save', function(next) {
+  if (this.isModified('status') && this.status === 'active') {
+    this.activatedAt = new Date();
+  }
+  next();
+});
+
+// Escape user input for use as a literal inside a RegExp
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build a search filter from criteria (shared by property search and saved-search alerts)
+propertySchema.statics.buildSearchFilter = function(criteria = {}) {
+  const {
+    province,
+    city,
+    propertyType,
+    minPrice,
+    maxPrice,
+    minBedrooms,
+    maxBedrooms,
+    minBathrooms
+  } = criteria;
+
+  const filter = { status: 'active' };
+
+  if (province) filter.province = province;
+  if (city) filter['address.city'] = new RegExp(escapeRegex(city), 'i');
+  if (propertyType) filter.propertyType = propertyType;
+
+  if (minPrice || maxPrice) {
+    filter.askingPrice = {};
+    if (minPrice) filter.askingPrice.$gte = parseFloat(minPrice);
+    if (maxPrice) filter.askingPrice.$lte = parseFloat(maxPrice);
+  }
+
+  if (minBedrooms || maxBedrooms) {
+    filter.bedrooms = {};
+    if (minBedrooms) filter.bedrooms.$gte = parseInt(minBedrooms);
+    if (maxBedrooms) filter.bedrooms.$lte = parseInt(maxBedrooms);
+  }
+
+  if (minBathrooms) {
+    filter.bathrooms = { $gte: parseFloat(minBathrooms) };
+  }
+
+  return filter;
+};
 
 // Virtual for full address
 propertySchema.virtual('fullAddress').get(function() {
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// How often each alert frequency is allowed to run (instant runs on every matcher pass)
+const FREQUENCY_INTERVALS = {
+  instant: 0,
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // Same filter set as GET /api/properties
+  criteria: {
+    province: {
+      type: String,
+      enum: ['ON', 'BC', 'AB', 'QC', 'MB', 'SK', 'NS', 'NB', 'PE', 'NL', 'YT', 'NT', 'NU']
+    },
+    city: { type: String, trim: true },
+    propertyType: {
+      type: String,
+      enum: ['residential', 'condo', 'townhouse', 'semi-detached', 'detached', 'commercial', 'land', 'multi-family']
+    },
+    minPrice: { type: Number, min: 0 },
+    maxPrice: { type: Number, min: 0 },
+    minBedrooms: { type: Number, min: 0 },
+    maxBedrooms: { type: Number, min: 0 },
+    minBathrooms: { type: Number, min: 0 }
+  },
+
+  // Alert settings
+  alertsEnabled: { type: Boolean, default: true },
+  frequency: {
+    type: String,
+    enum: Object.keys(FREQUENCY_INTERVALS),
+    default: 'daily'
+  },
+
+  // Matcher bookkeeping
+  lastCheckedAt: { type: Date },
+  lastNotifiedAt: { type: Date },
+  lastMatchCount: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+// Indexes
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, frequency: 1 });
+
+// Check if the search is due for another alert run
+savedSearchSchema.methods.isDue = function(now = new Date()) {
+  if (!this.alertsEnabled) return false;
+  if (!this.lastCheckedAt) return true;
+  const interval = FREQUENCY_INTERVALS[this.frequency] || 0;
+  return now - this.lastCheckedAt >= interval;
+};
+
+savedSearchSchema.statics.FREQUENCY_INTERVALS = FREQUENCY_INTERVALS;
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
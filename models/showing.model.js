@@ -32,7 +32,7 @@ const showingSchema = new Schema({
     required: true
   },
 
-  // Time slot (30-minute increments)
+  // Time slot (length set by the listing's showingSlotMinutes)
   timeSlot: {
     start: { type: String, required: true }, // e.g., "10:00"
     end: { type: String, required: true }    // e.g., "10:30"
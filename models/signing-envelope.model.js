@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Envelope for the built-in (local) e-signature provider. Signers open a
+// token link instead of logging in; only a hash of each token is stored.
+const signerSchema = new mongoose.Schema({
+  // Position in the signing order, starting at 0 (the ?signer= index)
+  order: { type: Number, required: true },
+  role: { type: String, required: true },
+  name: { type: String },
+  email: { type: String, required: true },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // sha256 of the signing token sent in the link
+  tokenHash: { type: String, required: true },
+
+  status: {
+    type: String,
+    enum: ['pending', 'signed', 'declined'],
+    default: 'pending'
+  },
+  viewedAt: { type: Date },
+  signedAt: { type: Date },
+  signatureImage: { type: String }, // PNG data URL drawn on the signing page
+  ipAddress: { type: String },
+  userAgent: { type: String }
+}, { _id: false });
+
+const signingEnvelopeSchema = new mongoose.Schema({
+  envelopeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    enum: ['local'],
+    default: 'local'
+  },
+
+  // Document being signed
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  documentType: { type: String },
+  documentName: { type: String },
+  sourcePdfPath: { type: String },
+  signedPdfPath: { type: String },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'declined', 'voided', 'expired'],
+    default: 'pending'
+  },
+  subject: { type: String },
+  message: { type: String },
+  expiresAt: { type: Date, required: true },
+  completedAt: { type: Date },
+
+  signers: [signerSchema],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+signingEnvelopeSchema.index({ document: 1, status: 1 });
+
+// Whether the envelope can still be signed at the given time
+signingEnvelopeSchema.methods.isOpen = function(now = new Date()) {
+  return this.status === 'pending' && this.expiresAt > now;
+};
+
+// Signers that have not signed yet, in signing order
+signingEnvelopeSchema.methods.getPendingSigners = function() {
+  return this.signers
+    .filter(signer => signer.status !== 'signed')
+    .sort((a, b) => a.order - b.order);
+};
+
+// The signer whose turn it is, or null when everyone has signed
+signingEnvelopeSchema.methods.getCurrentSigner = function() {
+  return this.getPendingSigners()[0] || null;
+};
+
+module.exports = mongoose.model('SigningEnvelope', signingEnvelopeSchema);
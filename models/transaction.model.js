@@ -50,6 +50,11 @@ const transactionSchema = new mongoose.Schema({
     default: 'pending'
   },
   depositReceivedDate: { type: Date },
+  depositHeldBy: {
+    type: String,
+    enum: ['seller_lawyer', 'buyer_lawyer', 'brokerage', 'other'],
+    default: 'seller_lawyer'
+  },
 
   // Key Dates
   acceptanceDate: {
@@ -106,7 +111,22 @@ const transactionSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
-    notes: { type: String }
+    notes: { type: String },
+    previousStatus: { type: String } // Status before this step was completed, for reversals
+  }],
+
+  // Admin reversals of workflow steps
+  stepReversals: [{
+    fromStep: { type: String },
+    toStep: { type: String },
+    fromStatus: { type: String },
+    toStatus: { type: String },
+    reversedAt: { type: Date },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: { type: String }
   }],
 
   // Conditions (copied from offer for tracking)
@@ -215,8 +235,20 @@ const transactionSchema = new mongoose.Schema({
       ref: 'Document'
     },
     generatedAt: { type: Date },
+    adjustmentDate: { type: Date }, // Closing date the prorations were computed for
+    closingDayParty: { type: String, enum: ['buyer', 'seller'] },
+    lines: [{
+      _id: false,
+      item: { type: String },
+      description: { type: String },
+      creditBuyer: { type: Number, default: 0 },
+      creditSeller: { type: Number, default: 0 }
+    }],
+    balanceDueOnClosing: { type: Number },
     approvedByBuyer: { type: Boolean, default: false },
-    approvedBySeller: { type: Boolean, default: false }
+    approvedBuyerAt: { type: Date },
+    approvedBySeller: { type: Boolean, default: false },
+    approvedSellerAt: { type: Date }
   },
 
   // Title Information
@@ -241,6 +273,58 @@ const transactionSchema = new mongoose.Schema({
     commitmentLetter: { type: Boolean, default: false }
   },
 
+  // Statutory rescission (cooling-off) period, opened on acceptance
+  // when a province rule applies to the property
+  rescission: {
+    ruleId: { type: String },
+    name: { type: String },
+    authority: { type: String },
+    deadline: { type: Date },
+    feeRate: { type: Number },
+    exercisedAt: { type: Date },
+    exercisedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    feeAmount: { type: Number },
+    depositToSeller: { type: Number }, // Applied to the fee from the deposit held
+    depositToBuyer: { type: Number },
+    feeOwing: { type: Number }, // Fee not covered by the deposit
+    noticeDocument: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    }
+  },
+
+  // Mutual release ending the agreement: proposed by one party, and the
+  // transaction cancels once both sign the release document
+  mutualRelease: {
+    status: {
+      type: String,
+      enum: ['proposed', 'signed', 'declined', 'withdrawn']
+    },
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedAt: { type: Date },
+    reason: { type: String },
+    failedCondition: { type: String },
+    depositToBuyer: { type: Number },
+    depositToSeller: { type: Number },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document'
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: { type: Date },
+    responseReason: { type: String },
+    completedAt: { type: Date }
+  },
+
   // Cancellation Details (if applicable)
   cancellation: {
     cancelledAt: { type: Date },
@@ -269,6 +353,7 @@ const transactionSchema = new mongoose.Schema({
 
   // Notifications
   lastNotificationSent: { type: Date },
+  overdueFlaggedAt: { type: Date }, // Set by the overdue-transactions job
   upcomingDeadlines: [{
     type: { type: String },
     date: { type: Date },
@@ -308,6 +393,13 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
+// Check if the buyer can still rescind
+transactionSchema.methods.isRescissionOpen = function(now = new Date()) {
+  return Boolean(this.rescission?.deadline) &&
+         !this.rescission.exercisedAt &&
+         now <= this.rescission.deadline;
+};
+
 // Calculate days until closing
 transactionSchema.methods.getDaysUntilClosing = function() {
   const now = new Date();
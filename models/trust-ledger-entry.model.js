@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// Trust accounts. trust_bank is the money in the holder's trust account;
+// deposits_held and interest_held are what it owes the parties.
+const ACCOUNTS = ['trust_bank', 'deposits_held', 'interest_held'];
+
+// Double-entry journal entry in a transaction's deposit trust ledger. Entries
+// are written once and never updated or deleted; corrections are new entries.
+const trustLedgerEntrySchema = new mongoose.Schema({
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    immutable: true
+  },
+  entryNumber: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'deposit_received',
+      'additional_deposit',
+      'interest_earned',
+      'release_to_seller',
+      'refund_to_buyer',
+      'split_disposition'
+    ],
+    immutable: true
+  },
+  heldBy: {
+    type: String,
+    enum: ['seller_lawyer', 'buyer_lawyer', 'brokerage', 'other'],
+    immutable: true
+  },
+  postedAt: { type: Date, required: true, immutable: true },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  memo: { type: String, immutable: true },
+
+  // Receipt of funds the entry records (deposits only)
+  fundsReceipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FundsReceipt',
+    immutable: true
+  },
+
+  // What permitted a release: the deal closing, a signed mutual release or
+  // a statutory rescission
+  authority: {
+    type: new mongoose.Schema({
+      type: {
+        type: String,
+        enum: ['completion', 'mutual_release', 'rescission']
+      },
+      document: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document'
+      }
+    }, { _id: false }),
+    immutable: true
+  },
+
+  lines: {
+    type: [{
+      account: { type: String, enum: ACCOUNTS, required: true },
+      debit: { type: Number, default: 0, min: 0 },
+      credit: { type: Number, default: 0, min: 0 },
+      party: { type: String, enum: ['buyer', 'seller'] } // Who the money came from or went to
+    }],
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+trustLedgerEntrySchema.index({ transaction: 1, entryNumber: 1 }, { unique: true });
+trustLedgerEntrySchema.index({ heldBy: 1, postedAt: 1 });
+
+// Debits must equal credits, and each line is one or the other
+trustLedgerEntrySchema.pre('validate', function(next) {
+  if (this.lines.length < 2) {
+    return next(new Error('A ledger entry needs at least two lines'));
+  }
+  if (this.lines.some(line => (line.debit > 0) === (line.credit > 0))) {
+    return next(new Error('Each ledger line must be either a debit or a credit'));
+  }
+  const cents = field => this.lines.reduce((sum, line) => sum + Math.round(line[field] * 100), 0);
+  if (cents('debit') !== cents('credit')) {
+    return next(new Error('Ledger entry debits and credits do not balance'));
+  }
+  next();
+});
+
+// The ledger is append-only
+const rejectChange = function(next) {
+  next(new Error('Trust ledger entries cannot be modified or deleted'));
+};
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+].forEach(op => {
+  trustLedgerEntrySchema.pre(op, rejectChange);
+});
+trustLedgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Trust ledger entries cannot be modified or deleted'));
+  }
+  next();
+});
+
+trustLedgerEntrySchema.statics.ACCOUNTS = ACCOUNTS;
+
+module.exports = mongoose.model('TrustLedgerEntry', trustLedgerEntrySchema);
@@ -1,6 +1,10 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
 
 const userSchema = new Schema({
   name: { type: String, required: true },
@@ -8,6 +12,8 @@ const userSchema = new Schema({
   password: { type: String, required: true },
   // Admin access
   isAdmin: { type: Boolean, default: false },
+  // May review FINTRAC client identification without full admin access
+  isComplianceOfficer: { type: Boolean, default: false },
   phone: { type: String },
   // Password reset fields
   resetPasswordToken: { type: String },
@@ -19,13 +25,19 @@ const userSchema = new Schema({
   // FINTRAC compliance - identity verification for real estate transactions
   fintracCompliance: {
     // Identity verification status
+    status: { type: String, enum: ['not_submitted', 'submitted', 'verified', 'rejected'], default: 'not_submitted' },
     verified: { type: Boolean, default: false },
     verifiedAt: { type: Date },
     verificationMethod: { type: String, enum: ['government_id', 'dual_process', 'credit_file', 'not_verified'], default: 'not_verified' },
+    submittedAt: { type: Date },
+    reviewedAt: { type: Date },
+    reviewedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    rejectionReason: { type: String },
     // Personal Information
     legalFirstName: { type: String },
     legalLastName: { type: String },
     dateOfBirth: { type: Date },
+    occupation: { type: String },
     // Address
     address: {
       street: { type: String },
@@ -39,6 +51,20 @@ const userSchema = new Schema({
     idNumber: { type: String }, // Encrypted/hashed in production
     idExpiry: { type: Date },
     idIssuingProvince: { type: String },
+    // Dual-process method: two reliable sources of different kinds
+    dualProcessSources: [{
+      category: { type: String, enum: ['name_address', 'name_dob', 'name_financial_account'] },
+      sourceName: { type: String },
+      reference: { type: String },
+      verifiedAt: { type: Date }
+    }],
+    // Credit file method: a Canadian credit file at least three years old
+    creditFile: {
+      bureau: { type: String },
+      reference: { type: String },
+      establishedAt: { type: Date },
+      checkedAt: { type: Date }
+    },
     // For business clients
     isBusinessClient: { type: Boolean, default: false },
     businessName: { type: String },
@@ -46,12 +72,31 @@ const userSchema = new Schema({
     // Politically Exposed Person (PEP) determination
     isPEP: { type: Boolean, default: false },
     pepDetails: { type: String },
+    pepDeterminedAt: { type: Date },
     // Beneficial ownership
     beneficialOwnerConfirmed: { type: Boolean, default: false },
+    beneficialOwners: [{
+      name: { type: String },
+      address: { type: String },
+      ownershipPercent: { type: Number }
+    }],
     // Risk assessment
     riskLevel: { type: String, enum: ['low', 'medium', 'high'], default: 'low' },
+    riskFactors: [{ type: String }],
+    riskAssessedAt: { type: Date },
     // Document references
-    idDocumentPath: { type: String },
+    idDocuments: [{
+      label: { type: String },
+      filePath: { type: String },
+      fileName: { type: String },
+      mimeType: { type: String },
+      hash: { type: String }, // SHA-256
+      uploadedAt: { type: Date, default: Date.now }
+    }],
+    // Client identification record (PDF) produced on verification
+    recordPath: { type: String },
+    recordHash: { type: String },
+    recordGeneratedAt: { type: Date },
     // Audit trail
     verificationHistory: [{
       action: { type: String },
@@ -72,6 +117,7 @@ const userSchema = new Schema({
     emailMessages: { type: Boolean, default: true },
     emailTransactions: { type: Boolean, default: true },
     emailDocuments: { type: Boolean, default: true },
+    emailSavedSearches: { type: Boolean, default: true },
     emailMarketing: { type: Boolean, default: false }
   },
   // Saved/favorite properties
@@ -112,6 +158,31 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Issue a new email verification token. Only the hash is stored;
+// the raw token is returned so it can be emailed to the user.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Mark the email as verified and clear the token
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
+// Find the user holding an unexpired verification token
+userSchema.statics.findByVerificationToken = function(token) {
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  return this.findOne({
+    emailVerificationToken: tokenHash,
+    emailVerificationExpires: { $gt: Date.now() }
+  });
+};
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
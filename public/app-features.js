@@ -476,7 +476,8 @@ async function createSavedSearch(event) {
       maxPrice: document.getElementById('searchMaxPrice').value,
       propertyType: document.getElementById('searchPropertyType').value,
       minBedrooms: document.getElementById('searchMinBeds').value
-    }
+    },
+    frequency: document.getElementById('searchFrequency').value
   };
 
   try {
@@ -532,13 +533,31 @@ function renderSavedSearches(searches) {
     return '<div class="saved-search-item">' +
       '<div>' +
       '<strong>' + s.name + '</strong>' +
-      '<p>' + province + ' - ' + propType + '</p>' +
+      '<p>' + province + ' - ' + propType + ' (' + (s.frequency || 'daily') + ' alerts)</p>' +
       '</div>' +
       '<button class="btn btn-outline btn-sm" onclick="deleteSavedSearch(\'' + s._id + '\')">Delete</button>' +
       '</div>';
   }).join('');
 }
 
+async function deleteSavedSearch(searchId) {
+  try {
+    var response = await fetch(API_BASE + '/user/saved-searches/' + searchId, {
+      method: 'DELETE',
+      headers: { 'Authorization': 'Bearer ' + authToken }
+    });
+
+    if (response.ok) {
+      showToast('Saved search deleted', 'success');
+      loadSavedSearches();
+    } else {
+      showToast('Failed to delete search', 'error');
+    }
+  } catch (err) {
+    showToast('Failed to delete search', 'error');
+  }
+}
+
 // ==========================================
 // Password Reset Functions
 // ==========================================
@@ -703,7 +722,7 @@ function displayDocument(doc) {
   var sigContainer = document.getElementById('signaturesContainer');
   if (doc.requiredSignatures && doc.requiredSignatures.length > 0) {
     sigContainer.innerHTML = doc.requiredSignatures.map(function(req) {
-      var signed = doc.signatures && doc.signatures.find(function(s) { return s.role === req.role; });
+      var signed = doc.signatures && doc.signatures.find(function(s) { return s.role === req.role && !s.invalidatedAt; });
       if (signed) {
         return '<div class="signature-item signed">' +
           '<span class="sig-role">' + req.role + '</span>' +
@@ -850,7 +869,9 @@ async function submitSignature(event) {
       loadDocuments();
     } else {
       var data = await response.json();
-      showToast(data.error || 'Failed to sign document', 'error');
+      if (!handleEmailNotVerified(data)) {
+        showToast(data.error || 'Failed to sign document', 'error');
+      }
     }
   } catch (err) {
     showToast('Failed to sign document', 'error');
@@ -941,7 +962,8 @@ async function loadNotifications() {
     });
 
     if (response.ok) {
-      notificationsData = await response.json();
+      var data = await response.json();
+      notificationsData = Array.isArray(data) ? data : (data.notifications || []);
       renderNotifications();
       updateNotificationCount();
     }
@@ -1019,6 +1041,8 @@ function getNotificationIcon(type) {
   switch(type) {
     case 'offer': return '📝';
     case 'message': return '💬';
+    case 'showing': return '📅';
+    case 'condition': return '✅';
     case 'transaction': return '🏠';
     case 'document': return '📄';
     case 'payment': return '💰';
@@ -1059,7 +1083,11 @@ function handleNotificationClick(notifId, type) {
     case 'message':
       showSection('messages');
       break;
+    case 'showing':
+      showSection('showings');
+      break;
     case 'transaction':
+    case 'condition':
       showSection('transactions');
       break;
     case 'document':
@@ -40,12 +40,59 @@ document.addEventListener('DOMContentLoaded', function() {
     // Add touch support for iOS
     addTouchSupport();
 
+    // Show result of clicking an email verification link
+    showEmailVerificationResult();
+
     console.log('App initialized successfully');
   } catch (error) {
     console.error('App initialization error:', error);
   }
 });
 
+// Handle ?emailVerified=... after following a verification link
+function showEmailVerificationResult() {
+  var status = new URLSearchParams(window.location.search).get('emailVerified');
+  if (!status) return;
+
+  if (status === 'success') {
+    showToast('Email verified! You can now make offers and sign documents.', 'success');
+    if (currentUser) {
+      currentUser.emailVerified = true;
+      localStorage.setItem('currentUser', JSON.stringify(currentUser));
+    }
+  } else {
+    showToast('This verification link is invalid or has expired.', 'error');
+  }
+
+  window.history.replaceState({}, document.title, window.location.pathname);
+}
+
+// Resend the verification email for the logged-in user
+async function resendVerificationEmail() {
+  if (!authToken) return;
+
+  try {
+    var response = await fetch(API_BASE + '/auth/resend-verification', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer ' + authToken }
+    });
+    var data = await response.json();
+    showToast(data.message || data.error, response.ok ? 'success' : 'error');
+  } catch (error) {
+    showToast('Failed to resend verification email', 'error');
+  }
+}
+
+// Offer to resend the verification email when an action is blocked on it
+function handleEmailNotVerified(data) {
+  if (!data || data.code !== 'EMAIL_NOT_VERIFIED') return false;
+
+  if (confirm(data.error + '\n\nResend the verification email now?')) {
+    resendVerificationEmail();
+  }
+  return true;
+}
+
 // Add touch event support for iOS Safari
 function addTouchSupport() {
   // Make all clickable elements respond to touch on iOS
@@ -886,9 +933,13 @@ async function login(event) {
 
       // Decode token to get user info (simple decode)
       const payload = JSON.parse(atob(authToken.split('.')[1]));
-      currentUser = { id: payload.userId, email };
+      currentUser = { id: payload.userId, email, emailVerified: !!(data.user && data.user.emailVerified) };
       localStorage.setItem('currentUser', JSON.stringify(currentUser));
 
+      if (!currentUser.emailVerified) {
+        showToast('Please verify your email to make offers, sign documents or list a property.', 'info');
+      }
+
       // Load user preferences (checklist progress and favorites)
       await loadUserPreferences();
       initChecklists();
@@ -1562,7 +1613,7 @@ async function submitOffer(event) {
       closeModal('offerModal');
       showSection('dashboard');
       loadDashboard();
-    } else {
+    } else if (!handleEmailNotVerified(data)) {
       alert(data.error || 'Failed to submit offer');
     }
   } catch (error) {
@@ -1584,6 +1635,10 @@ async function calculateTax() {
   const price = document.getElementById('calcPrice').value;
   const isFirstTimeBuyer = document.getElementById('calcFirstTime').checked;
   const isToronto = document.getElementById('calcToronto')?.checked || false;
+  const citizenship = document.getElementById('calcCitizenship')?.value || 'citizen';
+  const residency = document.getElementById('calcResidency')?.value || 'resident';
+  const isNewlyBuilt = document.getElementById('calcNewBuild')?.checked || false;
+  const gstIncluded = document.getElementById('calcGstIncluded')?.checked ?? true;
 
   if (!province || !price) {
     alert('Please select a province and enter a price');
@@ -1595,11 +1650,16 @@ async function calculateTax() {
       province,
       price,
       isFirstTimeBuyer,
-      isToronto
+      isToronto,
+      citizenship,
+      residency,
+      isNewlyBuilt,
+      gstIncluded
     });
 
     const response = await fetch(`${API_BASE}/calculate-tax?${params}`);
     const data = await response.json();
+    if (!response.ok) throw new Error(data.error);
 
     const results = document.getElementById('calcResults');
     results.innerHTML = `
@@ -1632,11 +1692,33 @@ async function calculateTax() {
           <span>-${formatCurrency(data.rebate)}</span>
         </div>
       ` : ''}
+      ${(data.lineItems || []).filter(item => item.explanation).map(item => `
+        <div class="calc-item" style="color:#dc2626;">
+          <span>${escapeHtml(item.label)}:</span>
+          <span>${formatCurrency(item.amount)}</span>
+        </div>
+      `).join('')}
       <div class="calc-item calc-total">
         <span>Total Tax/Fees:</span>
         <span>${formatCurrency(data.total)}</span>
       </div>
+      ${data.salesTax?.taxable ? `
+        <h4 style="margin-top:1rem;">GST/HST on New Construction</h4>
+        ${data.salesTax.lineItems.map(item => `
+          <div class="calc-item"${item.amount < 0 ? ' style="color:#10b981;"' : ''}>
+            <span>${escapeHtml(item.label)}:</span>
+            <span>${item.amount < 0 ? '-' : ''}${formatCurrency(Math.abs(item.amount))}</span>
+          </div>
+        `).join('')}
+        <div class="calc-item calc-total">
+          <span>${data.salesTax.gstIncluded ? 'Net Tax (included in price)' : 'Net Tax Payable'}:</span>
+          <span>${formatCurrency(data.salesTax.netTax)}</span>
+        </div>
+        ${data.salesTax.explanations.map(text => `<p style="margin-top:0.5rem;color:#666;font-size:0.875rem;">${escapeHtml(text)}</p>`).join('')}
+      ` : ''}
       ${data.note ? `<p style="margin-top:1rem;color:#666;font-size:0.875rem;">${escapeHtml(data.note)}</p>` : ''}
+      ${(data.exemptions || []).map(e => `<p style="margin-top:0.5rem;color:#666;font-size:0.875rem;">${escapeHtml(e.explanation)}</p>`).join('')}
+      ${data.federalProhibition?.applies ? `<p style="margin-top:0.5rem;color:#dc2626;font-size:0.875rem;">${escapeHtml(data.federalProhibition.explanation)}</p>` : ''}
     `;
   } catch (error) {
     alert('Calculation failed: ' + error.message);
@@ -1945,7 +2027,7 @@ async function activateListing(propertyId) {
     if (response.ok) {
       alert('Listing activated!');
       loadDashboard();
-    } else {
+    } else if (!handleEmailNotVerified(data)) {
       alert(data.error || 'Failed to activate listing');
     }
   } catch (error) {
@@ -1,9 +1,31 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Transaction = require('../models/transaction.model');
 const User = require('../models/user.model');
 const Property = require('../models/property.model');
+const Listing = require('../models/listing.model');
+const Job = require('../models/job.model');
 const authMiddleware = require('../auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const {
+  AuditLog,
+  logAudit,
+  queryAuditLogs,
+  getUserAuditLogs,
+  getResourceAuditLogs,
+  getSecurityEvents,
+  auditLogsToCsv
+} = require('../services/audit.service');
+const { revertTransition } = require('../services/transaction-workflow.service');
+const {
+  recordInterest,
+  releaseDeposit,
+  reconciliationReport
+} = require('../services/trust-ledger.service');
+const { notifyMany } = require('../services/notification.service');
+const { scheduler } = require('../services/scheduler.service');
+const { HttpError } = require('../services/errors');
 
 // Platform configuration
 const PLATFORM_CONFIG = {
@@ -12,19 +34,6 @@ const PLATFORM_CONFIG = {
   currency: 'CAD'
 };
 
-// Admin middleware - checks if user is admin
-const adminMiddleware = async (req, res, next) => {
-  try {
-    const user = await User.findById(req.user.userId);
-    if (!user || !user.isAdmin) {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
-  } catch (err) {
-    res.status(500).json({ error: 'Authorization check failed' });
-  }
-};
-
 // Get platform earnings dashboard
 router.get('/earnings', authMiddleware, adminMiddleware, async (req, res) => {
   try {
@@ -203,6 +212,8 @@ router.patch('/transactions/:id/commission', authMiddleware, adminMiddleware, as
       return res.status(404).json({ error: 'Transaction not found' });
     }
 
+    const previousStatus = transaction.platformFee.status;
+
     // Update platform fee status
     if (status) {
       transaction.platformFee.status = status;
@@ -219,6 +230,16 @@ router.patch('/transactions/:id/commission', authMiddleware, adminMiddleware, as
 
     await transaction.save();
 
+    await logAudit({
+      action: status === 'paid' ? 'ADMIN_COMMISSION_MARK_PAID' : 'ADMIN_COMMISSION_UPDATE',
+      userId: req.user.userId,
+      userEmail: req.adminUser?.email,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: { status, previousStatus, paymentMethod, paymentReference }
+    });
+
     res.json({
       message: 'Commission status updated',
       platformFee: transaction.platformFee
@@ -229,6 +250,269 @@ router.patch('/transactions/:id/commission', authMiddleware, adminMiddleware, as
   }
 });
 
+// Revert a transaction to its previous workflow step
+router.post('/transactions/:id/revert-step', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required to revert a step' });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const wasCompleted = transaction.status === 'completed';
+    const reverted = revertTransition(transaction, { userId: req.user.userId, reason });
+    if (!reverted) {
+      return res.status(400).json({ error: 'There is no step to revert' });
+    }
+
+    await transaction.save();
+
+    // A reverted closing puts the listing back under contract
+    if (wasCompleted) {
+      await Listing.findByIdAndUpdate(transaction.listing, { status: 'pending', $unset: { soldInfo: 1 } });
+      await Property.findByIdAndUpdate(transaction.property, { status: 'pending' });
+    }
+
+    await logAudit({
+      action: 'ADMIN_TRANSACTION_REVERT',
+      userId: req.user.userId,
+      userEmail: req.adminUser?.email,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: { from: reverted.from, to: reverted.to, status: transaction.status, reason }
+    });
+
+    await notifyMany([transaction.buyer, transaction.seller], {
+      type: 'transaction',
+      title: 'Transaction Step Reverted',
+      message: `An administrator moved the transaction back to: ${reverted.to.replace(/_/g, ' ')}. Reason: ${reason}`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { transactionId: transaction._id, propertyId: transaction.property }
+    });
+
+    res.json({
+      message: 'Transaction step reverted',
+      from: reverted.from,
+      to: reverted.to,
+      transaction
+    });
+  } catch (err) {
+    console.error('Error reverting transaction step:', err);
+    res.status(500).json({ error: 'Failed to revert transaction step' });
+  }
+});
+
+// Record interest earned on a deposit held in trust
+router.post('/transactions/:id/trust-ledger/interest', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid transaction ID' });
+    }
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'Interest must be a positive amount' });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const entry = await recordInterest(transaction, { amount, memo: req.body.memo }, { postedBy: req.user.userId });
+
+    await logAudit({
+      action: 'TRUST_INTEREST_RECORD',
+      userId: req.user.userId,
+      userEmail: req.adminUser?.email,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: { ledgerEntry: entry.entryNumber, amount: entry.lines[0].debit }
+    });
+
+    res.status(201).json({ entry });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error recording trust interest:', err);
+    res.status(500).json({ error: 'Failed to record interest' });
+  }
+});
+
+// Release the funds held in trust to the seller, the buyer or both. Needs a
+// completed transaction, a signed mutual release or a statutory rescission.
+router.post('/transactions/:id/trust-ledger/release', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid transaction ID' });
+    }
+    const toBuyer = Number(req.body.toBuyer || 0);
+    const toSeller = Number(req.body.toSeller || 0);
+    if (!Number.isFinite(toBuyer) || !Number.isFinite(toSeller)) {
+      return res.status(400).json({ error: 'Release amounts must be numbers' });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const { entry, balances } = await releaseDeposit(
+      transaction,
+      { toBuyer, toSeller, memo: req.body.memo },
+      { postedBy: req.user.userId }
+    );
+
+    await logAudit({
+      action: 'TRUST_DEPOSIT_RELEASE',
+      userId: req.user.userId,
+      userEmail: req.adminUser?.email,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: {
+        ledgerEntry: entry.entryNumber,
+        type: entry.type,
+        authority: entry.authority.type,
+        toBuyer: balances.paidToBuyer,
+        toSeller: balances.paidToSeller
+      }
+    });
+
+    const paid = [
+      balances.paidToBuyer > 0 && `$${balances.paidToBuyer.toLocaleString()} to the buyer`,
+      balances.paidToSeller > 0 && `$${balances.paidToSeller.toLocaleString()} to the seller`
+    ].filter(Boolean).join(' and ');
+    await notifyMany([transaction.buyer, transaction.seller], {
+      type: 'payment',
+      title: 'Deposit Released',
+      message: `The deposit held in trust was paid out: ${paid}.`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { transactionId: transaction._id, propertyId: transaction.property }
+    });
+
+    res.json({ entry, balances, transaction });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Error releasing trust funds:', err);
+    res.status(500).json({ error: 'Failed to release trust funds' });
+  }
+});
+
+// Reconcile the trust ledgers against receipts of funds, deposit statuses
+// and, when given, the trust account's bank balance
+router.get('/trust-ledger/reconciliation', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { heldBy } = req.query;
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json({ error: 'Invalid asOf date' });
+    }
+    const heldByValues = Transaction.schema.path('depositHeldBy').enumValues;
+    if (heldBy && !heldByValues.includes(heldBy)) {
+      return res.status(400).json({ error: `heldBy must be one of: ${heldByValues.join(', ')}` });
+    }
+    let bankBalance;
+    if (req.query.bankBalance !== undefined) {
+      bankBalance = Number(req.query.bankBalance);
+      if (!Number.isFinite(bankBalance)) {
+        return res.status(400).json({ error: 'Invalid bank balance' });
+      }
+    }
+
+    const report = await reconciliationReport({ asOf, heldBy, bankBalance });
+    if (req.query.exceptionsOnly === 'true') {
+      report.transactions = report.transactions.filter(t => t.exceptions.length > 0);
+    }
+
+    res.json(report);
+  } catch (err) {
+    console.error('Error reconciling trust ledgers:', err);
+    res.status(500).json({ error: 'Failed to reconcile trust ledgers' });
+  }
+});
+
+// List background jobs and their last run
+router.get('/jobs', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const jobs = await Job.find().sort('name');
+    res.json({ jobs });
+  } catch (err) {
+    console.error('Error fetching jobs:', err);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Run a background job immediately
+router.post('/jobs/:name/run', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    if (!scheduler.jobs.has(req.params.name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const outcome = await scheduler.runJob(req.params.name, { force: true });
+    if (!outcome) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+
+    await logAudit({
+      action: 'ADMIN_JOB_RUN',
+      userId: req.user.userId,
+      userEmail: req.adminUser?.email,
+      req,
+      resourceType: 'system',
+      details: { job: req.params.name, status: outcome.status },
+      success: outcome.status === 'success',
+      errorMessage: outcome.error
+    });
+
+    res.json({ job: req.params.name, ...outcome });
+  } catch (err) {
+    console.error('Error running job:', err);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
+// Enable or disable a background job
+router.patch('/jobs/:name', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const job = await Job.findOneAndUpdate(
+      { name: req.params.name },
+      { enabled: req.body.enabled },
+      { new: true }
+    );
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    await logAudit({
+      action: 'ADMIN_JOB_UPDATE',
+      userId: req.user.userId,
+      userEmail: req.adminUser?.email,
+      req,
+      resourceType: 'system',
+      details: { job: job.name, enabled: job.enabled }
+    });
+
+    res.json({ job });
+  } catch (err) {
+    console.error('Error updating job:', err);
+    res.status(500).json({ error: 'Failed to update job' });
+  }
+});
+
 // Get platform statistics
 router.get('/stats', authMiddleware, adminMiddleware, async (req, res) => {
   try {
@@ -277,4 +561,180 @@ router.get('/config', authMiddleware, adminMiddleware, (req, res) => {
   res.json(PLATFORM_CONFIG);
 });
 
+// ==========================================
+// Audit Logs
+// ==========================================
+
+const MAX_AUDIT_PAGE_SIZE = 500;
+const MAX_AUDIT_EXPORT_ROWS = 10000;
+
+// Parse paging and date filters shared by the audit endpoints
+const parseAuditQuery = (query) => {
+  const isExport = query.format === 'csv';
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = isExport
+    ? MAX_AUDIT_EXPORT_ROWS
+    : Math.min(MAX_AUDIT_PAGE_SIZE, Math.max(1, parseInt(query.limit) || 50));
+
+  const startDate = query.startDate ? new Date(query.startDate) : null;
+  const endDate = query.endDate ? new Date(query.endDate) : null;
+  const invalidDate = [startDate, endDate].some(d => d && isNaN(d.getTime()));
+
+  return {
+    isExport,
+    page,
+    limit,
+    skip: isExport ? 0 : (page - 1) * limit,
+    startDate,
+    endDate,
+    action: query.action || null,
+    invalidDate
+  };
+};
+
+// Respond with JSON, or a CSV download when ?format=csv
+const sendAuditLogs = async (req, res, { logs, total, page, limit, isExport, filename, filters }) => {
+  if (isExport) {
+    await logAudit({
+      action: 'ADMIN_AUDIT_EXPORT',
+      userId: req.user.userId,
+      userEmail: req.adminUser?.email,
+      req,
+      resourceType: 'system',
+      details: { endpoint: req.path, filters, rows: logs.length }
+    });
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}-${new Date().toISOString().slice(0, 10)}.csv"`);
+    return res.send(auditLogsToCsv(logs));
+  }
+
+  const pagination = { page, limit };
+  if (total !== undefined) {
+    pagination.total = total;
+    pagination.pages = Math.ceil(total / limit);
+  }
+  res.json({ logs, pagination });
+};
+
+// List available audit actions (for filter dropdowns)
+router.get('/audit-logs/actions', authMiddleware, adminMiddleware, (req, res) => {
+  res.json({
+    actions: AuditLog.schema.path('action').enumValues,
+    resourceTypes: AuditLog.schema.path('resourceType').enumValues
+  });
+});
+
+// Search all audit logs
+router.get('/audit-logs', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const options = parseAuditQuery(req.query);
+    if (options.invalidDate) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+
+    const { userId, resourceType, resourceId, success } = req.query;
+    if ((userId && !mongoose.isValidObjectId(userId)) ||
+        (resourceId && !mongoose.isValidObjectId(resourceId))) {
+      return res.status(400).json({ error: 'Invalid ID filter' });
+    }
+
+    const filters = {
+      userId,
+      action: options.action,
+      resourceType,
+      resourceId,
+      success: success === undefined ? undefined : success === 'true',
+      startDate: options.startDate,
+      endDate: options.endDate
+    };
+
+    const { logs, total } = await queryAuditLogs(filters, options);
+
+    await sendAuditLogs(req, res, { ...options, logs, total, filename: 'audit-logs', filters });
+  } catch (err) {
+    console.error('Error fetching audit logs:', err);
+    res.status(500).json({ error: 'Failed to fetch audit logs' });
+  }
+});
+
+// Get security events (failed logins, access denied, rate limits)
+router.get('/audit-logs/security', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const options = parseAuditQuery(req.query);
+    if (options.invalidDate) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+
+    const logs = await getSecurityEvents(options);
+
+    await sendAuditLogs(req, res, {
+      ...options,
+      logs,
+      filename: 'security-events',
+      filters: { action: options.action, startDate: options.startDate, endDate: options.endDate }
+    });
+  } catch (err) {
+    console.error('Error fetching security events:', err);
+    res.status(500).json({ error: 'Failed to fetch security events' });
+  }
+});
+
+// Get audit trail for a user
+router.get('/audit-logs/users/:userId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const options = parseAuditQuery(req.query);
+    if (options.invalidDate) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+
+    const logs = await getUserAuditLogs(userId, options);
+
+    await sendAuditLogs(req, res, {
+      ...options,
+      logs,
+      filename: `audit-user-${userId}`,
+      filters: { userId, action: options.action, startDate: options.startDate, endDate: options.endDate }
+    });
+  } catch (err) {
+    console.error('Error fetching user audit logs:', err);
+    res.status(500).json({ error: 'Failed to fetch user audit logs' });
+  }
+});
+
+// Get audit trail for a resource (offer, transaction, document, ...)
+router.get('/audit-logs/resources/:resourceType/:resourceId', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { resourceType, resourceId } = req.params;
+    if (!AuditLog.schema.path('resourceType').enumValues.includes(resourceType)) {
+      return res.status(400).json({ error: 'Invalid resource type' });
+    }
+    if (!mongoose.isValidObjectId(resourceId)) {
+      return res.status(400).json({ error: 'Invalid resource ID' });
+    }
+
+    const options = parseAuditQuery(req.query);
+    if (options.invalidDate) {
+      return res.status(400).json({ error: 'Invalid date filter' });
+    }
+
+    const logs = await getResourceAuditLogs(resourceType, resourceId, options);
+
+    await sendAuditLogs(req, res, {
+      ...options,
+      logs,
+      filename: `audit-${resourceType}-${resourceId}`,
+      filters: { resourceType, resourceId, action: options.action, startDate: options.startDate, endDate: options.endDate }
+    });
+  } catch (err) {
+    console.error('Error fetching resource audit logs:', err);
+    res.status(500).json({ error: 'Failed to fetch resource audit logs' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,460 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const fs = require('fs');
+const User = require('../models/user.model');
+const FundsReceipt = require('../models/funds-receipt.model');
+const authMiddleware = require('../auth.middleware');
+const complianceMiddleware = require('../middleware/compliance.middleware');
+const {
+  uploadAttachment,
+  verifyAttachmentSignature,
+  handleUploadError
+} = require('../middleware/upload');
+const { logAudit } = require('../services/audit.service');
+const { notify } = require('../services/notification.service');
+const {
+  VERIFICATION_METHODS,
+  submitIdentification,
+  addIdDocument,
+  reviewIdentification,
+  complianceView
+} = require('../services/fintrac.service');
+const {
+  reviewFundsReceipt,
+  receiptView
+} = require('../services/funds-receipt.service');
+const { HttpError } = require('../services/errors');
+
+const ID_TYPES = ['drivers_license', 'passport', 'provincial_id', 'permanent_resident_card'];
+const ID_DOCUMENT_LABELS = ['government_id_front', 'government_id_back', 'passport', 'proof_of_address', 'other'];
+const DUAL_PROCESS_CATEGORIES = ['name_address', 'name_dob', 'name_financial_account'];
+
+const userIdValidation = [
+  param('userId').isMongoId().withMessage('Invalid user ID')
+];
+
+/**
+ * @route GET /compliance/me
+ * @desc Current user's identification status and submitted details
+ * @access Private
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(complianceView(user));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /compliance/me/documents
+ * @desc Upload an ID document (PDF or image) for identification
+ * @access Private
+ */
+router.post('/me/documents', authMiddleware, uploadAttachment.single('file'), handleUploadError, verifyAttachmentSignature, [
+  body('label').isIn(ID_DOCUMENT_LABELS).withMessage('Valid document label is required')
+], async (req, res) => {
+  // Remove the stored file when the upload is rejected
+  let saved = false;
+  const discard = () => !saved && req.file && fs.existsSync(req.file.path) && fs.unlinkSync(req.file.path);
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discard();
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      discard();
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const document = addIdDocument(user, req.file, req.body.label);
+    await user.save();
+    saved = true;
+
+    res.status(201).json({
+      _id: document._id,
+      label: document.label,
+      fileName: document.fileName,
+      mimeType: document.mimeType,
+      hash: document.hash,
+      uploadedAt: document.uploadedAt
+    });
+  } catch (err) {
+    discard();
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /compliance/me/submit
+ * @desc Submit identity details for FINTRAC verification
+ * @access Private
+ */
+router.post('/me/submit', authMiddleware, [
+  body('legalFirstName').trim().notEmpty().withMessage('Legal first name is required'),
+  body('legalLastName').trim().notEmpty().withMessage('Legal last name is required'),
+  body('dateOfBirth').isISO8601().withMessage('Valid date of birth is required'),
+  body('occupation').trim().notEmpty().withMessage('Occupation is required'),
+  body('address.street').trim().notEmpty().withMessage('Street address is required'),
+  body('address.city').trim().notEmpty().withMessage('City is required'),
+  body('address.province').trim().notEmpty().withMessage('Province is required'),
+  body('address.postalCode').trim().notEmpty().withMessage('Postal code is required'),
+  body('address.country').optional().trim().notEmpty(),
+  body('idType').optional().isIn(ID_TYPES).withMessage('Invalid ID type'),
+  body('idNumber').optional().trim().isLength({ min: 4, max: 50 }),
+  body('idExpiry').optional().isISO8601(),
+  body('idIssuingProvince').optional().trim(),
+  body('isPEP').isBoolean().withMessage('Please declare whether you are a politically exposed person'),
+  body('pepDetails').if(body('isPEP').equals('true')).trim().notEmpty()
+    .withMessage('Describe the position held'),
+  body('isBusinessClient').optional().isBoolean(),
+  body('businessName').if(body('isBusinessClient').equals('true')).trim().notEmpty()
+    .withMessage('Business name is required'),
+  body('businessNumber').optional().trim(),
+  body('beneficialOwners').optional().isArray(),
+  body('beneficialOwners.*.name').trim().notEmpty(),
+  body('beneficialOwners.*.ownershipPercent').isFloat({ min: 0, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    submitIdentification(user, req.body);
+    await user.save();
+
+    await logAudit({
+      action: 'FINTRAC_SUBMIT',
+      userId: user._id,
+      userEmail: user.email,
+      req,
+      resourceType: 'user',
+      resourceId: user._id,
+      details: { idType: req.body.idType, documents: user.fintracCompliance.idDocuments.length }
+    });
+
+    res.json(complianceView(user));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /compliance/reviews
+ * @desc Identifications by status, oldest submission first
+ * @access Private (compliance officers and admins)
+ */
+router.get('/reviews', authMiddleware, complianceMiddleware, [
+  query('status').optional().isIn(['submitted', 'verified', 'rejected'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const users = await User.find({ 'fintracCompliance.status': req.query.status || 'submitted' })
+      .select('name email fintracCompliance.status fintracCompliance.submittedAt fintracCompliance.reviewedAt fintracCompliance.riskLevel fintracCompliance.legalFirstName fintracCompliance.legalLastName')
+      .sort({ 'fintracCompliance.submittedAt': 1 })
+      .limit(200);
+
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /compliance/users/:userId
+ * @desc Full identification details for review
+ * @access Private (compliance officers and admins)
+ */
+router.get('/users/:userId', authMiddleware, complianceMiddleware, userIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      ...complianceView(user, { reviewer: true })
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /compliance/users/:userId/documents/:documentId
+ * @desc Download an uploaded ID document
+ * @access Private (compliance officers and admins)
+ */
+router.get('/users/:userId/documents/:documentId', authMiddleware, complianceMiddleware, [
+  ...userIdValidation,
+  param('documentId').isMongoId().withMessage('Invalid document ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.userId);
+    const document = user?.fintracCompliance.idDocuments.id(req.params.documentId);
+    if (!document || !fs.existsSync(document.filePath)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await logAudit({
+      action: 'FINTRAC_RECORD_ACCESS',
+      userId: req.complianceUser._id,
+      userEmail: req.complianceUser.email,
+      req,
+      resourceType: 'user',
+      resourceId: user._id,
+      details: { documentId: document._id, label: document.label }
+    });
+
+    res.download(document.filePath, document.fileName);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /compliance/users/:userId/review
+ * @desc Verify or reject a submitted identification, recording the method,
+ *       PEP determination and risk assessment
+ * @access Private (compliance officers and admins)
+ */
+router.post('/users/:userId/review', authMiddleware, complianceMiddleware, userIdValidation, [
+  body('decision').isIn(['approve', 'reject']).withMessage('Decision must be approve or reject'),
+  body('notes').if(body('decision').equals('reject')).trim().notEmpty()
+    .withMessage('A reason is required to reject'),
+  body('method').if(body('decision').equals('approve')).isIn(VERIFICATION_METHODS)
+    .withMessage(`Method must be one of: ${VERIFICATION_METHODS.join(', ')}`),
+  body('isPEP').if(body('decision').equals('approve')).isBoolean()
+    .withMessage('PEP determination is required'),
+  body('pepDetails').if(body('isPEP').equals('true')).trim().notEmpty()
+    .withMessage('PEP details are required'),
+  body('beneficialOwnerConfirmed').optional().isBoolean(),
+  body('riskLevel').optional().isIn(['low', 'medium', 'high']),
+  body('riskFactors').optional().isArray(),
+  body('dualProcessSources').if(body('method').equals('dual_process')).isArray({ min: 2 })
+    .withMessage('Two dual-process sources are required'),
+  body('dualProcessSources.*.category').isIn(DUAL_PROCESS_CATEGORIES),
+  body('dualProcessSources.*.sourceName').trim().notEmpty(),
+  body('dualProcessSources.*.reference').trim().notEmpty(),
+  body('creditFile').if(body('method').equals('credit_file')).isObject()
+    .withMessage('Credit file details are required'),
+  body('creditFile.establishedAt').if(body('method').equals('credit_file')).isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const review = {
+      ...req.body,
+      isPEP: req.body.isPEP === true || req.body.isPEP === 'true'
+    };
+    await reviewIdentification(user, review, req.complianceUser);
+    await user.save();
+
+    const compliance = user.fintracCompliance;
+    await logAudit({
+      action: 'FINTRAC_VERIFICATION',
+      userId: req.complianceUser._id,
+      userEmail: req.complianceUser.email,
+      req,
+      resourceType: 'user',
+      resourceId: user._id,
+      details: {
+        decision: req.body.decision,
+        method: compliance.verificationMethod,
+        isPEP: compliance.isPEP,
+        riskLevel: compliance.riskLevel,
+        recordHash: compliance.recordHash
+      }
+    });
+
+    const approved = compliance.status === 'verified';
+    await notify({
+      userId: user._id,
+      type: 'system',
+      title: approved ? 'Identity verified' : 'Identity verification unsuccessful',
+      message: approved
+        ? 'Your identity has been verified. You can now complete offers and transactions.'
+        : `We could not verify your identity: ${compliance.rejectionReason}. Please update your details and resubmit.`,
+      link: '/dashboard'
+    });
+
+    res.json({
+      userId: user._id,
+      ...complianceView(user, { reviewer: true })
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /compliance/users/:userId/record
+ * @desc Download the FINTRAC client identification record PDF
+ * @access Private (compliance officers and admins)
+ */
+router.get('/users/:userId/record', authMiddleware, complianceMiddleware, userIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.userId);
+    const recordPath = user?.fintracCompliance.recordPath;
+    if (!recordPath || !fs.existsSync(recordPath)) {
+      return res.status(404).json({ error: 'No identification record for this user' });
+    }
+
+    await logAudit({
+      action: 'FINTRAC_RECORD_ACCESS',
+      userId: req.complianceUser._id,
+      userEmail: req.complianceUser.email,
+      req,
+      resourceType: 'user',
+      resourceId: user._id,
+      details: { recordHash: user.fintracCompliance.recordHash }
+    });
+
+    res.download(recordPath, `fintrac-record-${user._id}.pdf`);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /compliance/funds-receipts
+ * @desc Funds receipts by review status, oldest first; ?largeCash=true lists
+ *       large cash receipts still awaiting their report
+ * @access Private (compliance officers and admins)
+ */
+router.get('/funds-receipts', authMiddleware, complianceMiddleware, [
+  query('status').optional().isIn(FundsReceipt.schema.path('review.status').enumValues),
+  query('largeCash').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = req.query.largeCash === 'true'
+      ? { 'largeCash.flagged': true, 'largeCash.reportReference': { $exists: false } }
+      : { 'review.status': req.query.status || 'pending' };
+
+    const receipts = await FundsReceipt.find(filter)
+      .populate('transaction', 'property buyer seller purchasePrice status')
+      .sort({ createdAt: 1 })
+      .limit(200);
+
+    res.json(receipts.map(r => receiptView(r, { reviewer: true })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /compliance/funds-receipts/:receiptId/review
+ * @desc Clear, escalate or report a flagged receipt, recording the large cash
+ *       and suspicious transaction report references
+ * @access Private (compliance officers and admins)
+ */
+router.post('/funds-receipts/:receiptId/review', authMiddleware, complianceMiddleware, [
+  param('receiptId').isMongoId().withMessage('Invalid receipt ID'),
+  body('decision').isIn(['cleared', 'escalated', 'reported']).withMessage('Decision must be cleared, escalated or reported'),
+  body('notes').trim().notEmpty().withMessage('Review notes are required'),
+  body('reportReference').optional().trim().notEmpty(),
+  body('lctrReference').optional().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const receipt = await FundsReceipt.findById(req.params.receiptId);
+    if (!receipt) {
+      return res.status(404).json({ error: 'Funds receipt not found' });
+    }
+
+    reviewFundsReceipt(receipt, req.body, req.complianceUser);
+    await receipt.save();
+
+    await logAudit({
+      action: 'FUNDS_RECEIPT_REVIEW',
+      userId: req.complianceUser._id,
+      userEmail: req.complianceUser.email,
+      req,
+      resourceType: 'transaction',
+      resourceId: receipt.transaction,
+      details: {
+        fundsReceiptId: receipt._id,
+        decision: receipt.review.status,
+        reportReference: receipt.review.reportReference,
+        lctrReference: receipt.largeCash.reportReference
+      }
+    });
+
+    res.json(receiptView(receipt, { reviewer: true }));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,85 @@
 const express = require('express');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Document = require('../models/document.model');
 const Transaction = require('../models/transaction.model');
 const Property = require('../models/property.model');
+const User = require('../models/user.model');
+const Condition = require('../models/condition.model');
+const DocumentVersion = require('../models/document-version.model');
 const authMiddleware = require('../auth.middleware');
-const { getProvince } = require('../config/provinces');
+const requireVerifiedEmail = require('../middleware/verified-email.middleware');
+const {
+  uploadAttachment,
+  verifyAttachmentSignature,
+  sanitizeFilename,
+  handleUploadError
+} = require('../middleware/upload');
+const { logAudit } = require('../services/audit.service');
+const { notify, formatAddress } = require('../services/notification.service');
+const {
+  recordPdfVersion,
+  checkCurrentPdf,
+  completeSignedDocument,
+  verifyDocumentIntegrity
+} = require('../services/document-integrity.service');
+const {
+  renderDocumentPdf,
+  snapshotVersion,
+  editDocument,
+  amendDocument,
+  getVersionDiff
+} = require('../services/document-versioning.service');
+const emailService = require('../services/email.service');
+const { esignatureService } = require('../services/esignature.service');
+const {
+  resolveSigners,
+  getSigningSession,
+  getSigningPdf,
+  signEnvelope
+} = require('../services/local-signing.service');
+const { completeMutualRelease } = require('../services/mutual-release.service');
+const { completeConditionNotice, completeExtension } = require('../services/condition.service');
+const { getPartyRole } = require('../services/transaction-workflow.service');
+const SigningEnvelope = require('../models/signing-envelope.model');
+const { getProvince, getAllProvinceCodes } = require('../config/provinces');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('../services/errors');
+
+const documentTypes = Document.schema.path('documentType').enumValues;
+
+// Another request extended the document's signature/audit chain first
+// (see Document.isSaveConflict)
+const CHAIN_CONFLICT = 'Document was changed by another request; try again';
+
+// Documents produced by third parties (lenders, inspectors, condo
+// corporations, surveyors) that parties upload rather than generate
+const UPLOADABLE_TYPES = [
+  'pre_approval_letter',
+  'mortgage_commitment',
+  'home_inspection_report',
+  'status_certificate',
+  'survey_certificate',
+  'real_property_report',
+  'title_insurance',
+  'mortgage_documents',
+  'power_of_attorney',
+  'corporate_authorization',
+  'identification',
+  'other'
+];
 
 const idValidation = [
   param('id').isMongoId().withMessage('Invalid document ID')
 ];
 
+// Signing links carry the signer index and token instead of a login
+const signingLinkValidation = [
+  query('signer').isInt({ min: 0 }).withMessage('Signer is required'),
+  query('token').isHexadecimal().withMessage('Signing token is required')
+];
+
 /**
  * @route GET /documents/my-documents
  * @desc Get current user's documents
@@ -33,6 +102,108 @@ router.get('/my-documents', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /documents/sign/:envelopeId
+ * @desc Signing page for a local e-signature envelope
+ * @access Public (signing token)
+ */
+router.get('/sign/:envelopeId', signingLinkValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).send(renderSigningError('This signing link is not valid'));
+    }
+
+    const session = await getSigningSession(req.params.envelopeId, req.query.signer, req.query.token);
+
+    res.send(renderSigningPage(session, req.query.token));
+  } catch (err) {
+    res.status(err instanceof HttpError ? err.status : 500).send(renderSigningError(err.message));
+  }
+});
+
+/**
+ * @route GET /documents/sign/:envelopeId/pdf
+ * @desc View the PDF being signed (the stamped copy once complete)
+ * @access Public (signing token)
+ */
+router.get('/sign/:envelopeId/pdf', signingLinkValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { pdfPath, fileName } = await getSigningPdf(req.params.envelopeId, req.query.signer, req.query.token);
+
+    res.type('application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    res.sendFile(path.resolve(pdfPath));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /documents/sign/:envelopeId
+ * @desc Submit a signature for a local e-signature envelope
+ * @access Public (signing token)
+ */
+router.post('/sign/:envelopeId', [
+  body('signer').isInt({ min: 0 }).withMessage('Signer is required'),
+  body('token').isHexadecimal().withMessage('Signing token is required'),
+  body('signatureImage').notEmpty().withMessage('Signature is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await signEnvelope(req.params.envelopeId, req.body.signer, req.body.token, {
+      signatureImage: req.body.signatureImage,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    if (result.document) {
+      await logAudit({
+        action: 'DOCUMENT_SIGN',
+        userId: result.signer.userId,
+        userEmail: result.signer.email,
+        req,
+        resourceType: 'document',
+        resourceId: result.document._id,
+        details: {
+          envelopeId: req.params.envelopeId,
+          role: result.signer.role,
+          status: result.document.status
+        }
+      });
+
+      await applyMutualRelease(result.document, req, result.signer.userId);
+      await applyConditionDocument(result.document, req, result.signer.userId);
+    }
+
+    res.json({
+      message: result.completed ? 'All parties have signed' : 'Signature recorded',
+      completed: result.completed,
+      pendingSigners: result.pendingSigners
+    });
+  } catch (err) {
+    if (Document.isSaveConflict(err)) {
+      return res.status(409).json({ error: CHAIN_CONFLICT });
+    }
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @route GET /documents/:id
  * @desc Get single document
@@ -65,8 +236,7 @@ router.get('/:id', authMiddleware, idValidation, async (req, res) => {
     }
 
     // Log view action
-    document.logAction('viewed', userId, 'Document viewed', req.ip);
-    await document.save();
+    await document.recordAction('viewed', userId, 'Document viewed', req.ip);
 
     res.json(document);
   } catch (err) {
@@ -74,14 +244,363 @@ router.get('/:id', authMiddleware, idValidation, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /documents/:id/download
+ * @desc Download the rendered PDF
+ * @access Private (creator and accessibleBy users)
+ */
+router.get('/:id/download', authMiddleware, idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const userId = req.user.userId;
+    const hasAccess = document.createdBy.toString() === userId ||
+                      document.accessibleBy.includes(userId) ||
+                      document.isPublic;
+
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Not authorized to download this document' });
+    }
+
+    const pdfPath = document.generatedPdfPath || document.filePath;
+    if (!pdfPath || !fs.existsSync(pdfPath)) {
+      return res.status(404).json({ error: 'No file has been generated for this document' });
+    }
+
+    await document.recordAction('downloaded', userId, 'Document downloaded', req.ip);
+
+    await logAudit({
+      action: 'DOCUMENT_DOWNLOAD',
+      userId,
+      req,
+      resourceType: 'document',
+      resourceId: document._id,
+      details: { documentType: document.documentType }
+    });
+
+    res.download(pdfPath, document.fileName || `${document.documentType}.pdf`);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /documents/:id/verify
+ * @desc Check the PDF versions against their SHA-256 hashes and recompute
+ *       the signature/audit hash chain
+ * @access Private (creator and accessibleBy users)
+ */
+router.get('/:id/verify', authMiddleware, idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const userId = req.user.userId;
+    const hasAccess = document.createdBy.toString() === userId ||
+                      document.accessibleBy.includes(userId) ||
+                      document.isPublic;
+
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Not authorized to verify this document' });
+    }
+
+    const result = verifyDocumentIntegrity(document);
+
+    res.json({
+      documentId: document._id,
+      status: document.status,
+      ...result,
+      // Stored paths stay on the server
+      currentFile: { ...result.currentFile, filePath: undefined }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route PUT /documents/:id
+ * @desc Edit an unsigned document's content as a new version
+ * @access Private (creator only)
+ */
+router.put('/:id', authMiddleware, idValidation, [
+  body('content').isObject().withMessage('Content changes are required'),
+  body('title').optional().trim().notEmpty(),
+  body('reason').trim().notEmpty().withMessage('A reason for the change is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    if (document.createdBy.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the creator can edit this document' });
+    }
+
+    const { version, changes, invalidatedSignatures } = await editDocument(document, {
+      content: req.body.content,
+      title: req.body.title,
+      reason: req.body.reason,
+      userId: req.user.userId,
+      ipAddress: req.ip
+    });
+
+    await logAudit({
+      action: 'DOCUMENT_EDIT',
+      userId: req.user.userId,
+      req,
+      resourceType: 'document',
+      resourceId: document._id,
+      details: { version: version.version, fields: changes.map(c => c.path), invalidatedSignatures }
+    });
+
+    res.json({ document, version, changes, invalidatedSignatures });
+  } catch (err) {
+    if (Document.isSaveConflict(err)) {
+      return res.status(409).json({ error: CHAIN_CONFLICT });
+    }
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /documents/:id/amend
+ * @desc Amend a signed document: creates an amendment document listing the
+ *       changes and invalidates the existing signatures for re-signing
+ * @access Private (creator and accessibleBy users)
+ */
+router.post('/:id/amend', authMiddleware, requireVerifiedEmail, idValidation, [
+  body('content').isObject().withMessage('Content changes are required'),
+  body('reason').trim().notEmpty().withMessage('A reason for the amendment is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const userId = req.user.userId;
+    const hasAccess = document.createdBy.toString() === userId ||
+                      document.accessibleBy.includes(userId);
+
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Not authorized to amend this document' });
+    }
+
+    const { amendment, version, changes, invalidatedSignatures } = await amendDocument(document, {
+      content: req.body.content,
+      reason: req.body.reason,
+      userId,
+      ipAddress: req.ip
+    });
+
+    await logAudit({
+      action: 'DOCUMENT_EDIT',
+      userId,
+      req,
+      resourceType: 'document',
+      resourceId: document._id,
+      details: {
+        amendmentId: amendment._id,
+        version: version.version,
+        fields: changes.map(c => c.path),
+        invalidatedSignatures
+      }
+    });
+
+    // Everyone who signed has to sign the amendment and the revised document
+    const recipients = document.accessibleBy.filter(id => id.toString() !== userId);
+    for (const recipient of recipients) {
+      await notify({
+        userId: recipient,
+        type: 'document',
+        title: 'Document amended',
+        message: `${document.title} was amended (${req.body.reason}). Please review and sign the amendment.`,
+        link: `/documents/${amendment._id}`,
+        metadata: { documentId: document._id, amendmentId: amendment._id, transactionId: document.transaction }
+      });
+    }
+
+    res.status(201).json({ amendment, document, version, changes, invalidatedSignatures });
+  } catch (err) {
+    if (Document.isSaveConflict(err)) {
+      return res.status(409).json({ error: CHAIN_CONFLICT });
+    }
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /documents/:id/versions
+ * @desc List a document's recorded versions, newest first
+ * @access Private (creator and accessibleBy users)
+ */
+router.get('/:id/versions', authMiddleware, idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const userId = req.user.userId;
+    const hasAccess = document.createdBy.toString() === userId ||
+                      document.accessibleBy.includes(userId) ||
+                      document.isPublic;
+
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Not authorized to view this document' });
+    }
+
+    const versions = await DocumentVersion.find({ document: document._id })
+      .select('-content -filePath')
+      .populate('createdBy', 'name')
+      .sort({ version: -1 });
+
+    res.json({ currentVersion: document.version, versions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /documents/:id/versions/:version
+ * @desc Get one recorded version with its content snapshot
+ * @access Private (creator and accessibleBy users)
+ */
+router.get('/:id/versions/:version', authMiddleware, idValidation, [
+  param('version').isInt({ min: 1 }).withMessage('Valid version is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const userId = req.user.userId;
+    const hasAccess = document.createdBy.toString() === userId ||
+                      document.accessibleBy.includes(userId) ||
+                      document.isPublic;
+
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Not authorized to view this document' });
+    }
+
+    const version = await DocumentVersion.findOne({ document: document._id, version: Number(req.params.version) })
+      .select('-filePath')
+      .populate('createdBy', 'name');
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json(version);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /documents/:id/diff
+ * @desc Field-level changes between two versions (?from=1&to=3; `to`
+ *       defaults to the current version)
+ * @access Private (creator and accessibleBy users)
+ */
+router.get('/:id/diff', authMiddleware, idValidation, [
+  query('from').isInt({ min: 1 }).withMessage('Version to compare from is required'),
+  query('to').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const document = await Document.findById(req.params.id);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const userId = req.user.userId;
+    const hasAccess = document.createdBy.toString() === userId ||
+                      document.accessibleBy.includes(userId) ||
+                      document.isPublic;
+
+    if (!hasAccess) {
+      return res.status(403).json({ error: 'Not authorized to view this document' });
+    }
+
+    const diff = await getVersionDiff(
+      document._id,
+      Number(req.query.from),
+      req.query.to ? Number(req.query.to) : document.version
+    );
+
+    res.json({ documentId: document._id, ...diff });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @route POST /documents/generate
- * @desc Generate a new document from template
+ * @desc Generate a new document from template and render its PDF
  * @access Private
  */
 router.post('/generate', authMiddleware, [
-  body('documentType').notEmpty().withMessage('Document type is required'),
-  body('province').notEmpty().withMessage('Province is required'),
+  body('documentType').isIn(documentTypes).withMessage('Valid document type is required'),
+  body('province').isIn(getAllProvinceCodes()).withMessage('Valid province is required'),
   body('transactionId').optional().isMongoId(),
   body('propertyId').optional().isMongoId(),
   body('data').isObject().withMessage('Document data is required')
@@ -98,13 +617,17 @@ router.post('/generate', authMiddleware, [
     const formInfo = Document.getFormInfo(province, documentType);
 
     // Verify transaction/property ownership if provided
+    let transaction;
     if (transactionId) {
-      const transaction = await Transaction.findById(transactionId);
+      transaction = await Transaction.findById(transactionId)
+        .populate('property', 'address legalDescription')
+        .populate('buyer', 'name')
+        .populate('seller', 'name');
       if (!transaction) {
         return res.status(404).json({ error: 'Transaction not found' });
       }
-      if (transaction.buyer.toString() !== req.user.userId &&
-          transaction.seller.toString() !== req.user.userId) {
+      if (transaction.buyer._id.toString() !== req.user.userId &&
+          transaction.seller._id.toString() !== req.user.userId) {
         return res.status(403).json({ error: 'Not authorized' });
       }
     }
@@ -122,7 +645,7 @@ router.post('/generate', authMiddleware, [
     // Determine required signatures based on document type
     const requiredSignatures = getRequiredSignatures(documentType);
 
-    // Create document
+    // Create document; both parties of a transaction can see and sign it
     const document = new Document({
       transaction: transactionId,
       property: propertyId,
@@ -134,25 +657,164 @@ router.post('/generate', authMiddleware, [
       status: 'draft',
       requiredSignatures,
       createdBy: req.user.userId,
-      accessibleBy: [req.user.userId],
+      accessibleBy: transaction
+        ? [transaction.buyer._id, transaction.seller._id]
+        : [req.user.userId],
       generatedAt: new Date()
     });
 
+    // Transaction details fill anything the caller left out
+    const filePath = await renderDocumentPdf(document, transaction);
+    recordPdfVersion(document, 'generated', filePath);
+
     document.logAction('created', req.user.userId, 'Document generated', req.ip);
     await document.save();
+    await snapshotVersion(document, { userId: req.user.userId, reason: 'Generated' });
+
+    await logAudit({
+      action: 'DOCUMENT_GENERATE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'document',
+      resourceId: document._id,
+      details: { documentType, province, transactionId, propertyId }
+    });
 
     res.status(201).json(document);
   } catch (err) {
+    if (Document.isSaveConflict(err)) {
+      return res.status(409).json({ error: CHAIN_CONFLICT });
+    }
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * @route POST /documents/upload
+ * @desc Upload a third-party document (PDF or image) to a transaction,
+ *       optionally attaching it to one of its conditions
+ * @access Private (buyer or seller on the transaction)
+ */
+router.post('/upload', authMiddleware, uploadAttachment.single('file'), handleUploadError, verifyAttachmentSignature, [
+  body('documentType').isIn(UPLOADABLE_TYPES).withMessage('Valid document type is required'),
+  body('transactionId').isMongoId().withMessage('Valid transaction ID is required'),
+  body('conditionId').optional().isMongoId().withMessage('Invalid condition ID'),
+  body('title').optional().trim().isLength({ min: 1, max: 200 }),
+  body('description').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  // Remove the stored file when the upload is rejected
+  let saved = false;
+  const discard = () => !saved && req.file && fs.existsSync(req.file.path) && fs.unlinkSync(req.file.path);
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      discard();
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { documentType, transactionId, conditionId } = req.body;
+    const userId = req.user.userId;
+
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction) {
+      discard();
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (transaction.buyer.toString() !== userId && transaction.seller.toString() !== userId) {
+      discard();
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    let condition;
+    if (conditionId) {
+      condition = await Condition.findOne({ _id: conditionId, transaction: transaction._id });
+      if (!condition) {
+        discard();
+        return res.status(404).json({ error: 'Condition not found on this transaction' });
+      }
+    }
+
+    const formInfo = Document.getFormInfo(transaction.province, documentType);
+    const mimeType = req.file.detectedMimeType;
+
+    const document = new Document({
+      transaction: transaction._id,
+      property: transaction.property,
+      offer: transaction.acceptedOffer,
+      documentType,
+      province: transaction.province,
+      title: req.body.title || formInfo.title,
+      description: req.body.description,
+      filePath: req.file.path,
+      fileName: sanitizeFilename(req.file.originalname),
+      fileType: mimeType === 'application/pdf' ? 'pdf' : 'image',
+      mimeType,
+      fileSize: req.file.size,
+      createdBy: userId,
+      accessibleBy: [transaction.buyer, transaction.seller]
+    });
+    recordPdfVersion(document, 'uploaded', req.file.path);
+    document.logAction('created', userId, `Uploaded ${document.fileName}`, req.ip);
+    await document.save();
+    saved = true;
+    await snapshotVersion(document, { userId, reason: 'Uploaded' });
+
+    await Transaction.updateOne({ _id: transaction._id }, { $push: { documents: document._id } });
+
+    let attachedTo = null;
+    if (condition) {
+      attachedTo = condition.attachDocument(document);
+      await condition.save();
+    }
+
+    await logAudit({
+      action: 'DOCUMENT_UPLOAD',
+      userId,
+      req,
+      resourceType: 'document',
+      resourceId: document._id,
+      details: {
+        documentType,
+        transactionId,
+        conditionId,
+        attachedTo,
+        mimeType,
+        fileSize: req.file.size,
+        sha256: document.fileHash
+      }
+    });
+
+    const otherParty = transaction.buyer.toString() === userId ? transaction.seller : transaction.buyer;
+    await notify({
+      userId: otherParty,
+      type: 'document',
+      title: 'Document uploaded',
+      message: `${document.title} was added to your transaction${condition ? ` for the ${condition.title}` : ''}.`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { transactionId: transaction._id, documentId: document._id, conditionId: condition?._id }
+    });
+
+    res.status(201).json({ document, attachedTo });
+  } catch (err) {
+    discard();
+    if (Document.isSaveConflict(err)) {
+      return res.status(409).json({ error: CHAIN_CONFLICT });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @route POST /documents/:id/sign
  * @desc Sign a document
  * @access Private
  */
-router.post('/:id/sign', authMiddleware, idValidation, [
+router.post('/:id/sign', authMiddleware, requireVerifiedEmail, idValidation, [
   body('role').notEmpty().withMessage('Signature role is required'),
   body('signatureData').notEmpty().withMessage('Signature data is required')
 ], async (req, res) => {
@@ -177,6 +839,18 @@ router.post('/:id/sign', authMiddleware, idValidation, [
       return res.status(403).json({ error: 'Not authorized to sign this document' });
     }
 
+    if (['voided', 'archived'].includes(document.status)) {
+      return res.status(409).json({ error: `Document is ${document.status}` });
+    }
+
+    // Parties to a transaction sign only as themselves
+    if (document.transaction && ['buyer', 'seller'].includes(req.body.role)) {
+      const transaction = await Transaction.findById(document.transaction).select('buyer seller');
+      if (transaction && getPartyRole(transaction, userId) !== req.body.role) {
+        return res.status(403).json({ error: `Only the ${req.body.role} can sign as ${req.body.role}` });
+      }
+    }
+
     // Check if this role is required
     const requiredRole = document.requiredSignatures.find(s => s.role === req.body.role);
     if (!requiredRole) {
@@ -184,13 +858,18 @@ router.post('/:id/sign', authMiddleware, idValidation, [
     }
 
     // Check if already signed for this role
-    const alreadySigned = document.signatures.find(s => s.role === req.body.role);
+    const alreadySigned = document.getActiveSignatures().find(s => s.role === req.body.role);
     if (alreadySigned) {
       return res.status(400).json({ error: 'Document already signed for this role' });
     }
 
-    // Add signature
-    document.signatures.push({
+    // Refuse to sign a PDF that no longer matches its recorded hash
+    if (!checkCurrentPdf(document).matches) {
+      return res.status(409).json({ error: 'Document file has been modified since it was generated' });
+    }
+
+    // Add signature, chained to the current PDF hash
+    document.addSignature({
       role: req.body.role,
       userId: userId,
       name: req.body.name,
@@ -200,20 +879,37 @@ router.post('/:id/sign', authMiddleware, idValidation, [
       ipAddress: req.ip,
       userAgent: req.headers['user-agent']
     });
+    document.logAction('signed', userId, `Signed as ${req.body.role}`, req.ip);
 
     // Update status
     if (document.isFullySigned()) {
       document.status = 'signed';
       document.completedAt = new Date();
+      await completeSignedDocument(document, { userId, ipAddress: req.ip });
     } else {
       document.status = 'partially_signed';
     }
 
-    document.logAction('signed', userId, `Signed as ${req.body.role}`, req.ip);
     await document.save();
 
+    await logAudit({
+      action: 'DOCUMENT_SIGN',
+      userId,
+      userEmail: req.body.email,
+      req,
+      resourceType: 'document',
+      resourceId: document._id,
+      details: { role: req.body.role, status: document.status }
+    });
+
+    await applyMutualRelease(document, req, userId);
+    await applyConditionDocument(document, req, userId);
+
     res.json(document);
   } catch (err) {
+    if (Document.isSaveConflict(err)) {
+      return res.status(409).json({ error: CHAIN_CONFLICT });
+    }
     res.status(500).json({ error: err.message });
   }
 });
@@ -224,9 +920,11 @@ router.post('/:id/sign', authMiddleware, idValidation, [
  * @access Private
  */
 router.post('/:id/send-for-signature', authMiddleware, idValidation, [
-  body('recipients').isArray().withMessage('Recipients array is required'),
+  body('recipients').isArray({ min: 1 }).withMessage('Recipients array is required'),
   body('recipients.*.email').isEmail().withMessage('Valid email required'),
-  body('recipients.*.role').notEmpty().withMessage('Role is required')
+  body('recipients.*.role').notEmpty().withMessage('Role is required'),
+  body('recipients.*.order').optional().isInt({ min: 1 }),
+  body('message').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -244,25 +942,84 @@ router.post('/:id/send-for-signature', authMiddleware, idValidation, [
       return res.status(403).json({ error: 'Only document creator can send for signature' });
     }
 
+    // Parties' links go to their own accounts, whatever the sender entered
+    const signers = await resolveSigners(document, req.body.recipients);
+
     // Update required signatures with recipient info
-    req.body.recipients.forEach(recipient => {
-      const existing = document.requiredSignatures.find(s => s.role === recipient.role);
+    signers.forEach(signer => {
+      const existing = document.requiredSignatures.find(s => s.role === signer.role);
       if (existing) {
-        existing.email = recipient.email;
-        existing.name = recipient.name;
+        existing.email = signer.email;
+        existing.name = signer.name;
+        existing.userId = signer.userId;
       }
     });
 
+    // A new round replaces any envelope still waiting on signatures
+    await SigningEnvelope.updateMany(
+      { document: document._id, status: 'pending' },
+      { $set: { status: 'voided' } }
+    );
+
+    const envelope = await esignatureService.createEnvelope({
+      documentId: document._id,
+      documentPath: document.generatedPdfPath || document.filePath,
+      documentName: document.title,
+      documentType: document.documentType,
+      signers,
+      subject: `Please sign: ${document.title}`,
+      message: req.body.message,
+      createdBy: req.user.userId
+    });
+
     document.status = 'pending_signatures';
     document.sentForSignatureAt = new Date();
+    document.expiresAt = new Date(envelope.expiresAt);
+    document.envelopeId = envelope.envelopeId || envelope.signatureRequestId;
+
+    const sender = await User.findById(req.user.userId).select('name');
+    const transaction = document.transaction && await Transaction.findById(document.transaction).populate('property');
 
-    // In a real app, send email notifications here
+    for (const signer of envelope.signers) {
+      await emailService.sendDocumentForSignature(signer.email, {
+        documentTitle: document.title,
+        senderName: sender?.name || 'Real Estate Direct',
+        propertyAddress: transaction ? formatAddress(transaction.property) : '',
+        signUrl: signer.signingUrl
+      });
+    }
 
-    document.logAction('sent', req.user.userId, 'Sent for signature', req.ip);
+    document.logAction('sent', req.user.userId, `Sent for signature (envelope ${document.envelopeId})`, req.ip);
     await document.save();
 
-    res.json({ message: 'Document sent for signature', document });
+    await logAudit({
+      action: 'DOCUMENT_SEND',
+      userId: req.user.userId,
+      req,
+      resourceType: 'document',
+      resourceId: document._id,
+      details: {
+        envelopeId: document.envelopeId,
+        recipients: signers.map(s => ({ email: s.email, role: s.role }))
+      }
+    });
+
+    res.json({
+      message: 'Document sent for signature',
+      document,
+      // Signing links stay in the signers' email; only the order is returned
+      envelope: {
+        envelopeId: document.envelopeId,
+        provider: envelope.provider,
+        status: envelope.status,
+        expiresAt: envelope.expiresAt,
+        signers: envelope.signers.map(({ email, name, role, status }, index) => ({ order: index, email, name, role, status }))
+      }
+    });
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     res.status(500).json({ error: err.message });
   }
 });
@@ -323,7 +1080,11 @@ router.get('/forms/:province', async (req, res) => {
       'buyer_representation',
       'condition_waiver',
       'amendment',
-      'counter_offer'
+      'counter_offer',
+      'notice_fulfillment',
+      'mutual_release',
+      'direction_re_title',
+      'direction_re_funds'
     ];
 
     const forms = documentTypes.map(type => ({
@@ -371,6 +1132,15 @@ router.delete('/:id', authMiddleware, idValidation, async (req, res) => {
 
     await Document.findByIdAndDelete(req.params.id);
 
+    await logAudit({
+      action: 'DOCUMENT_DELETE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'document',
+      resourceId: document._id,
+      details: { documentType: document.documentType, title: document.title }
+    });
+
     res.json({ message: 'Document deleted' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -413,4 +1183,203 @@ function getRequiredSignatures(documentType) {
   return signatureMap[documentType] || [{ role: 'buyer' }, { role: 'seller' }];
 }
 
+// A fully signed mutual release cancels its transaction
+async function applyMutualRelease(document, req, userId) {
+  const transaction = await completeMutualRelease(document);
+  if (!transaction) return null;
+
+  await logAudit({
+    action: 'TRANSACTION_CANCEL',
+    userId,
+    req,
+    resourceType: 'transaction',
+    resourceId: transaction._id,
+    details: {
+      reason: transaction.cancellation.reason,
+      mutualReleaseDocument: document._id,
+      depositToBuyer: transaction.mutualRelease.depositToBuyer,
+      depositToSeller: transaction.mutualRelease.depositToSeller,
+      depositDisposition: transaction.cancellation.depositDisposition
+    }
+  });
+
+  return transaction;
+}
+
+// A signed notice of fulfillment or waiver resolves its condition, and a
+// signed extension amendment moves the condition deadline
+async function applyConditionDocument(document, req, userId) {
+  const notice = await completeConditionNotice(document);
+  if (notice) {
+    await logAudit({
+      action: notice.condition.status === 'fulfilled' ? 'CONDITION_FULFILL' : 'CONDITION_WAIVE',
+      userId,
+      req,
+      resourceType: 'condition',
+      resourceId: notice.condition._id,
+      details: {
+        transactionId: notice.transaction._id,
+        conditionType: notice.condition.conditionType,
+        documentId: document._id,
+        firm: notice.firm
+      }
+    });
+    return notice;
+  }
+
+  const extension = await completeExtension(document);
+  if (extension) {
+    await logAudit({
+      action: 'CONDITION_EXTENSION_AGREE',
+      userId,
+      req,
+      resourceType: 'condition',
+      resourceId: extension.condition._id,
+      details: {
+        transactionId: extension.transaction._id,
+        previousDeadline: extension.extension.previousDeadline,
+        newDeadline: extension.extension.newDeadline,
+        documentId: document._id
+      }
+    });
+  }
+  return extension;
+}
+
+// Escape text for the signing page
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Shared shell for the signing pages
+function renderSigningShell(title, content) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)} - Real Estate Direct</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 640px; margin: 40px auto; padding: 0 16px; color: #1f2937; }
+    h1 { font-size: 1.4rem; }
+    .signers { list-style: none; padding: 0; }
+    .signers li { padding: 6px 0; border-bottom: 1px solid #e5e7eb; }
+    .signed { color: #16a34a; }
+    .notice { padding: 12px; background: #f3f4f6; border-radius: 6px; }
+    canvas { border: 1px solid #9ca3af; border-radius: 6px; touch-action: none; width: 100%; max-width: 500px; }
+    button { padding: 10px 20px; border-radius: 6px; border: 1px solid #2563eb; background: #2563eb; color: white; cursor: pointer; }
+    button.secondary { background: white; color: #2563eb; }
+  </style>
+</head>
+<body>
+  ${content}
+</body>
+</html>`;
+}
+
+// Page shown when a signing link can't be used
+function renderSigningError(message) {
+  return renderSigningShell('Signing unavailable', `
+  <h1>Signing unavailable</h1>
+  <p class="notice">${escapeHtml(message)}</p>`);
+}
+
+// Signing page with the signer list, the PDF link and a signature pad
+function renderSigningPage(session, token) {
+  const link = `signer=${session.signer.order}&token=${encodeURIComponent(token)}`;
+  const signers = session.signers.map(s => `
+    <li>${s.order + 1}. ${escapeHtml(s.name || s.role)} (${escapeHtml(s.role)})
+      ${s.status === 'signed' ? `<span class="signed">signed ${escapeHtml(new Date(s.signedAt).toLocaleDateString('en-CA'))}</span>` : ''}</li>`).join('');
+  const config = JSON.stringify({
+    url: `/api/documents/sign/${session.envelopeId}`,
+    signer: session.signer.order,
+    token
+  }).replace(/</g, '\\u003c');
+
+  const pad = session.canSign ? `
+  <h2>Your signature</h2>
+  <p>Sign in the box below as ${escapeHtml(session.signer.name || session.signer.role)}.</p>
+  <canvas id="pad" width="500" height="150"></canvas>
+  <p>
+    <button type="button" class="secondary" id="clear">Clear</button>
+    <button type="button" id="submit">Sign document</button>
+  </p>
+  <p id="result"></p>
+  <script>
+    (function() {
+      var config = ${config};
+      var canvas = document.getElementById('pad');
+      var ctx = canvas.getContext('2d');
+      var drawing = false;
+      var drawn = false;
+      ctx.lineWidth = 2;
+      ctx.lineCap = 'round';
+
+      function point(e) {
+        var rect = canvas.getBoundingClientRect();
+        return {
+          x: (e.clientX - rect.left) * canvas.width / rect.width,
+          y: (e.clientY - rect.top) * canvas.height / rect.height
+        };
+      }
+      canvas.addEventListener('pointerdown', function(e) {
+        var p = point(e);
+        drawing = true;
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+      });
+      canvas.addEventListener('pointermove', function(e) {
+        if (!drawing) return;
+        var p = point(e);
+        ctx.lineTo(p.x, p.y);
+        ctx.stroke();
+        drawn = true;
+      });
+      window.addEventListener('pointerup', function() { drawing = false; });
+
+      document.getElementById('clear').addEventListener('click', function() {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        drawn = false;
+      });
+
+      document.getElementById('submit').addEventListener('click', function() {
+        var result = document.getElementById('result');
+        if (!drawn) {
+          result.textContent = 'Please draw your signature first.';
+          return;
+        }
+        this.disabled = true;
+        fetch(config.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ signer: config.signer, token: config.token, signatureImage: canvas.toDataURL('image/png') })
+        })
+          .then(function(res) { return res.json().then(function(data) { return { ok: res.ok, data: data }; }); })
+          .then(function(response) {
+            if (response.ok) {
+              window.location.reload();
+            } else {
+              result.textContent = response.data.error || 'Signing failed';
+              document.getElementById('submit').disabled = false;
+            }
+          });
+      });
+    })();
+  </script>` : `
+  <p class="notice">${escapeHtml(session.blockedReason)}</p>`;
+
+  return renderSigningShell(session.documentName || 'Sign document', `
+  <h1>${escapeHtml(session.documentName || 'Document for signature')}</h1>
+  ${session.message ? `<p>${escapeHtml(session.message)}</p>` : ''}
+  ${session.hasPdf ? `<p><a href="/api/documents/sign/${encodeURIComponent(session.envelopeId)}/pdf?${link}" target="_blank">Review the document (PDF)</a></p>` : ''}
+  <h2>Signers</h2>
+  <ul class="signers">${signers}</ul>
+  ${pad}`);
+}
+
 module.exports = router;
@@ -4,11 +4,18 @@ const { body, param, validationResult } = require('express-validator');
 const Listing = require('../models/listing.model');
 const Property = require('../models/property.model');
 const authMiddleware = require('../auth.middleware');
+const requireVerifiedEmail = require('../middleware/verified-email.middleware');
+const { logAudit } = require('../services/audit.service');
+const { countOpenOffers, findEarliestIrrevocableDate } = require('../services/offer-holdback.service');
 
 const idValidation = [
   param('id').isMongoId().withMessage('Invalid listing ID')
 ];
 
+// Activating a listing requires a verified email; other status changes don't
+const requireVerifiedToActivate = (req, res, next) =>
+  req.body.status === 'active' ? requireVerifiedEmail(req, res, next) : next();
+
 const listingValidation = [
   body('propertyId').isMongoId().withMessage('Valid property ID required'),
   body('endDate').isISO8601().withMessage('Valid end date required'),
@@ -96,9 +103,14 @@ router.get('/:id', idValidation, async (req, res) => {
       return res.status(404).json({ error: 'Listing not found' });
     }
 
-    // Increment view count
+    // Increment view count without bumping the listing version
+    await Listing.updateOne({ _id: listing._id }, { $inc: { views: 1 } });
     listing.views += 1;
-    await listing.save();
+
+    // Held offers stay sealed until the presentation date
+    if (listing.isHoldingOffers()) {
+      listing.depopulate('offersReceived');
+    }
 
     res.json(listing);
   } catch (err) {
@@ -111,7 +123,7 @@ router.get('/:id', idValidation, async (req, res) => {
  * @desc Create a new listing (activate a property)
  * @access Private
  */
-router.post('/', authMiddleware, listingValidation, async (req, res) => {
+router.post('/', authMiddleware, requireVerifiedEmail, listingValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -163,6 +175,15 @@ router.post('/', authMiddleware, listingValidation, async (req, res) => {
     property.status = 'active';
     await property.save();
 
+    await logAudit({
+      action: 'LISTING_CREATE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'listing',
+      resourceId: listing._id,
+      details: { propertyId, listingType: listing.listingType, endDate: listing.endDate }
+    });
+
     await listing.populate('property');
     res.status(201).json(listing);
   } catch (err) {
@@ -194,17 +215,26 @@ router.put('/:id', authMiddleware, idValidation, async (req, res) => {
 
     const allowedUpdates = [
       'endDate', 'listingType', 'showingInstructions', 'showingContact',
-      'showingAvailability', 'lockboxCode', 'allowPhotography',
+      'showingAvailability', 'showingBlackoutDates', 'showingSlotMinutes',
+      'showingBufferMinutes', 'lockboxCode', 'allowPhotography',
       'allowVirtualTour', 'allowOpenHouse'
     ];
 
-    allowedUpdates.forEach(field => {
-      if (req.body[field] !== undefined) {
-        listing[field] = req.body[field];
-      }
+    const updatedFields = allowedUpdates.filter(field => req.body[field] !== undefined);
+    updatedFields.forEach(field => {
+      listing[field] = req.body[field];
     });
 
     await listing.save();
+
+    await logAudit({
+      action: 'LISTING_UPDATE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'listing',
+      resourceId: listing._id,
+      details: { fields: updatedFields }
+    });
     await listing.populate('property');
 
     res.json(listing);
@@ -218,7 +248,7 @@ router.put('/:id', authMiddleware, idValidation, async (req, res) => {
  * @desc Update listing status
  * @access Private (owner only)
  */
-router.patch('/:id/status', authMiddleware, idValidation, [
+router.patch('/:id/status', authMiddleware, requireVerifiedToActivate, idValidation, [
   body('status').isIn(['active', 'pending', 'sold', 'expired', 'withdrawn', 'cancelled'])
     .withMessage('Invalid status')
 ], async (req, res) => {
@@ -258,12 +288,141 @@ router.patch('/:id/status', authMiddleware, idValidation, [
     }
 
     await listing.save();
+
+    await logAudit({
+      action: listing.status === 'active' ? 'LISTING_ACTIVATE' : 'LISTING_DEACTIVATE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'listing',
+      resourceId: listing._id,
+      details: { from: oldStatus, to: listing.status }
+    });
+
     res.json(listing);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * @route PUT /listings/:id/holdback
+ * @desc Hold offers until a presentation date (multiple-offer mode)
+ * @access Private (owner only)
+ */
+router.put('/:id/holdback', authMiddleware, idValidation, [
+  body('presentationDate').isISO8601().withMessage('Valid presentation date required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    if (listing.seller.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (listing.status !== 'draft' && listing.status !== 'active') {
+      return res.status(400).json({ error: `Cannot hold offers on a ${listing.status} listing` });
+    }
+
+    const presentationDate = new Date(req.body.presentationDate);
+    if (presentationDate <= new Date()) {
+      return res.status(400).json({ error: 'Presentation date must be in the future' });
+    }
+
+    if (presentationDate > listing.endDate) {
+      return res.status(400).json({ error: 'Presentation date must be before the listing end date' });
+    }
+
+    // Offers the seller may already have seen can't be sealed after the fact.
+    // An existing holdback can still be moved, but not past the point where
+    // an offer held for it would lapse before the seller sees it.
+    const earliestIrrevocableDate = await findEarliestIrrevocableDate(listing._id);
+    if (earliestIrrevocableDate) {
+      if (!listing.isHoldingOffers()) {
+        return res.status(400).json({ error: 'Cannot start holding offers once offers have been received' });
+      }
+      if (presentationDate >= earliestIrrevocableDate) {
+        return res.status(400).json({
+          error: `Presentation date must be before ${earliestIrrevocableDate.toISOString()}, when the first held offer expires`
+        });
+      }
+    }
+
+    listing.offerHoldback = { enabled: true, presentationDate, revealedAt: null };
+    await listing.save();
+
+    await logAudit({
+      action: 'LISTING_HOLDBACK',
+      userId: req.user.userId,
+      req,
+      resourceType: 'listing',
+      resourceId: listing._id,
+      details: { enabled: true, presentationDate }
+    });
+
+    res.json(listing);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @route DELETE /listings/:id/holdback
+ * @desc Stop holding offers
+ * @access Private (owner only)
+ */
+router.delete('/:id/holdback', authMiddleware, idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    if (listing.seller.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (!listing.isHoldingOffers()) {
+      return res.status(400).json({ error: 'This listing is not holding offers' });
+    }
+
+    // Buyers submitted sealed offers on the promise of a set presentation date
+    if (await countOpenOffers(listing._id) > 0) {
+      return res.status(400).json({ error: 'Cannot stop holding offers once sealed offers have been registered' });
+    }
+
+    listing.offerHoldback = { enabled: false };
+    await listing.save();
+
+    await logAudit({
+      action: 'LISTING_HOLDBACK',
+      userId: req.user.userId,
+      req,
+      resourceType: 'listing',
+      resourceId: listing._id,
+      details: { enabled: false }
+    });
+
+    res.json(listing);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @route POST /listings/:id/save
  * @desc Save/favorite a listing
@@ -282,8 +441,9 @@ router.post('/:id/save', authMiddleware, idValidation, async (req, res) => {
       return res.status(404).json({ error: 'Listing not found' });
     }
 
+    // Increment without bumping the listing version
+    await Listing.updateOne({ _id: listing._id }, { $inc: { saves: 1 } });
     listing.saves += 1;
-    await listing.save();
 
     res.json({ message: 'Listing saved', saves: listing.saves });
   } catch (err) {
@@ -311,8 +471,8 @@ router.post('/:id/inquiry', authMiddleware, idValidation, [
       return res.status(404).json({ error: 'Listing not found' });
     }
 
-    listing.inquiries += 1;
-    await listing.save();
+    // Increment without bumping the listing version
+    await Listing.updateOne({ _id: listing._id }, { $inc: { inquiries: 1 } });
 
     // In a real app, send email to seller here
 
@@ -4,6 +4,21 @@ const { Conversation, Message } = require('../models/message.model');
 const User = require('../models/user.model');
 const Property = require('../models/property.model');
 const authMiddleware = require('../auth.middleware');
+const { notifyMany } = require('../services/notification.service');
+
+// Notify recipients of a new message with a short preview
+async function notifyNewMessage(recipientIds, senderId, conversation, content) {
+  const sender = await User.findById(senderId).select('name');
+  const preview = content.length > 100 ? `${content.substring(0, 100)}...` : content;
+
+  return notifyMany(recipientIds, {
+    type: 'message',
+    title: `New Message from ${sender?.name || 'a user'}`,
+    message: preview,
+    link: `/messages/${conversation._id}`,
+    metadata: { conversationId: conversation._id, propertyId: conversation.property }
+  });
+}
 
 // Get all conversations for the current user
 router.get('/conversations', authMiddleware, async (req, res) => {
@@ -106,6 +121,8 @@ router.post('/conversations', authMiddleware, async (req, res) => {
       const currentUnread = conversation.unreadCount?.get(recipientId) || 0;
       conversation.unreadCount.set(recipientId, currentUnread + 1);
       await conversation.save();
+
+      await notifyNewMessage([recipientId], senderId, conversation, message.content);
     }
 
     // Populate and return
@@ -233,6 +250,9 @@ router.post('/conversations/:conversationId/messages', authMiddleware, async (re
     }
     await conversation.save();
 
+    const recipientIds = conversation.participants.filter(p => p.toString() !== userId);
+    await notifyNewMessage(recipientIds, userId, conversation, message.content);
+
     // Populate sender for response
     await message.populate('sender', 'name email');
 
@@ -408,6 +428,8 @@ router.post('/contact-seller', authMiddleware, async (req, res) => {
       const currentUnread = conversation.unreadCount?.get(sellerId) || 0;
       conversation.unreadCount.set(sellerId, currentUnread + 1);
       await conversation.save();
+
+      await notifyNewMessage([sellerId], buyerId, conversation, newMessage.content);
     }
 
     await conversation.populate('participants', 'name email');
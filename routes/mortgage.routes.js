@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const {
+  PAYMENT_FREQUENCIES,
+  calculateMinimumDownPayment,
+  calculateInsurancePremium,
+  calculateQualifyingRate,
+  calculatePayment,
+  buildAmortizationSchedule,
+  calculateDebtServiceRatios
+} = require('../services/mortgage.service');
+const { getAllProvinceCodes } = require('../config/provinces');
+
+const frequencies = Object.keys(PAYMENT_FREQUENCIES);
+
+/**
+ * @route GET /mortgage/minimum-down-payment
+ * @desc Minimum down payment for a purchase price, by tier
+ * @access Public
+ */
+router.get('/minimum-down-payment', [
+  query('price').isFloat({ min: 0 }).withMessage('Valid price required')
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(calculateMinimumDownPayment(parseFloat(req.query.price)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /mortgage/insurance
+ * @desc Mortgage default insurance premium by LTV, with provincial sales tax on the premium
+ * @access Public
+ */
+router.get('/insurance', [
+  query('price').isFloat({ min: 1 }).withMessage('Valid price required'),
+  query('downPayment').isFloat({ min: 0 }).withMessage('Valid down payment required'),
+  query('province').optional().isIn(getAllProvinceCodes()),
+  query('amortization').optional().isInt({ min: 1, max: 40 }),
+  query(['isFirstTimeBuyer', 'isNewlyBuilt']).optional().isBoolean()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { price, downPayment, province, amortization, isFirstTimeBuyer, isNewlyBuilt } = req.query;
+
+    res.json(calculateInsurancePremium({
+      purchasePrice: parseFloat(price),
+      downPayment: parseFloat(downPayment),
+      province,
+      amortization: amortization ? parseInt(amortization) : undefined,
+      isFirstTimeBuyer: isFirstTimeBuyer === 'true',
+      isNewlyBuilt: isNewlyBuilt === 'true'
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /mortgage/stress-test
+ * @desc Qualifying rate and payments at the contract and qualifying rates
+ * @access Public
+ */
+router.get('/stress-test', [
+  query('rate').isFloat({ min: 0, max: 30 }).withMessage('Valid rate required'),
+  query('principal').optional().isFloat({ min: 0 }),
+  query('amortization').optional().isInt({ min: 1, max: 40 })
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const contractRate = parseFloat(req.query.rate);
+    const qualifyingRate = calculateQualifyingRate(contractRate);
+    const result = { contractRate, qualifyingRate };
+
+    if (req.query.principal) {
+      const principal = parseFloat(req.query.principal);
+      const amortization = parseInt(req.query.amortization) || 25;
+      result.contractPayment = calculatePayment(principal, contractRate, amortization);
+      result.qualifyingPayment = calculatePayment(principal, qualifyingRate, amortization);
+    }
+
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /mortgage/qualify
+ * @desc GDS/TDS ratios at the stress-test rate, with insurance when the
+ *       down payment is under 20%
+ * @access Public
+ */
+router.post('/qualify', [
+  body('annualIncome').isFloat({ min: 1 }).withMessage('Annual income required'),
+  body('purchasePrice').isFloat({ min: 1 }).withMessage('Purchase price required'),
+  body('downPayment').isFloat({ min: 0 }).withMessage('Down payment required'),
+  body('rate').isFloat({ min: 0, max: 30 }).withMessage('Valid rate required'),
+  body('amortization').optional().isInt({ min: 1, max: 40 }),
+  body('province').optional().isIn(getAllProvinceCodes()),
+  body(['annualPropertyTax', 'monthlyHeating', 'monthlyCondoFees', 'monthlyDebts']).optional().isFloat({ min: 0 }),
+  body(['isFirstTimeBuyer', 'isNewlyBuilt']).optional().isBoolean()
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { annualIncome, purchasePrice, downPayment, rate, amortization = 25, province } = req.body;
+
+    const minimumDownPayment = calculateMinimumDownPayment(purchasePrice);
+    const insurance = calculateInsurancePremium({
+      purchasePrice,
+      downPayment,
+      province,
+      amortization,
+      isFirstTimeBuyer: req.body.isFirstTimeBuyer,
+      isNewlyBuilt: req.body.isNewlyBuilt
+    });
+
+    const ratios = calculateDebtServiceRatios({
+      annualIncome,
+      mortgageAmount: insurance.totalMortgage,
+      contractRate: rate,
+      amortization,
+      annualPropertyTax: req.body.annualPropertyTax,
+      monthlyHeating: req.body.monthlyHeating,
+      monthlyCondoFees: req.body.monthlyCondoFees,
+      monthlyDebts: req.body.monthlyDebts
+    });
+
+    res.json({
+      minimumDownPayment,
+      insurance,
+      ...ratios,
+      qualifies: ratios.qualifies && downPayment >= minimumDownPayment.minimumDownPayment &&
+        (!insurance.required || insurance.available)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /mortgage/amortization
+ * @desc Full amortization schedule with semi-annual compounding
+ * @access Public
+ */
+router.post('/amortization', [
+  body('principal').isFloat({ min: 1 }).withMessage('Principal required'),
+  body('rate').isFloat({ min: 0, max: 30 }).withMessage('Valid rate required'),
+  body('amortization').isInt({ min: 1, max: 40 }).withMessage('Amortization (years) required'),
+  body('frequency').optional().isIn(frequencies)
+], (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { principal, rate, amortization, frequency = 'monthly' } = req.body;
+
+    res.json(buildAmortizationSchedule(principal, rate, amortization, frequency));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
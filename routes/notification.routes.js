@@ -2,21 +2,135 @@ const express = require('express');
 const router = express.Router();
 const emailService = require('../services/email.service');
 const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
 const Transaction = require('../models/transaction.model');
 const authMiddleware = require('../auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const { logAudit } = require('../services/audit.service');
+const { scheduler } = require('../services/scheduler.service');
 
-// Admin middleware
-const adminMiddleware = async (req, res, next) => {
+// Get notification inbox (paginated, newest first)
+router.get('/', authMiddleware, async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user || !user.isAdmin) {
-      return res.status(403).json({ error: 'Admin access required' });
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { user: req.user.userId };
+
+    if (req.query.type) {
+      filter.type = req.query.type;
     }
-    next();
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort('-createdAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countUnread(req.user.userId)
+    ]);
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Authorization check failed' });
+    console.error('Error fetching notifications:', err);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
   }
-};
+});
+
+// Get unread notification count
+router.get('/unread-count', authMiddleware, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.userId);
+    res.json({ unreadCount });
+  } catch (err) {
+    console.error('Error fetching unread count:', err);
+    res.status(500).json({ error: 'Failed to fetch unread count' });
+  }
+});
+
+// Mark all notifications as read
+router.put('/read-all', authMiddleware, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+  } catch (err) {
+    console.error('Error marking notifications read:', err);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark a single notification as read
+router.put('/:id/read', authMiddleware, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    notification.markRead();
+    await notification.save();
+
+    res.json(notification);
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+    console.error('Error marking notification read:', err);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+// Clear all notifications
+router.delete('/clear', authMiddleware, async (req, res) => {
+  try {
+    const result = await Notification.deleteMany({ user: req.user.userId });
+    res.json({ message: 'Notifications cleared', deleted: result.deletedCount });
+  } catch (err) {
+    console.error('Error clearing notifications:', err);
+    res.status(500).json({ error: 'Failed to clear notifications' });
+  }
+});
+
+// Delete a single notification
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ message: 'Notification deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+    console.error('Error deleting notification:', err);
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+});
 
 // Get notification settings
 router.get('/settings', authMiddleware, async (req, res) => {
@@ -32,6 +146,7 @@ router.get('/settings', authMiddleware, async (req, res) => {
       emailMessages: true,
       emailTransactions: true,
       emailDocuments: true,
+      emailSavedSearches: true,
       emailMarketing: false
     };
 
@@ -45,7 +160,14 @@ router.get('/settings', authMiddleware, async (req, res) => {
 // Update notification settings
 router.put('/settings', authMiddleware, async (req, res) => {
   try {
-    const { emailOffers, emailMessages, emailTransactions, emailDocuments, emailMarketing } = req.body;
+    const {
+      emailOffers,
+      emailMessages,
+      emailTransactions,
+      emailDocuments,
+      emailSavedSearches,
+      emailMarketing
+    } = req.body;
 
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -57,6 +179,7 @@ router.put('/settings', authMiddleware, async (req, res) => {
       emailMessages: emailMessages !== false,
       emailTransactions: emailTransactions !== false,
       emailDocuments: emailDocuments !== false,
+      emailSavedSearches: emailSavedSearches !== false,
       emailMarketing: emailMarketing === true
     };
 
@@ -154,6 +277,16 @@ router.post('/commission-invoice/:transactionId', authMiddleware, adminMiddlewar
       transaction.platformFee.status = 'invoiced';
       transaction.platformFee.invoicedAt = new Date();
       await transaction.save();
+
+      await logAudit({
+        action: 'ADMIN_COMMISSION_UPDATE',
+        userId: req.user.userId,
+        userEmail: req.adminUser?.email,
+        req,
+        resourceType: 'transaction',
+        resourceId: transaction._id,
+        details: { status: 'invoiced', previousStatus: 'pending', amount: transaction.platformFee.amount }
+      });
     }
 
     res.json({ message: 'Invoice sent', result });
@@ -200,63 +333,24 @@ router.post('/payment-reminder/:transactionId', authMiddleware, adminMiddleware,
   }
 });
 
-// Send bulk closing reminders (admin only - for scheduled tasks)
+// Send closing reminders now (admin only - also runs on a schedule)
 router.post('/closing-reminders', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { daysBeforeClosing = 7 } = req.body;
-
-    const targetDate = new Date();
-    targetDate.setDate(targetDate.getDate() + daysBeforeClosing);
-
-    // Find transactions closing within the target window
-    const transactions = await Transaction.find({
-      status: { $in: ['conditional', 'firm', 'closing'] },
-      closingDate: {
-        $gte: new Date(),
-        $lte: targetDate
-      }
-    })
-      .populate('buyer', 'name email')
-      .populate('seller', 'name email')
-      .populate('property', 'address');
+    // Same idempotent job the scheduler runs - parties already reminded
+    // for their current closing date are skipped
+    const outcome = await scheduler.runJob('closing-reminders', { force: true });
 
-    const appUrl = process.env.APP_URL || 'http://localhost:3000';
-    const results = [];
-
-    for (const transaction of transactions) {
-      const daysUntilClosing = Math.ceil(
-        (new Date(transaction.closingDate) - new Date()) / (1000 * 60 * 60 * 24)
-      );
-
-      const emailData = {
-        propertyAddress: `${transaction.property.address?.street || 'N/A'}, ${transaction.property.address?.city || ''}`,
-        closingDate: transaction.closingDate,
-        daysUntilClosing,
-        transactionUrl: `${appUrl}/transactions/${transaction._id}`
-      };
-
-      // Send to both buyer and seller
-      if (transaction.buyer?.email) {
-        const buyerResult = await emailService.sendClosingReminder(
-          transaction.buyer.email,
-          emailData
-        );
-        results.push({ user: 'buyer', transactionId: transaction._id, ...buyerResult });
-      }
-
-      if (transaction.seller?.email) {
-        const sellerResult = await emailService.sendClosingReminder(
-          transaction.seller.email,
-          emailData
-        );
-        results.push({ user: 'seller', transactionId: transaction._id, ...sellerResult });
-      }
+    if (!outcome) {
+      return res.status(409).json({ error: 'Closing reminders are already running' });
+    }
+    if (outcome.status === 'failed') {
+      return res.status(500).json({ error: 'Failed to send closing reminders' });
     }
 
     res.json({
-      message: `Sent ${results.length} closing reminders`,
-      transactionsFound: transactions.length,
-      results
+      message: `Sent closing reminders for ${outcome.result.sent} transactions`,
+      transactionsFound: outcome.result.found,
+      transactionsReminded: outcome.result.sent
     });
   } catch (err) {
     console.error('Error sending closing reminders:', err);
@@ -1,13 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Offer = require('../models/offer.model');
 const Listing = require('../models/listing.model');
 const Property = require('../models/property.model');
-const Transaction = require('../models/transaction.model');
-const Condition = require('../models/condition.model');
 const authMiddleware = require('../auth.middleware');
+const requireVerifiedEmail = require('../middleware/verified-email.middleware');
+const { notify, formatAddress } = require('../services/notification.service');
+const { logAudit } = require('../services/audit.service');
+const { acceptOffer } = require('../services/offer-acceptance.service');
+const {
+  OPEN_OFFER_STATUSES,
+  sealedMessage,
+  findSealedListingIds,
+  countOpenOffers,
+  countCompetingOffers
+} = require('../services/offer-holdback.service');
+const { compareOffers, DEFAULT_CERTAINTY_WEIGHTS } = require('../services/offer-comparison.service');
+const { checkOfferFinancing } = require('../services/mortgage.service');
 const { getAllProvinceCodes } = require('../config/provinces');
+const { HttpError } = require('../services/errors');
 
 const provinceCodes = getAllProvinceCodes();
 
@@ -15,13 +27,9 @@ const idValidation = [
   param('id').isMongoId().withMessage('Invalid offer ID')
 ];
 
-const offerValidation = [
-  body('listingId').isMongoId().withMessage('Valid listing ID required'),
-  body('offerPrice').isFloat({ min: 1 }).withMessage('Offer price must be positive'),
-  body('depositAmount').isFloat({ min: 0 }).withMessage('Deposit must be non-negative'),
-  body('depositDueDate').isISO8601().withMessage('Valid deposit due date required'),
-  body('closingDate').isISO8601().withMessage('Valid closing date required'),
-  body('irrevocableDate').isISO8601().withMessage('Valid irrevocable date required'),
+// Terms an offer may set beyond its price and dates; an improved offer
+// keeps the original's for any it leaves out
+const offerTermsValidation = [
   body('conditions').optional().isArray(),
   body('conditions.*.type').optional().isIn([
     'financing', 'inspection', 'status_certificate', 'sale_of_property',
@@ -29,7 +37,20 @@ const offerValidation = [
   ]),
   body('conditions.*.deadlineDays').optional().isInt({ min: 1 }),
   body('inclusions').optional().isArray(),
-  body('exclusions').optional().isArray()
+  body('exclusions').optional().isArray(),
+  body('financing.type').optional().isIn(['conventional', 'insured', 'cash', 'assumption', 'vtb']),
+  body('financing.downPaymentAmount').optional().isFloat({ min: 0 }),
+  body('financing.downPaymentPercentage').optional().isFloat({ min: 0, max: 100 })
+];
+
+const offerValidation = [
+  body('listingId').isMongoId().withMessage('Valid listing ID required'),
+  body('offerPrice').isFloat({ min: 1 }).withMessage('Offer price must be positive'),
+  body('depositAmount').isFloat({ min: 0 }).withMessage('Deposit must be non-negative'),
+  body('depositDueDate').isISO8601().withMessage('Valid deposit due date required'),
+  body('closingDate').isISO8601().withMessage('Valid closing date required'),
+  body('irrevocableDate').isISO8601().withMessage('Valid irrevocable date required'),
+  ...offerTermsValidation
 ];
 
 /**
@@ -57,7 +78,10 @@ router.get('/my-offers', authMiddleware, async (req, res) => {
  */
 router.get('/received', authMiddleware, async (req, res) => {
   try {
-    const offers = await Offer.find({ seller: req.user.userId })
+    // Offers on listings in holdback stay sealed until the presentation date
+    const sealedListingIds = await findSealedListingIds(req.user.userId);
+
+    const offers = await Offer.find({ seller: req.user.userId, listing: { $nin: sealedListingIds } })
       .populate('property', 'address askingPrice photos')
       .populate('buyer', 'name email')
       .populate('listing')
@@ -99,6 +123,11 @@ router.get('/:id', authMiddleware, idValidation, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to view this offer' });
     }
 
+    const isListingSeller = offer.listing?.seller.toString() === userId;
+    if (isListingSeller && offer.listing.isHoldingOffers()) {
+      return res.status(403).json({ error: sealedMessage(offer.listing) });
+    }
+
     // Mark as viewed if seller viewing for first time
     if (offer.seller._id.toString() === userId && !offer.viewedAt) {
       offer.viewedAt = new Date();
@@ -106,6 +135,12 @@ router.get('/:id', authMiddleware, idValidation, async (req, res) => {
       await offer.save();
     }
 
+    // Buyers see how many other offers they're competing with, never their terms
+    if (!isListingSeller && offer.listing) {
+      const competingOffers = await countCompetingOffers(offer.listing._id, offer.buyer._id);
+      return res.json({ ...offer.toJSON(), competingOffers });
+    }
+
     res.json(offer);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -117,7 +152,7 @@ router.get('/:id', authMiddleware, idValidation, async (req, res) => {
  * @desc Submit a new offer
  * @access Private
  */
-router.post('/', authMiddleware, offerValidation, async (req, res) => {
+router.post('/', authMiddleware, requireVerifiedEmail, offerValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -154,6 +189,12 @@ router.post('/', authMiddleware, offerValidation, async (req, res) => {
       return res.status(400).json({ error: 'Closing date must be after irrevocable date' });
     }
 
+    // Held offers must still be open when they are presented
+    const holding = listing.isHoldingOffers(now);
+    if (holding && irrevocableDate <= listing.offerHoldback.presentationDate) {
+      return res.status(400).json({ error: 'Irrevocable date must be after the offer presentation date' });
+    }
+
     // Create offer
     const offer = new Offer({
       property: listing.property._id,
@@ -168,14 +209,53 @@ router.post('/', authMiddleware, offerValidation, async (req, res) => {
 
     await offer.save();
 
-    // Add offer to listing
-    listing.offersReceived.push(offer._id);
-    await listing.save();
+    // Add offer to listing without bumping its version
+    await Listing.updateOne({ _id: listing._id }, { $push: { offersReceived: offer._id } });
+
+    await logAudit({
+      action: 'OFFER_SUBMIT',
+      userId: req.user.userId,
+      req,
+      resourceType: 'offer',
+      resourceId: offer._id,
+      details: {
+        listingId,
+        offerPrice: offer.offerPrice,
+        depositAmount: offer.depositAmount,
+        conditionCount: offer.conditions.length
+      }
+    });
 
     await offer.populate('property', 'address askingPrice');
     await offer.populate('listing');
 
-    res.status(201).json(offer);
+    if (holding) {
+      // Sealed: the seller only learns that an offer was registered
+      await notify({
+        userId: offer.seller,
+        type: 'offer',
+        title: 'Offer Registered',
+        message: `An offer was registered on ${formatAddress(offer.property)}. Offers will be presented on ${listing.offerHoldback.presentationDate.toISOString()}`,
+        link: '/offers',
+        metadata: { propertyId: offer.property._id }
+      });
+    } else {
+      await notify({
+        userId: offer.seller,
+        type: 'offer',
+        title: 'New Offer Received',
+        message: `You received an offer of $${offer.offerPrice.toLocaleString()} on ${formatAddress(offer.property)}`,
+        link: `/offers/${offer._id}`,
+        metadata: { offerId: offer._id, propertyId: offer.property._id }
+      });
+    }
+
+    const competingOffers = await countCompetingOffers(listing._id, offer.buyer);
+
+    // Not blocking: the buyer may still fix financing before acceptance
+    const financingWarnings = checkOfferFinancing(offer);
+
+    res.status(201).json({ ...offer.toJSON(), competingOffers, financingWarnings });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
@@ -186,115 +266,59 @@ router.post('/', authMiddleware, offerValidation, async (req, res) => {
  * @desc Accept an offer (seller only)
  * @access Private
  */
-router.post('/:id/accept', authMiddleware, idValidation, async (req, res) => {
+router.post('/:id/accept', authMiddleware, requireVerifiedEmail, idValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const offer = await Offer.findById(req.params.id)
-      .populate('property')
-      .populate('listing');
-
-    if (!offer) {
-      return res.status(404).json({ error: 'Offer not found' });
-    }
-
-    // Only seller can accept
-    if (offer.seller.toString() !== req.user.userId) {
-      return res.status(403).json({ error: 'Only the seller can accept this offer' });
-    }
-
-    // Check offer is still valid
-    if (offer.isExpired()) {
-      return res.status(400).json({ error: 'Offer has expired' });
-    }
+    // Offer, listing, property, transaction, conditions and competing
+    // offers are updated together or not at all
+    const { offer, transaction, otherOffers } = await acceptOffer({
+      offerId: req.params.id,
+      sellerId: req.user.userId
+    });
 
-    if (offer.status !== 'submitted' && offer.status !== 'viewed') {
-      return res.status(400).json({ error: `Cannot accept offer with status: ${offer.status}` });
-    }
+    await logAudit({
+      action: 'OFFER_ACCEPT',
+      userId: req.user.userId,
+      req,
+      resourceType: 'offer',
+      resourceId: offer._id,
+      details: { offerPrice: offer.offerPrice, transactionId: transaction._id, rejectedOffers: otherOffers.length }
+    });
 
-    // Update offer
-    offer.status = 'accepted';
-    offer.respondedAt = new Date();
-    offer.sellerSignature = {
-      signed: true,
-      signedAt: new Date()
-    };
-    await offer.save();
+    await logAudit({
+      action: 'TRANSACTION_CREATE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: { offerId: offer._id, purchasePrice: transaction.purchasePrice, status: transaction.status }
+    });
 
-    // Update listing status
-    if (offer.listing) {
-      offer.listing.status = 'pending';
-      await offer.listing.save();
-    }
-
-    // Update property status
-    if (offer.property) {
-      offer.property.status = 'pending';
-      await offer.property.save();
-    }
-
-    // Create transaction
-    const transaction = new Transaction({
-      property: offer.property._id,
-      listing: offer.listing._id,
-      acceptedOffer: offer._id,
-      buyer: offer.buyer,
-      seller: offer.seller,
-      province: offer.province,
-      purchasePrice: offer.offerPrice,
-      depositAmount: offer.depositAmount,
-      acceptanceDate: new Date(),
-      closingDate: offer.closingDate,
-      possessionDate: offer.possessionDate || offer.closingDate,
-      status: offer.conditions.length > 0 ? 'conditional' : 'firm',
-      currentStep: 'offer_accepted',
-      buyerLawyer: offer.buyerLawyer
+    const address = formatAddress(offer.property);
+    const rescission = transaction.rescission?.deadline
+      ? `. You may rescind under the ${transaction.rescission.name} until ${transaction.rescission.deadline.toISOString()}`
+      : '';
+    await notify({
+      userId: offer.buyer,
+      type: 'offer',
+      title: 'Offer Accepted',
+      message: `Your offer on ${address} has been accepted${rescission}`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { offerId: offer._id, transactionId: transaction._id, propertyId: offer.property._id }
     });
 
-    await transaction.save();
-
-    // Create condition records
-    if (offer.conditions.length > 0) {
-      const conditions = await Promise.all(
-        offer.conditions.map(async (cond) => {
-          const deadlineDate = new Date(transaction.acceptanceDate);
-          deadlineDate.setDate(deadlineDate.getDate() + cond.deadlineDays);
-
-          const condition = new Condition({
-            transaction: transaction._id,
-            offer: offer._id,
-            conditionType: cond.type,
-            title: cond.description || Condition.getTemplate(cond.type, offer.province).title,
-            description: cond.description || Condition.getTemplate(cond.type, offer.province).description,
-            deadlineDate,
-            daysFromAcceptance: cond.deadlineDays,
-            status: 'pending'
-          });
-
-          return condition.save();
-        })
-      );
-
-      transaction.conditions = conditions.map(c => c._id);
-      transaction.conditionDeadline = new Date(Math.max(...conditions.map(c => c.deadlineDate)));
-      await transaction.save();
-    }
-
-    // Reject all other offers on this listing
-    await Offer.updateMany(
-      {
-        listing: offer.listing._id,
-        _id: { $ne: offer._id },
-        status: { $in: ['submitted', 'viewed'] }
-      },
-      {
-        status: 'rejected',
-        respondedAt: new Date()
-      }
-    );
+    await Promise.all(otherOffers.map(other => notify({
+      userId: other.buyer,
+      type: 'offer',
+      title: 'Offer Not Accepted',
+      message: `The seller accepted another offer on ${address}`,
+      link: `/offers/${other._id}`,
+      metadata: { offerId: other._id, propertyId: offer.property._id }
+    })));
 
     res.json({
       offer,
@@ -302,6 +326,9 @@ router.post('/:id/accept', authMiddleware, idValidation, async (req, res) => {
       message: 'Offer accepted successfully'
     });
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     res.status(500).json({ error: err.message });
   }
 });
@@ -318,7 +345,9 @@ router.post('/:id/reject', authMiddleware, idValidation, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const offer = await Offer.findById(req.params.id);
+    const offer = await Offer.findById(req.params.id)
+      .populate('property', 'address')
+      .populate('listing');
 
     if (!offer) {
       return res.status(404).json({ error: 'Offer not found' });
@@ -328,6 +357,10 @@ router.post('/:id/reject', authMiddleware, idValidation, async (req, res) => {
       return res.status(403).json({ error: 'Only the seller can reject this offer' });
     }
 
+    if (offer.listing?.isHoldingOffers()) {
+      return res.status(400).json({ error: sealedMessage(offer.listing) });
+    }
+
     if (offer.status !== 'submitted' && offer.status !== 'viewed') {
       return res.status(400).json({ error: `Cannot reject offer with status: ${offer.status}` });
     }
@@ -336,6 +369,24 @@ router.post('/:id/reject', authMiddleware, idValidation, async (req, res) => {
     offer.respondedAt = new Date();
     await offer.save();
 
+    await logAudit({
+      action: 'OFFER_REJECT',
+      userId: req.user.userId,
+      req,
+      resourceType: 'offer',
+      resourceId: offer._id,
+      details: { offerPrice: offer.offerPrice }
+    });
+
+    await notify({
+      userId: offer.buyer,
+      type: 'offer',
+      title: 'Offer Rejected',
+      message: `Your offer on ${formatAddress(offer.property)} was rejected`,
+      link: `/offers/${offer._id}`,
+      metadata: { offerId: offer._id, propertyId: offer.property?._id }
+    });
+
     res.json({ message: 'Offer rejected', offer });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -347,7 +398,7 @@ router.post('/:id/reject', authMiddleware, idValidation, async (req, res) => {
  * @desc Create a counter-offer
  * @access Private (seller only)
  */
-router.post('/:id/counter', authMiddleware, idValidation, [
+router.post('/:id/counter', authMiddleware, requireVerifiedEmail, idValidation, [
   body('offerPrice').isFloat({ min: 1 }).withMessage('Offer price required'),
   body('irrevocableDate').isISO8601().withMessage('Valid irrevocable date required')
 ], async (req, res) => {
@@ -369,6 +420,10 @@ router.post('/:id/counter', authMiddleware, idValidation, [
       return res.status(403).json({ error: 'Only the seller can counter this offer' });
     }
 
+    if (originalOffer.listing?.isHoldingOffers()) {
+      return res.status(400).json({ error: sealedMessage(originalOffer.listing) });
+    }
+
     if (originalOffer.status !== 'submitted' && originalOffer.status !== 'viewed') {
       return res.status(400).json({ error: `Cannot counter offer with status: ${originalOffer.status}` });
     }
@@ -407,8 +462,30 @@ router.post('/:id/counter', authMiddleware, idValidation, [
     originalOffer.counterOffers.push(counterOffer._id);
     await originalOffer.save();
 
+    await logAudit({
+      action: 'OFFER_COUNTER',
+      userId: req.user.userId,
+      req,
+      resourceType: 'offer',
+      resourceId: counterOffer._id,
+      details: {
+        originalOfferId: originalOffer._id,
+        originalPrice: originalOffer.offerPrice,
+        counterPrice: counterOffer.offerPrice
+      }
+    });
+
     await counterOffer.populate('property', 'address');
 
+    await notify({
+      userId: counterOffer.seller,
+      type: 'offer',
+      title: 'Counter-Offer Received',
+      message: `You received a counter-offer of $${counterOffer.offerPrice.toLocaleString()} on ${formatAddress(counterOffer.property)}`,
+      link: `/offers/${counterOffer._id}`,
+      metadata: { offerId: counterOffer._id, propertyId: counterOffer.property._id }
+    });
+
     res.status(201).json({
       counterOffer,
       originalOffer,
@@ -445,15 +522,303 @@ router.post('/:id/withdraw', authMiddleware, idValidation, async (req, res) => {
       return res.status(400).json({ error: 'Cannot withdraw an accepted offer' });
     }
 
+    const previousStatus = offer.status;
     offer.status = 'withdrawn';
     await offer.save();
 
+    await logAudit({
+      action: 'OFFER_WITHDRAW',
+      userId: req.user.userId,
+      req,
+      resourceType: 'offer',
+      resourceId: offer._id,
+      details: { previousStatus }
+    });
+
+    await offer.populate('property', 'address');
+    await notify({
+      userId: offer.seller,
+      type: 'offer',
+      title: 'Offer Withdrawn',
+      message: `An offer on ${formatAddress(offer.property)} was withdrawn by the buyer`,
+      link: `/offers/${offer._id}`,
+      metadata: { offerId: offer._id, propertyId: offer.property?._id }
+    });
+
     res.json({ message: 'Offer withdrawn', offer });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * @route POST /offers/:id/improve
+ * @desc Replace an offer with an improved one after a sign-back invitation
+ * @access Private (buyer only)
+ */
+router.post('/:id/improve', authMiddleware, requireVerifiedEmail, idValidation, [
+  body('offerPrice').isFloat({ min: 1 }).withMessage('Offer price required'),
+  body('depositAmount').optional().isFloat({ min: 0 }),
+  body('depositDueDate').optional().isISO8601().withMessage('Valid deposit due date required'),
+  body('closingDate').optional().isISO8601().withMessage('Valid closing date required'),
+  body('irrevocableDate').isISO8601().withMessage('Valid irrevocable date required'),
+  ...offerTermsValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const originalOffer = await Offer.findById(req.params.id).populate('property', 'address');
+
+    if (!originalOffer) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    if (originalOffer.buyer.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the buyer can improve this offer' });
+    }
+
+    if (!originalOffer.signBack?.invitedAt || originalOffer.signBack.respondedAt) {
+      return res.status(400).json({ error: 'No open sign-back invitation for this offer' });
+    }
+
+    if (!OPEN_OFFER_STATUSES.includes(originalOffer.status)) {
+      return res.status(400).json({ error: `Cannot improve offer with status: ${originalOffer.status}` });
+    }
+
+    const now = new Date();
+    if (now > originalOffer.signBack.deadline) {
+      return res.status(400).json({ error: 'The sign-back deadline has passed' });
+    }
+
+    const irrevocableDate = new Date(req.body.irrevocableDate);
+    const closingDate = new Date(req.body.closingDate || originalOffer.closingDate);
+    if (irrevocableDate <= now) {
+      return res.status(400).json({ error: 'Irrevocable date must be in the future' });
+    }
+    if (closingDate <= irrevocableDate) {
+      return res.status(400).json({ error: 'Closing date must be after irrevocable date' });
+    }
+
+    const improvedOffer = new Offer({
+      property: originalOffer.property._id,
+      listing: originalOffer.listing,
+      buyer: originalOffer.buyer,
+      seller: originalOffer.seller,
+      province: originalOffer.province,
+      offerPrice: req.body.offerPrice,
+      depositAmount: req.body.depositAmount ?? originalOffer.depositAmount,
+      depositDueDate: req.body.depositDueDate || originalOffer.depositDueDate,
+      closingDate,
+      possessionDate: req.body.possessionDate || originalOffer.possessionDate,
+      irrevocableDate,
+      conditions: req.body.conditions || originalOffer.conditions,
+      inclusions: req.body.inclusions || originalOffer.inclusions,
+      exclusions: req.body.exclusions || originalOffer.exclusions,
+      additionalTerms: req.body.additionalTerms || originalOffer.additionalTerms,
+      financing: req.body.financing || originalOffer.financing,
+      buyerLawyer: originalOffer.buyerLawyer,
+      parentOffer: originalOffer._id,
+      status: 'submitted',
+      submittedAt: now
+    });
+    await improvedOffer.validate();
+
+    // Claim the invitation so a second submission can't create two offers
+    const { modifiedCount } = await Offer.updateOne(
+      { _id: originalOffer._id, status: { $in: OPEN_OFFER_STATUSES }, 'signBack.respondedAt': null },
+      { $set: { status: 'withdrawn', 'signBack.respondedAt': now } }
+    );
+    if (!modifiedCount) {
+      return res.status(409).json({ error: 'This offer was already improved or answered' });
+    }
+
+    await improvedOffer.save();
+    await Listing.updateOne({ _id: originalOffer.listing }, { $push: { offersReceived: improvedOffer._id } });
+
+    await logAudit({
+      action: 'OFFER_IMPROVE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'offer',
+      resourceId: improvedOffer._id,
+      details: {
+        originalOfferId: originalOffer._id,
+        originalPrice: originalOffer.offerPrice,
+        improvedPrice: improvedOffer.offerPrice
+      }
+    });
+
+    await notify({
+      userId: improvedOffer.seller,
+      type: 'offer',
+      title: 'Improved Offer Received',
+      message: `A buyer improved their offer on ${formatAddress(originalOffer.property)} to $${improvedOffer.offerPrice.toLocaleString()}`,
+      link: `/offers/${improvedOffer._id}`,
+      metadata: { offerId: improvedOffer._id, propertyId: originalOffer.property._id }
+    });
+
+    res.status(201).json({
+      offer: improvedOffer,
+      financingWarnings: checkOfferFinancing(improvedOffer),
+      message: 'Improved offer submitted successfully'
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /offers/listing/:listingId/sign-back
+ * @desc Invite selected buyers to improve their offers (multiple offers)
+ * @access Private (seller only)
+ */
+router.post('/listing/:listingId/sign-back', authMiddleware, [
+  param('listingId').isMongoId().withMessage('Invalid listing ID'),
+  body('offerIds').isArray({ min: 1 }).withMessage('Select at least one offer'),
+  body('offerIds.*').isMongoId().withMessage('Invalid offer ID'),
+  body('deadline').isISO8601().withMessage('Valid sign-back deadline required'),
+  body('message').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const listing = await Listing.findById(req.params.listingId).populate('property', 'address');
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    if (listing.seller.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the seller can send sign-backs on this listing' });
+    }
+
+    if (listing.isHoldingOffers()) {
+      return res.status(400).json({ error: sealedMessage(listing) });
+    }
+
+    const now = new Date();
+    const deadline = new Date(req.body.deadline);
+    if (deadline <= now) {
+      return res.status(400).json({ error: 'Sign-back deadline must be in the future' });
+    }
+
+    const offerIds = [...new Set(req.body.offerIds)];
+    const offers = await Offer.find({
+      _id: { $in: offerIds },
+      listing: listing._id,
+      seller: req.user.userId,
+      status: { $in: OPEN_OFFER_STATUSES }
+    });
+
+    if (offers.length !== offerIds.length) {
+      return res.status(400).json({ error: 'Sign-backs can only be sent on open offers for this listing' });
+    }
+
+    const signBack = { invitedAt: now, deadline, message: req.body.message };
+    await Offer.updateMany({ _id: { $in: offers.map(o => o._id) } }, { $set: { signBack } });
+
+    await logAudit({
+      action: 'OFFER_SIGN_BACK',
+      userId: req.user.userId,
+      req,
+      resourceType: 'listing',
+      resourceId: listing._id,
+      details: { offerIds: offers.map(o => o._id), deadline }
+    });
+
+    const address = formatAddress(listing.property);
+    await Promise.all(offers.map(async offer => {
+      const competing = await countCompetingOffers(listing._id, offer.buyer);
+      return notify({
+        userId: offer.buyer,
+        type: 'offer',
+        title: 'Sign-Back: Improve Your Offer',
+        message: `The seller of ${address} invites you to improve your offer by ${deadline.toISOString()}. There ${competing === 1 ? 'is 1 competing offer' : `are ${competing} competing offers`}.`,
+        link: `/offers/${offer._id}`,
+        metadata: { offerId: offer._id, propertyId: listing.property?._id }
+      });
+    }));
+
+    res.json({
+      invited: offers.length,
+      deadline,
+      message: 'Sign-back invitations sent'
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /offers/listing/:listingId/comparison
+ * @desc Compare open offers side by side with net proceeds and certainty ranking
+ * @access Private (seller only)
+ */
+router.get('/listing/:listingId/comparison', authMiddleware, [
+  param('listingId').isMongoId().withMessage('Invalid listing ID'),
+  query('mortgagePayout').optional().isFloat({ min: 0 }).withMessage('Mortgage payout must be non-negative'),
+  query('legalFees').optional().isFloat({ min: 0 }).withMessage('Legal fees must be non-negative'),
+  ...Object.keys(DEFAULT_CERTAINTY_WEIGHTS).map(factor =>
+    query(`weights.${factor}`).optional().isFloat({ min: 0 }).withMessage(`Weight for ${factor} must be non-negative`)
+  )
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const listing = await Listing.findById(req.params.listingId).populate('property', 'address askingPrice');
+
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    if (listing.seller.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Not authorized to view offers on this listing' });
+    }
+
+    if (listing.isHoldingOffers()) {
+      return res.status(403).json({ error: sealedMessage(listing) });
+    }
+
+    const offers = await Offer.find({
+      listing: listing._id,
+      seller: req.user.userId,
+      status: { $in: OPEN_OFFER_STATUSES }
+    }).populate('buyer', 'name');
+
+    let comparison;
+    try {
+      comparison = compareOffers(offers, {
+        askingPrice: listing.property?.askingPrice,
+        legalFees: req.query.legalFees !== undefined ? Number(req.query.legalFees) : undefined,
+        mortgagePayout: Number(req.query.mortgagePayout || 0),
+        weights: req.query.weights
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    res.json({
+      listingId: listing._id,
+      address: formatAddress(listing.property),
+      ...comparison
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @route GET /offers/listing/:listingId
  * @desc Get all offers on a listing (seller only)
@@ -478,6 +843,14 @@ router.get('/listing/:listingId', authMiddleware, [
       return res.status(403).json({ error: 'Not authorized to view offers on this listing' });
     }
 
+    if (listing.isHoldingOffers()) {
+      return res.status(403).json({
+        error: sealedMessage(listing),
+        presentationDate: listing.offerHoldback.presentationDate,
+        offerCount: await countOpenOffers(listing._id)
+      });
+    }
+
     const offers = await Offer.find({ listing: req.params.listingId })
       .populate('buyer', 'name email')
       .sort('-createdAt');
@@ -3,6 +3,8 @@ const router = express.Router();
 const Transaction = require('../models/transaction.model');
 const User = require('../models/user.model');
 const authMiddleware = require('../auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const { logAudit } = require('../services/audit.service');
 
 // Stripe initialization (requires STRIPE_SECRET_KEY in environment)
 let stripe;
@@ -25,19 +27,6 @@ const requireStripe = (req, res, next) => {
   next();
 };
 
-// Admin middleware
-const adminMiddleware = async (req, res, next) => {
-  try {
-    const user = await User.findById(req.user.userId);
-    if (!user || !user.isAdmin) {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
-  } catch (err) {
-    res.status(500).json({ error: 'Authorization check failed' });
-  }
-};
-
 // Get payment configuration (public key for frontend)
 router.get('/config', (req, res) => {
   res.json({
@@ -122,6 +111,16 @@ router.post('/create-payment-intent', authMiddleware, requireStripe, async (req,
       await transaction.save();
     }
 
+    await logAudit({
+      action: 'PAYMENT_INITIATE',
+      userId: req.user.userId,
+      userEmail: user.email,
+      req,
+      resourceType: 'payment',
+      resourceId: transaction._id,
+      details: { paymentIntentId: paymentIntent.id, amount, currency: 'CAD' }
+    });
+
     res.json({
       clientSecret: paymentIntent.client_secret,
       paymentIntentId: paymentIntent.id,
@@ -200,6 +199,15 @@ async function handlePaymentSuccess(paymentIntent) {
     transaction.platformFee.paymentReference = paymentIntent.id;
 
     await transaction.save();
+
+    await logAudit({
+      action: 'PAYMENT_SUCCESS',
+      userId: paymentIntent.metadata.sellerId,
+      resourceType: 'payment',
+      resourceId: transaction._id,
+      details: { paymentIntentId: paymentIntent.id, amount: paymentIntent.amount / 100, currency: paymentIntent.currency }
+    });
+
     console.log(`Commission paid for transaction ${transactionId}`);
   } catch (err) {
     console.error('Error handling payment success:', err);
@@ -211,7 +219,16 @@ async function handlePaymentFailed(paymentIntent) {
   try {
     const transactionId = paymentIntent.metadata.transactionId;
     console.log(`Payment failed for transaction ${transactionId}`);
-    // Could add notification logic here
+
+    await logAudit({
+      action: 'PAYMENT_FAILED',
+      userId: paymentIntent.metadata.sellerId,
+      resourceType: 'payment',
+      resourceId: transactionId,
+      details: { paymentIntentId: paymentIntent.id, amount: paymentIntent.amount / 100 },
+      success: false,
+      errorMessage: paymentIntent.last_payment_error?.message
+    });
   } catch (err) {
     console.error('Error handling payment failure:', err);
   }
@@ -306,6 +323,16 @@ router.post('/mark-paid', authMiddleware, adminMiddleware, async (req, res) => {
 
     await transaction.save();
 
+    await logAudit({
+      action: 'ADMIN_COMMISSION_MARK_PAID',
+      userId: req.user.userId,
+      userEmail: req.adminUser?.email,
+      req,
+      resourceType: 'payment',
+      resourceId: transaction._id,
+      details: { paymentMethod: transaction.platformFee.paymentMethod, paymentReference, amount: transaction.platformFee.amount }
+    });
+
     res.json({
       message: 'Commission marked as paid',
       platformFee: transaction.platformFee
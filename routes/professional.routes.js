@@ -4,6 +4,18 @@ const Professional = require('../models/professional.model');
 const authMiddleware = require('../auth.middleware');
 const adminMiddleware = require('../middleware/admin.middleware');
 const { body, validationResult, query } = require('express-validator');
+const { logAudit } = require('../services/audit.service');
+
+// Record an admin change to a professional listing
+const auditProfessionalChange = (req, professionalId, change, details = {}) => logAudit({
+  action: 'ADMIN_PROFESSIONAL_UPDATE',
+  userId: req.user.userId,
+  userEmail: req.adminUser?.email,
+  req,
+  resourceType: 'professional',
+  resourceId: professionalId,
+  details: { change, ...details }
+});
 
 // Category display names
 const CATEGORY_NAMES = {
@@ -290,6 +302,7 @@ router.post('/admin/create', authMiddleware, adminMiddleware, async (req, res) =
     });
 
     await professional.save();
+    await auditProfessionalChange(req, professional._id, 'create', { name: professional.name });
 
     res.status(201).json({
       message: 'Professional created successfully',
@@ -314,6 +327,8 @@ router.put('/admin/:id', authMiddleware, adminMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Professional not found' });
     }
 
+    await auditProfessionalChange(req, professional._id, 'update', { fields: Object.keys(req.body) });
+
     res.json({
       message: 'Professional updated successfully',
       professional
@@ -341,6 +356,8 @@ router.put('/admin/:id/approve', authMiddleware, adminMiddleware, async (req, re
       return res.status(404).json({ error: 'Professional not found' });
     }
 
+    await auditProfessionalChange(req, professional._id, 'approve', { verified: professional.verified });
+
     res.json({
       message: 'Professional approved successfully',
       professional
@@ -360,6 +377,8 @@ router.delete('/admin/:id', authMiddleware, adminMiddleware, async (req, res) =>
       return res.status(404).json({ error: 'Professional not found' });
     }
 
+    await auditProfessionalChange(req, professional._id, 'delete', { name: professional.name });
+
     res.json({ message: 'Professional deleted successfully' });
   } catch (err) {
     console.error('Error deleting professional:', err);
@@ -378,6 +397,7 @@ router.put('/admin/:id/featured', authMiddleware, adminMiddleware, async (req, r
 
     professional.featured = !professional.featured;
     await professional.save();
+    await auditProfessionalChange(req, professional._id, 'featured', { featured: professional.featured });
 
     res.json({
       message: `Professional ${professional.featured ? 'featured' : 'unfeatured'}`,
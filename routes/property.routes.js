@@ -3,6 +3,8 @@ const router = express.Router();
 const { body, param, query, validationResult } = require('express-validator');
 const Property = require('../models/property.model');
 const authMiddleware = require('../auth.middleware');
+const requireVerifiedEmail = require('../middleware/verified-email.middleware');
+const { logAudit } = require('../services/audit.service');
 const { getAllProvinceCodes } = require('../config/provinces');
 
 const provinceCodes = getAllProvinceCodes();
@@ -27,6 +29,10 @@ const idValidation = [
   param('id').isMongoId().withMessage('Invalid property ID')
 ];
 
+// Activating a property requires a verified email; other status changes don't
+const requireVerifiedToActivate = (req, res, next) =>
+  req.body.status === 'active' ? requireVerifiedEmail(req, res, next) : next();
+
 // Search/filter validation
 const searchValidation = [
   query('province').optional().isIn(provinceCodes),
@@ -54,41 +60,13 @@ router.get('/', searchValidation, async (req, res) => {
     }
 
     const {
-      province,
-      city,
-      propertyType,
-      minPrice,
-      maxPrice,
-      minBedrooms,
-      maxBedrooms,
-      minBathrooms,
       page = 1,
       limit = 20,
       sort = '-createdAt'
     } = req.query;
 
     // Build filter
-    const filter = { status: 'active' };
-
-    if (province) filter.province = province;
-    if (city) filter['address.city'] = new RegExp(city, 'i');
-    if (propertyType) filter.propertyType = propertyType;
-
-    if (minPrice || maxPrice) {
-      filter.askingPrice = {};
-      if (minPrice) filter.askingPrice.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.askingPrice.$lte = parseFloat(maxPrice);
-    }
-
-    if (minBedrooms || maxBedrooms) {
-      filter.bedrooms = {};
-      if (minBedrooms) filter.bedrooms.$gte = parseInt(minBedrooms);
-      if (maxBedrooms) filter.bedrooms.$lte = parseInt(maxBedrooms);
-    }
-
-    if (minBathrooms) {
-      filter.bathrooms = { $gte: parseFloat(minBathrooms) };
-    }
+    const filter = Property.buildSearchFilter(req.query);
 
     // Execute query with pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -181,6 +159,15 @@ router.post('/', authMiddleware, propertyValidation, async (req, res) => {
     const property = new Property(propertyData);
     await property.save();
 
+    await logAudit({
+      action: 'PROPERTY_CREATE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'property',
+      resourceId: property._id,
+      details: { askingPrice: property.askingPrice, province: property.province }
+    });
+
     res.status(201).json(property);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -210,6 +197,8 @@ router.put('/:id', authMiddleware, idValidation, async (req, res) => {
       return res.status(403).json({ error: 'Not authorized to update this property' });
     }
 
+    const previousPrice = property.askingPrice;
+
     // Track price changes
     if (req.body.askingPrice && req.body.askingPrice !== property.askingPrice) {
       property.priceHistory.push({
@@ -221,19 +210,31 @@ router.put('/:id', authMiddleware, idValidation, async (req, res) => {
     // Update fields
     const allowedUpdates = [
       'address', 'legalDescription', 'propertyType', 'bedrooms', 'bathrooms',
-      'squareFeet', 'lotSize', 'lotSizeUnit', 'yearBuilt', 'parkingSpaces',
+      'squareFeet', 'lotSize', 'lotSizeUnit', 'yearBuilt', 'newConstruction', 'parkingSpaces',
       'parkingType', 'condoInfo', 'askingPrice', 'features', 'amenities',
       'appliances', 'heatingType', 'coolingType', 'basement', 'virtualTourUrl',
       'floorPlanUrl', 'description', 'highlights', 'propertyTaxes', 'assessedValue'
     ];
 
-    allowedUpdates.forEach(field => {
-      if (req.body[field] !== undefined) {
-        property[field] = req.body[field];
-      }
+    const updatedFields = allowedUpdates.filter(field => req.body[field] !== undefined);
+    updatedFields.forEach(field => {
+      property[field] = req.body[field];
     });
 
     await property.save();
+
+    await logAudit({
+      action: 'PROPERTY_UPDATE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'property',
+      resourceId: property._id,
+      details: {
+        fields: updatedFields,
+        ...(property.askingPrice !== previousPrice && { previousPrice, askingPrice: property.askingPrice })
+      }
+    });
+
     res.json(property);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -269,6 +270,16 @@ router.delete('/:id', authMiddleware, idValidation, async (req, res) => {
     }
 
     await Property.findByIdAndDelete(req.params.id);
+
+    await logAudit({
+      action: 'PROPERTY_DELETE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'property',
+      resourceId: property._id,
+      details: { address: property.address }
+    });
+
     res.json({ message: 'Property deleted successfully' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -280,7 +291,7 @@ router.delete('/:id', authMiddleware, idValidation, async (req, res) => {
  * @desc Update property status
  * @access Private (owner only)
  */
-router.patch('/:id/status', authMiddleware, idValidation, [
+router.patch('/:id/status', authMiddleware, requireVerifiedToActivate, idValidation, [
   body('status').isIn(['draft', 'active', 'pending', 'sold', 'withdrawn', 'expired'])
     .withMessage('Invalid status')
 ], async (req, res) => {
@@ -300,9 +311,19 @@ router.patch('/:id/status', authMiddleware, idValidation, [
       return res.status(403).json({ error: 'Not authorized' });
     }
 
+    const previousStatus = property.status;
     property.status = req.body.status;
     await property.save();
 
+    await logAudit({
+      action: 'PROPERTY_UPDATE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'property',
+      resourceId: property._id,
+      details: { fields: ['status'], from: previousStatus, to: property.status }
+    });
+
     res.json(property);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -2,10 +2,13 @@ const express = require('express');
 const router = express.Router();
 const Showing = require('../models/showing.model');
 const Property = require('../models/property.model');
+const Listing = require('../models/listing.model');
 const User = require('../models/user.model');
 const authMiddleware = require('../auth.middleware');
 const { body, validationResult } = require('express-validator');
 const emailService = require('../services/email.service');
+const { notify, formatAddress } = require('../services/notification.service');
+const { getShowingSettings, generateSlots, checkSlot } = require('../services/showing-availability.service');
 
 // Validation for showing request
 const showingValidation = [
@@ -16,6 +19,17 @@ const showingValidation = [
   body('buyerMessage').optional().isLength({ max: 500 }).withMessage('Message too long')
 ];
 
+// Get showings that block slots on a given day
+const getBookedSlots = async (propertyId, date) => {
+  const showings = await Showing.find({
+    property: propertyId,
+    requestedDate: date,
+    status: { $in: ['pending', 'approved'] }
+  }).select('timeSlot');
+
+  return showings.map(s => s.timeSlot);
+};
+
 // Request a showing (buyer)
 router.post('/request', authMiddleware, showingValidation, async (req, res) => {
   try {
@@ -41,16 +55,17 @@ router.post('/request', authMiddleware, showingValidation, async (req, res) => {
       return res.status(400).json({ error: 'Cannot request showing on your own property' });
     }
 
-    // Check for existing showing at same time
-    const existingShowing = await Showing.findOne({
-      property: propertyId,
-      requestedDate: new Date(requestedDate),
-      'timeSlot.start': timeSlot.start,
-      status: { $in: ['pending', 'approved'] }
+    // Check the slot against the seller's availability and existing bookings
+    const listing = await Listing.findOne({ property: propertyId, status: 'active' });
+    const slotCheck = checkSlot({
+      date: requestedDate,
+      timeSlot,
+      settings: getShowingSettings(listing),
+      bookedSlots: await getBookedSlots(propertyId, new Date(requestedDate))
     });
 
-    if (existingShowing) {
-      return res.status(400).json({ error: 'This time slot is already booked' });
+    if (!slotCheck.available) {
+      return res.status(400).json({ error: slotCheck.reason });
     }
 
     // Create the showing request
@@ -66,6 +81,15 @@ router.post('/request', authMiddleware, showingValidation, async (req, res) => {
 
     await showing.save();
 
+    await notify({
+      userId: property.seller,
+      type: 'showing',
+      title: 'New Showing Request',
+      message: `Showing requested for ${formatAddress(property)} on ${new Date(requestedDate).toLocaleDateString('en-CA')} at ${timeSlot.start}`,
+      link: '/showings',
+      metadata: { showingId: showing._id, propertyId: property._id }
+    });
+
     // Notify seller
     const seller = await User.findById(property.seller);
     if (seller && seller.email) {
@@ -176,6 +200,15 @@ router.put('/:id/approve', authMiddleware, async (req, res) => {
     showing.sellerMessage = req.body.message || '';
     await showing.save();
 
+    await notify({
+      userId: showing.buyer?._id,
+      type: 'showing',
+      title: 'Showing Approved',
+      message: `Your showing at ${formatAddress(showing.property)} on ${showing.formattedDate} at ${showing.timeSlot.start} was approved`,
+      link: '/showings',
+      metadata: { showingId: showing._id, propertyId: showing.property?._id }
+    });
+
     // Notify buyer
     if (showing.buyer && showing.buyer.email) {
       try {
@@ -234,6 +267,15 @@ router.put('/:id/reject', authMiddleware, async (req, res) => {
 
     await showing.save();
 
+    await notify({
+      userId: showing.buyer?._id,
+      type: 'showing',
+      title: 'Showing Declined',
+      message: `Your showing request at ${formatAddress(showing.property)} on ${showing.formattedDate} could not be accommodated`,
+      link: '/showings',
+      metadata: { showingId: showing._id, propertyId: showing.property?._id }
+    });
+
     // Notify buyer
     if (showing.buyer && showing.buyer.email) {
       try {
@@ -305,6 +347,15 @@ router.put('/:id/cancel', authMiddleware, async (req, res) => {
     const recipient = isBuyer ? showing.seller : showing.buyer;
     const cancelledBy = isBuyer ? 'buyer' : 'seller';
 
+    await notify({
+      userId: recipient?._id,
+      type: 'showing',
+      title: 'Showing Cancelled',
+      message: `The ${cancelledBy} cancelled the showing at ${formatAddress(showing.property)} on ${showing.formattedDate}`,
+      link: '/showings',
+      metadata: { showingId: showing._id, propertyId: showing.property?._id }
+    });
+
     if (recipient && recipient.email) {
       try {
         await emailService.sendEmail({
@@ -430,30 +481,24 @@ router.get('/available-slots/:propertyId/:date', async (req, res) => {
       return res.status(404).json({ error: 'Property not available' });
     }
 
-    // Get already booked slots for this date
-    const bookedShowings = await Showing.find({
-      property: propertyId,
-      requestedDate: new Date(date),
-      status: { $in: ['pending', 'approved'] }
-    });
-
-    const bookedSlots = bookedShowings.map(s => s.timeSlot.start);
-
-    // Generate available 30-minute slots from 9am to 7pm
-    const allSlots = [];
-    for (let hour = 9; hour < 19; hour++) {
-      allSlots.push(`${hour.toString().padStart(2, '0')}:00`);
-      allSlots.push(`${hour.toString().padStart(2, '0')}:30`);
+    if (isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
     }
 
-    const availableSlots = allSlots.filter(slot => !bookedSlots.includes(slot));
+    // Intersect the seller's weekly windows with blackouts and existing bookings
+    const listing = await Listing.findOne({ property: propertyId, status: 'active' });
+    const settings = getShowingSettings(listing);
+    const availableSlots = generateSlots({
+      date,
+      settings,
+      bookedSlots: await getBookedSlots(propertyId, new Date(date))
+    });
 
     res.json({
       date,
-      availableSlots: availableSlots.map(start => ({
-        start,
-        end: getEndTime(start)
-      }))
+      slotMinutes: settings.slotMinutes,
+      bufferMinutes: settings.bufferMinutes,
+      availableSlots
     });
   } catch (err) {
     console.error('Error fetching available slots:', err);
@@ -461,16 +506,4 @@ router.get('/available-slots/:propertyId/:date', async (req, res) => {
   }
 });
 
-// Helper to calculate end time (30 min after start)
-function getEndTime(startTime) {
-  const [hours, minutes] = startTime.split(':').map(Number);
-  let endMinutes = minutes + 30;
-  let endHours = hours;
-  if (endMinutes >= 60) {
-    endMinutes -= 60;
-    endHours += 1;
-  }
-  return `${endHours.toString().padStart(2, '0')}:${endMinutes.toString().padStart(2, '0')}`;
-}
-
 module.exports = router;
@@ -1,17 +1,117 @@
 const express = require('express');
 const router = express.Router();
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const Transaction = require('../models/transaction.model');
 const Condition = require('../models/condition.model');
 const Listing = require('../models/listing.model');
 const Property = require('../models/property.model');
+const Offer = require('../models/offer.model');
 const authMiddleware = require('../auth.middleware');
-const { calculateLandTransferTax, estimateClosingCosts } = require('../config/provinces');
+const { notify, notifyMany } = require('../services/notification.service');
+const {
+  getPartyRole,
+  checkTransition,
+  applyTransition,
+  describeNextStep,
+  isStatementCurrent
+} = require('../services/transaction-workflow.service');
+const { logAudit } = require('../services/audit.service');
+const { rescindTransaction } = require('../services/rescission.service');
+const {
+  proposeMutualRelease,
+  closeMutualRelease
+} = require('../services/mutual-release.service');
+const {
+  loadCondition,
+  requestConditionNotice,
+  proposeExtension,
+  closeExtension,
+  failCondition
+} = require('../services/condition.service');
+const { generateStatementOfAdjustments } = require('../services/statement-of-adjustments.service');
+const FundsReceipt = require('../models/funds-receipt.model');
+const {
+  recordFundsReceipt,
+  receiptView
+} = require('../services/funds-receipt.service');
+const { getComplianceReviewerIds } = require('../services/fintrac.service');
+const { getLedger, recordDeposit } = require('../services/trust-ledger.service');
+const {
+  PAYMENT_FREQUENCIES,
+  calculateMinimumDownPayment,
+  calculateInsurancePremium,
+  calculateQualifyingRate,
+  buildAmortizationSchedule
+} = require('../services/mortgage.service');
+const {
+  calculateLandTransferTax,
+  estimateClosingCosts,
+  normalizeTaxOptions,
+  BUYER_TYPES,
+  CITIZENSHIP_STATUSES,
+  RESIDENCY_STATUSES
+} = require('../config/provinces');
+const { HttpError } = require('../services/errors');
 
 const idValidation = [
   param('id').isMongoId().withMessage('Invalid transaction ID')
 ];
 
+const conditionIdValidation = [
+  ...idValidation,
+  param('conditionId').isMongoId().withMessage('Invalid condition ID')
+];
+
+// FINTRAC receipt of funds details: method, payer, account, third-party
+// determination and source of funds
+const fundsReceiptValidation = [
+  body('method').isIn(FundsReceipt.schema.path('method').enumValues).withMessage('Valid payment method is required'),
+  body('receivedAt').optional().isISO8601().withMessage('Invalid received date'),
+  body('payer.user').optional().isMongoId().withMessage('Invalid payer'),
+  body('payer.name').optional().trim().notEmpty(),
+  body('payer.address').if(body('payer.name').exists()).if(body('payer.user').not().exists())
+    .trim().notEmpty().withMessage('Payer address is required'),
+  body('payer.dateOfBirth').optional().isISO8601(),
+  body('payer.occupation').optional().trim(),
+  body('account.institution').if(body('method').not().equals('cash')).trim().notEmpty()
+    .withMessage('Financial institution is required for funds from an account'),
+  body('account.number').if(body('method').not().equals('cash')).trim().notEmpty()
+    .withMessage('Account number is required for funds from an account'),
+  body('account.holderName').optional().trim(),
+  body('account.country').optional().trim().notEmpty(),
+  body('thirdParty.involved').isBoolean().withMessage('Third-party determination is required'),
+  body('thirdParty.person.name').if(body('thirdParty.involved').equals('true')).trim().notEmpty()
+    .withMessage('Third party name is required'),
+  body('thirdParty.person.address').if(body('thirdParty.involved').equals('true')).trim().notEmpty()
+    .withMessage('Third party address is required'),
+  body('thirdParty.relationship').if(body('thirdParty.involved').equals('true')).trim().notEmpty()
+    .withMessage('Relationship to the third party is required'),
+  body('thirdParty.determinationNotes').optional().trim(),
+  body('sourceOfFunds.type').isIn(FundsReceipt.schema.path('sourceOfFunds').schema.path('type').enumValues)
+    .withMessage('Source of funds is required'),
+  body('sourceOfFunds.details').optional().trim().isLength({ max: 1000 })
+];
+
+// Tell compliance reviewers about a receipt that needs review
+const notifyFlaggedReceipt = async (transaction, receipt) => {
+  if (receipt.review.status !== 'pending') return;
+
+  await notifyMany(await getComplianceReviewerIds(), {
+    type: 'system',
+    title: receipt.largeCash.flagged ? 'Large cash transaction' : 'Funds receipt flagged',
+    message: `$${receipt.amount.toLocaleString('en-CA')} by ${receipt.method.replace(/_/g, ' ')}: ${receipt.indicators.map(i => i.code).join(', ')}`,
+    link: '/dashboard',
+    metadata: { transactionId: transaction._id, fundsReceiptId: receipt._id }
+  });
+};
+
+// The party on the other side of the transaction from userId
+const otherParty = (transaction, userId) =>
+  transaction.buyer.toString() === userId ? transaction.seller : transaction.buyer;
+
+// Human-readable step name, e.g. 'title_search' -> 'title search'
+const formatStep = (step) => step.replace(/_/g, ' ');
+
 /**
  * @route GET /transactions/my-transactions
  * @desc Get current user's transactions
@@ -71,12 +171,20 @@ router.get('/:id', authMiddleware, idValidation, async (req, res) => {
     const daysUntilClosing = transaction.getDaysUntilClosing();
     const nextAction = transaction.getNextAction();
     const isOverdue = transaction.isOverdue();
+    const rescissionOpen = transaction.isRescissionOpen();
+    const workflow = describeNextStep(
+      transaction,
+      transaction.conditions,
+      getPartyRole(transaction, userId)
+    );
 
     res.json({
       ...transaction.toObject(),
       daysUntilClosing,
       nextAction,
-      isOverdue
+      isOverdue,
+      rescissionOpen,
+      workflow
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -85,8 +193,8 @@ router.get('/:id', authMiddleware, idValidation, async (req, res) => {
 
 /**
  * @route PUT /transactions/:id/step
- * @desc Advance transaction to next step
- * @access Private
+ * @desc Advance transaction to the next workflow step
+ * @access Private (role depends on the step - see transaction-workflow.service)
  */
 router.put('/:id/step', authMiddleware, idValidation, [
   body('step').notEmpty().withMessage('Step is required'),
@@ -105,42 +213,26 @@ router.put('/:id/step', authMiddleware, idValidation, [
     }
 
     const userId = req.user.userId;
-    if (transaction.buyer.toString() !== userId &&
-        transaction.seller.toString() !== userId) {
+    const role = getPartyRole(transaction, userId);
+    if (!role) {
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    const validSteps = [
-      'offer_accepted', 'deposit_pending', 'conditions_pending',
-      'conditions_complete', 'lawyer_engaged', 'title_search',
-      'mortgage_finalized', 'closing_documents', 'final_walkthrough',
-      'closing_day', 'completed'
-    ];
+    const conditions = await Condition.find({ transaction: transaction._id });
+    const check = checkTransition({ transaction, conditions, toStep: req.body.step, role });
 
-    if (!validSteps.includes(req.body.step)) {
-      return res.status(400).json({ error: 'Invalid step' });
+    if (!check.allowed) {
+      return res.status(check.httpStatus).json({
+        error: check.error,
+        ...(check.unmet && { unmet: check.unmet }),
+        ...(check.nextStep && { nextStep: check.nextStep })
+      });
     }
 
-    // Record step completion
-    transaction.stepsCompleted.push({
-      step: transaction.currentStep,
-      completedAt: new Date(),
-      completedBy: userId,
-      notes: req.body.notes
-    });
-
-    transaction.currentStep = req.body.step;
-
-    // Update status based on step
-    if (req.body.step === 'conditions_complete') {
-      transaction.status = 'firm';
-      transaction.firmDate = new Date();
-    } else if (req.body.step === 'closing_day') {
-      transaction.status = 'closing';
-    } else if (req.body.step === 'completed') {
-      transaction.status = 'completed';
-      transaction.actualClosingDate = new Date();
+    const previousStep = transaction.currentStep;
+    applyTransition(transaction, check.transition, { userId, notes: req.body.notes });
 
+    if (transaction.status === 'completed') {
       // Update listing and property
       await Listing.findByIdAndUpdate(transaction.listing, {
         status: 'sold',
@@ -156,6 +248,34 @@ router.put('/:id/step', authMiddleware, idValidation, [
 
     await transaction.save();
 
+    await logAudit({
+      action: transaction.status === 'completed' ? 'TRANSACTION_COMPLETE' : 'TRANSACTION_STEP',
+      userId,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: { from: previousStep, to: transaction.currentStep, status: transaction.status }
+    });
+
+    if (transaction.status === 'completed') {
+      await notifyMany([transaction.buyer, transaction.seller], {
+        type: 'transaction',
+        title: 'Transaction Completed',
+        message: 'Congratulations! The transaction has closed.',
+        link: `/transactions/${transaction._id}`,
+        metadata: { transactionId: transaction._id, propertyId: transaction.property }
+      });
+    } else {
+      await notify({
+        userId: otherParty(transaction, userId),
+        type: 'transaction',
+        title: 'Transaction Update',
+        message: `The transaction moved to: ${formatStep(transaction.currentStep)}`,
+        link: `/transactions/${transaction._id}`,
+        metadata: { transactionId: transaction._id, propertyId: transaction.property }
+      });
+    }
+
     res.json(transaction);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -204,12 +324,405 @@ router.put('/:id/lawyers', authMiddleware, idValidation, async (req, res) => {
 
     await transaction.save();
 
+    await logAudit({
+      action: 'TRANSACTION_UPDATE',
+      userId,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: { fields: ['buyerLawyer', 'sellerLawyer', 'notary'].filter(f => req.body[f]) }
+    });
+
     res.json(transaction);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * @route PUT /transactions/:id/deposit
+ * @desc Confirm the buyer's deposit (or part of it) has been received,
+ *       recording the FINTRAC receipt of funds and posting it to the trust
+ *       ledger. The deposit is received once the full amount is in trust.
+ * @access Private (seller only)
+ */
+router.put('/:id/deposit', authMiddleware, idValidation, [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+  ...fundsReceiptValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const userId = req.user.userId;
+    if (getPartyRole(transaction, userId) !== 'seller') {
+      return res.status(403).json({ error: 'Only the seller can confirm the deposit' });
+    }
+
+    if (transaction.depositStatus !== 'pending') {
+      return res.status(400).json({ error: `Deposit is already ${transaction.depositStatus.replace(/_/g, ' ')}` });
+    }
+
+    const { balances } = await getLedger(transaction);
+    const outstanding = Math.round((transaction.depositAmount - balances.received) * 100) / 100;
+
+    const fundsReceipt = await recordFundsReceipt(transaction, {
+      ...req.body,
+      purpose: 'deposit',
+      amount: req.body.amount || outstanding
+    }, { recordedBy: userId });
+    const ledgerEntry = await recordDeposit(transaction, fundsReceipt, { postedBy: userId });
+
+    const received = Math.round((balances.received + fundsReceipt.amount) * 100) / 100;
+    if (received >= transaction.depositAmount) {
+      transaction.depositStatus = 'received';
+      transaction.depositReceivedDate = fundsReceipt.receivedAt;
+      await transaction.save();
+
+      await logAudit({
+        action: 'TRANSACTION_UPDATE',
+        userId,
+        req,
+        resourceType: 'transaction',
+        resourceId: transaction._id,
+        details: { depositStatus: 'received', depositAmount: transaction.depositAmount }
+      });
+    }
+
+    await logAudit({
+      action: 'FUNDS_RECEIPT_RECORD',
+      userId,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: {
+        fundsReceiptId: fundsReceipt._id,
+        amount: fundsReceipt.amount,
+        method: fundsReceipt.method,
+        largeCash: fundsReceipt.largeCash.flagged,
+        indicators: fundsReceipt.indicators.map(i => i.code),
+        ledgerEntry: ledgerEntry.entryNumber
+      }
+    });
+
+    const message = transaction.depositStatus === 'received'
+      ? 'The seller confirmed your deposit was received.'
+      : `The seller confirmed $${fundsReceipt.amount.toLocaleString()} of your $${transaction.depositAmount.toLocaleString()} deposit was received.`;
+    await notify({
+      userId: transaction.buyer,
+      type: 'transaction',
+      title: 'Deposit Received',
+      message,
+      link: `/transactions/${transaction._id}`,
+      metadata: { transactionId: transaction._id, propertyId: transaction.property }
+    });
+
+    await notifyFlaggedReceipt(transaction, fundsReceipt);
+
+    res.json({
+      transaction,
+      fundsReceipt: receiptView(fundsReceipt),
+      depositReceived: received,
+      depositOutstanding: Math.max(0, Math.round((transaction.depositAmount - received) * 100) / 100)
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /transactions/:id/funds-receipts
+ * @desc Record other funds received on the transaction (additional deposit,
+ *       balance due on closing)
+ * @access Private (seller only)
+ */
+router.post('/:id/funds-receipts', authMiddleware, idValidation, [
+  body('purpose').isIn(['additional_deposit', 'balance_due', 'other']).withMessage('Valid purpose is required'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+  ...fundsReceiptValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const userId = req.user.userId;
+    if (getPartyRole(transaction, userId) !== 'seller') {
+      return res.status(403).json({ error: 'Only the seller can record funds received' });
+    }
+
+    if (['cancelled', 'completed'].includes(transaction.status)) {
+      return res.status(400).json({ error: `Transaction is ${transaction.status}` });
+    }
+
+    const fundsReceipt = await recordFundsReceipt(transaction, req.body, { recordedBy: userId });
+    const ledgerEntry = await recordDeposit(transaction, fundsReceipt, { postedBy: userId });
+
+    await logAudit({
+      action: 'FUNDS_RECEIPT_RECORD',
+      userId,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: {
+        fundsReceiptId: fundsReceipt._id,
+        purpose: fundsReceipt.purpose,
+        amount: fundsReceipt.amount,
+        method: fundsReceipt.method,
+        largeCash: fundsReceipt.largeCash.flagged,
+        indicators: fundsReceipt.indicators.map(i => i.code),
+        ledgerEntry: ledgerEntry?.entryNumber
+      }
+    });
+
+    await notifyFlaggedReceipt(transaction, fundsReceipt);
+
+    res.status(201).json(receiptView(fundsReceipt));
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /transactions/:id/funds-receipts
+ * @desc Funds received on the transaction
+ * @access Private (buyer or seller)
+ */
+router.get('/:id/funds-receipts', authMiddleware, idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (!getPartyRole(transaction, req.user.userId)) {
+      return res.status(403).json({ error: 'Not authorized to view this transaction' });
+    }
+
+    const receipts = await FundsReceipt.find({ transaction: transaction._id }).sort({ receivedAt: 1 });
+
+    res.json({
+      totalReceived: receipts.reduce((sum, r) => sum + r.amount, 0),
+      receipts: receipts.map(r => receiptView(r))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route GET /transactions/:id/trust-ledger
+ * @desc Deposit trust ledger entries and balances
+ * @access Private (buyer or seller)
+ */
+router.get('/:id/trust-ledger', authMiddleware, idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (!getPartyRole(transaction, req.user.userId)) {
+      return res.status(403).json({ error: 'Not authorized to view this transaction' });
+    }
+
+    const { entries, balances } = await getLedger(transaction);
+
+    res.json({
+      depositAmount: transaction.depositAmount,
+      depositStatus: transaction.depositStatus,
+      depositHeldBy: transaction.depositHeldBy,
+      balances,
+      entries
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route POST /transactions/:id/statement-of-adjustments
+ * @desc Compute prorations as of the closing date and generate the Statement of Adjustments
+ * @access Private (buyer or seller)
+ */
+router.post('/:id/statement-of-adjustments', authMiddleware, idValidation, [
+  body('propertyTaxPaid').optional().isFloat({ min: 0 }).withMessage('Property tax paid must be non-negative'),
+  body('annualPropertyTax').optional().isFloat({ min: 0 }).withMessage('Annual property tax must be non-negative'),
+  body('condoFeePaidForClosingMonth').optional().isBoolean(),
+  body('rentalsPaidForClosingMonth').optional().isBoolean(),
+  body('fuelOil.litres').optional().isFloat({ min: 0 }),
+  body('fuelOil.pricePerLitre').if(body('fuelOil.litres').exists())
+    .isFloat({ min: 0 }).withMessage('Fuel oil price per litre is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const userId = req.user.userId;
+    if (!getPartyRole(transaction, userId)) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (['completed', 'cancelled'].includes(transaction.status)) {
+      return res.status(400).json({ error: `Cannot adjust a ${transaction.status} transaction` });
+    }
+
+    const toBoolean = (value) => value === undefined ? undefined : value === true || value === 'true';
+    const { transaction: updated, document, statement } = await generateStatementOfAdjustments({
+      transactionId: transaction._id,
+      userId,
+      inputs: {
+        propertyTaxPaid: req.body.propertyTaxPaid !== undefined ? Number(req.body.propertyTaxPaid) : undefined,
+        annualPropertyTax: req.body.annualPropertyTax !== undefined ? Number(req.body.annualPropertyTax) : undefined,
+        condoFeePaidForClosingMonth: toBoolean(req.body.condoFeePaidForClosingMonth),
+        rentalsPaidForClosingMonth: toBoolean(req.body.rentalsPaidForClosingMonth),
+        fuelOil: req.body.fuelOil && {
+          litres: Number(req.body.fuelOil.litres),
+          pricePerLitre: Number(req.body.fuelOil.pricePerLitre)
+        }
+      }
+    });
+
+    await logAudit({
+      action: 'DOCUMENT_GENERATE',
+      userId,
+      req,
+      resourceType: 'document',
+      resourceId: document._id,
+      details: {
+        documentType: 'statement_of_adjustments',
+        transactionId: transaction._id,
+        balanceDueOnClosing: statement.balanceDueOnClosing
+      }
+    });
+
+    await notify({
+      userId: otherParty(transaction, userId),
+      type: 'transaction',
+      title: 'Statement of Adjustments Ready',
+      message: `A Statement of Adjustments was generated. Balance due on closing: $${statement.balanceDueOnClosing.toLocaleString()}. Please review and approve it.`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { transactionId: transaction._id, documentId: document._id }
+    });
+
+    res.status(201).json({
+      statementOfAdjustments: updated.statementOfAdjustments,
+      financials: updated.financials,
+      adjustments: statement.adjustments,
+      totals: statement.totals,
+      document
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @route PUT /transactions/:id/statement-of-adjustments/approve
+ * @desc Approve the Statement of Adjustments for the current party
+ * @access Private
+ */
+router.put('/:id/statement-of-adjustments/approve', authMiddleware, idValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const userId = req.user.userId;
+    const role = getPartyRole(transaction, userId);
+    if (!role) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    // Approval is of a specific generated statement for the current closing date
+    if (!isStatementCurrent(transaction)) {
+      return res.status(400).json({
+        error: 'Generate the Statement of Adjustments for the current closing date before approving it'
+      });
+    }
+
+    const soa = transaction.statementOfAdjustments;
+    if (role === 'buyer') {
+      soa.approvedByBuyer = true;
+      soa.approvedBuyerAt = new Date();
+    } else {
+      soa.approvedBySeller = true;
+      soa.approvedSellerAt = new Date();
+    }
+    await transaction.save();
+
+    await logAudit({
+      action: 'TRANSACTION_UPDATE',
+      userId,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: { statementOfAdjustments: `approved by ${role}` }
+    });
+
+    await notify({
+      userId: otherParty(transaction, userId),
+      type: 'transaction',
+      title: 'Statement of Adjustments Approved',
+      message: `The ${role} approved the Statement of Adjustments.`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { transactionId: transaction._id, propertyId: transaction.property }
+    });
+
+    res.json({ statementOfAdjustments: soa });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @route GET /transactions/:id/conditions
  * @desc Get conditions for a transaction
@@ -245,12 +758,12 @@ router.get('/:id/conditions', authMiddleware, idValidation, async (req, res) =>
 
 /**
  * @route PUT /transactions/:id/conditions/:conditionId
- * @desc Update a condition (fulfill, waive, or fail)
- * @access Private
+ * @desc Resolve a condition. Fulfilled or waived generates the notice of
+ *       fulfillment or waiver for the buyer to sign; the condition resolves
+ *       once it is signed. Failed proposes a mutual release.
+ * @access Private (buyer to fulfil or waive; either party to fail)
  */
-router.put('/:id/conditions/:conditionId', authMiddleware, [
-  param('id').isMongoId(),
-  param('conditionId').isMongoId(),
+router.put('/:id/conditions/:conditionId', authMiddleware, conditionIdValidation, [
   body('status').isIn(['fulfilled', 'waived', 'failed']).withMessage('Invalid status'),
   body('notes').optional().trim()
 ], async (req, res) => {
@@ -260,76 +773,202 @@ router.put('/:id/conditions/:conditionId', authMiddleware, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const transaction = await Transaction.findById(req.params.id);
+    const userId = req.user.userId;
+    const { transaction, condition } = await loadCondition(req.params.id, req.params.conditionId, userId);
+
+    if (req.body.status !== 'failed') {
+      const { condition: updated, document } = await requestConditionNotice(transaction, condition, {
+        userId,
+        status: req.body.status,
+        notes: req.body.notes,
+        ipAddress: req.ip
+      });
 
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
+      await logAudit({
+        action: 'CONDITION_NOTICE_REQUEST',
+        userId,
+        req,
+        resourceType: 'condition',
+        resourceId: condition._id,
+        details: {
+          transactionId: transaction._id,
+          conditionType: condition.conditionType,
+          resolution: req.body.status,
+          documentId: document._id
+        }
+      });
+
+      return res.status(201).json({
+        message: `Sign the ${document.title} to mark the condition ${req.body.status}`,
+        condition: updated,
+        document
+      });
     }
 
-    const userId = req.user.userId;
-    if (transaction.buyer.toString() !== userId &&
-        transaction.seller.toString() !== userId) {
-      return res.status(403).json({ error: 'Not authorized' });
+    const { condition: failed, release } = await failCondition(transaction, condition, {
+      userId,
+      notes: req.body.notes,
+      ipAddress: req.ip
+    });
+
+    await logAudit({
+      action: 'CONDITION_FAIL',
+      userId,
+      req,
+      resourceType: 'condition',
+      resourceId: condition._id,
+      details: { transactionId: transaction._id, conditionType: condition.conditionType, notes: req.body.notes }
+    });
+
+    if (release) {
+      await logAudit({
+        action: 'TRANSACTION_RELEASE_PROPOSE',
+        userId,
+        req,
+        resourceType: 'transaction',
+        resourceId: transaction._id,
+        details: {
+          reason: release.transaction.mutualRelease.reason,
+          failedCondition: condition.title,
+          depositToBuyer: release.transaction.mutualRelease.depositToBuyer,
+          depositToSeller: release.transaction.mutualRelease.depositToSeller,
+          documentId: release.document._id
+        }
+      });
     }
 
-    const condition = await Condition.findOne({
-      _id: req.params.conditionId,
-      transaction: req.params.id
+    res.json({
+      condition: failed,
+      transaction: release ? release.transaction : await Transaction.findById(transaction._id),
+      mutualRelease: release?.document
     });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (!condition) {
-      return res.status(404).json({ error: 'Condition not found' });
+/**
+ * @route POST /transactions/:id/conditions/:conditionId/extension
+ * @desc Propose a later deadline for a condition. Generates an amendment for
+ *       both parties to sign; the deadline moves once both have.
+ * @access Private (buyer or seller)
+ */
+router.post('/:id/conditions/:conditionId/extension', authMiddleware, conditionIdValidation, [
+  body('newDeadline').isISO8601().withMessage('Valid new deadline is required'),
+  body('reason').trim().notEmpty().withMessage('A reason for the extension is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    condition.status = req.body.status;
-    condition.resolvedAt = new Date();
-    condition.resolvedBy = userId;
-    condition.resolutionMethod = req.body.status;
-    condition.resolutionNotes = req.body.notes;
+    const userId = req.user.userId;
+    const { transaction, condition } = await loadCondition(req.params.id, req.params.conditionId, userId);
+    const { condition: updated, document } = await proposeExtension(transaction, condition, {
+      userId,
+      newDeadline: req.body.newDeadline,
+      reason: req.body.reason,
+      ipAddress: req.ip
+    });
 
-    await condition.save();
+    await logAudit({
+      action: 'CONDITION_EXTENSION_PROPOSE',
+      userId,
+      req,
+      resourceType: 'condition',
+      resourceId: condition._id,
+      details: {
+        transactionId: transaction._id,
+        previousDeadline: condition.deadlineDate,
+        newDeadline: document.content.newDeadline,
+        reason: req.body.reason,
+        documentId: document._id
+      }
+    });
 
-    // Check if all conditions are resolved
-    const allConditions = await Condition.find({ transaction: req.params.id });
-    const allResolved = allConditions.every(c =>
-      c.status === 'fulfilled' || c.status === 'waived'
-    );
-    const anyFailed = allConditions.some(c => c.status === 'failed');
-
-    if (anyFailed) {
-      // Transaction fails if any condition fails
-      transaction.status = 'cancelled';
-      transaction.cancellation = {
-        cancelledAt: new Date(),
-        cancelledBy: userId,
-        reason: 'Condition failed',
-        failedCondition: condition.title,
-        depositDisposition: 'returned_to_buyer'
-      };
-      await transaction.save();
+    res.status(201).json({
+      message: 'Extension proposed. The deadline moves once both parties sign the amendment.',
+      condition: updated,
+      document
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Reactivate listing
-      await Listing.findByIdAndUpdate(transaction.listing, { status: 'active' });
-      await Property.findByIdAndUpdate(transaction.property, { status: 'active' });
-    } else if (allResolved) {
-      transaction.status = 'firm';
-      transaction.firmDate = new Date();
-      transaction.currentStep = 'conditions_complete';
-      await transaction.save();
+/**
+ * @route POST /transactions/:id/conditions/:conditionId/extension/decline
+ * @desc Decline the other party's extension; the deadline stands
+ * @access Private (party who didn't propose it)
+ */
+router.post('/:id/conditions/:conditionId/extension/decline', authMiddleware, conditionIdValidation, [
+  body('reason').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  await respondToExtension(req, res, 'decline');
+});
+
+/**
+ * @route POST /transactions/:id/conditions/:conditionId/extension/withdraw
+ * @desc Withdraw your own extension before it is signed
+ * @access Private (party who proposed it)
+ */
+router.post('/:id/conditions/:conditionId/extension/withdraw', authMiddleware, conditionIdValidation, [
+  body('reason').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  await respondToExtension(req, res, 'withdraw');
+});
+
+// Decline or withdraw an extension awaiting signatures
+async function respondToExtension(req, res, action) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    res.json({ condition, transaction });
+    const userId = req.user.userId;
+    const { transaction, condition } = await loadCondition(req.params.id, req.params.conditionId, userId);
+    const extension = condition.getPendingExtension();
+    const updated = await closeExtension(transaction, condition, { userId, action, reason: req.body.reason });
+
+    await logAudit({
+      action: action === 'withdraw' ? 'CONDITION_EXTENSION_WITHDRAW' : 'CONDITION_EXTENSION_DECLINE',
+      userId,
+      req,
+      resourceType: 'condition',
+      resourceId: condition._id,
+      details: { transactionId: transaction._id, reason: req.body.reason, documentId: extension.document }
+    });
+
+    res.json({ message: `Extension ${action === 'withdraw' ? 'withdrawn' : 'declined'}`, condition: updated });
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     res.status(500).json({ error: err.message });
   }
-});
+}
 
 /**
  * @route GET /transactions/:id/closing-costs
- * @desc Calculate estimated closing costs
+ * @desc Calculate estimated closing costs, including non-resident and
+ *       foreign-buyer taxes for the buyer's citizenship and residency, and
+ *       GST/HST net of new housing rebates on new construction
  * @access Private
  */
-router.get('/:id/closing-costs', authMiddleware, idValidation, async (req, res) => {
+router.get('/:id/closing-costs', authMiddleware, idValidation, [
+  query('buyerType').optional().isIn(BUYER_TYPES),
+  query('citizenship').optional().isIn(CITIZENSHIP_STATUSES),
+  query('residency').optional().isIn(RESIDENCY_STATUSES),
+  query(['isSubstantialRenovation', 'gstIncluded', 'primaryResidence']).optional().isBoolean()
+], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -348,18 +987,24 @@ router.get('/:id/closing-costs', authMiddleware, idValidation, async (req, res)
       return res.status(403).json({ error: 'Not authorized' });
     }
 
-    const { isFirstTimeBuyer = false, isToronto = false } = req.query;
+    const taxOptions = normalizeTaxOptions(req.query);
+
+    // New construction is taxed per the accepted offer's GST/HST terms
+    const property = await Property.findById(transaction.property).select('newConstruction');
+    const offer = await Offer.findById(transaction.acceptedOffer).select('gstIncluded');
+    if (property?.newConstruction) taxOptions.isNewlyBuilt = true;
+    if (offer && req.query.gstIncluded === undefined) taxOptions.gstIncluded = offer.gstIncluded !== false;
 
     const landTransferTax = calculateLandTransferTax(
       transaction.province,
       transaction.purchasePrice,
-      { isFirstTimeBuyer: isFirstTimeBuyer === 'true', isToronto: isToronto === 'true' }
+      taxOptions
     );
 
     const closingCosts = estimateClosingCosts(
       transaction.province,
       transaction.purchasePrice,
-      { isFirstTimeBuyer: isFirstTimeBuyer === 'true' }
+      taxOptions
     );
 
     res.json({
@@ -368,6 +1013,7 @@ router.get('/:id/closing-costs', authMiddleware, idValidation, async (req, res)
       balanceDueOnClosing: transaction.purchasePrice - transaction.depositAmount,
       landTransferTax,
       estimatedClosingCosts: closingCosts,
+      salesTax: closingCosts.salesTax,
       totalDueOnClosing: (transaction.purchasePrice - transaction.depositAmount) + closingCosts.total
     });
   } catch (err) {
@@ -375,6 +1021,59 @@ router.get('/:id/closing-costs', authMiddleware, idValidation, async (req, res)
   }
 });
 
+/**
+ * @route GET /transactions/:id/mortgage
+ * @desc Payment, insurance and amortization schedule for the transaction's mortgage
+ * @access Private
+ */
+router.get('/:id/mortgage', authMiddleware, idValidation, [
+  query('frequency').optional().isIn(Object.keys(PAYMENT_FREQUENCIES))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await Transaction.findById(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.buyer.toString() !== req.user.userId) {
+      return res.status(403).json({ error: 'Only the buyer can view mortgage details' });
+    }
+
+    const { mortgageAmount, interestRate, amortization = 25 } = transaction.mortgageInfo || {};
+    if (!mortgageAmount || interestRate === undefined) {
+      return res.status(400).json({ error: 'Mortgage amount and interest rate are required' });
+    }
+
+    const property = await Property.findById(transaction.property).select('newConstruction');
+    const insurance = calculateInsurancePremium({
+      purchasePrice: transaction.purchasePrice,
+      downPayment: transaction.purchasePrice - mortgageAmount,
+      province: transaction.province,
+      amortization,
+      isNewlyBuilt: property?.newConstruction
+    });
+
+    // The premium is financed on top of the recorded mortgage amount
+    const principal = insurance.required && insurance.available ? insurance.totalMortgage : mortgageAmount;
+
+    res.json({
+      mortgageInfo: transaction.mortgageInfo,
+      minimumDownPayment: calculateMinimumDownPayment(transaction.purchasePrice),
+      insurance,
+      qualifyingRate: calculateQualifyingRate(interestRate),
+      amortization: buildAmortizationSchedule(principal, interestRate, amortization, req.query.frequency)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @route POST /transactions/:id/notes
  * @desc Add a note to transaction
@@ -417,12 +1116,12 @@ router.post('/:id/notes', authMiddleware, idValidation, [
 });
 
 /**
- * @route POST /transactions/:id/cancel
- * @desc Cancel a transaction
- * @access Private
+ * @route POST /transactions/:id/rescind
+ * @desc Rescind within the statutory cooling-off period
+ * @access Private (buyer only)
  */
-router.post('/:id/cancel', authMiddleware, idValidation, [
-  body('reason').trim().notEmpty().withMessage('Cancellation reason is required')
+router.post('/:id/rescind', authMiddleware, idValidation, [
+  body('reason').optional().trim().isLength({ max: 1000 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -430,40 +1129,164 @@ router.post('/:id/cancel', authMiddleware, idValidation, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const transaction = await Transaction.findById(req.params.id);
+    const { transaction, document, settlement } = await rescindTransaction({
+      transactionId: req.params.id,
+      buyerId: req.user.userId,
+      reason: req.body.reason,
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
 
-    if (!transaction) {
-      return res.status(404).json({ error: 'Transaction not found' });
-    }
+    await logAudit({
+      action: 'TRANSACTION_RESCIND',
+      userId: req.user.userId,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: {
+        rule: transaction.rescission.ruleId,
+        feeAmount: settlement.feeAmount,
+        depositDisposition: settlement.depositDisposition,
+        noticeDocumentId: document._id
+      }
+    });
 
-    const userId = req.user.userId;
-    if (transaction.buyer.toString() !== userId &&
-        transaction.seller.toString() !== userId) {
-      return res.status(403).json({ error: 'Not authorized' });
+    const fee = settlement.feeAmount > 0
+      ? ` A rescission fee of $${settlement.feeAmount.toLocaleString()} is payable to you.`
+      : '';
+    await notify({
+      userId: transaction.seller,
+      type: 'transaction',
+      title: 'Buyer Rescinded',
+      message: `The buyer rescinded the agreement under the ${transaction.rescission.name}.${fee}`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { transactionId: transaction._id, documentId: document._id }
+    });
+
+    res.json({
+      message: 'Transaction rescinded',
+      transaction,
+      settlement,
+      document
+    });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
     }
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (transaction.status === 'completed') {
-      return res.status(400).json({ error: 'Cannot cancel completed transaction' });
+/**
+ * @route POST /transactions/:id/cancel
+ * @desc Propose ending the agreement by mutual release. Generates the
+ *       mutual_release document; the transaction cancels once both parties
+ *       sign it.
+ * @access Private (buyer or seller)
+ */
+router.post('/:id/cancel', authMiddleware, idValidation, [
+  body('reason').trim().notEmpty().withMessage('Cancellation reason is required'),
+  body('failedCondition').optional().trim().isLength({ max: 200 }),
+  body('depositToBuyer').optional().isFloat({ min: 0 }).withMessage('Deposit to buyer must be non-negative').toFloat(),
+  body('depositToSeller').optional().isFloat({ min: 0 }).withMessage('Deposit to seller must be non-negative').toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    transaction.status = 'cancelled';
-    transaction.cancellation = {
-      cancelledAt: new Date(),
-      cancelledBy: userId,
+    const { transaction, document } = await proposeMutualRelease({
+      transactionId: req.params.id,
+      userId: req.user.userId,
       reason: req.body.reason,
-      depositDisposition: req.body.depositDisposition || 'disputed'
-    };
-
-    await transaction.save();
+      failedCondition: req.body.failedCondition,
+      depositToBuyer: req.body.depositToBuyer,
+      depositToSeller: req.body.depositToSeller,
+      ipAddress: req.ip
+    });
 
-    // Reactivate listing and property
-    await Listing.findByIdAndUpdate(transaction.listing, { status: 'active' });
-    await Property.findByIdAndUpdate(transaction.property, { status: 'active' });
+    await logAudit({
+      action: 'TRANSACTION_RELEASE_PROPOSE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: {
+        reason: req.body.reason,
+        failedCondition: req.body.failedCondition,
+        depositToBuyer: transaction.mutualRelease.depositToBuyer,
+        depositToSeller: transaction.mutualRelease.depositToSeller,
+        documentId: document._id
+      }
+    });
 
-    res.json({ message: 'Transaction cancelled', transaction });
+    res.status(201).json({
+      message: 'Mutual release proposed. The transaction will be cancelled once both parties sign it.',
+      transaction,
+      document
+    });
   } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * @route POST /transactions/:id/mutual-release/decline
+ * @desc Decline the other party's mutual release; the agreement stays in effect
+ * @access Private (party who didn't propose it)
+ */
+router.post('/:id/mutual-release/decline', authMiddleware, idValidation, [
+  body('reason').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  await respondToMutualRelease(req, res, 'decline');
+});
+
+/**
+ * @route POST /transactions/:id/mutual-release/withdraw
+ * @desc Withdraw your own mutual release proposal before it is signed
+ * @access Private (party who proposed it)
+ */
+router.post('/:id/mutual-release/withdraw', authMiddleware, idValidation, [
+  body('reason').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  await respondToMutualRelease(req, res, 'withdraw');
+});
+
+// Decline or withdraw an open mutual release proposal
+async function respondToMutualRelease(req, res, action) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const transaction = await closeMutualRelease({
+      transactionId: req.params.id,
+      userId: req.user.userId,
+      action,
+      reason: req.body.reason
+    });
+
+    await logAudit({
+      action: action === 'withdraw' ? 'TRANSACTION_RELEASE_WITHDRAW' : 'TRANSACTION_RELEASE_DECLINE',
+      userId: req.user.userId,
+      req,
+      resourceType: 'transaction',
+      resourceId: transaction._id,
+      details: { reason: req.body.reason, documentId: transaction.mutualRelease.document }
+    });
+
+    res.json({ message: `Mutual release ${transaction.mutualRelease.status}`, transaction });
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+}
+
 module.exports = router;
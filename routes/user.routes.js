@@ -1,8 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/user.model');
+const SavedSearch = require('../models/saved-search.model');
 const authMiddleware = require('../auth.middleware');
 
+const MAX_SAVED_SEARCHES = 20;
+const SEARCH_CRITERIA_FIELDS = [
+  'province', 'city', 'propertyType', 'minPrice', 'maxPrice',
+  'minBedrooms', 'maxBedrooms', 'minBathrooms'
+];
+
+// Keep only known search criteria and drop blank form values
+function normalizeCriteria(criteria = {}) {
+  const normalized = {};
+  SEARCH_CRITERIA_FIELDS.forEach(field => {
+    const value = criteria[field];
+    if (value !== undefined && value !== null && value !== '') {
+      normalized[field] = value;
+    }
+  });
+  return normalized;
+}
+
 // Get user preferences (checklist progress and favorites)
 router.get('/preferences', authMiddleware, async (req, res) => {
   try {
@@ -208,4 +227,111 @@ router.get('/favorites', authMiddleware, async (req, res) => {
   }
 });
 
+// Get saved searches
+router.get('/saved-searches', authMiddleware, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user.userId })
+      .sort({ createdAt: -1 });
+
+    res.json(searches);
+  } catch (err) {
+    console.error('Error fetching saved searches:', err);
+    res.status(500).json({ error: 'Failed to fetch saved searches' });
+  }
+});
+
+// Create saved search
+router.post('/saved-searches', authMiddleware, async (req, res) => {
+  try {
+    const { name, criteria, frequency, alertsEnabled } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Search name is required' });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user.userId });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const search = new SavedSearch({
+      user: req.user.userId,
+      name: name.trim(),
+      criteria: normalizeCriteria(criteria),
+      frequency: frequency || 'daily',
+      alertsEnabled: alertsEnabled !== false,
+      // Only alert on listings activated after the search was saved
+      lastCheckedAt: new Date()
+    });
+
+    await search.save();
+
+    res.status(201).json(search);
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error creating saved search:', err);
+    res.status(500).json({ error: 'Failed to save search' });
+  }
+});
+
+// Update saved search
+router.put('/saved-searches/:searchId', authMiddleware, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({
+      _id: req.params.searchId,
+      user: req.user.userId
+    });
+
+    if (!search) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    const { name, criteria, frequency, alertsEnabled } = req.body;
+
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({ error: 'Search name is required' });
+      }
+      search.name = name.trim();
+    }
+    if (criteria !== undefined) search.criteria = normalizeCriteria(criteria);
+    if (frequency !== undefined) search.frequency = frequency;
+    if (alertsEnabled !== undefined) search.alertsEnabled = alertsEnabled === true;
+
+    await search.save();
+
+    res.json(search);
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.name === 'CastError') {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error('Error updating saved search:', err);
+    res.status(500).json({ error: 'Failed to update saved search' });
+  }
+});
+
+// Delete saved search
+router.delete('/saved-searches/:searchId', authMiddleware, async (req, res) => {
+  try {
+    const result = await SavedSearch.findOneAndDelete({
+      _id: req.params.searchId,
+      user: req.user.userId
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'Saved search not found' });
+    }
+
+    res.json({ message: 'Saved search deleted' });
+  } catch (err) {
+    if (err.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid search ID' });
+    }
+    console.error('Error deleting saved search:', err);
+    res.status(500).json({ error: 'Failed to delete saved search' });
+  }
+});
+
 module.exports = router;
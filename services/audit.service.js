@@ -17,18 +17,27 @@ const auditLogSchema = new Schema({
       // Authentication actions
       'LOGIN', 'LOGIN_FAILED', 'LOGOUT', 'REGISTER', 'PASSWORD_CHANGE', 'PASSWORD_RESET_REQUEST', 'PASSWORD_RESET',
       // User actions
-      'PROFILE_UPDATE', 'EMAIL_VERIFIED', 'FINTRAC_VERIFICATION',
+      'PROFILE_UPDATE', 'EMAIL_VERIFIED', 'FINTRAC_SUBMIT', 'FINTRAC_VERIFICATION', 'FINTRAC_RECORD_ACCESS',
+      'FUNDS_RECEIPT_RECORD', 'FUNDS_RECEIPT_REVIEW',
       // Property actions
-      'PROPERTY_CREATE', 'PROPERTY_UPDATE', 'PROPERTY_DELETE', 'LISTING_ACTIVATE', 'LISTING_DEACTIVATE',
+      'PROPERTY_CREATE', 'PROPERTY_UPDATE', 'PROPERTY_DELETE',
+      'LISTING_CREATE', 'LISTING_UPDATE', 'LISTING_ACTIVATE', 'LISTING_DEACTIVATE', 'LISTING_HOLDBACK',
       // Transaction actions
-      'OFFER_SUBMIT', 'OFFER_ACCEPT', 'OFFER_REJECT', 'OFFER_COUNTER',
-      'TRANSACTION_CREATE', 'TRANSACTION_UPDATE', 'CONDITION_WAIVE', 'TRANSACTION_COMPLETE',
+      'OFFER_SUBMIT', 'OFFER_ACCEPT', 'OFFER_REJECT', 'OFFER_COUNTER', 'OFFER_WITHDRAW',
+      'OFFER_SIGN_BACK', 'OFFER_IMPROVE',
+      'TRANSACTION_CREATE', 'TRANSACTION_UPDATE', 'TRANSACTION_STEP', 'TRANSACTION_CANCEL', 'TRANSACTION_RESCIND', 'TRANSACTION_COMPLETE',
+      'TRANSACTION_RELEASE_PROPOSE', 'TRANSACTION_RELEASE_DECLINE', 'TRANSACTION_RELEASE_WITHDRAW',
+      'TRUST_INTEREST_RECORD', 'TRUST_DEPOSIT_RELEASE',
+      'CONDITION_FULFILL', 'CONDITION_WAIVE', 'CONDITION_FAIL', 'CONDITION_NOTICE_REQUEST',
+      'CONDITION_EXTENSION_PROPOSE', 'CONDITION_EXTENSION_AGREE', 'CONDITION_EXTENSION_DECLINE', 'CONDITION_EXTENSION_WITHDRAW',
       // Payment actions
       'PAYMENT_INITIATE', 'PAYMENT_SUCCESS', 'PAYMENT_FAILED', 'REFUND_INITIATE',
       // Document actions
-      'DOCUMENT_UPLOAD', 'DOCUMENT_SIGN', 'DOCUMENT_DOWNLOAD',
+      'DOCUMENT_GENERATE', 'DOCUMENT_UPLOAD', 'DOCUMENT_EDIT', 'DOCUMENT_SIGN', 'DOCUMENT_SEND', 'DOCUMENT_DOWNLOAD', 'DOCUMENT_DELETE',
       // Admin actions
-      'ADMIN_LOGIN', 'ADMIN_USER_UPDATE', 'ADMIN_COMMISSION_MARK_PAID',
+      'ADMIN_LOGIN', 'ADMIN_USER_UPDATE', 'ADMIN_COMMISSION_UPDATE', 'ADMIN_COMMISSION_MARK_PAID',
+      'ADMIN_PROFESSIONAL_UPDATE', 'ADMIN_AUDIT_EXPORT', 'ADMIN_TRANSACTION_REVERT',
+      'ADMIN_JOB_RUN', 'ADMIN_JOB_UPDATE',
       // Security events
       'RATE_LIMIT_EXCEEDED', 'SUSPICIOUS_ACTIVITY', 'ACCESS_DENIED'
     ],
@@ -36,7 +45,7 @@ const auditLogSchema = new Schema({
   },
 
   // What resource was affected
-  resourceType: { type: String, enum: ['user', 'property', 'listing', 'offer', 'transaction', 'document', 'payment', 'system'] },
+  resourceType: { type: String, enum: ['user', 'property', 'listing', 'offer', 'transaction', 'condition', 'document', 'payment', 'professional', 'system'] },
   resourceId: { type: Schema.Types.ObjectId },
 
   // Details of the action
@@ -126,21 +135,60 @@ function sanitizeDetails(details) {
   return sanitized;
 }
 
+// Actions reported by getSecurityEvents
+const SECURITY_ACTIONS = ['LOGIN_FAILED', 'RATE_LIMIT_EXCEEDED', 'SUSPICIOUS_ACTIVITY', 'ACCESS_DENIED'];
+
 /**
- * Get audit logs for a user
+ * Build a query from common audit filters
+ * @param {Object} filters - { userId, action, resourceType, resourceId, success, startDate, endDate }
  */
-async function getUserAuditLogs(userId, options = {}) {
-  const { limit = 50, skip = 0, action = null, startDate = null, endDate = null } = options;
-
-  const query = { userId };
+function buildAuditQuery(filters = {}) {
+  const { userId, action, resourceType, resourceId, success, startDate, endDate } = filters;
+  const query = {};
 
-  if (action) query.action = action;
+  if (userId) query.userId = userId;
+  if (action) query.action = Array.isArray(action) ? { $in: action } : action;
+  if (resourceType) query.resourceType = resourceType;
+  if (resourceId) query.resourceId = resourceId;
+  if (success !== undefined && success !== null) query.success = success;
   if (startDate || endDate) {
     query.timestamp = {};
-    if (startDate) query.timestamp.$gte = startDate;
-    if (endDate) query.timestamp.$lte = endDate;
+    if (startDate) query.timestamp.$gte = new Date(startDate);
+    if (endDate) query.timestamp.$lte = new Date(endDate);
   }
 
+  return query;
+}
+
+/**
+ * Search audit logs with filters and pagination
+ * @returns {Object} { logs, total }
+ */
+async function queryAuditLogs(filters = {}, options = {}) {
+  const { limit = 50, skip = 0 } = options;
+  const query = buildAuditQuery(filters);
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('userId', 'name email')
+      .lean(),
+    AuditLog.countDocuments(query)
+  ]);
+
+  return { logs, total };
+}
+
+/**
+ * Get audit logs for a user
+ */
+async function getUserAuditLogs(userId, options = {}) {
+  const { limit = 50, skip = 0, action = null, startDate = null, endDate = null } = options;
+
+  const query = buildAuditQuery({ userId, action, startDate, endDate });
+
   return AuditLog.find(query)
     .sort({ timestamp: -1 })
     .skip(skip)
@@ -152,9 +200,11 @@ async function getUserAuditLogs(userId, options = {}) {
  * Get audit logs for a resource
  */
 async function getResourceAuditLogs(resourceType, resourceId, options = {}) {
-  const { limit = 50, skip = 0 } = options;
+  const { limit = 50, skip = 0, action = null, startDate = null, endDate = null } = options;
+
+  const query = buildAuditQuery({ resourceType, resourceId, action, startDate, endDate });
 
-  return AuditLog.find({ resourceType, resourceId })
+  return AuditLog.find(query)
     .sort({ timestamp: -1 })
     .skip(skip)
     .limit(limit)
@@ -166,26 +216,64 @@ async function getResourceAuditLogs(resourceType, resourceId, options = {}) {
  * Get security events (failed logins, rate limits, suspicious activity)
  */
 async function getSecurityEvents(options = {}) {
-  const { limit = 100, startDate = null } = options;
-
-  const query = {
-    action: { $in: ['LOGIN_FAILED', 'RATE_LIMIT_EXCEEDED', 'SUSPICIOUS_ACTIVITY', 'ACCESS_DENIED'] }
-  };
+  const { limit = 100, skip = 0, action = null, startDate = null, endDate = null } = options;
 
-  if (startDate) {
-    query.timestamp = { $gte: startDate };
-  }
+  // Only allow narrowing to one of the security actions
+  const actions = action && SECURITY_ACTIONS.includes(action) ? action : SECURITY_ACTIONS;
+  const query = buildAuditQuery({ action: actions, startDate, endDate });
 
   return AuditLog.find(query)
     .sort({ timestamp: -1 })
+    .skip(skip)
     .limit(limit)
     .lean();
 }
 
+// Columns included in CSV exports
+const CSV_COLUMNS = [
+  'timestamp', 'action', 'success', 'userId', 'userEmail', 'userIP',
+  'resourceType', 'resourceId', 'details', 'errorMessage'
+];
+
+/**
+ * Escape a value for CSV (RFC 4180)
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  // ObjectIds stringify to their hex form; other objects (details) to JSON
+  const isPlainObject = typeof value === 'object' && typeof value.toHexString !== 'function';
+  let str = isPlainObject ? JSON.stringify(value) : String(value);
+  // Stop spreadsheet apps from evaluating user-supplied text as a formula
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Convert audit log entries to CSV
+ * @param {Array} logs - Lean audit log documents
+ * @returns {string} CSV with header row
+ */
+function auditLogsToCsv(logs) {
+  const rows = logs.map(log => CSV_COLUMNS.map(column => {
+    let value = log[column];
+    if (column === 'timestamp' && value) value = new Date(value).toISOString();
+    // userId may be populated with { name, email }
+    if (column === 'userId' && value && value._id) value = value._id;
+    if (column === 'userEmail' && !value && log.userId?.email) value = log.userId.email;
+    return escapeCsv(value);
+  }).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
 module.exports = {
   AuditLog,
+  SECURITY_ACTIONS,
   logAudit,
+  buildAuditQuery,
+  queryAuditLogs,
   getUserAuditLogs,
   getResourceAuditLogs,
-  getSecurityEvents
+  getSecurityEvents,
+  auditLogsToCsv
 };
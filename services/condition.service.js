@@ -0,0 +1,581 @@
+/**
+ * Condition Service
+ * The life of a condition in an agreement: the buyer resolves it by signing
+ * a generated notice of fulfillment or waiver, either party can propose a
+ * later deadline through an amendment both must sign, and a deadline that
+ * passes with the condition outstanding fails it. The transaction goes firm
+ * once the last condition is fulfilled or waived.
+ */
+
+const Transaction = require('../models/transaction.model');
+const Condition = require('../models/condition.model');
+const Document = require('../models/document.model');
+const SigningEnvelope = require('../models/signing-envelope.model');
+const pdfGenerator = require('./pdf-generator');
+const { recordPdfVersion } = require('./document-integrity.service');
+const { renderDocumentPdf, snapshotVersion } = require('./document-versioning.service');
+const { getPartyRole, checkTransition, applyTransition } = require('./transaction-workflow.service');
+const { proposeMutualRelease } = require('./mutual-release.service');
+const { notify, notifyMany } = require('./notification.service');
+const { HttpError } = require('./errors');
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+const OPEN_STATUSES = Condition.OPEN_STATUSES;
+
+// Document the buyer signs for each resolution
+const NOTICE_TYPES = {
+  fulfilled: 'notice_fulfillment',
+  waived: 'condition_waiver'
+};
+
+const partyId = party => (party._id || party).toString();
+
+const formatDate = date => pdfGenerator.formatValue(date, 'date');
+
+/**
+ * Load a transaction and one of its conditions, checking the user is a party
+ * @returns {Object} { transaction, condition, role }
+ */
+async function loadCondition(transactionId, conditionId, userId) {
+  const transaction = await Transaction.findById(transactionId)
+    .populate('property', 'address legalDescription')
+    .populate('buyer', 'name email')
+    .populate('seller', 'name email');
+
+  if (!transaction) {
+    throw new HttpError('Transaction not found', 404);
+  }
+  const role = getPartyRole(transaction, userId);
+  if (!role) {
+    throw new HttpError('Not authorized', 403);
+  }
+
+  const condition = await Condition.findOne({ _id: conditionId, transaction: transaction._id });
+  if (!condition) {
+    throw new HttpError('Condition not found', 404);
+  }
+
+  return { transaction, condition, role };
+}
+
+// The condition can still be resolved or extended
+function assertOpen(transaction, condition, now) {
+  if (CLOSED_STATUSES.includes(transaction.status)) {
+    throw new HttpError(`Cannot change conditions on a ${transaction.status} transaction`);
+  }
+  if (!OPEN_STATUSES.includes(condition.status)) {
+    throw new HttpError(`Condition is already ${condition.status}`, 409);
+  }
+  if (condition.deadlineDate < now) {
+    throw new HttpError('The condition deadline has passed', 409);
+  }
+}
+
+// Void a document awaiting signatures and any signing links still out for it
+async function voidPendingDocument(documentId, userId, reason) {
+  const document = documentId && await Document.findById(documentId);
+  if (!document || ['signed', 'voided'].includes(document.status)) return;
+
+  document.status = 'voided';
+  document.logAction('voided', userId, reason);
+  await document.save();
+
+  await SigningEnvelope.updateMany(
+    { document: document._id, status: 'pending' },
+    { $set: { status: 'voided' } }
+  );
+}
+
+// Generate a condition document for the given parties to sign
+async function generateDocument(transaction, { documentType, title, description, content, signers, userId, ipAddress, now }) {
+  const formInfo = Document.getFormInfo(transaction.province, documentType);
+
+  const document = new Document({
+    transaction: transaction._id,
+    property: transaction.property._id,
+    documentType,
+    province: transaction.province,
+    formNumber: formInfo.formNumber,
+    title: title || formInfo.title,
+    description,
+    content,
+    status: 'pending_signatures',
+    requiredSignatures: signers.map(party => ({
+      role: party,
+      userId: transaction[party]._id,
+      name: transaction[party].name,
+      email: transaction[party].email
+    })),
+    createdBy: userId,
+    accessibleBy: [transaction.buyer._id, transaction.seller._id],
+    generatedAt: now
+  });
+
+  const filePath = await renderDocumentPdf(document, transaction);
+  recordPdfVersion(document, 'generated', filePath);
+  document.logAction('created', userId, description, ipAddress);
+  await document.save();
+  await snapshotVersion(document, { userId, reason: 'Generated' });
+
+  await Transaction.updateOne({ _id: transaction._id }, { $push: { documents: document._id } });
+
+  return document;
+}
+
+// Every listed party signed as themselves
+function signedByParties(document, transaction, roles) {
+  const signatures = document.getActiveSignatures();
+  return roles.every(role =>
+    signatures.some(s => s.role === role && s.userId && s.userId.toString() === partyId(transaction[role])));
+}
+
+/**
+ * Move the transaction to firm if every condition is now fulfilled or
+ * waived and the workflow is waiting on conditions. Otherwise the buyer
+ * advances once the earlier steps are done.
+ * @returns {boolean} Whether the transaction went firm
+ */
+async function goFirmIfResolved(transaction, { userId } = {}) {
+  const conditions = await Condition.find({ transaction: transaction._id });
+  const firm = checkTransition({
+    transaction,
+    conditions,
+    toStep: 'conditions_complete',
+    role: 'system'
+  });
+  if (!firm.allowed) return false;
+
+  applyTransition(transaction, firm.transition, { userId, notes: 'All conditions resolved' });
+  await transaction.save();
+
+  await notifyMany([transaction.buyer, transaction.seller], {
+    type: 'transaction',
+    title: 'Deal is Firm',
+    message: 'All conditions have been fulfilled or waived. The transaction is now firm.',
+    link: `/transactions/${transaction._id}`,
+    metadata: { transactionId: transaction._id, propertyId: transaction.property }
+  });
+
+  return true;
+}
+
+/**
+ * Generate the notice of fulfillment or waiver for the buyer to sign. The
+ * condition stays open until it is signed; a new notice replaces one still
+ * awaiting signature.
+ * @param {Object} transaction - Transaction populated with property, buyer and seller
+ * @param {Object} condition
+ * @param {Object} options - { userId, status: 'fulfilled'|'waived', notes, ipAddress, now }
+ * @returns {Object} { condition, document }
+ */
+async function requestConditionNotice(transaction, condition, { userId, status, notes, ipAddress, now = new Date() }) {
+  if (getPartyRole(transaction, userId) !== 'buyer') {
+    throw new HttpError('Only the buyer can give notice that a condition is fulfilled or waived', 403);
+  }
+  assertOpen(transaction, condition, now);
+
+  const previous = condition.waiverDocument;
+  const document = await generateDocument(transaction, {
+    documentType: NOTICE_TYPES[status],
+    description: `Notice that ${condition.title} is ${status}`,
+    content: {
+      conditionId: condition._id,
+      resolution: status,
+      notes,
+      conditionTitle: condition.title,
+      conditionDescription: condition.description,
+      conditions: [{ title: condition.title, fulfilledAt: now }]
+    },
+    signers: ['buyer'],
+    userId,
+    ipAddress,
+    now
+  });
+
+  // Claim the condition so a concurrent notice can't also be attached
+  const { modifiedCount } = await Condition.updateOne(
+    { _id: condition._id, status: { $in: OPEN_STATUSES }, waiverDocument: previous || null },
+    { $set: { waiverDocument: document._id } }
+  );
+  if (!modifiedCount) {
+    await voidPendingDocument(document._id, userId, 'Superseded by another request');
+    throw new HttpError('Condition was changed by another request', 409);
+  }
+
+  await voidPendingDocument(previous, userId, 'Replaced by a new notice');
+
+  return { condition: await Condition.findById(condition._id), document };
+}
+
+/**
+ * Resolve the condition once the buyer has signed its notice of fulfillment
+ * or waiver before the deadline, and move the transaction to firm if it was
+ * the last one. Called by the signing routes; other documents are ignored.
+ * @param {Object} document - Document that has just become signed
+ * @returns {Object|null} { condition, transaction, firm }
+ */
+async function completeConditionNotice(document, { now = new Date() } = {}) {
+  const status = Object.keys(NOTICE_TYPES).find(key => NOTICE_TYPES[key] === document.documentType);
+  if (!status || document.status !== 'signed' || !document.content?.conditionId) {
+    return null;
+  }
+
+  const condition = await Condition.findOne({ _id: document.content.conditionId, waiverDocument: document._id });
+  if (!condition || !OPEN_STATUSES.includes(condition.status) || condition.deadlineDate < now) {
+    return null;
+  }
+
+  const transaction = await Transaction.findById(condition.transaction);
+  if (!transaction || CLOSED_STATUSES.includes(transaction.status) || !signedByParties(document, transaction, ['buyer'])) {
+    return null;
+  }
+
+  const { modifiedCount } = await Condition.updateOne(
+    { _id: condition._id, status: { $in: OPEN_STATUSES }, waiverDocument: document._id },
+    {
+      $set: {
+        status,
+        resolvedAt: now,
+        resolvedBy: transaction.buyer,
+        resolutionMethod: status,
+        resolutionNotes: document.content.notes
+      }
+    }
+  );
+  if (!modifiedCount) return null;
+
+  await notify({
+    userId: transaction.seller,
+    type: 'condition',
+    title: `Condition ${status === 'fulfilled' ? 'Fulfilled' : 'Waived'}`,
+    message: `The buyer signed a ${status === 'fulfilled' ? 'notice of fulfillment' : 'waiver'} for ${condition.title}`,
+    link: `/documents/${document._id}`,
+    metadata: { conditionId: condition._id, transactionId: transaction._id, documentId: document._id }
+  });
+
+  const firm = await goFirmIfResolved(transaction, { userId: transaction.buyer });
+
+  return { condition: await Condition.findById(condition._id), transaction, firm };
+}
+
+/**
+ * Propose moving a condition's deadline. An amendment is generated for both
+ * parties to sign and the deadline moves only once both have.
+ * @param {Object} transaction - Transaction populated with property, buyer and seller
+ * @param {Object} condition
+ * @param {Object} options - { userId, newDeadline, reason, ipAddress, now }
+ * @returns {Object} { condition, document }
+ */
+async function proposeExtension(transaction, condition, { userId, newDeadline, reason, ipAddress, now = new Date() }) {
+  const role = getPartyRole(transaction, userId);
+  if (!role) {
+    throw new HttpError('Not authorized', 403);
+  }
+  assertOpen(transaction, condition, now);
+  if (condition.getPendingExtension()) {
+    throw new HttpError('An extension of this condition is already awaiting signatures', 409);
+  }
+
+  newDeadline = new Date(newDeadline);
+  if (!(newDeadline > condition.deadlineDate)) {
+    throw new HttpError('The new deadline must be after the current deadline');
+  }
+  if (transaction.closingDate && newDeadline >= transaction.closingDate) {
+    throw new HttpError('The new deadline must be before the closing date');
+  }
+
+  const previousDeadline = condition.deadlineDate;
+  const formInfo = Document.getFormInfo(transaction.province, 'amendment');
+  const document = await generateDocument(transaction, {
+    documentType: 'amendment',
+    title: `${formInfo.title}: ${condition.title} Deadline`,
+    description: `Extension of ${condition.title} proposed by the ${role}`,
+    content: {
+      conditionId: condition._id,
+      reason,
+      newDeadline,
+      changes: [{
+        term: `${condition.title} deadline`,
+        from: formatDate(previousDeadline),
+        to: formatDate(newDeadline)
+      }]
+    },
+    signers: ['buyer', 'seller'],
+    userId,
+    ipAddress,
+    now
+  });
+
+  // Claim the proposal so a concurrent one can't also be recorded
+  const { modifiedCount } = await Condition.updateOne(
+    {
+      _id: condition._id,
+      status: { $in: OPEN_STATUSES },
+      deadlineDate: previousDeadline,
+      'extensions.status': { $ne: 'proposed' }
+    },
+    {
+      $push: {
+        extensions: {
+          status: 'proposed',
+          previousDeadline,
+          newDeadline,
+          reason,
+          proposedBy: userId,
+          proposedAt: now,
+          document: document._id
+        }
+      }
+    }
+  );
+  if (!modifiedCount) {
+    await voidPendingDocument(document._id, userId, 'Superseded by another request');
+    throw new HttpError('Condition was changed by another request', 409);
+  }
+
+  const otherParty = role === 'buyer' ? transaction.seller._id : transaction.buyer._id;
+  await notify({
+    userId: otherParty,
+    type: 'condition',
+    title: 'Condition Extension Proposed',
+    message: `The ${role} proposed extending ${condition.title} to ${formatDate(newDeadline)}: ${reason}. Sign the amendment to agree, or decline it.`,
+    link: `/documents/${document._id}`,
+    metadata: { conditionId: condition._id, transactionId: transaction._id, documentId: document._id }
+  });
+
+  return { condition: await Condition.findById(condition._id), document };
+}
+
+/**
+ * Decline (other party) or withdraw (proposer) an extension awaiting
+ * signatures. The amendment is voided and the deadline stands.
+ * @param {Object} transaction - Transaction populated with buyer and seller
+ * @param {Object} condition
+ * @param {Object} options - { userId, action: 'decline'|'withdraw', reason }
+ * @returns {Object} Updated condition
+ */
+async function closeExtension(transaction, condition, { userId, action, reason }) {
+  const role = getPartyRole(transaction, userId);
+  if (!role) {
+    throw new HttpError('Not authorized', 403);
+  }
+
+  const extension = condition.getPendingExtension();
+  if (!extension) {
+    throw new HttpError('There is no extension awaiting signatures', 404);
+  }
+  const isProposer = extension.proposedBy.toString() === userId;
+  if (action === 'withdraw' && !isProposer) {
+    throw new HttpError('Only the party who proposed the extension can withdraw it', 403);
+  }
+  if (action === 'decline' && isProposer) {
+    throw new HttpError('Withdraw your own extension instead of declining it', 403);
+  }
+
+  const status = action === 'withdraw' ? 'withdrawn' : 'declined';
+  const { modifiedCount } = await Condition.updateOne(
+    { _id: condition._id, extensions: { $elemMatch: { _id: extension._id, status: 'proposed' } } },
+    { $set: { 'extensions.$.status': status } }
+  );
+  if (!modifiedCount) {
+    throw new HttpError('Condition was changed by another request', 409);
+  }
+
+  await voidPendingDocument(extension.document, userId, `Extension ${status} by the ${role}`);
+
+  const otherParty = role === 'buyer' ? transaction.seller._id : transaction.buyer._id;
+  await notify({
+    userId: otherParty,
+    type: 'condition',
+    title: `Condition Extension ${status === 'withdrawn' ? 'Withdrawn' : 'Declined'}`,
+    message: `The ${role} ${status} the extension of ${condition.title}${reason ? `: ${reason}` : ''}. The deadline remains ${formatDate(condition.deadlineDate)}.`,
+    link: `/transactions/${transaction._id}`,
+    metadata: { conditionId: condition._id, transactionId: transaction._id, documentId: extension.document }
+  });
+
+  return Condition.findById(condition._id);
+}
+
+/**
+ * Move the deadline once both parties have signed the extension amendment
+ * before the current deadline. Called by the signing routes; other
+ * documents are ignored.
+ * @param {Object} document - Document that has just become signed
+ * @returns {Object|null} { condition, transaction, extension }
+ */
+async function completeExtension(document, { now = new Date() } = {}) {
+  if (document.documentType !== 'amendment' || document.status !== 'signed' || !document.content?.conditionId) {
+    return null;
+  }
+
+  const condition = await Condition.findOne({ _id: document.content.conditionId, 'extensions.document': document._id });
+  const extension = condition?.extensions.find(e => e.document?.equals(document._id));
+  if (extension?.status !== 'proposed' || !OPEN_STATUSES.includes(condition.status) || condition.deadlineDate < now) {
+    return null;
+  }
+
+  const transaction = await Transaction.findById(condition.transaction);
+  if (!transaction || CLOSED_STATUSES.includes(transaction.status) || !signedByParties(document, transaction, ['buyer', 'seller'])) {
+    return null;
+  }
+
+  // Reminders start again for the new deadline
+  const { modifiedCount } = await Condition.updateOne(
+    {
+      _id: condition._id,
+      status: { $in: OPEN_STATUSES },
+      deadlineDate: extension.previousDeadline,
+      extensions: { $elemMatch: { _id: extension._id, status: 'proposed' } }
+    },
+    {
+      $set: {
+        status: 'extended',
+        deadlineDate: extension.newDeadline,
+        remindersSent: [],
+        'extensions.$.status': 'agreed',
+        'extensions.$.agreedAt': now,
+        'extensions.$.agreedByBuyer': true,
+        'extensions.$.agreedBySeller': true
+      }
+    }
+  );
+  if (!modifiedCount) return null;
+
+  await notifyMany([transaction.buyer, transaction.seller], {
+    type: 'condition',
+    title: 'Condition Deadline Extended',
+    message: `Both parties signed the amendment. ${condition.title} is now due ${formatDate(extension.newDeadline)}.`,
+    link: `/transactions/${transaction._id}`,
+    metadata: { conditionId: condition._id, transactionId: transaction._id, documentId: document._id }
+  });
+
+  return { condition: await Condition.findById(condition._id), transaction, extension };
+}
+
+/**
+ * Fail a condition, either marked failed by a party or because its deadline
+ * passed. Its notice and any extension still awaiting signatures are voided,
+ * and a mutual release returning the deposit to the buyer is proposed for
+ * both parties to sign - by the party who failed it, or the buyer when the
+ * deadline passed.
+ * @param {Object} transaction
+ * @param {Object} condition
+ * @param {Object} options - { userId (omitted when the deadline passed), notes, ipAddress, now }
+ * @returns {Object} { condition, release: { transaction, document } | null }
+ */
+async function failCondition(transaction, condition, { userId, notes, ipAddress, now = new Date() } = {}) {
+  if (CLOSED_STATUSES.includes(transaction.status)) {
+    throw new HttpError(`Cannot change conditions on a ${transaction.status} transaction`);
+  }
+  if (!OPEN_STATUSES.includes(condition.status)) {
+    throw new HttpError(`Condition is already ${condition.status}`, 409);
+  }
+
+  // An extension awaiting signatures lapses with the condition
+  const extension = condition.getPendingExtension();
+  const filter = { _id: condition._id, status: { $in: OPEN_STATUSES } };
+  const update = {
+    status: 'failed',
+    resolvedAt: now,
+    resolvedBy: userId,
+    resolutionMethod: 'failed',
+    resolutionNotes: notes
+  };
+  if (extension) {
+    filter['extensions._id'] = extension._id;
+    update['extensions.$.status'] = 'lapsed';
+  }
+
+  const { modifiedCount } = await Condition.updateOne(filter, { $set: update });
+  if (!modifiedCount) {
+    throw new HttpError('Condition was changed by another request', 409);
+  }
+
+  // Nothing outstanding on the condition can be signed any more
+  await voidPendingDocument(condition.waiverDocument, userId, 'Condition failed');
+  await voidPendingDocument(extension?.document, userId, 'Condition failed');
+
+  if (userId) {
+    const otherParty = getPartyRole(transaction, userId) === 'buyer' ? transaction.seller : transaction.buyer;
+    await notify({
+      userId: otherParty._id || otherParty,
+      type: 'condition',
+      title: 'Condition Failed',
+      message: `${condition.title} has been marked as failed`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { conditionId: condition._id, transactionId: transaction._id }
+    });
+  } else {
+    await notifyMany([transaction.buyer, transaction.seller], {
+      type: 'condition',
+      title: 'Condition Deadline Passed',
+      message: `${condition.title} was not fulfilled or waived by ${formatDate(condition.deadlineDate)} and has failed`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { conditionId: condition._id, transactionId: transaction._id }
+    });
+  }
+
+  // A failed condition ends the deal only by mutual release
+  let release = null;
+  if (transaction.mutualRelease?.status !== 'proposed') {
+    try {
+      release = await proposeMutualRelease({
+        transactionId: transaction._id,
+        userId: userId || partyId(transaction.buyer),
+        reason: `Condition failed: ${condition.title}`,
+        failedCondition: condition.title,
+        ipAddress,
+        now
+      });
+    } catch (err) {
+      // Another condition on the transaction already opened one
+      if (!(err instanceof HttpError && err.status === 409)) throw err;
+    }
+  }
+
+  return { condition: await Condition.findById(condition._id), release };
+}
+
+/**
+ * Fail open conditions whose deadline has passed, telling both parties
+ * (scheduled job)
+ */
+async function failExpiredConditions(now) {
+  const conditions = await Condition.find({
+    status: { $in: OPEN_STATUSES },
+    deadlineDate: { $lt: now }
+  }).populate('transaction', 'buyer seller status mutualRelease');
+
+  let failed = 0;
+  for (const condition of conditions) {
+    const transaction = condition.transaction;
+    if (!transaction || CLOSED_STATUSES.includes(transaction.status)) continue;
+
+    try {
+      await failCondition(transaction, condition, {
+        notes: 'Deadline passed without a notice of fulfillment or waiver',
+        now
+      });
+    } catch (err) {
+      // Resolved or failed by a party mid-run
+      if (err instanceof HttpError) continue;
+      throw err;
+    }
+    failed++;
+  }
+
+  return { found: conditions.length, failed };
+}
+
+module.exports = {
+  NOTICE_TYPES,
+  loadCondition,
+  goFirmIfResolved,
+  requestConditionNotice,
+  completeConditionNotice,
+  proposeExtension,
+  closeExtension,
+  completeExtension,
+  failCondition,
+  failExpiredConditions
+};
@@ -0,0 +1,261 @@
+/**
+ * Document Integrity Service
+ * SHA-256 hashes of every PDF version a document goes through, the
+ * certificate of completion appended once everyone has signed, and
+ * verification that neither the files nor the hash chain have changed.
+ * The chain itself lives on the Document model (addSignature/logAction).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+
+const IMAGE_DATA_URL = /^data:image\/(png|jpeg);base64,/;
+
+// Certificate page layout (US Letter)
+const PAGE_SIZE = [612, 792];
+const MARGIN = 50;
+
+/**
+ * SHA-256 of a file's bytes
+ */
+function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Hash a PDF and make it the document's current version. Call before the
+ * matching logAction so the audit entry is bound to the new hash.
+ * @param {Object} document - Document (not saved)
+ * @param {string} label - 'generated', 'uploaded', 'revised' or 'signed'
+ * @param {string} filePath - PDF on disk
+ * @returns {string} SHA-256 hex digest
+ */
+function recordPdfVersion(document, label, filePath) {
+  const hash = hashFile(filePath);
+
+  document.pdfVersions.push({ label, filePath, hash, createdAt: new Date() });
+  document.fileHash = hash;
+  return hash;
+}
+
+/**
+ * Compare the current PDF on disk with the hash recorded for it
+ */
+function checkCurrentPdf(document) {
+  const filePath = document.generatedPdfPath || document.filePath;
+  const result = { filePath, expectedHash: document.fileHash || null, actualHash: null, missing: false, matches: true };
+
+  if (!filePath || !fs.existsSync(filePath)) {
+    result.missing = Boolean(filePath);
+    result.matches = !document.fileHash;
+    return result;
+  }
+
+  result.actualHash = hashFile(filePath);
+  result.matches = !document.fileHash || result.actualHash === document.fileHash;
+  return result;
+}
+
+/**
+ * Append the certificate of completion and make it the current version
+ * @param {Object} document - Fully signed Document (not saved)
+ * @param {Object} options - { sourcePath, outputPath, userId, ipAddress }
+ *   sourcePath defaults to the current PDF and outputPath to <name>_signed.pdf
+ * @returns {string|null} Hash of the certified PDF, or null when there is no PDF
+ */
+async function completeSignedDocument(document, options = {}) {
+  const sourcePath = options.sourcePath || document.generatedPdfPath || document.filePath;
+  if (!sourcePath || !fs.existsSync(sourcePath)) {
+    document.logAction('completed', options.userId, 'All signatures collected', options.ipAddress);
+    return null;
+  }
+
+  const parsed = path.parse(sourcePath);
+  const outputPath = options.outputPath || path.join(parsed.dir, `${parsed.name}_signed${parsed.ext}`);
+
+  await appendCompletionCertificate(document, sourcePath, outputPath);
+  const hash = recordPdfVersion(document, 'signed', outputPath);
+
+  document.generatedPdfPath = outputPath;
+  document.fileName = path.basename(outputPath);
+  document.fileSize = fs.statSync(outputPath).size;
+  document.logAction('completed', options.userId, `Certificate of completion appended (SHA-256 ${hash})`, options.ipAddress);
+
+  return hash;
+}
+
+/**
+ * Write a copy of the PDF with a certificate of completion appended, listing
+ * each signer, when they signed, the hash of the PDF they signed and the
+ * chain hash of their signature
+ */
+async function appendCompletionCertificate(document, sourcePath, outputPath) {
+  const pdf = await PDFDocument.load(fs.readFileSync(sourcePath));
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const mono = await pdf.embedFont(StandardFonts.Courier);
+
+  let page = pdf.addPage(PAGE_SIZE);
+  let y = PAGE_SIZE[1] - MARGIN;
+
+  const line = (text, { size = 10, typeface = font, indent = 0, gap = 4 } = {}) => {
+    if (y < MARGIN + size) {
+      page = pdf.addPage(PAGE_SIZE);
+      y = PAGE_SIZE[1] - MARGIN;
+    }
+    page.drawText(pdfText(text), { x: MARGIN + indent, y, size, font: typeface });
+    y -= size + gap;
+  };
+
+  line('CERTIFICATE OF COMPLETION', { size: 16, typeface: bold, gap: 12 });
+  line(`Document: ${document.title}${document.formNumber ? ` (${document.formNumber})` : ''}`);
+  line(`Document ID: ${document._id}`);
+  line(`Completed: ${new Date(document.completedAt || Date.now()).toISOString()}`);
+  if (document.pdfVersions.length) {
+    line('Original PDF SHA-256:', { gap: 2 });
+    line(document.pdfVersions[0].hash, { size: 8, typeface: mono, indent: 12 });
+  }
+  y -= 10;
+
+  line('Signatures', { size: 12, typeface: bold, gap: 8 });
+
+  for (const [index, signature] of document.getActiveSignatures().entries()) {
+    line(`${index + 1}. ${signature.name || signature.email || 'Signer'} (${signature.role})`, { size: 11, typeface: bold });
+    if (signature.email) line(`Email: ${signature.email}`, { size: 9, indent: 12 });
+    line(`Signed: ${new Date(signature.signedAt).toISOString()}   IP: ${signature.ipAddress || 'unknown'}`, { size: 9, indent: 12 });
+    line('Signed PDF SHA-256:', { size: 9, indent: 12, gap: 2 });
+    line(signature.documentHash || 'not recorded', { size: 8, typeface: mono, indent: 24 });
+    line('Signature chain hash:', { size: 9, indent: 12, gap: 2 });
+    line(signature.hash || 'not recorded', { size: 8, typeface: mono, indent: 24 });
+
+    const image = await embedSignatureImage(pdf, signature.signatureData);
+    if (image) {
+      const { width, height } = image.scaleToFit(150, 40);
+      if (y < MARGIN + height) {
+        page = pdf.addPage(PAGE_SIZE);
+        y = PAGE_SIZE[1] - MARGIN;
+      }
+      y -= height;
+      page.drawImage(image, { x: MARGIN + 12, y, width, height });
+      page.drawLine({
+        start: { x: MARGIN + 12, y: y - 2 },
+        end: { x: MARGIN + 162, y: y - 2 },
+        thickness: 0.5,
+        color: rgb(0.5, 0.5, 0.5)
+      });
+      y -= 8;
+    }
+    y -= 10;
+  }
+
+  line('Audit chain head:', { gap: 2 });
+  line(document.chainHash || 'not recorded', { size: 8, typeface: mono, indent: 12, gap: 12 });
+  line('The SHA-256 of this completed file is recorded in the document audit trail.', { size: 8 });
+  line(`Verify at /api/documents/${document._id}/verify`, { size: 8 });
+
+  fs.writeFileSync(outputPath, await pdf.save());
+  return outputPath;
+}
+
+/**
+ * Embed a drawn signature stored as an image data URL; IDs and other
+ * signature data are skipped
+ */
+async function embedSignatureImage(pdf, signatureData) {
+  const match = IMAGE_DATA_URL.exec(signatureData || '');
+  if (!match) return null;
+
+  const bytes = Buffer.from(signatureData.slice(match[0].length), 'base64');
+  try {
+    return match[1] === 'png' ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Standard PDF fonts only cover Latin-1; replace anything else
+ */
+function pdfText(text) {
+  return String(text).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+/**
+ * Check the current PDF, every recorded PDF version and the hash chain.
+ * Modifications are issues; files that are gone are warnings.
+ */
+function verifyDocumentIntegrity(document) {
+  const issues = [];
+  const warnings = [];
+
+  const currentFile = checkCurrentPdf(document);
+  if (currentFile.missing) {
+    warnings.push('The current PDF is missing');
+  } else if (!currentFile.matches) {
+    issues.push('The current PDF does not match its recorded SHA-256');
+  }
+
+  const versions = document.pdfVersions.map(version => {
+    const result = {
+      label: version.label,
+      createdAt: version.createdAt,
+      hash: version.hash,
+      actualHash: null,
+      missing: !version.filePath || !fs.existsSync(version.filePath),
+      matches: false
+    };
+
+    if (result.missing) {
+      warnings.push(`The ${version.label} PDF from ${new Date(version.createdAt).toISOString()} is missing`);
+    } else {
+      result.actualHash = hashFile(version.filePath);
+      result.matches = result.actualHash === version.hash;
+      if (!result.matches) {
+        issues.push(`The ${version.label} PDF from ${new Date(version.createdAt).toISOString()} has been modified`);
+      }
+    }
+
+    return result;
+  });
+
+  const chain = document.verifyChain();
+  issues.push(...chain.issues);
+
+  // Every chained entry must point at a PDF version this document produced
+  const knownHashes = new Set(document.pdfVersions.map(v => v.hash));
+  [...document.signatures, ...document.auditLog]
+    .filter(entry => entry.documentHash && !knownHashes.has(entry.documentHash))
+    .forEach(entry => issues.push(`Entry ${entry.sequence} references a PDF hash with no recorded version`));
+
+  if (document.fileHash && document.pdfVersions.length &&
+      document.pdfVersions[document.pdfVersions.length - 1].hash !== document.fileHash) {
+    issues.push('The document hash does not match its latest PDF version');
+  }
+
+  return {
+    valid: issues.length === 0,
+    fileHash: document.fileHash || null,
+    currentFile,
+    versions,
+    chain: {
+      length: chain.length,
+      head: chain.head,
+      unchainedEntries: chain.unchainedEntries,
+      valid: chain.valid
+    },
+    issues,
+    warnings,
+    checkedAt: new Date()
+  };
+}
+
+module.exports = {
+  hashFile,
+  recordPdfVersion,
+  checkCurrentPdf,
+  completeSignedDocument,
+  appendCompletionCertificate,
+  verifyDocumentIntegrity
+};
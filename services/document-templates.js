@@ -0,0 +1,433 @@
+/**
+ * Document Templates
+ * Layout for every Document documentType, rendered by the PDF generator.
+ * Types with a hand-built layout name their generator method; the rest are
+ * described as sections of fields, paragraphs and tables. Paragraph text
+ * may reference data fields as {field}. Form numbers and titles come from
+ * Document.getFormInfo, so the same template serves every province; a
+ * template's `provinces` entry overrides parts of it for one province.
+ */
+
+// Fields shared by forms that refer back to an agreement
+const AGREEMENT_SECTION = {
+  heading: 'RE: AGREEMENT',
+  fields: [
+    ['Property', 'propertyAddress'],
+    ['Buyer', 'buyerName'],
+    ['Seller', 'sellerName'],
+    ['Agreement Dated', 'agreementDate', 'date']
+  ]
+};
+
+const PROPERTY_SECTION = {
+  heading: 'PROPERTY',
+  fields: [
+    ['Address', 'propertyAddress'],
+    ['Legal Description', 'legalDescription'],
+    ['PIN / PID', 'pin']
+  ]
+};
+
+const NOTES_SECTION = {
+  heading: 'NOTES',
+  fields: [['Notes', 'notes']]
+};
+
+// Cover sheet for documents issued by a third party and uploaded
+const thirdPartyRecord = (heading, fields) => ({
+  heading,
+  sections: [
+    PROPERTY_SECTION,
+    { heading: 'DETAILS', fields },
+    NOTES_SECTION
+  ],
+  signatures: []
+});
+
+const TEMPLATES = {
+  // Listing Documents
+  listing_agreement: {
+    heading: 'LISTING AGREEMENT',
+    sections: [
+      PROPERTY_SECTION,
+      {
+        heading: 'TERMS',
+        fields: [
+          ['Seller', 'sellerName'],
+          ['List Price', 'listPrice', 'money'],
+          ['Listing Period Begins', 'startDate', 'date'],
+          ['Listing Period Ends', 'endDate', 'date'],
+          ['Platform Fee', 'platformFee']
+        ]
+      },
+      {
+        text: 'The Seller lists the property for sale on Real Estate Direct on the terms above and confirms the Seller has authority to sell it.'
+      }
+    ],
+    signatures: ['seller']
+  },
+  seller_representation: {
+    heading: 'SELLER REPRESENTATION AGREEMENT',
+    sections: [
+      PROPERTY_SECTION,
+      {
+        heading: 'REPRESENTATION',
+        fields: [
+          ['Seller', 'sellerName'],
+          ['Representative', 'representativeName'],
+          ['Brokerage', 'brokerage'],
+          ['Term Begins', 'startDate', 'date'],
+          ['Term Ends', 'endDate', 'date'],
+          ['Commission', 'commission']
+        ]
+      }
+    ],
+    signatures: ['seller']
+  },
+  property_disclosure: { generator: 'generatePropertyDisclosure' },
+
+  // Offer Documents
+  agreement_purchase_sale: { generator: 'generateAgreementOfPurchaseSale' },
+  counter_offer: {
+    heading: 'COUNTER OFFER',
+    sections: [
+      AGREEMENT_SECTION,
+      {
+        text: 'The Seller has received the Buyer\'s offer and returns it with the following changes. All other terms of the offer are unchanged.'
+      },
+      {
+        heading: 'CHANGED TERMS',
+        fields: [
+          ['Purchase Price', 'offerPrice', 'money'],
+          ['Deposit', 'depositAmount', 'money'],
+          ['Closing Date', 'closingDate', 'date'],
+          ['Irrevocable Until', 'irrevocableDate', 'date']
+        ]
+      },
+      {
+        heading: 'OTHER CHANGES',
+        table: { key: 'changes', columns: [['Term', 'term'], ['Change', 'value']] }
+      }
+    ],
+    signatures: ['seller']
+  },
+  amendment: {
+    heading: 'AMENDMENT TO AGREEMENT',
+    sections: [
+      AGREEMENT_SECTION,
+      {
+        text: 'The Buyer and Seller agree to amend the Agreement as follows. All other terms of the Agreement remain in full force and effect.'
+      },
+      {
+        heading: 'AMENDMENTS',
+        table: { key: 'changes', columns: [['Term', 'term'], ['Was', 'from'], ['Now', 'to']] }
+      }
+    ],
+    signatures: ['buyer', 'seller']
+  },
+  condition_waiver: { generator: 'generateConditionWaiver' },
+  notice_fulfillment: {
+    heading: 'NOTICE OF FULFILLMENT OF CONDITION',
+    sections: [
+      AGREEMENT_SECTION,
+      {
+        text: 'The party named below gives notice that the following condition(s) in the Agreement have been fulfilled.'
+      },
+      {
+        heading: 'CONDITIONS FULFILLED',
+        table: { key: 'conditions', columns: [['Condition', 'title'], ['Fulfilled On', 'fulfilledAt', 'date']] }
+      }
+    ],
+    signatures: ['buyer']
+  },
+  mutual_release: {
+    heading: 'MUTUAL RELEASE',
+    sections: [
+      AGREEMENT_SECTION,
+      {
+        text: 'The Buyer and Seller release each other from all obligations under the Agreement, which is terminated. The deposit will be paid as directed below, without deduction except as stated.'
+      },
+      {
+        heading: 'DEPOSIT',
+        fields: [
+          ['Deposit Held', 'depositAmount', 'money'],
+          ['Held By', 'depositHolder'],
+          ['Paid to Buyer', 'depositToBuyer', 'money'],
+          ['Paid to Seller', 'depositToSeller', 'money'],
+          ['Reason for Release', 'reason']
+        ]
+      }
+    ],
+    signatures: ['buyer', 'seller']
+  },
+  notice_of_rescission: { generator: 'generateRescissionNotice' },
+
+  // Buyer Documents
+  buyer_representation: {
+    heading: 'BUYER REPRESENTATION AGREEMENT',
+    sections: [
+      {
+        heading: 'REPRESENTATION',
+        fields: [
+          ['Buyer', 'buyerName'],
+          ['Representative', 'representativeName'],
+          ['Brokerage', 'brokerage'],
+          ['Geographic Area', 'area'],
+          ['Term Begins', 'startDate', 'date'],
+          ['Term Ends', 'endDate', 'date']
+        ]
+      }
+    ],
+    signatures: ['buyer']
+  },
+  pre_approval_letter: thirdPartyRecord('MORTGAGE PRE-APPROVAL', [
+    ['Borrower', 'buyerName'],
+    ['Lender', 'lenderName'],
+    ['Approved Amount', 'approvedAmount', 'money'],
+    ['Rate Held', 'interestRate'],
+    ['Expires', 'expiryDate', 'date']
+  ]),
+  mortgage_commitment: thirdPartyRecord('MORTGAGE COMMITMENT', [
+    ['Borrower', 'buyerName'],
+    ['Lender', 'lenderName'],
+    ['Mortgage Amount', 'mortgageAmount', 'money'],
+    ['Interest Rate', 'interestRate'],
+    ['Term (years)', 'term'],
+    ['Amortization (years)', 'amortization'],
+    ['Commitment Date', 'commitmentDate', 'date']
+  ]),
+
+  // Inspection Documents
+  home_inspection_report: thirdPartyRecord('HOME INSPECTION REPORT', [
+    ['Inspector', 'inspectorName'],
+    ['Company', 'company'],
+    ['Inspection Date', 'inspectionDate', 'date'],
+    ['Summary', 'summary']
+  ]),
+  status_certificate: thirdPartyRecord('STATUS CERTIFICATE', [
+    ['Condominium Corporation', 'corporation'],
+    ['Unit', 'unit'],
+    ['Common Expenses', 'commonExpenses', 'money'],
+    ['Reserve Fund', 'reserveFund', 'money'],
+    ['Issued', 'issuedDate', 'date']
+  ]),
+  survey_certificate: thirdPartyRecord('SURVEY CERTIFICATE', [
+    ['Surveyor', 'surveyorName'],
+    ['Survey Date', 'surveyDate', 'date'],
+    ['Plan Number', 'planNumber']
+  ]),
+  real_property_report: thirdPartyRecord('REAL PROPERTY REPORT', [
+    ['Surveyor', 'surveyorName'],
+    ['Report Date', 'reportDate', 'date'],
+    ['Municipal Compliance', 'compliance']
+  ]),
+
+  // Closing Documents
+  statement_of_adjustments: { generator: 'generateStatementOfAdjustments' },
+  direction_re_title: {
+    heading: 'DIRECTION RE: TITLE',
+    sections: [
+      AGREEMENT_SECTION,
+      {
+        text: 'The Buyer directs the Seller and the Seller\'s {closingProfessional} to engross the transfer/deed as follows.'
+      },
+      {
+        heading: 'TITLE TO BE TAKEN IN THE NAME OF',
+        table: { key: 'titleHolders', columns: [['Name', 'name'], ['Date of Birth', 'dateOfBirth', 'date'], ['Share', 'share']] }
+      },
+      {
+        heading: 'TENURE',
+        fields: [['Held As', 'tenure']]
+      }
+    ],
+    signatures: ['buyer'],
+    provinces: {
+      QC: {
+        heading: 'DIRECTION RE: DEED OF SALE',
+        sections: {
+          1: { text: 'The Buyer directs the notary to draw the deed of sale in favour of the following persons.' }
+        }
+      }
+    }
+  },
+  direction_re_funds: {
+    heading: 'DIRECTION RE: FUNDS',
+    sections: [
+      AGREEMENT_SECTION,
+      {
+        text: 'The Seller directs the Buyer and the Buyer\'s {closingProfessional} to pay the balance due on closing as follows, and this is sufficient authority for doing so.'
+      },
+      {
+        heading: 'PAYEES',
+        table: { key: 'payees', columns: [['Payee', 'name'], ['Amount', 'amount', 'money'], ['Method', 'method']] }
+      },
+      {
+        fields: [['Balance Due on Closing', 'balanceDueOnClosing', 'money']]
+      }
+    ],
+    signatures: ['seller']
+  },
+  deed_transfer: {
+    heading: 'TRANSFER / DEED OF LAND',
+    sections: [
+      PROPERTY_SECTION,
+      {
+        heading: 'PARTIES',
+        fields: [
+          ['Transferor', 'sellerName'],
+          ['Transferee', 'buyerName'],
+          ['Consideration', 'purchasePrice', 'money'],
+          ['Registration Date', 'closingDate', 'date']
+        ]
+      }
+    ],
+    signatures: ['seller', 'buyer']
+  },
+  title_insurance: thirdPartyRecord('TITLE INSURANCE POLICY', [
+    ['Insurer', 'insurer'],
+    ['Policy Number', 'policyNumber'],
+    ['Insured', 'buyerName'],
+    ['Coverage', 'coverageAmount', 'money'],
+    ['Effective', 'effectiveDate', 'date']
+  ]),
+  mortgage_documents: thirdPartyRecord('MORTGAGE / CHARGE', [
+    ['Chargor', 'buyerName'],
+    ['Chargee', 'lenderName'],
+    ['Principal', 'mortgageAmount', 'money'],
+    ['Interest Rate', 'interestRate'],
+    ['Registration Date', 'closingDate', 'date']
+  ]),
+
+  // Tax Documents
+  land_transfer_tax_affidavit: {
+    heading: 'LAND TRANSFER TAX AFFIDAVIT',
+    sections: [
+      PROPERTY_SECTION,
+      {
+        heading: 'CONSIDERATION',
+        fields: [
+          ['Transferee', 'buyerName'],
+          ['Value of Consideration', 'purchasePrice', 'money'],
+          ['Land Transfer Tax', 'landTransferTax', 'money'],
+          ['First-Time Buyer Refund Claimed', 'rebate', 'money']
+        ]
+      },
+      {
+        text: 'The deponent makes this affidavit as the transferee, or on the transferee\'s behalf, and the statements in it are true.'
+      }
+    ],
+    signatures: ['buyer']
+  },
+  property_transfer_tax_return: {
+    heading: 'PROPERTY TRANSFER TAX RETURN',
+    sections: [
+      PROPERTY_SECTION,
+      {
+        heading: 'TRANSACTION',
+        fields: [
+          ['Transferee', 'buyerName'],
+          ['Fair Market Value', 'purchasePrice', 'money'],
+          ['Property Transfer Tax', 'landTransferTax', 'money'],
+          ['Exemption Claimed', 'exemption'],
+          ['Additional Property Transfer Tax', 'foreignBuyerTax', 'money']
+        ]
+      }
+    ],
+    signatures: ['buyer']
+  },
+  gst_rebate_application: {
+    heading: 'GST/HST NEW HOUSING REBATE APPLICATION',
+    sections: [
+      PROPERTY_SECTION,
+      {
+        heading: 'REBATE',
+        fields: [
+          ['Applicant', 'buyerName'],
+          ['Purchase Price Before Tax', 'basePrice', 'money'],
+          ['GST / Federal Part of HST', 'gst', 'money'],
+          ['Federal Rebate', 'federalRebate', 'money'],
+          ['Provincial Rebate', 'provincialRebate', 'money'],
+          ['Rebate Assigned to Builder', 'assignedToBuilder']
+        ]
+      },
+      {
+        text: 'The applicant, or a relation of the applicant, intends to occupy the home as their primary place of residence.'
+      }
+    ],
+    signatures: ['buyer']
+  },
+
+  // Other
+  power_of_attorney: {
+    heading: 'POWER OF ATTORNEY',
+    sections: [
+      {
+        heading: 'APPOINTMENT',
+        fields: [
+          ['Grantor', 'grantorName'],
+          ['Attorney', 'attorneyName'],
+          ['Property', 'propertyAddress'],
+          ['Effective', 'effectiveDate', 'date'],
+          ['Expires', 'expiryDate', 'date']
+        ]
+      },
+      {
+        text: 'The Grantor appoints the Attorney to sign, on the Grantor\'s behalf, all documents needed to complete the purchase or sale of the property.'
+      }
+    ],
+    signatures: ['witness']
+  },
+  corporate_authorization: {
+    heading: 'CORPORATE AUTHORIZATION',
+    sections: [
+      {
+        heading: 'RESOLUTION',
+        fields: [
+          ['Corporation', 'corporationName'],
+          ['Authorized Signing Officer', 'officerName'],
+          ['Property', 'propertyAddress'],
+          ['Resolution Date', 'resolutionDate', 'date']
+        ]
+      },
+      {
+        text: 'Resolved that the officer named above is authorized to sign all documents for the transaction on behalf of the corporation.'
+      }
+    ],
+    signatures: []
+  },
+  identification: thirdPartyRecord('IDENTIFICATION VERIFICATION', [
+    ['Name', 'name'],
+    ['Document Type', 'idType'],
+    ['Document Number', 'idNumber'],
+    ['Issuing Jurisdiction', 'issuer'],
+    ['Expiry', 'expiryDate', 'date'],
+    ['Verified On', 'verifiedAt', 'date']
+  ]),
+  other: {
+    sections: [
+      AGREEMENT_SECTION,
+      { heading: 'DETAILS', fields: [['Description', 'description']] }
+    ],
+    signatures: ['buyer', 'seller']
+  }
+};
+
+/**
+ * Template for a document type, with province overrides applied
+ * @returns {Object|null}
+ */
+function getTemplate(documentType, province) {
+  const template = TEMPLATES[documentType];
+  if (!template) return null;
+
+  const override = template.provinces?.[province];
+  if (!override) return template;
+
+  const sections = template.sections.map((section, i) => ({ ...section, ...override.sections?.[i] }));
+  return { ...template, ...override, sections };
+}
+
+module.exports = {
+  TEMPLATES,
+  getTemplate
+};
@@ -0,0 +1,352 @@
+/**
+ * Document Versioning Service
+ * Immutable DocumentVersion snapshots each time a document's content
+ * changes, field-level diffs between versions, and amendments: changing a
+ * signed document produces an `amendment` Document linked to it and
+ * invalidates the signatures so every party signs again.
+ */
+
+const fs = require('fs');
+const Document = require('../models/document.model');
+const DocumentVersion = require('../models/document-version.model');
+const Transaction = require('../models/transaction.model');
+const SigningEnvelope = require('../models/signing-envelope.model');
+const pdfGenerator = require('./pdf-generator');
+const { recordPdfVersion } = require('./document-integrity.service');
+const { formatAddress } = require('./notification.service');
+const { getProvince } = require('../config/provinces');
+const { HttpError } = require('./errors');
+
+// Built from transaction data by their own services; regenerate instead of editing
+const SYSTEM_GENERATED_TYPES = [
+  'statement_of_adjustments', 'notice_of_rescission', 'mutual_release', 'notice_fulfillment', 'condition_waiver'
+];
+
+// Statuses where signatures exist and a change must go through an amendment
+const AMENDABLE_STATUSES = ['partially_signed', 'signed'];
+
+/**
+ * Render a generated document's PDF from its content, with transaction
+ * details filling anything the content leaves out
+ * @param {Object} document - Document with documentType, province, content and version
+ * @param {Object} [transaction] - Transaction populated with property, buyer and seller
+ * @returns {string} Path of the rendered PDF
+ */
+async function renderDocumentPdf(document, transaction) {
+  const closingProfessional = getProvince(document.province).closingProfessional.replace(/_/g, ' ');
+  const pdfData = {
+    documentId: document._id,
+    version: document.version,
+    closingProfessional,
+    ...(transaction && {
+      transactionId: transaction._id,
+      propertyAddress: formatAddress(transaction.property),
+      legalDescription: transaction.property?.legalDescription,
+      buyerName: transaction.buyer.name,
+      sellerName: transaction.seller.name,
+      agreementDate: transaction.acceptanceDate,
+      purchasePrice: transaction.purchasePrice,
+      depositAmount: transaction.depositAmount,
+      closingDate: transaction.closingDate
+    }),
+    ...document.content
+  };
+
+  const { filePath, fileName } = await pdfGenerator.generateDocument(document.documentType, pdfData, document.province);
+  document.filePath = filePath;
+  document.fileName = fileName;
+  document.generatedPdfPath = filePath;
+  document.fileType = 'pdf';
+  document.mimeType = 'application/pdf';
+  document.fileSize = fs.statSync(filePath).size;
+
+  return filePath;
+}
+
+/**
+ * Load a transaction with what renderDocumentPdf needs
+ */
+function loadTransactionForPdf(transactionId) {
+  if (!transactionId) return null;
+
+  return Transaction.findById(transactionId)
+    .populate('property', 'address legalDescription')
+    .populate('buyer', 'name')
+    .populate('seller', 'name');
+}
+
+// Plain objects and arrays are compared field by field; anything else is a value
+function isContainer(value) {
+  return value !== null && typeof value === 'object' &&
+    !(value instanceof Date) && value._bsontype !== 'ObjectId';
+}
+
+// Comparable form of a leaf value
+function normalizeValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value && value._bsontype === 'ObjectId') return value.toString();
+  return value;
+}
+
+/**
+ * Field-level differences between two content objects
+ * @returns {Array} [{ path, type: 'added'|'removed'|'changed', from, to }]
+ *   with dotted paths, e.g. 'conditions.0.deadline'
+ */
+function diffContent(before, after, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  [...keys].sort().forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+
+    if (isContainer(from) && isContainer(to) && Array.isArray(from) === Array.isArray(to)) {
+      changes.push(...diffContent(from, to, path));
+      return;
+    }
+    if (JSON.stringify(normalizeValue(from)) === JSON.stringify(normalizeValue(to))) {
+      return;
+    }
+
+    changes.push({
+      path,
+      type: from === undefined ? 'added' : to === undefined ? 'removed' : 'changed',
+      from: normalizeValue(from),
+      to: normalizeValue(to)
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Record the document's current state as an immutable version
+ */
+function snapshotVersion(document, { userId, reason, changes = [], amendment } = {}) {
+  return DocumentVersion.create({
+    document: document._id,
+    version: document.version,
+    title: document.title,
+    status: document.status,
+    content: document.content,
+    filePath: document.generatedPdfPath || document.filePath,
+    fileHash: document.fileHash,
+    signatures: document.getActiveSignatures().map(s => ({
+      role: s.role,
+      name: s.name,
+      signedAt: s.signedAt,
+      hash: s.hash
+    })),
+    changes,
+    createdBy: userId,
+    reason,
+    amendment
+  });
+}
+
+/**
+ * Snapshot the current version if it was never recorded (documents created
+ * before versioning, or by services that don't snapshot)
+ */
+async function ensureBaselineVersion(document) {
+  const exists = await DocumentVersion.exists({ document: document._id, version: document.version });
+  if (!exists) {
+    await snapshotVersion(document, { userId: document.createdBy, reason: 'Baseline' });
+  }
+}
+
+/**
+ * Apply a content change as a new version: bump the version, invalidate any
+ * signatures, re-render the PDF and snapshot the result
+ */
+async function reviseDocument(document, { content = {}, title, reason, userId, ipAddress, amendment }) {
+  await ensureBaselineVersion(document);
+
+  const previous = document.content || {};
+  const next = { ...previous, ...content };
+  const changes = diffContent(previous, next);
+  if (title && title !== document.title) {
+    changes.push({ path: 'title', type: 'changed', from: document.title, to: title });
+  }
+  if (!changes.length) {
+    throw new HttpError('No changes to apply');
+  }
+
+  const now = new Date();
+  document.content = next;
+  document.markModified('content');
+  if (title) document.title = title;
+  document.version += 1;
+
+  const invalidated = document.invalidateSignatures(`Superseded by version ${document.version}`, now);
+  if (invalidated) {
+    document.status = 'pending_signatures';
+    document.completedAt = undefined;
+
+    // Links sent for the old version must not be used
+    await SigningEnvelope.updateMany(
+      { document: document._id, status: 'pending' },
+      { $set: { status: 'voided' } }
+    );
+  }
+
+  if (document.generatedAt) {
+    const filePath = await renderDocumentPdf(document, await loadTransactionForPdf(document.transaction));
+    recordPdfVersion(document, 'revised', filePath);
+  }
+
+  document.logAction(
+    'edited',
+    userId,
+    `Version ${document.version}: ${reason}${invalidated ? ` (${invalidated} signature(s) invalidated)` : ''}`,
+    ipAddress
+  );
+  await document.save();
+
+  const version = await snapshotVersion(document, { userId, reason, changes, amendment });
+
+  return { document, version, changes, invalidatedSignatures: invalidated };
+}
+
+/**
+ * Edit an unsigned document's content. Signed documents change by amendment.
+ */
+async function editDocument(document, { content, title, reason, userId, ipAddress }) {
+  if (SYSTEM_GENERATED_TYPES.includes(document.documentType)) {
+    throw new HttpError('This document is generated from the transaction; regenerate it instead');
+  }
+  if (document.status === 'signed') {
+    throw new HttpError('Signed documents can only be changed by amendment', 409);
+  }
+  if (['archived', 'voided'].includes(document.status)) {
+    throw new HttpError(`Cannot edit a ${document.status} document`, 409);
+  }
+
+  return reviseDocument(document, { content, title, reason, userId, ipAddress });
+}
+
+/**
+ * Amend a signed document: produce an `amendment` Document listing the
+ * changes, apply them to the parent as a new version and require every
+ * party to sign both again
+ * @param {Object} parent - Signed or partially signed Document
+ * @param {Object} options - { content, reason, userId, ipAddress }
+ * @returns {Object} { amendment, document, version, changes, invalidatedSignatures }
+ */
+async function amendDocument(parent, { content, reason, userId, ipAddress }) {
+  if (parent.documentType === 'amendment') {
+    throw new HttpError('Amend the original document, not the amendment');
+  }
+  if (SYSTEM_GENERATED_TYPES.includes(parent.documentType)) {
+    throw new HttpError('This document is generated from the transaction; regenerate it instead');
+  }
+  if (!AMENDABLE_STATUSES.includes(parent.status)) {
+    throw new HttpError('Only signed documents are amended; edit unsigned documents directly');
+  }
+
+  const changes = diffContent(parent.content || {}, { ...parent.content, ...content });
+  if (!changes.length) {
+    throw new HttpError('No changes to apply');
+  }
+
+  const formInfo = Document.getFormInfo(parent.province, 'amendment');
+  const amendment = new Document({
+    transaction: parent.transaction,
+    property: parent.property,
+    offer: parent.offer,
+    documentType: 'amendment',
+    province: parent.province,
+    formNumber: formInfo.formNumber,
+    title: `${formInfo.title}: ${parent.title}`,
+    description: reason,
+    parentDocument: parent._id,
+    parentVersion: parent.version + 1,
+    content: {
+      amends: parent.title,
+      amendsVersion: parent.version,
+      reason,
+      changes: changes.map(change => ({
+        term: describePath(change.path),
+        from: formatChangeValue(change.from),
+        to: change.to === undefined ? '(removed)' : formatChangeValue(change.to)
+      }))
+    },
+    status: 'draft',
+    requiredSignatures: parent.requiredSignatures.map(({ role, userId: signerId, name, email }) => ({ role, userId: signerId, name, email })),
+    createdBy: userId,
+    accessibleBy: parent.accessibleBy,
+    generatedAt: new Date()
+  });
+
+  const filePath = await renderDocumentPdf(amendment, await loadTransactionForPdf(amendment.transaction));
+  recordPdfVersion(amendment, 'generated', filePath);
+  amendment.logAction('created', userId, `Amendment to ${parent.title} version ${parent.version}`, ipAddress);
+  await amendment.save();
+  await snapshotVersion(amendment, { userId, reason: 'Generated' });
+
+  parent.amendments.push(amendment._id);
+  const result = await reviseDocument(parent, { content, reason: `Amended: ${reason}`, userId, ipAddress, amendment: amendment._id });
+
+  if (parent.transaction) {
+    await Transaction.updateOne({ _id: parent.transaction }, { $push: { documents: amendment._id } });
+  }
+
+  return { amendment, ...result };
+}
+
+/**
+ * Readable label for a content path, e.g. 'closingDate' -> 'Closing Date'
+ */
+function describePath(path) {
+  return path
+    .split('.')
+    .map(part => /^\d+$/.test(part)
+      ? `#${Number(part) + 1}`
+      : part.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()))
+    .join(' ');
+}
+
+// Amendment table cell for a changed value; whole objects added or removed
+// are shown as JSON
+function formatChangeValue(value) {
+  if (isContainer(value) && !Array.isArray(value)) return JSON.stringify(value);
+  return pdfGenerator.formatValue(value);
+}
+
+/**
+ * Field-level diff between two recorded versions of a document
+ */
+async function getVersionDiff(documentId, fromVersion, toVersion) {
+  const versions = await DocumentVersion.find({ document: documentId, version: { $in: [fromVersion, toVersion] } });
+  const from = versions.find(v => v.version === fromVersion);
+  const to = versions.find(v => v.version === toVersion);
+
+  if (!from || !to) {
+    throw new HttpError(`Version ${!from ? fromVersion : toVersion} not found`, 404);
+  }
+
+  const changes = diffContent(from.content || {}, to.content || {});
+  if (from.title !== to.title) {
+    changes.push({ path: 'title', type: 'changed', from: from.title, to: to.title });
+  }
+
+  return {
+    from: { version: from.version, createdAt: from.createdAt, fileHash: from.fileHash, reason: from.reason },
+    to: { version: to.version, createdAt: to.createdAt, fileHash: to.fileHash, reason: to.reason },
+    fileChanged: from.fileHash !== to.fileHash,
+    changes
+  };
+}
+
+module.exports = {
+  renderDocumentPdf,
+  diffContent,
+  describePath,
+  snapshotVersion,
+  ensureBaselineVersion,
+  editDocument,
+  amendDocument,
+  getVersionDiff
+};
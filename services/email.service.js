@@ -504,6 +504,25 @@ class EmailService {
     return this.sendEmail(userEmail, subject, html, this.stripHtml(html));
   }
 
+  async sendEmailVerification(userEmail, data) {
+    const subject = `Verify your email - Real Estate Direct`;
+    const html = `
+      <h2>Verify Your Email Address</h2>
+      <p>Hi ${data.name},</p>
+      <p>Please confirm your email address to start making offers, signing documents and listing properties:</p>
+
+      <p style="text-align: center;">
+        <a href="${data.verifyUrl}" style="display: inline-block; padding: 12px 24px; background: #2563eb; color: white; text-decoration: none; border-radius: 6px;">Verify Email</a>
+      </p>
+
+      <p>This link will expire in ${data.expiresInHours || 24} hours.</p>
+
+      <p>If you didn't create an account, you can safely ignore this email.</p>
+    `;
+
+    return this.sendEmail(userEmail, subject, html, this.stripHtml(html));
+  }
+
   // ==========================================
   // Messaging Notifications
   // ==========================================
@@ -525,6 +544,58 @@ class EmailService {
     return this.sendEmail(recipientEmail, subject, html, this.stripHtml(html));
   }
 
+  // ==========================================
+  // Showing Notifications
+  // ==========================================
+
+  async sendShowingReminder(userEmail, data) {
+    const subject = `Showing Reminder - ${data.propertyAddress}`;
+    const html = `
+      <h2>Upcoming Showing</h2>
+      <p>Hi ${data.name},</p>
+      <p>This is a reminder of your upcoming showing.</p>
+
+      <h3>Showing Details:</h3>
+      <ul>
+        <li><strong>Property:</strong> ${data.propertyAddress}</li>
+        <li><strong>Date:</strong> ${this.formatDate(data.date)}</li>
+        <li><strong>Time:</strong> ${data.time}</li>
+      </ul>
+
+      <p><a href="${data.showingUrl}">View Showing</a></p>
+    `;
+
+    return this.sendEmail(userEmail, subject, html, this.stripHtml(html));
+  }
+
+  // ==========================================
+  // Saved Search Alerts
+  // ==========================================
+
+  async sendSavedSearchAlert(userEmail, data) {
+    const count = data.properties.length;
+    const subject = `${count} New Listing${count === 1 ? '' : 's'} for "${data.searchName}"`;
+    const listItems = data.properties.map(p => `
+        <li>
+          <strong>${p.address}</strong> - $${p.askingPrice.toLocaleString()}
+          ${p.bedrooms !== undefined ? ` | ${p.bedrooms} bed` : ''}${p.bathrooms !== undefined ? ` | ${p.bathrooms} bath` : ''}
+          <br><a href="${p.url}">View Property</a>
+        </li>`).join('');
+
+    const html = `
+      <h2>New Listings Matching Your Search</h2>
+      <p>Hi ${data.name},</p>
+      <p>${count} new propert${count === 1 ? 'y matches' : 'ies match'} your saved search <strong>${data.searchName}</strong>:</p>
+
+      <ul>${listItems}
+      </ul>
+
+      <p><a href="${data.manageUrl}">Manage Saved Searches</a></p>
+    `;
+
+    return this.sendEmail(userEmail, subject, html, this.stripHtml(html));
+  }
+
   // ==========================================
   // Commission/Payment Notifications
   // ==========================================
@@ -0,0 +1,15 @@
+/**
+ * Service Errors
+ * Errors services throw for the routes to turn into responses
+ */
+
+// Error carrying the HTTP status to respond with
+class HttpError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = { HttpError };
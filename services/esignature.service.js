@@ -1,10 +1,12 @@
 /**
  * E-Signature Service
- * Integrates with DocuSign and HelloSign for electronic document signing
+ * Integrates with DocuSign and HelloSign for electronic document signing,
+ * with a built-in local provider (see local-signing.service.js)
  * Supports Canadian real estate transaction documents
  */
 
 const crypto = require('crypto');
+const SigningEnvelope = require('../models/signing-envelope.model');
 
 class ESignatureService {
   constructor() {
@@ -28,7 +30,9 @@ class ESignatureService {
       signers,
       subject,
       message,
-      expiresInDays = 30
+      expiresInDays = 30,
+      documentType,
+      createdBy
     } = options;
 
     // Generate envelope ID for tracking
@@ -58,16 +62,18 @@ class ESignatureService {
       });
     }
 
-    // Fallback: Local signing simulation for development
+    // Fallback: built-in local signing ceremony
     return this.createLocalSigningRequest({
       envelopeId,
       documentId,
       documentPath,
       documentName,
+      documentType,
       signers,
       subject,
       message,
-      expiresInDays
+      expiresInDays,
+      createdBy
     });
   }
 
@@ -152,10 +158,52 @@ class ESignatureService {
   }
 
   /**
-   * Create local signing request for development/testing
+   * Create local signing request. The envelope and a hash of each signer's
+   * token are stored; the plain tokens only go out in the signing URLs.
+   * Signers are put in the order their roles appear in
+   * DEFAULT_SIGNATURE_LOCATIONS for the document type.
    */
   async createLocalSigningRequest(options) {
-    const { envelopeId, documentPath, documentName, signers, subject, message, expiresInDays } = options;
+    const {
+      envelopeId,
+      documentId,
+      documentPath,
+      documentName,
+      documentType,
+      signers,
+      subject,
+      message,
+      expiresInDays,
+      createdBy
+    } = options;
+
+    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    const ordered = this.orderSigners(documentType, signers).map((signer, index) => ({
+      ...signer,
+      order: index,
+      signatureToken: this.generateSignatureToken()
+    }));
+
+    await SigningEnvelope.create({
+      envelopeId,
+      provider: 'local',
+      document: documentId,
+      documentType,
+      documentName,
+      sourcePdfPath: documentPath,
+      subject,
+      message,
+      expiresAt,
+      createdBy,
+      signers: ordered.map(signer => ({
+        order: signer.order,
+        role: signer.role || 'signer',
+        name: signer.name,
+        email: signer.email,
+        userId: signer.userId,
+        tokenHash: this.hashSignatureToken(signer.signatureToken)
+      }))
+    });
 
     const request = {
       provider: 'local',
@@ -166,15 +214,16 @@ class ESignatureService {
       documentName,
       documentPath,
       createdAt: new Date().toISOString(),
-      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString(),
-      signers: signers.map((signer, index) => ({
+      expiresAt: expiresAt.toISOString(),
+      signers: ordered.map(signer => ({
         email: signer.email,
         name: signer.name,
         role: signer.role || 'signer',
+        order: signer.order,
         status: 'pending',
         signedAt: null,
-        signingUrl: `${process.env.APP_URL || 'http://localhost:3000'}/api/documents/sign/${envelopeId}?signer=${index}`,
-        signatureToken: this.generateSignatureToken()
+        signingUrl: `${process.env.APP_URL || 'http://localhost:3000'}/api/documents/sign/${envelopeId}?signer=${signer.order}&token=${signer.signatureToken}`,
+        signatureToken: signer.signatureToken
       }))
     };
 
@@ -183,6 +232,27 @@ class ESignatureService {
     return request;
   }
 
+  /**
+   * Sort signers by the role order in DEFAULT_SIGNATURE_LOCATIONS, then by
+   * their own order. Roles without a location sign last.
+   */
+  orderSigners(documentType, signers) {
+    const locations = getSignatureLocations(documentType);
+    const roles = [...new Set(locations.map(l => l.role))];
+    const rank = signer => {
+      const index = roles.indexOf(signer.role);
+      return index === -1 ? roles.length : index;
+    };
+
+    return signers
+      .map((signer, index) => ({ signer, index }))
+      .sort((a, b) =>
+        rank(a.signer) - rank(b.signer) ||
+        (a.signer.order || a.index + 1) - (b.signer.order || b.index + 1)
+      )
+      .map(({ signer }) => signer);
+  }
+
   /**
    * Get envelope/request status
    */
@@ -357,6 +427,24 @@ class ESignatureService {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  /**
+   * Hash a signature token for storage
+   */
+  hashSignatureToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Check a signature token against its stored hash
+   */
+  verifySignatureToken(token, tokenHash) {
+    if (!token || !tokenHash) return false;
+
+    const expected = Buffer.from(tokenHash, 'hex');
+    const actual = Buffer.from(this.hashSignatureToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
   /**
    * Get signing URL for embedded signing
    */
@@ -395,9 +483,32 @@ const DEFAULT_SIGNATURE_LOCATIONS = {
   ]
 };
 
+// Document model types that map to an e-signature document type
+const DOCUMENT_TYPE_CODES = {
+  agreement_purchase_sale: DOCUMENT_TYPES.AGREEMENT_OF_PURCHASE_SALE,
+  property_disclosure: DOCUMENT_TYPES.PROPERTY_DISCLOSURE,
+  condition_waiver: DOCUMENT_TYPES.CONDITION_WAIVER,
+  amendment: DOCUMENT_TYPES.AMENDMENT,
+  notice_fulfillment: DOCUMENT_TYPES.NOTICE_OF_FULFILLMENT,
+  mutual_release: DOCUMENT_TYPES.MUTUAL_RELEASE,
+  direction_re_title: DOCUMENT_TYPES.DIRECTION_RE_TITLE,
+  statement_of_adjustments: DOCUMENT_TYPES.STATEMENT_OF_ADJUSTMENTS
+};
+
+/**
+ * Signature locations for a document type, accepting either the Document
+ * model type or the e-signature code
+ */
+function getSignatureLocations(documentType) {
+  const code = DOCUMENT_TYPE_CODES[documentType] || documentType;
+  return DEFAULT_SIGNATURE_LOCATIONS[code] || [];
+}
+
 module.exports = {
   ESignatureService,
   DOCUMENT_TYPES,
+  DOCUMENT_TYPE_CODES,
   DEFAULT_SIGNATURE_LOCATIONS,
+  getSignatureLocations,
   esignatureService: new ESignatureService()
 };
@@ -0,0 +1,328 @@
+/**
+ * FINTRAC Service
+ * Client identification under the PCMLTFA: clients submit their identity
+ * details and ID documents, a compliance reviewer verifies them by one of
+ * the government-ID, dual-process or credit-file methods, records the PEP
+ * determination and risk assessment, and the client identification record
+ * is kept as a PDF. Offers are only accepted once both parties are verified.
+ */
+
+const User = require('../models/user.model');
+const pdfGenerator = require('./pdf-generator');
+const { hashFile } = require('./document-integrity.service');
+const { sanitizeFilename } = require('../middleware/upload');
+const { HttpError } = require('./errors');
+
+const VERIFICATION_METHODS = ['government_id', 'dual_process', 'credit_file'];
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// A credit file must have existed this long to identify its holder
+const MIN_CREDIT_FILE_YEARS = 3;
+
+// Identity details the client provides; everything else is set on review
+const SUBMITTED_FIELDS = [
+  'legalFirstName', 'legalLastName', 'dateOfBirth', 'occupation', 'address',
+  'idType', 'idNumber', 'idExpiry', 'idIssuingProvince',
+  'isBusinessClient', 'businessName', 'businessNumber', 'beneficialOwners',
+  'isPEP', 'pepDetails'
+];
+
+/**
+ * Record the client's identity details and queue them for review
+ */
+function submitIdentification(user, details, now = new Date()) {
+  const compliance = user.fintracCompliance;
+  if (compliance.status === 'verified') {
+    throw new HttpError('Your identity has already been verified', 409);
+  }
+
+  SUBMITTED_FIELDS
+    .filter(field => details[field] !== undefined)
+    .forEach(field => { compliance[field] = details[field]; });
+
+  compliance.status = 'submitted';
+  compliance.submittedAt = now;
+  compliance.rejectionReason = undefined;
+  compliance.verificationHistory.push({ action: 'submitted', timestamp: now, performedBy: user._id });
+
+  return user;
+}
+
+/**
+ * Attach an uploaded ID document (verified by magic bytes) to the client
+ */
+function addIdDocument(user, file, label, now = new Date()) {
+  const compliance = user.fintracCompliance;
+  if (compliance.status === 'verified') {
+    throw new HttpError('Your identity has already been verified', 409);
+  }
+
+  const document = {
+    label,
+    filePath: file.path,
+    fileName: sanitizeFilename(file.originalname),
+    mimeType: file.detectedMimeType,
+    hash: hashFile(file.path),
+    uploadedAt: now
+  };
+  compliance.idDocuments.push(document);
+  compliance.verificationHistory.push({
+    action: 'document_uploaded',
+    timestamp: now,
+    performedBy: user._id,
+    notes: `${label} (SHA-256 ${document.hash})`
+  });
+
+  return compliance.idDocuments[compliance.idDocuments.length - 1];
+}
+
+/**
+ * What is still missing before the client can be verified by a method
+ * @returns {string[]} Problems; empty when the method's requirements are met
+ */
+function checkMethodRequirements(compliance, method, now = new Date()) {
+  const problems = [];
+
+  if (!compliance.legalFirstName || !compliance.legalLastName) problems.push('Legal name is missing');
+  if (!compliance.dateOfBirth) problems.push('Date of birth is missing');
+  if (!compliance.address?.street || !compliance.address?.city) problems.push('Address is missing');
+
+  if (method === 'government_id') {
+    if (!compliance.idType || !compliance.idNumber) problems.push('Government ID type and number are missing');
+    if (!compliance.idExpiry || new Date(compliance.idExpiry) <= now) problems.push('The government ID has expired or has no expiry date');
+    if (!compliance.idDocuments.length) problems.push('No ID document has been uploaded');
+  }
+
+  if (method === 'dual_process') {
+    const sources = (compliance.dualProcessSources || []).filter(s => s.sourceName && s.reference);
+    const categories = new Set(sources.map(s => s.category));
+    const organisations = new Set(sources.map(s => s.sourceName.trim().toLowerCase()));
+    if (categories.size < 2 || organisations.size < 2) {
+      problems.push('Dual-process needs two sources of different kinds from different organisations');
+    }
+  }
+
+  if (method === 'credit_file') {
+    const { bureau, reference, establishedAt } = compliance.creditFile || {};
+    const cutoff = new Date(now);
+    cutoff.setFullYear(cutoff.getFullYear() - MIN_CREDIT_FILE_YEARS);
+    if (!bureau || !reference) problems.push('Credit bureau and file reference are missing');
+    if (!establishedAt || new Date(establishedAt) > cutoff) {
+      problems.push(`The credit file must have existed for at least ${MIN_CREDIT_FILE_YEARS} years`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Risk factors that follow from the client's details. The reviewer may
+ * raise the level but not lower it below what these require.
+ */
+function assessRisk(compliance) {
+  const factors = [];
+  let level = 'low';
+  const raise = (to) => { if (RISK_LEVELS.indexOf(to) > RISK_LEVELS.indexOf(level)) level = to; };
+
+  if (compliance.isPEP) {
+    factors.push('Politically exposed person or head of an international organization');
+    raise('high');
+  }
+  if (compliance.isBusinessClient && !compliance.beneficialOwnerConfirmed) {
+    factors.push('Beneficial ownership not confirmed');
+    raise('high');
+  }
+  if (compliance.address?.country && compliance.address.country.trim().toLowerCase() !== 'canada') {
+    factors.push('Resides outside Canada');
+    raise('medium');
+  }
+
+  return { level, factors };
+}
+
+/**
+ * Approve or reject a submitted identification. Approval checks the
+ * method's requirements, records the PEP determination and risk
+ * assessment, and produces the client identification record.
+ * @param {Object} user - Client (not saved)
+ * @param {Object} review - { decision, method, dualProcessSources, creditFile,
+ *   isPEP, pepDetails, beneficialOwnerConfirmed, riskLevel, riskFactors, notes }
+ * @param {Object} reviewer - Reviewing User
+ */
+async function reviewIdentification(user, review, reviewer, now = new Date()) {
+  const compliance = user.fintracCompliance;
+  if (compliance.status !== 'submitted') {
+    throw new HttpError(`Nothing to review: identification is ${compliance.status.replace('_', ' ')}`, 409);
+  }
+  if (user._id.equals(reviewer._id)) {
+    throw new HttpError('You cannot review your own identification', 403);
+  }
+
+  const history = (action, notes) => compliance.verificationHistory.push({
+    action,
+    timestamp: now,
+    performedBy: reviewer._id,
+    notes
+  });
+  compliance.reviewedAt = now;
+  compliance.reviewedBy = reviewer._id;
+
+  if (review.decision === 'reject') {
+    compliance.status = 'rejected';
+    compliance.verified = false;
+    compliance.rejectionReason = review.notes;
+    history('rejected', review.notes);
+    return user;
+  }
+
+  if (review.method === 'dual_process') {
+    compliance.dualProcessSources = (review.dualProcessSources || []).map(source => ({ ...source, verifiedAt: now }));
+  }
+  if (review.method === 'credit_file') {
+    compliance.creditFile = { ...review.creditFile, checkedAt: now };
+  }
+
+  const problems = checkMethodRequirements(compliance, review.method, now);
+  if (problems.length) {
+    throw new HttpError(`Cannot verify by ${review.method.replace('_', ' ')}: ${problems.join('; ')}`);
+  }
+
+  compliance.isPEP = review.isPEP;
+  compliance.pepDetails = review.isPEP ? review.pepDetails : undefined;
+  compliance.pepDeterminedAt = now;
+  history('pep_determination', review.isPEP ? `PEP/HIO: ${review.pepDetails}` : 'Not a PEP or HIO');
+
+  if (compliance.isBusinessClient && review.beneficialOwnerConfirmed !== undefined) {
+    compliance.beneficialOwnerConfirmed = review.beneficialOwnerConfirmed;
+  }
+
+  const assessed = assessRisk(compliance);
+  compliance.riskLevel = RISK_LEVELS.indexOf(review.riskLevel) > RISK_LEVELS.indexOf(assessed.level)
+    ? review.riskLevel
+    : assessed.level;
+  compliance.riskFactors = [...assessed.factors, ...(review.riskFactors || [])];
+  compliance.riskAssessedAt = now;
+  history('risk_assessment', `${compliance.riskLevel}${compliance.riskFactors.length ? `: ${compliance.riskFactors.join(', ')}` : ''}`);
+
+  compliance.verificationMethod = review.method;
+  compliance.verified = true;
+  compliance.verifiedAt = now;
+  compliance.status = 'verified';
+  compliance.rejectionReason = undefined;
+  history('verified', review.notes || `Verified by ${review.method.replace('_', ' ')}`);
+
+  await generateClientRecord(user, reviewer, now);
+  return user;
+}
+
+/**
+ * Render the client identification record PDF and store its path and hash
+ */
+async function generateClientRecord(user, reviewer, now = new Date()) {
+  const compliance = user.fintracCompliance;
+  const address = compliance.address || {};
+
+  const { filePath } = await pdfGenerator.generateFintracRecord({
+    userId: user._id,
+    email: user.email,
+    legalName: `${compliance.legalFirstName} ${compliance.legalLastName}`,
+    dateOfBirth: compliance.dateOfBirth,
+    address: [address.street, address.city, address.province, address.postalCode, address.country].filter(Boolean).join(', '),
+    occupation: compliance.occupation,
+    isBusinessClient: compliance.isBusinessClient,
+    businessName: compliance.businessName,
+    businessNumber: compliance.businessNumber,
+    verificationMethod: compliance.verificationMethod,
+    idType: compliance.idType?.replace(/_/g, ' '),
+    idNumber: compliance.idNumber,
+    idIssuingProvince: compliance.idIssuingProvince,
+    idExpiry: compliance.idExpiry,
+    dualProcessSources: compliance.dualProcessSources,
+    creditFile: compliance.creditFile,
+    verifiedAt: compliance.verifiedAt,
+    reviewerName: reviewer.name,
+    isPEP: compliance.isPEP,
+    pepDetails: compliance.pepDetails,
+    pepDeterminedAt: compliance.pepDeterminedAt,
+    beneficialOwnerConfirmed: compliance.beneficialOwnerConfirmed,
+    beneficialOwners: compliance.beneficialOwners,
+    riskLevel: compliance.riskLevel,
+    riskFactors: compliance.riskFactors,
+    riskAssessedAt: compliance.riskAssessedAt
+  }, address.province);
+
+  compliance.recordPath = filePath;
+  compliance.recordHash = hashFile(filePath);
+  compliance.recordGeneratedAt = now;
+  compliance.verificationHistory.push({
+    action: 'record_generated',
+    timestamp: now,
+    performedBy: reviewer._id,
+    notes: `SHA-256 ${compliance.recordHash}`
+  });
+
+  return filePath;
+}
+
+/**
+ * Roles whose user has not completed FINTRAC identification
+ * @param {Object} parties - { buyer: userId, seller: userId }
+ * @param {Object} [session] - MongoDB session to read within
+ * @returns {string[]} e.g. ['buyer']
+ */
+async function getUnverifiedParties(parties, session) {
+  const verified = await User.find({
+    _id: { $in: Object.values(parties) },
+    'fintracCompliance.verified': true
+  }).select('_id').session(session || null);
+
+  const verifiedIds = new Set(verified.map(u => u._id.toString()));
+  return Object.keys(parties).filter(role => !verifiedIds.has(parties[role].toString()));
+}
+
+/**
+ * Users who review compliance queues (compliance officers and admins)
+ */
+async function getComplianceReviewerIds() {
+  const reviewers = await User.find({ $or: [{ isComplianceOfficer: true }, { isAdmin: true }] }).select('_id');
+  return reviewers.map(u => u._id);
+}
+
+// Last four characters only
+function maskIdNumber(idNumber) {
+  if (!idNumber) return idNumber;
+  return `${'*'.repeat(Math.max(idNumber.length - 4, 0))}${idNumber.slice(-4)}`;
+}
+
+/**
+ * Compliance details safe to return. Clients see their own submission with
+ * the ID number masked and without the internal risk assessment; reviewers
+ * see everything except paths on disk.
+ */
+function complianceView(user, { reviewer = false } = {}) {
+  const { idNumber, idDocuments = [], recordPath, riskLevel, riskFactors, riskAssessedAt, ...rest } =
+    user.toObject().fintracCompliance || {};
+
+  return {
+    ...rest,
+    idNumber: reviewer ? idNumber : maskIdNumber(idNumber),
+    idDocuments: idDocuments.map(({ filePath, ...document }) => document),
+    hasRecord: Boolean(recordPath),
+    ...(reviewer && { riskLevel, riskFactors, riskAssessedAt })
+  };
+}
+
+module.exports = {
+  VERIFICATION_METHODS,
+  MIN_CREDIT_FILE_YEARS,
+  submitIdentification,
+  addIdDocument,
+  checkMethodRequirements,
+  assessRisk,
+  reviewIdentification,
+  generateClientRecord,
+  getUnverifiedParties,
+  getComplianceReviewerIds,
+  maskIdNumber,
+  complianceView
+};
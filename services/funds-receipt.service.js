@@ -0,0 +1,342 @@
+/**
+ * Funds Receipt Service
+ * FINTRAC receipt of funds records: who paid, how, from which account, on
+ * whose behalf and from what source. Cash of $10,000 or more from the same
+ * person within 24 hours is flagged for a large cash transaction report, and
+ * rule-based indicators queue suspicious patterns for compliance review.
+ */
+
+const FundsReceipt = require('../models/funds-receipt.model');
+const User = require('../models/user.model');
+const { HttpError } = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+// Large cash transaction reports are due within 15 calendar days
+const LCTR_DEADLINE_DAYS = 15;
+// Cash just under the reporting threshold
+const NEAR_THRESHOLD = 9000;
+// How far back to look for cash split across several receipts
+const STRUCTURING_WINDOW = 7 * DAY;
+const MANY_PAYERS = 3;
+
+const REVIEW_DECISIONS = ['cleared', 'escalated', 'reported'];
+
+// Identifies the same payer across receipts
+function payerKey(person) {
+  if (!person) return null;
+  if (person.user) return person.user.toString();
+  return person.name ? person.name.trim().toLowerCase() : null;
+}
+
+/**
+ * Suspicious transaction indicators, checked in order against each new
+ * receipt. `test` gets the receipt and the context built by
+ * recordFundsReceipt: { transaction, previousReceipts, recentCash,
+ * largeCash, buyerRiskLevel }.
+ */
+const INDICATOR_RULES = [
+  {
+    code: 'LARGE_CASH',
+    severity: 'high',
+    description: 'Cash of $10,000 or more from the same person within 24 hours',
+    test: (receipt, ctx) => Boolean(ctx.largeCash)
+  },
+  {
+    code: 'CASH_STRUCTURING',
+    severity: 'high',
+    description: 'Cash split into amounts under $10,000 that together exceed it',
+    test: (receipt, ctx) => {
+      if (receipt.method !== 'cash') return false;
+      const cash = [...ctx.recentCash, receipt];
+      const total = cash.reduce((sum, r) => sum + r.amount, 0);
+      return cash.length > 1 &&
+        cash.every(r => r.amount < FundsReceipt.LARGE_CASH_THRESHOLD) &&
+        total >= FundsReceipt.LARGE_CASH_THRESHOLD;
+    }
+  },
+  {
+    code: 'CASH_NEAR_THRESHOLD',
+    severity: 'medium',
+    description: 'Cash just under the $10,000 reporting threshold',
+    test: (receipt) => receipt.method === 'cash' &&
+      receipt.amount >= NEAR_THRESHOLD && receipt.amount < FundsReceipt.LARGE_CASH_THRESHOLD
+  },
+  {
+    code: 'THIRD_PARTY',
+    severity: 'medium',
+    description: 'Funds paid on behalf of a third party',
+    test: (receipt) => receipt.thirdParty.involved
+  },
+  {
+    code: 'PAYER_NOT_BUYER',
+    severity: 'medium',
+    description: 'Paid by someone other than the buyer with no third party declared',
+    test: (receipt, ctx) => !receipt.thirdParty.involved &&
+      payerKey(receipt.payer) !== ctx.transaction.buyer.toString()
+  },
+  {
+    code: 'PAYER_NOT_IDENTIFIED',
+    severity: 'medium',
+    description: 'The payer has not completed identity verification',
+    test: (receipt) => !receipt.payer.identificationVerified
+  },
+  {
+    code: 'HIGH_RISK_CLIENT',
+    severity: 'medium',
+    description: 'The buyer is assessed as high risk',
+    test: (receipt, ctx) => ctx.buyerRiskLevel === 'high'
+  },
+  {
+    code: 'FOREIGN_ACCOUNT',
+    severity: 'medium',
+    description: 'Funds drawn on an account outside Canada',
+    test: (receipt) => Boolean(receipt.account?.country) &&
+      receipt.account.country.trim().toLowerCase() !== 'canada'
+  },
+  {
+    code: 'EXCESS_FUNDS',
+    severity: 'medium',
+    description: 'More received than the deposit or purchase price calls for',
+    test: (receipt, ctx) => {
+      const total = ctx.previousReceipts.reduce((sum, r) => sum + r.amount, 0) + receipt.amount;
+      return total > ctx.transaction.purchasePrice ||
+        (receipt.purpose === 'deposit' && receipt.amount > ctx.transaction.depositAmount);
+    }
+  },
+  {
+    code: 'UNEXPLAINED_SOURCE',
+    severity: 'low',
+    description: 'Source of funds is a gift or other without details',
+    test: (receipt) => ['gift', 'other'].includes(receipt.sourceOfFunds.type) &&
+      !receipt.sourceOfFunds.details
+  },
+  {
+    code: 'MANY_PAYERS',
+    severity: 'low',
+    description: `Funds from ${MANY_PAYERS} or more different payers on one transaction`,
+    test: (receipt, ctx) => new Set([...ctx.previousReceipts, receipt].map(r => payerKey(r.payer))).size >= MANY_PAYERS
+  }
+];
+
+/**
+ * Indicators a receipt triggers
+ * @returns {Array} [{ code, description, severity }]
+ */
+function evaluateIndicators(receipt, context) {
+  return INDICATOR_RULES
+    .filter(rule => rule.test(receipt, context))
+    .map(({ code, description, severity }) => ({ code, description, severity }));
+}
+
+/**
+ * The largest total of cash received in any 24 hours that includes this
+ * receipt, when it reaches the reporting threshold
+ * @param {Object} receipt - New cash receipt
+ * @param {Array} otherCash - Cash receipts from the same payer around it
+ * @returns {Object|null} { aggregateAmount, relatedReceipts }
+ */
+function findLargeCash(receipt, otherCash) {
+  if (receipt.method !== 'cash') return null;
+
+  const at = new Date(receipt.receivedAt).getTime();
+  const cash = [...otherCash, receipt].map(r => ({ receipt: r, at: new Date(r.receivedAt).getTime() }));
+  let best = null;
+
+  // Every 24-hour window containing this receipt starts at one of the receipts before it
+  cash
+    .filter(c => c.at <= at && c.at > at - FundsReceipt.LARGE_CASH_WINDOW)
+    .forEach(start => {
+      const inWindow = cash.filter(c => c.at >= start.at && c.at < start.at + FundsReceipt.LARGE_CASH_WINDOW);
+      const total = inWindow.reduce((sum, c) => sum + c.receipt.amount, 0);
+      if (!best || total > best.aggregateAmount) {
+        best = {
+          aggregateAmount: total,
+          relatedReceipts: inWindow.map(c => c.receipt._id).filter(id => !id.equals(receipt._id))
+        };
+      }
+    });
+
+  return best && best.aggregateAmount >= FundsReceipt.LARGE_CASH_THRESHOLD ? best : null;
+}
+
+/**
+ * Payer details from a platform user's FINTRAC identification
+ */
+function payerFromUser(user) {
+  const compliance = user.fintracCompliance || {};
+  const address = compliance.address || {};
+  const legalName = [compliance.legalFirstName, compliance.legalLastName].filter(Boolean).join(' ');
+
+  return {
+    user: user._id,
+    name: legalName || user.name,
+    address: [address.street, address.city, address.province, address.postalCode, address.country].filter(Boolean).join(', '),
+    dateOfBirth: compliance.dateOfBirth,
+    occupation: compliance.occupation,
+    identificationVerified: Boolean(compliance.verified)
+  };
+}
+
+/**
+ * Record funds received on a transaction, flag large cash and evaluate the
+ * indicators. The payer defaults to the buyer and can be the seller; anyone
+ * else is recorded as given and counts as unidentified.
+ * @param {Object} transaction - Transaction
+ * @param {Object} input - { amount, method, receivedAt, purpose, payer, account, thirdParty, sourceOfFunds }
+ * @param {Object} options - { recordedBy, now }
+ * @returns {Object} Saved FundsReceipt
+ */
+async function recordFundsReceipt(transaction, input, { recordedBy, now = new Date() } = {}) {
+  const receivedAt = input.receivedAt ? new Date(input.receivedAt) : now;
+  if (receivedAt > now) {
+    throw new HttpError('Funds cannot be received in the future');
+  }
+
+  const buyer = await User.findById(transaction.buyer);
+  const payerUserId = input.payer?.user?.toString();
+  let payer;
+  if (!input.payer || payerUserId === transaction.buyer.toString() || (!payerUserId && !input.payer.name)) {
+    payer = payerFromUser(buyer);
+  } else if (payerUserId) {
+    // Identity details are only copied from the parties' own records
+    if (payerUserId !== transaction.seller.toString()) {
+      throw new HttpError('The payer must be a party to the transaction; record anyone else by name');
+    }
+    const payerUser = await User.findById(payerUserId);
+    if (!payerUser) {
+      throw new HttpError('Payer not found', 404);
+    }
+    payer = payerFromUser(payerUser);
+  } else {
+    payer = { ...input.payer, identificationVerified: false };
+  }
+
+  const receipt = new FundsReceipt({
+    transaction: transaction._id,
+    purpose: input.purpose || 'deposit',
+    amount: input.amount,
+    method: input.method,
+    receivedAt,
+    recordedBy,
+    payer,
+    account: input.account,
+    thirdParty: input.thirdParty,
+    sourceOfFunds: input.sourceOfFunds,
+    retainUntil: FundsReceipt.retentionDate(receivedAt)
+  });
+
+  const previousReceipts = await FundsReceipt.find({ transaction: transaction._id });
+
+  let recentCash = [];
+  if (receipt.method === 'cash') {
+    const key = payerKey(receipt.payer);
+    const candidates = await FundsReceipt.find({
+      method: 'cash',
+      receivedAt: {
+        $gt: new Date(receivedAt.getTime() - STRUCTURING_WINDOW),
+        $lt: new Date(receivedAt.getTime() + FundsReceipt.LARGE_CASH_WINDOW)
+      },
+      ...(receipt.payer.user ? { 'payer.user': receipt.payer.user } : { 'payer.name': receipt.payer.name })
+    });
+    recentCash = candidates.filter(r => payerKey(r.payer) === key);
+  }
+
+  const largeCash = findLargeCash(receipt, recentCash);
+  if (largeCash) {
+    receipt.largeCash = {
+      flagged: true,
+      ...largeCash,
+      reportDueBy: new Date(receivedAt.getTime() + LCTR_DEADLINE_DAYS * DAY)
+    };
+  }
+
+  receipt.indicators = evaluateIndicators(receipt, {
+    transaction,
+    previousReceipts,
+    recentCash,
+    largeCash,
+    buyerRiskLevel: buyer?.fintracCompliance?.riskLevel
+  });
+  receipt.review.status = receipt.indicators.length ? 'pending' : 'not_required';
+
+  await receipt.save();
+  return receipt;
+}
+
+/**
+ * Record the compliance decision on a flagged receipt
+ * @param {Object} receipt - FundsReceipt (not saved)
+ * @param {Object} review - { decision, notes, reportReference, lctrReference }
+ *   reportReference is the suspicious transaction report; lctrReference the
+ *   large cash transaction report
+ */
+function reviewFundsReceipt(receipt, review, reviewer, now = new Date()) {
+  if (receipt.review.status === 'reported') {
+    throw new HttpError('A suspicious transaction report has already been filed for this receipt', 409);
+  }
+  if (!REVIEW_DECISIONS.includes(review.decision)) {
+    throw new HttpError(`Decision must be one of: ${REVIEW_DECISIONS.join(', ')}`);
+  }
+  if (review.decision === 'reported' && !review.reportReference) {
+    throw new HttpError('The suspicious transaction report reference is required');
+  }
+
+  if (review.lctrReference && receipt.largeCash.flagged) {
+    receipt.largeCash.reportedAt = now;
+    receipt.largeCash.reportReference = review.lctrReference;
+  }
+  if (review.decision === 'cleared' && receipt.largeCash.flagged && !receipt.largeCash.reportReference) {
+    throw new HttpError('File the large cash transaction report before clearing this receipt');
+  }
+
+  receipt.review = {
+    status: review.decision,
+    reviewedBy: reviewer._id,
+    reviewedAt: now,
+    notes: review.notes,
+    reportReference: review.reportReference
+  };
+
+  return receipt;
+}
+
+// Last four digits only
+function maskAccountNumber(number) {
+  if (!number) return number;
+  return `****${number.slice(-4)}`;
+}
+
+// Name only, without the identity details
+function personSummary(person) {
+  return person && { user: person.user, name: person.name };
+}
+
+/**
+ * Receipt details safe to return. Parties see the payer and any third party
+ * by name only, the account number masked and not the indicators or review;
+ * reviewers see everything.
+ */
+function receiptView(receipt, { reviewer = false } = {}) {
+  const { indicators, review, largeCash, account, payer, thirdParty, ...rest } = receipt.toObject();
+
+  if (reviewer) {
+    return { ...rest, payer, thirdParty, account, indicators, review, largeCash };
+  }
+
+  return {
+    ...rest,
+    payer: personSummary(payer),
+    thirdParty: thirdParty && { ...thirdParty, person: personSummary(thirdParty.person) },
+    account: account && { ...account, number: maskAccountNumber(account.number) }
+  };
+}
+
+module.exports = {
+  INDICATOR_RULES,
+  LCTR_DEADLINE_DAYS,
+  evaluateIndicators,
+  findLargeCash,
+  recordFundsReceipt,
+  reviewFundsReceipt,
+  receiptView
+};
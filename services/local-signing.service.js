@@ -0,0 +1,350 @@
+/**
+ * Local Signing Service
+ * The signing ceremony for envelopes created by the built-in local
+ * e-signature provider: token-checked signing sessions, signer order from
+ * DEFAULT_SIGNATURE_LOCATIONS, and stamping the signatures into the PDF
+ * once every party has signed. Signatures go into the Document's hash chain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const SigningEnvelope = require('../models/signing-envelope.model');
+const Document = require('../models/document.model');
+const Transaction = require('../models/transaction.model');
+const User = require('../models/user.model');
+const { esignatureService, getSignatureLocations } = require('./esignature.service');
+const { notify } = require('./notification.service');
+const { checkCurrentPdf, completeSignedDocument } = require('./document-integrity.service');
+const { HttpError } = require('./errors');
+
+// Signatures arrive as PNG data URLs from the signing page canvas
+const SIGNATURE_IMAGE_PATTERN = /^data:image\/png;base64,[A-Za-z0-9+/]+=*$/;
+const MAX_SIGNATURE_IMAGE_LENGTH = 500 * 1024;
+
+// Roles that belong to a party when the document is on a transaction
+const PARTY_ROLES = ['buyer', 'seller'];
+
+// Box a signature image is scaled to fit when stamped
+const SIGNATURE_WIDTH = 150;
+const SIGNATURE_HEIGHT = 40;
+
+/**
+ * Who each signing link goes to. A role bound to a user - a required
+ * signature with a userId, or the buyer or seller on a transaction
+ * document - goes to that user's own email and name whatever the sender
+ * asked for, so nobody can send another party's link to themselves. Other
+ * roles go where the sender says.
+ * @param {Object} document
+ * @param {Array} recipients - [{ email, name, role, order }] from the sender
+ * @returns {Array} Envelope signers: [{ email, name, role, order, userId }]
+ */
+async function resolveSigners(document, recipients) {
+  const transaction = document.transaction && recipients.some(r => PARTY_ROLES.includes(r.role))
+    ? await Transaction.findById(document.transaction).select('buyer seller')
+    : null;
+
+  const signers = [];
+  for (const [index, recipient] of recipients.entries()) {
+    const required = document.requiredSignatures.find(s => s.role === recipient.role);
+    const userId = required?.userId || (PARTY_ROLES.includes(recipient.role) ? transaction?.[recipient.role] : undefined);
+    const user = userId && await User.findById(userId).select('name email');
+    if (userId && !user) {
+      throw new HttpError(`The ${recipient.role} for this document no longer has an account`, 409);
+    }
+
+    signers.push({
+      email: user ? user.email : recipient.email,
+      name: user ? user.name : recipient.name,
+      role: recipient.role,
+      order: recipient.order || index + 1,
+      userId
+    });
+  }
+
+  return signers;
+}
+
+/**
+ * Load an envelope and the signer a link belongs to. A wrong token gets the
+ * same answer as an unknown signer so links can't be probed.
+ */
+async function findSigner(envelopeId, signerIndex, token) {
+  const envelope = await SigningEnvelope.findOne({ envelopeId });
+  if (!envelope) {
+    throw new HttpError('Signing envelope not found', 404);
+  }
+
+  const signer = envelope.signers.find(s => s.order === Number(signerIndex));
+  if (!signer || !esignatureService.verifySignatureToken(token, signer.tokenHash)) {
+    throw new HttpError('This signing link is not valid', 403);
+  }
+
+  return { envelope, signer };
+}
+
+/**
+ * Whose turn it is, and why the signer can't sign yet if they can't
+ * @returns {string|null} Reason the signer is blocked
+ */
+function getBlockedReason(envelope, signer, now = new Date()) {
+  if (envelope.status !== 'pending') {
+    return `This envelope is ${envelope.status}`;
+  }
+  if (envelope.expiresAt <= now) {
+    return 'This signing link has expired';
+  }
+  if (signer.status === 'signed') {
+    return 'You have already signed this document';
+  }
+
+  const current = envelope.getCurrentSigner();
+  if (current && current.order !== signer.order) {
+    return `Waiting for ${current.name || current.role} to sign first`;
+  }
+
+  return null;
+}
+
+/**
+ * Signing session for the page a signer lands on. Records the first view.
+ */
+async function getSigningSession(envelopeId, signerIndex, token, now = new Date()) {
+  const { envelope, signer } = await findSigner(envelopeId, signerIndex, token);
+
+  if (!signer.viewedAt) {
+    await SigningEnvelope.updateOne(
+      { envelopeId, signers: { $elemMatch: { order: signer.order, viewedAt: null } } },
+      { $set: { 'signers.$.viewedAt': now } }
+    );
+    signer.viewedAt = now;
+  }
+
+  const blockedReason = getBlockedReason(envelope, signer, now);
+
+  return {
+    envelopeId,
+    documentName: envelope.documentName,
+    subject: envelope.subject,
+    message: envelope.message,
+    status: envelope.status,
+    expiresAt: envelope.expiresAt,
+    signer: {
+      order: signer.order,
+      role: signer.role,
+      name: signer.name,
+      status: signer.status,
+      signedAt: signer.signedAt
+    },
+    signers: envelope.signers
+      .slice()
+      .sort((a, b) => a.order - b.order)
+      .map(s => ({ order: s.order, role: s.role, name: s.name, status: s.status, signedAt: s.signedAt })),
+    canSign: !blockedReason,
+    blockedReason,
+    hasPdf: Boolean(envelope.sourcePdfPath && fs.existsSync(envelope.sourcePdfPath))
+  };
+}
+
+/**
+ * Path of the PDF a signer should see: the stamped copy once complete,
+ * otherwise the original
+ */
+async function getSigningPdf(envelopeId, signerIndex, token) {
+  const { envelope } = await findSigner(envelopeId, signerIndex, token);
+  const pdfPath = envelope.signedPdfPath || envelope.sourcePdfPath;
+
+  if (!pdfPath || !fs.existsSync(pdfPath)) {
+    throw new HttpError('No PDF is attached to this envelope', 404);
+  }
+
+  return { pdfPath, fileName: path.basename(pdfPath) };
+}
+
+/**
+ * Record a signature. Signers must sign in order; the last signature
+ * completes the envelope, stamps the PDF and marks the Document signed.
+ * @param {Object} signature - { signatureImage, ipAddress, userAgent }
+ */
+async function signEnvelope(envelopeId, signerIndex, token, signature, now = new Date()) {
+  const { signatureImage, ipAddress, userAgent } = signature;
+
+  if (!SIGNATURE_IMAGE_PATTERN.test(signatureImage || '')) {
+    throw new HttpError('Signature must be a PNG image');
+  }
+  if (signatureImage.length > MAX_SIGNATURE_IMAGE_LENGTH) {
+    throw new HttpError('Signature image is too large');
+  }
+
+  const { envelope, signer } = await findSigner(envelopeId, signerIndex, token);
+
+  const blockedReason = getBlockedReason(envelope, signer, now);
+  if (blockedReason) {
+    // Closed or expired envelopes are gone; out-of-turn or repeat signatures conflict
+    throw new HttpError(blockedReason, envelope.isOpen(now) ? 409 : 410);
+  }
+
+  // Refuse to sign a PDF that no longer matches the hash it was sent with
+  let document = envelope.document && await Document.findById(envelope.document);
+  if (document && !checkCurrentPdf(document).matches) {
+    throw new HttpError('Document file has been modified since it was sent for signature', 409);
+  }
+
+  // Claim the signer's slot so a double submit can't sign twice
+  const { modifiedCount } = await SigningEnvelope.updateOne(
+    { envelopeId, status: 'pending', signers: { $elemMatch: { order: signer.order, status: 'pending' } } },
+    {
+      $set: {
+        'signers.$.status': 'signed',
+        'signers.$.signedAt': now,
+        'signers.$.signatureImage': signatureImage,
+        'signers.$.ipAddress': ipAddress,
+        'signers.$.userAgent': userAgent
+      }
+    }
+  );
+  if (!modifiedCount) {
+    throw new HttpError('Envelope was changed by another request', 409);
+  }
+
+  Object.assign(signer, { status: 'signed', signedAt: now, signatureImage, ipAddress, userAgent });
+  const pendingSigners = envelope.getPendingSigners();
+  const completed = pendingSigners.length === 0 && await completeEnvelope(envelope, now);
+
+  if (document) {
+    document.addSignature({
+      role: signer.role,
+      userId: signer.userId,
+      name: signer.name,
+      email: signer.email,
+      signedAt: now,
+      signatureData: signatureImage,
+      ipAddress,
+      userAgent
+    });
+    document.logAction('signed', signer.userId, `Signed as ${signer.role} (envelope ${envelopeId})`, ipAddress);
+
+    if (completed) {
+      document.status = 'signed';
+      document.completedAt = now;
+      // Certify the stamped copy in place so the envelope and document share one final PDF
+      await completeSignedDocument(document, {
+        sourcePath: envelope.signedPdfPath,
+        outputPath: envelope.signedPdfPath,
+        userId: signer.userId,
+        ipAddress
+      });
+    } else {
+      document.status = 'partially_signed';
+    }
+
+    // The signer's slot is already claimed, so a save that loses to another
+    // request (a view, another signer) is re-linked and retried, not refused
+    document = await document.saveChained();
+  }
+
+  await notify({
+    userId: envelope.createdBy,
+    type: 'document',
+    title: completed ? 'Document fully signed' : 'Document signed',
+    message: completed
+      ? `All parties have signed ${envelope.documentName || 'the document'}.`
+      : `${signer.name || signer.role} signed ${envelope.documentName || 'the document'}. Waiting for ${pendingSigners.map(s => s.name || s.role).join(', ')}.`,
+    link: document ? `/documents/${document._id}` : undefined,
+    metadata: { envelopeId, documentId: document?._id }
+  });
+
+  return {
+    envelope,
+    document,
+    signer,
+    completed: Boolean(completed),
+    pendingSigners: pendingSigners.map(s => ({ order: s.order, role: s.role, name: s.name }))
+  };
+}
+
+/**
+ * Mark the envelope completed and stamp the signed PDF
+ * @returns {boolean} Whether this call completed the envelope
+ */
+async function completeEnvelope(envelope, now = new Date()) {
+  const { modifiedCount } = await SigningEnvelope.updateOne(
+    { envelopeId: envelope.envelopeId, status: 'pending' },
+    { $set: { status: 'completed', completedAt: now } }
+  );
+  if (!modifiedCount) return false;
+
+  envelope.status = 'completed';
+  envelope.completedAt = now;
+
+  if (envelope.sourcePdfPath && fs.existsSync(envelope.sourcePdfPath)) {
+    const parsed = path.parse(envelope.sourcePdfPath);
+    const signedPdfPath = path.join(parsed.dir, `${parsed.name}_signed${parsed.ext}`);
+
+    await stampSignatures(envelope, signedPdfPath);
+    await SigningEnvelope.updateOne({ envelopeId: envelope.envelopeId }, { $set: { signedPdfPath } });
+    envelope.signedPdfPath = signedPdfPath;
+  }
+
+  return true;
+}
+
+/**
+ * Draw each signer's signature and date at their locations for the
+ * document type. The certificate of completion is appended afterwards by
+ * the document integrity service.
+ * @param {Object} envelope - Envelope with signed signers
+ * @param {string} outputPath - Where to write the stamped PDF
+ */
+async function stampSignatures(envelope, outputPath) {
+  const pdf = await PDFDocument.load(fs.readFileSync(envelope.sourcePdfPath));
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const pages = pdf.getPages();
+  const locations = getSignatureLocations(envelope.documentType);
+  const signers = envelope.signers
+    .filter(s => s.status === 'signed' && s.signatureImage)
+    .sort((a, b) => a.order - b.order);
+
+  for (const signer of signers) {
+    const image = await pdf.embedPng(Buffer.from(signer.signatureImage.split(',')[1], 'base64'));
+
+    locations.filter(l => l.role === signer.role).forEach(location => {
+      const page = pages[(location.page || 1) - 1];
+      if (!page) return;
+
+      // Locations use a top-left origin like DocuSign tabs; PDF space starts bottom-left
+      const y = page.getHeight() - location.y;
+
+      if (location.type === 'signature') {
+        const { width, height } = image.scaleToFit(SIGNATURE_WIDTH, SIGNATURE_HEIGHT);
+        page.drawImage(image, { x: location.x, y, width, height });
+      } else if (location.type === 'date') {
+        page.drawText(formatDate(signer.signedAt), { x: location.x, y, size: 10, font });
+      }
+    });
+  }
+
+  fs.writeFileSync(outputPath, await pdf.save());
+  return outputPath;
+}
+
+/**
+ * Date stamped next to a signature
+ */
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-CA', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+module.exports = {
+  resolveSigners,
+  getBlockedReason,
+  getSigningSession,
+  getSigningPdf,
+  signEnvelope,
+  completeEnvelope,
+  stampSignatures
+};
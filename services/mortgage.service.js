@@ -0,0 +1,342 @@
+/**
+ * Mortgage Service
+ * Canadian mortgage math: minimum down payment, mortgage default insurance
+ * (CMHC) premiums, the qualifying-rate stress test, GDS/TDS ratios and
+ * amortization schedules with semi-annual compounding.
+ */
+
+const { getProvince } = require('../config/provinces');
+
+// Minimum down payment by portion of the price. Insured mortgages are only
+// available below the cap, so at or above it the minimum is 20% of the price.
+const MINIMUM_DOWN_PAYMENT_TIERS = [
+  { upTo: 500000, rate: 0.05 },
+  { upTo: 1500000, rate: 0.10 }
+];
+const INSURED_PRICE_CAP = 1500000;
+const UNINSURED_MINIMUM_RATE = 0.20;
+
+// Mortgage default insurance premium as a share of the loan, by LTV (%)
+const INSURANCE_PREMIUM_TIERS = [
+  { maxLtv: 65, rate: 0.006 },
+  { maxLtv: 75, rate: 0.017 },
+  { maxLtv: 80, rate: 0.024 },
+  { maxLtv: 85, rate: 0.028 },
+  { maxLtv: 90, rate: 0.031 },
+  { maxLtv: 95, rate: 0.04 }
+];
+
+// Added to the premium rate for a 30-year amortization
+const EXTENDED_AMORTIZATION_SURCHARGE = 0.002;
+
+// Longest insured amortization; 30 years only for first-time buyers and new builds
+const MAX_INSURED_AMORTIZATION = 25;
+const MAX_EXTENDED_AMORTIZATION = 30;
+
+// Stress test: qualify at the greater of the contract rate plus 2% or the floor
+const STRESS_TEST_BUFFER = 2;
+const STRESS_TEST_FLOOR = 5.25;
+
+// Insured debt service limits (% of gross income)
+const GDS_LIMIT = 39;
+const TDS_LIMIT = 44;
+
+// Heating estimate when the buyer doesn't supply one
+const DEFAULT_MONTHLY_HEATING = 150;
+
+// Payments per year; accelerated frequencies pay a fraction of the monthly payment
+const PAYMENT_FREQUENCIES = {
+  monthly: { perYear: 12 },
+  semi_monthly: { perYear: 24 },
+  biweekly: { perYear: 26 },
+  weekly: { perYear: 52 },
+  accelerated_biweekly: { perYear: 26, monthlyFraction: 1 / 2 },
+  accelerated_weekly: { perYear: 52, monthlyFraction: 1 / 4 }
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Minimum down payment for a purchase price
+ * @returns {Object} { purchasePrice, minimumDownPayment, minimumPercent, insurable, tiers }
+ */
+function calculateMinimumDownPayment(purchasePrice) {
+  if (purchasePrice >= INSURED_PRICE_CAP) {
+    const minimumDownPayment = round2(purchasePrice * UNINSURED_MINIMUM_RATE);
+    return {
+      purchasePrice,
+      minimumDownPayment,
+      minimumPercent: UNINSURED_MINIMUM_RATE * 100,
+      insurable: false,
+      tiers: [{ portion: purchasePrice, rate: UNINSURED_MINIMUM_RATE, amount: minimumDownPayment }]
+    };
+  }
+
+  let previous = 0;
+  const tiers = [];
+  for (const tier of MINIMUM_DOWN_PAYMENT_TIERS) {
+    const portion = Math.min(purchasePrice, tier.upTo) - previous;
+    if (portion <= 0) break;
+    tiers.push({ portion, rate: tier.rate, amount: round2(portion * tier.rate) });
+    previous = tier.upTo;
+  }
+
+  const minimumDownPayment = round2(tiers.reduce((sum, t) => sum + t.amount, 0));
+
+  return {
+    purchasePrice,
+    minimumDownPayment,
+    minimumPercent: purchasePrice ? round2(minimumDownPayment / purchasePrice * 100) : 0,
+    insurable: true,
+    tiers
+  };
+}
+
+/**
+ * Mortgage default insurance premium. Required when the down payment is
+ * under 20%. The premium is added to the mortgage; provincial sales tax on
+ * it can't be financed and is paid on closing.
+ * @param {Object} options
+ * @param {number} options.purchasePrice
+ * @param {number} options.downPayment
+ * @param {string} options.province - For sales tax on the premium
+ * @param {number} options.amortization - Years
+ * @param {boolean} options.isFirstTimeBuyer - Eligible for 30 years
+ * @param {boolean} options.isNewlyBuilt - Eligible for 30 years
+ * @returns {Object} { required, available, ltv, premiumRate, premium, premiumTax, totalMortgage, reasons }
+ */
+function calculateInsurancePremium({
+  purchasePrice,
+  downPayment,
+  province,
+  amortization = MAX_INSURED_AMORTIZATION,
+  isFirstTimeBuyer = false,
+  isNewlyBuilt = false
+}) {
+  const baseMortgage = Math.max(0, purchasePrice - downPayment);
+  const ltv = purchasePrice ? round2(baseMortgage / purchasePrice * 100) : 0;
+  const result = {
+    required: ltv > 80,
+    available: true,
+    ltv,
+    baseMortgage,
+    premiumRate: 0,
+    premium: 0,
+    premiumTaxRate: 0,
+    premiumTax: 0,
+    totalMortgage: baseMortgage,
+    reasons: []
+  };
+
+  if (!result.required) return result;
+
+  const minimum = calculateMinimumDownPayment(purchasePrice);
+  const maxAmortization = isFirstTimeBuyer || isNewlyBuilt ? MAX_EXTENDED_AMORTIZATION : MAX_INSURED_AMORTIZATION;
+
+  if (!minimum.insurable) {
+    result.reasons.push(`Insurance is not available at a price of $${INSURED_PRICE_CAP.toLocaleString()} or more`);
+  }
+  if (downPayment < minimum.minimumDownPayment) {
+    result.reasons.push(`Down payment is below the minimum of $${minimum.minimumDownPayment.toLocaleString()}`);
+  }
+  if (amortization > maxAmortization) {
+    result.reasons.push(`Insured amortization is limited to ${maxAmortization} years`);
+  }
+  if (result.reasons.length) {
+    result.available = false;
+    return result;
+  }
+
+  const tier = INSURANCE_PREMIUM_TIERS.find(t => ltv <= t.maxLtv);
+  const surcharge = amortization > MAX_INSURED_AMORTIZATION ? EXTENDED_AMORTIZATION_SURCHARGE : 0;
+  result.premiumRate = Math.round((tier.rate + surcharge) * 10000) / 10000;
+  result.premium = round2(baseMortgage * result.premiumRate);
+  result.premiumTaxRate = (province && getProvince(province)?.mortgageInsuranceTaxRate) || 0;
+  result.premiumTax = round2(result.premium * result.premiumTaxRate);
+  result.totalMortgage = round2(baseMortgage + result.premium);
+
+  return result;
+}
+
+/**
+ * Rate a borrower must qualify at
+ * @param {number} contractRate - Annual rate (%)
+ */
+function calculateQualifyingRate(contractRate) {
+  return round2(Math.max(contractRate + STRESS_TEST_BUFFER, STRESS_TEST_FLOOR));
+}
+
+/**
+ * Interest rate per payment for a nominal annual rate compounded
+ * semi-annually, as the Interest Act requires for fixed-rate mortgages
+ */
+function periodicRate(annualRate, paymentsPerYear) {
+  return Math.pow(1 + annualRate / 100 / 2, 2 / paymentsPerYear) - 1;
+}
+
+// Level payment that retires the principal over the given number of payments
+function levelPayment(principal, rate, payments) {
+  if (principal <= 0) return 0;
+  if (rate === 0) return principal / payments;
+  return principal * rate / (1 - Math.pow(1 + rate, -payments));
+}
+
+/**
+ * Regular payment for a mortgage
+ * @param {number} principal
+ * @param {number} annualRate - Nominal annual rate (%)
+ * @param {number} amortization - Years
+ * @param {string} frequency - A PAYMENT_FREQUENCIES key
+ */
+function calculatePayment(principal, annualRate, amortization, frequency = 'monthly') {
+  const schedule = PAYMENT_FREQUENCIES[frequency];
+  if (!schedule) {
+    throw new Error(`Unknown payment frequency: ${frequency}`);
+  }
+
+  if (schedule.monthlyFraction) {
+    const monthly = levelPayment(principal, periodicRate(annualRate, 12), amortization * 12);
+    return round2(monthly * schedule.monthlyFraction);
+  }
+
+  return round2(levelPayment(principal, periodicRate(annualRate, schedule.perYear), amortization * schedule.perYear));
+}
+
+/**
+ * Full amortization schedule. Accelerated payments retire the loan early,
+ * so the schedule ends when the balance reaches zero.
+ * @returns {Object} { payment, periodicRate, payments, totalInterest, totalPaid, payoffYears, schedule, yearly }
+ */
+function buildAmortizationSchedule(principal, annualRate, amortization, frequency = 'monthly') {
+  const payment = calculatePayment(principal, annualRate, amortization, frequency);
+  const { perYear } = PAYMENT_FREQUENCIES[frequency];
+  const rate = periodicRate(annualRate, perYear);
+
+  const schedule = [];
+  const yearly = [];
+  let balance = principal;
+  let totalInterest = 0;
+
+  const lastPeriod = amortization * perYear;
+
+  for (let period = 1; balance > 0 && period <= lastPeriod; period++) {
+    const interest = round2(balance * rate);
+    let principalPaid = round2(payment - interest);
+    // The final payment clears the balance, absorbing rounding
+    if (principalPaid >= balance || period === lastPeriod) principalPaid = balance;
+    balance = round2(balance - principalPaid);
+    totalInterest += interest;
+
+    schedule.push({ period, payment: round2(principalPaid + interest), interest, principal: principalPaid, balance });
+
+    const year = Math.ceil(period / perYear);
+    if (!yearly[year - 1]) yearly[year - 1] = { year, interest: 0, principal: 0, balance };
+    yearly[year - 1].interest = round2(yearly[year - 1].interest + interest);
+    yearly[year - 1].principal = round2(yearly[year - 1].principal + principalPaid);
+    yearly[year - 1].balance = balance;
+  }
+
+  totalInterest = round2(totalInterest);
+
+  return {
+    principal,
+    annualRate,
+    amortization,
+    frequency,
+    payment,
+    periodicRate: Math.round(rate * 1e8) / 1e8,
+    payments: schedule.length,
+    totalInterest,
+    totalPaid: round2(principal + totalInterest),
+    payoffYears: round2(schedule.length / perYear),
+    schedule,
+    yearly
+  };
+}
+
+/**
+ * GDS and TDS ratios at the stress-test rate
+ * @param {Object} options
+ * @param {number} options.annualIncome - Gross household income
+ * @param {number} options.mortgageAmount - Including any insurance premium
+ * @param {number} options.contractRate - Annual rate (%)
+ * @param {number} options.amortization - Years
+ * @param {number} options.annualPropertyTax
+ * @param {number} options.monthlyHeating
+ * @param {number} options.monthlyCondoFees - Half counts toward housing costs
+ * @param {number} options.monthlyDebts - Other debt payments
+ * @returns {Object} { qualifyingRate, qualifyingPayment, gds, tds, qualifies, ... }
+ */
+function calculateDebtServiceRatios({
+  annualIncome,
+  mortgageAmount,
+  contractRate,
+  amortization = MAX_INSURED_AMORTIZATION,
+  annualPropertyTax = 0,
+  monthlyHeating = DEFAULT_MONTHLY_HEATING,
+  monthlyCondoFees = 0,
+  monthlyDebts = 0
+}) {
+  const qualifyingRate = calculateQualifyingRate(contractRate);
+  const qualifyingPayment = calculatePayment(mortgageAmount, qualifyingRate, amortization, 'monthly');
+  const monthlyIncome = annualIncome / 12;
+  const housingCosts = round2(qualifyingPayment + annualPropertyTax / 12 + monthlyHeating + monthlyCondoFees / 2);
+  const gds = monthlyIncome ? round2(housingCosts / monthlyIncome * 100) : Infinity;
+  const tds = monthlyIncome ? round2((housingCosts + monthlyDebts) / monthlyIncome * 100) : Infinity;
+
+  return {
+    qualifyingRate,
+    qualifyingPayment,
+    contractPayment: calculatePayment(mortgageAmount, contractRate, amortization, 'monthly'),
+    monthlyIncome: round2(monthlyIncome),
+    housingCosts,
+    gds,
+    tds,
+    gdsLimit: GDS_LIMIT,
+    tdsLimit: TDS_LIMIT,
+    qualifies: gds <= GDS_LIMIT && tds <= TDS_LIMIT
+  };
+}
+
+/**
+ * Warnings about an offer's financing: a down payment below the legal
+ * minimum, or insured financing where insurance isn't available
+ * @param {Object} offer - { offerPrice, financing }
+ * @returns {Array<string>}
+ */
+function checkOfferFinancing({ offerPrice, financing = {} }) {
+  if (!financing.type || ['cash', 'vtb', 'assumption'].includes(financing.type)) return [];
+
+  const downPayment = financing.downPaymentAmount ??
+    (financing.downPaymentPercentage !== undefined ? offerPrice * financing.downPaymentPercentage / 100 : undefined);
+  if (downPayment === undefined) return [];
+
+  const warnings = [];
+  const minimum = calculateMinimumDownPayment(offerPrice);
+
+  if (downPayment < minimum.minimumDownPayment) {
+    warnings.push(
+      `Down payment of $${round2(downPayment).toLocaleString()} is below the legal minimum of ` +
+      `$${minimum.minimumDownPayment.toLocaleString()} (${minimum.minimumPercent}%) for a $${offerPrice.toLocaleString()} purchase`
+    );
+  }
+  if (financing.type === 'insured' && !minimum.insurable) {
+    warnings.push(`Mortgage default insurance is not available at a price of $${INSURED_PRICE_CAP.toLocaleString()} or more`);
+  }
+
+  return warnings;
+}
+
+module.exports = {
+  PAYMENT_FREQUENCIES,
+  GDS_LIMIT,
+  TDS_LIMIT,
+  calculateMinimumDownPayment,
+  calculateInsurancePremium,
+  calculateQualifyingRate,
+  periodicRate,
+  calculatePayment,
+  buildAmortizationSchedule,
+  calculateDebtServiceRatios,
+  checkOfferFinancing
+};
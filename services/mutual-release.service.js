@@ -0,0 +1,326 @@
+/**
+ * Mutual Release Service
+ * Ending an agreement by mutual release: one party proposes the release with
+ * the deposit split, the mutual_release Document is generated for both to
+ * sign, and the transaction is cancelled only once both signatures are on it.
+ * The other party can decline and the proposer can withdraw until then.
+ */
+
+const Transaction = require('../models/transaction.model');
+const Document = require('../models/document.model');
+const Listing = require('../models/listing.model');
+const Property = require('../models/property.model');
+const SigningEnvelope = require('../models/signing-envelope.model');
+const { recordPdfVersion } = require('./document-integrity.service');
+const { renderDocumentPdf, snapshotVersion } = require('./document-versioning.service');
+const { getPartyRole } = require('./transaction-workflow.service');
+const { getLedger } = require('./trust-ledger.service');
+const { notify, notifyMany } = require('./notification.service');
+const { HttpError } = require('./errors');
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+
+const DEPOSIT_HOLDERS = {
+  seller_lawyer: "Seller's lawyer",
+  buyer_lawyer: "Buyer's lawyer",
+  brokerage: 'Brokerage',
+  other: 'Other'
+};
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+const partyId = party => (party._id || party).toString();
+
+/**
+ * How the deposit ends up under a release split
+ * @returns {string|undefined} Transaction cancellation.depositDisposition
+ */
+function getDepositDisposition({ depositToBuyer, depositToSeller }) {
+  if (depositToBuyer > 0 && depositToSeller > 0) return 'split';
+  if (depositToSeller > 0) return 'released_to_seller';
+  if (depositToBuyer > 0) return 'returned_to_buyer';
+  return undefined;
+}
+
+/**
+ * Load a transaction and check the user can act on its release
+ * @returns {Object} { transaction, role }
+ */
+async function loadForParty(transactionId, userId) {
+  const transaction = await Transaction.findById(transactionId)
+    .populate('property', 'address legalDescription')
+    .populate('buyer', 'name email')
+    .populate('seller', 'name email');
+
+  if (!transaction) {
+    throw new HttpError('Transaction not found', 404);
+  }
+  const role = getPartyRole(transaction, userId);
+  if (!role) {
+    throw new HttpError('Not authorized', 403);
+  }
+
+  return { transaction, role };
+}
+
+// Void the release document and any signing links still out for it
+async function voidReleaseDocument(documentId, userId, reason) {
+  const document = documentId && await Document.findById(documentId);
+  if (!document || document.status === 'signed') return;
+
+  document.status = 'voided';
+  document.logAction('voided', userId, reason);
+  await document.save();
+
+  await SigningEnvelope.updateMany(
+    { document: document._id, status: 'pending' },
+    { $set: { status: 'voided' } }
+  );
+}
+
+/**
+ * Propose a mutual release. The deposit split must account for every dollar
+ * of deposit held in trust; without one, the whole deposit goes back to the
+ * buyer, as when a condition fails.
+ * @param {Object} options
+ * @param {string} options.transactionId
+ * @param {string} options.userId - Proposing party
+ * @param {string} options.reason
+ * @param {string} options.failedCondition - Condition whose failure ends the deal, if any
+ * @param {number} options.depositToBuyer
+ * @param {number} options.depositToSeller
+ * @returns {Object} { transaction, document }
+ */
+async function proposeMutualRelease({
+  transactionId,
+  userId,
+  reason,
+  failedCondition,
+  depositToBuyer,
+  depositToSeller,
+  ipAddress,
+  now = new Date()
+}) {
+  const { transaction, role } = await loadForParty(transactionId, userId);
+
+  if (CLOSED_STATUSES.includes(transaction.status)) {
+    throw new HttpError(`Cannot release a ${transaction.status} transaction`);
+  }
+  if (transaction.mutualRelease?.status === 'proposed') {
+    throw new HttpError('A mutual release has already been proposed', 409);
+  }
+
+  const { balances } = await getLedger(transaction);
+  if (depositToBuyer === undefined && depositToSeller === undefined) {
+    depositToBuyer = balances.depositsHeld;
+  }
+  depositToBuyer = roundCents(depositToBuyer || 0);
+  depositToSeller = roundCents(depositToSeller || 0);
+  if (roundCents(depositToBuyer + depositToSeller) !== balances.depositsHeld) {
+    throw new HttpError(
+      `The deposit split must add up to the $${balances.depositsHeld.toLocaleString()} deposit held in trust`
+    );
+  }
+
+  const content = {
+    reason,
+    failedCondition,
+    depositAmount: balances.depositsHeld,
+    depositHolder: DEPOSIT_HOLDERS[transaction.depositHeldBy],
+    depositToBuyer,
+    depositToSeller
+  };
+  const formInfo = Document.getFormInfo(transaction.province, 'mutual_release');
+
+  const document = new Document({
+    transaction: transaction._id,
+    property: transaction.property._id,
+    documentType: 'mutual_release',
+    province: transaction.province,
+    formNumber: formInfo.formNumber,
+    title: formInfo.title,
+    content,
+    status: 'pending_signatures',
+    requiredSignatures: ['buyer', 'seller'].map(party => ({
+      role: party,
+      userId: transaction[party]._id,
+      name: transaction[party].name,
+      email: transaction[party].email
+    })),
+    createdBy: userId,
+    accessibleBy: [transaction.buyer._id, transaction.seller._id],
+    generatedAt: now
+  });
+
+  const filePath = await renderDocumentPdf(document, transaction);
+  recordPdfVersion(document, 'generated', filePath);
+  document.logAction('created', userId, `Mutual release proposed by the ${role}`, ipAddress);
+  await document.save();
+  await snapshotVersion(document, { userId, reason: 'Mutual release proposed' });
+
+  // Claim the proposal so a concurrent one or a closing can't also apply
+  const { modifiedCount } = await Transaction.updateOne(
+    {
+      _id: transaction._id,
+      status: { $nin: CLOSED_STATUSES },
+      'mutualRelease.status': { $ne: 'proposed' }
+    },
+    {
+      $set: {
+        mutualRelease: {
+          status: 'proposed',
+          proposedBy: userId,
+          proposedAt: now,
+          reason,
+          failedCondition,
+          depositToBuyer,
+          depositToSeller,
+          document: document._id
+        }
+      },
+      $push: { documents: document._id }
+    }
+  );
+  if (!modifiedCount) {
+    await voidReleaseDocument(document._id, userId, 'Superseded by another request');
+    throw new HttpError('Transaction was changed by another request', 409);
+  }
+
+  const otherParty = role === 'buyer' ? transaction.seller._id : transaction.buyer._id;
+  await notify({
+    userId: otherParty,
+    type: 'transaction',
+    title: 'Mutual Release Proposed',
+    message: `The ${role} proposed ending the agreement by mutual release: ${reason}. Sign the release to agree, or decline it.`,
+    link: `/documents/${document._id}`,
+    metadata: { transactionId: transaction._id, documentId: document._id }
+  });
+
+  return { transaction: await Transaction.findById(transaction._id), document };
+}
+
+/**
+ * Decline (other party) or withdraw (proposer) an open release proposal.
+ * The release document is voided and the transaction carries on.
+ * @param {Object} options - { transactionId, userId, action: 'decline'|'withdraw', reason, now }
+ * @returns {Object} Updated transaction
+ */
+async function closeMutualRelease({ transactionId, userId, action, reason, now = new Date() }) {
+  const { transaction, role } = await loadForParty(transactionId, userId);
+  const release = transaction.mutualRelease;
+
+  if (release?.status !== 'proposed') {
+    throw new HttpError('There is no open mutual release proposal', 404);
+  }
+  const isProposer = release.proposedBy.toString() === userId;
+  if (action === 'withdraw' && !isProposer) {
+    throw new HttpError('Only the party who proposed the release can withdraw it', 403);
+  }
+  if (action === 'decline' && isProposer) {
+    throw new HttpError('Withdraw your own proposal instead of declining it', 403);
+  }
+
+  const status = action === 'withdraw' ? 'withdrawn' : 'declined';
+  const { modifiedCount } = await Transaction.updateOne(
+    { _id: transaction._id, 'mutualRelease.status': 'proposed', 'mutualRelease.document': release.document },
+    {
+      $set: {
+        'mutualRelease.status': status,
+        'mutualRelease.respondedBy': userId,
+        'mutualRelease.respondedAt': now,
+        'mutualRelease.responseReason': reason
+      }
+    }
+  );
+  if (!modifiedCount) {
+    throw new HttpError('Transaction was changed by another request', 409);
+  }
+
+  await voidReleaseDocument(release.document, userId, `Mutual release ${status} by the ${role}`);
+
+  const otherParty = role === 'buyer' ? transaction.seller._id : transaction.buyer._id;
+  await notify({
+    userId: otherParty,
+    type: 'transaction',
+    title: `Mutual Release ${status === 'withdrawn' ? 'Withdrawn' : 'Declined'}`,
+    message: `The ${role} ${status} the mutual release${reason ? `: ${reason}` : ''}. The agreement remains in effect.`,
+    link: `/transactions/${transaction._id}`,
+    metadata: { transactionId: transaction._id, documentId: release.document }
+  });
+
+  return Transaction.findById(transaction._id);
+}
+
+/**
+ * Cancel the transaction once its proposed release document is fully
+ * signed by the buyer and seller, and put the listing and property back on
+ * the market. Called by the signing routes; other documents are ignored.
+ * @param {Object} document - Document that has just become signed
+ * @returns {Object|null} The cancelled transaction
+ */
+async function completeMutualRelease(document, { now = new Date() } = {}) {
+  if (document.documentType !== 'mutual_release' || document.status !== 'signed' || !document.transaction) {
+    return null;
+  }
+
+  const transaction = await Transaction.findById(document.transaction);
+  const release = transaction?.mutualRelease;
+  if (release?.status !== 'proposed' || !release.document?.equals(document._id)) {
+    return null;
+  }
+
+  // Both parties must have signed as themselves
+  const signatures = document.getActiveSignatures();
+  const signedByParties = ['buyer', 'seller'].every(role =>
+    signatures.some(s => s.role === role && s.userId && s.userId.toString() === partyId(transaction[role])));
+  if (!signedByParties) {
+    return null;
+  }
+
+  const depositDisposition = getDepositDisposition(release);
+  const { modifiedCount } = await Transaction.updateOne(
+    {
+      _id: transaction._id,
+      status: { $nin: CLOSED_STATUSES },
+      'mutualRelease.status': 'proposed',
+      'mutualRelease.document': document._id
+    },
+    {
+      $set: {
+        status: 'cancelled',
+        'mutualRelease.status': 'signed',
+        'mutualRelease.completedAt': now,
+        cancellation: {
+          cancelledAt: now,
+          cancelledBy: release.proposedBy,
+          reason: `Mutual release: ${release.reason}`,
+          failedCondition: release.failedCondition,
+          depositDisposition
+        }
+      }
+    }
+  );
+  if (!modifiedCount) return null;
+
+  // Reactivate listing and property; updates skip the activatedAt hook, so
+  // set it here for saved-search alerts
+  await Listing.findByIdAndUpdate(transaction.listing, { status: 'active' });
+  await Property.findByIdAndUpdate(transaction.property, { status: 'active', activatedAt: now });
+
+  await notifyMany([transaction.buyer, transaction.seller], {
+    type: 'transaction',
+    title: 'Transaction Cancelled',
+    message: 'Both parties signed the mutual release. The agreement is terminated and the deposit will be paid out as agreed.',
+    link: `/transactions/${transaction._id}`,
+    metadata: { transactionId: transaction._id, propertyId: transaction.property, documentId: document._id }
+  });
+
+  return Transaction.findById(transaction._id);
+}
+
+module.exports = {
+  getDepositDisposition,
+  proposeMutualRelease,
+  closeMutualRelease,
+  completeMutualRelease
+};
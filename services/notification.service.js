@@ -0,0 +1,61 @@
+/**
+ * Notification Service
+ * Writes in-app notifications for offer, showing, message, condition
+ * and transaction events. Failures are logged and never interrupt the
+ * request that triggered them.
+ */
+
+const Notification = require('../models/notification.model');
+
+/**
+ * Create a notification for a single user
+ * @param {Object} options
+ * @param {string} options.userId - Recipient user ID
+ * @param {string} options.type - Notification type (offer, showing, message, ...)
+ * @param {string} options.title - Short headline
+ * @param {string} options.message - Body text
+ * @param {string} options.link - Relative URL to open on click
+ * @param {Object} options.metadata - Related record IDs
+ * @returns {Object|null} Created notification, or null on failure
+ */
+async function notify({ userId, type, title, message, link, metadata = {} }) {
+  if (!userId) return null;
+
+  try {
+    return await Notification.create({
+      user: userId,
+      type,
+      title,
+      message,
+      link,
+      metadata
+    });
+  } catch (err) {
+    console.error('Failed to create notification:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Create the same notification for several users
+ * @param {Array} userIds - Recipient user IDs (duplicates and empty values are ignored)
+ * @param {Object} options - Same as notify(), without userId
+ */
+async function notifyMany(userIds, options) {
+  const unique = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+  return Promise.all(unique.map(userId => notify({ ...options, userId })));
+}
+
+/**
+ * Format a property address for notification text
+ */
+function formatAddress(property) {
+  if (!property || !property.address) return 'your property';
+  return [property.address.street, property.address.city].filter(Boolean).join(', ');
+}
+
+module.exports = {
+  notify,
+  notifyMany,
+  formatAddress
+};
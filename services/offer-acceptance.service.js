@@ -0,0 +1,192 @@
+/**
+ * Offer Acceptance Service
+ * Accepts an offer as a single MongoDB transaction: the offer, listing,
+ * property, new Transaction and Conditions, and the rejection of competing
+ * offers either all commit or none do. Requires a replica set (or Atlas).
+ */
+
+const mongoose = require('mongoose');
+const Offer = require('../models/offer.model');
+const Listing = require('../models/listing.model');
+const Property = require('../models/property.model');
+const Transaction = require('../models/transaction.model');
+const Condition = require('../models/condition.model');
+const { OPEN_OFFER_STATUSES, sealedMessage } = require('./offer-holdback.service');
+const { openRescissionWindow } = require('./rescission.service');
+const { getUnverifiedParties } = require('./fintrac.service');
+const { HttpError } = require('./errors');
+
+/**
+ * Build the condition records for a newly accepted offer
+ */
+function buildConditions(offer, transaction) {
+  return offer.conditions.map(cond => {
+    const deadlineDate = new Date(transaction.acceptanceDate);
+    deadlineDate.setDate(deadlineDate.getDate() + cond.deadlineDays);
+    const template = Condition.getTemplate(cond.type, offer.province);
+
+    return new Condition({
+      transaction: transaction._id,
+      offer: offer._id,
+      conditionType: cond.type,
+      title: cond.description || template.title,
+      description: cond.description || template.description,
+      deadlineDate,
+      daysFromAcceptance: cond.deadlineDays,
+      status: 'pending'
+    });
+  });
+}
+
+/**
+ * Accept an offer inside an existing session. Every read and write goes
+ * through the session; status and version checks turn a concurrent
+ * acceptance into an HttpError instead of a second winner.
+ */
+async function acceptOfferInSession(session, { offerId, sellerId, now }) {
+  const offer = await Offer.findById(offerId).session(session);
+
+  if (!offer) {
+    throw new HttpError('Offer not found', 404);
+  }
+  if (offer.seller.toString() !== sellerId) {
+    throw new HttpError('Only the seller can accept this offer', 403);
+  }
+  if (now > offer.irrevocableDate && OPEN_OFFER_STATUSES.includes(offer.status)) {
+    throw new HttpError('Offer has expired');
+  }
+  if (!OPEN_OFFER_STATUSES.includes(offer.status)) {
+    throw new HttpError(`Cannot accept offer with status: ${offer.status}`);
+  }
+
+  // FINTRAC: both parties are identified before the agreement becomes a transaction
+  const unverified = await getUnverifiedParties({ buyer: offer.buyer, seller: offer.seller }, session);
+  if (unverified.length) {
+    throw new HttpError(
+      `FINTRAC identity verification is required before acceptance; not yet verified: ${unverified.join(' and ')}`,
+      403
+    );
+  }
+
+  const listing = await Listing.findById(offer.listing).session(session);
+  if (!listing || listing.status !== 'active') {
+    throw new HttpError('This listing is no longer accepting offers', 409);
+  }
+  if (listing.isHoldingOffers(now)) {
+    throw new HttpError(sealedMessage(listing));
+  }
+
+  // Version check: the listing must still be the active version read above
+  const claimed = await Listing.updateOne(
+    { _id: listing._id, status: 'active', __v: listing.__v },
+    { $set: { status: 'pending' }, $inc: { __v: 1 } },
+    { session }
+  );
+  if (claimed.modifiedCount !== 1) {
+    throw new HttpError('Another offer was accepted on this listing', 409);
+  }
+
+  const accepted = await Offer.updateOne(
+    { _id: offer._id, status: { $in: OPEN_OFFER_STATUSES } },
+    {
+      $set: {
+        status: 'accepted',
+        respondedAt: now,
+        sellerSignature: { signed: true, signedAt: now }
+      }
+    },
+    { session }
+  );
+  if (accepted.modifiedCount !== 1) {
+    throw new HttpError('Offer was changed by another request', 409);
+  }
+
+  const property = await Property.findByIdAndUpdate(
+    offer.property,
+    { $set: { status: 'pending' } },
+    { session, new: true }
+  ).select('propertyType newConstruction');
+
+  const transaction = new Transaction({
+    property: offer.property,
+    listing: listing._id,
+    acceptedOffer: offer._id,
+    buyer: offer.buyer,
+    seller: offer.seller,
+    province: offer.province,
+    purchasePrice: offer.offerPrice,
+    depositAmount: offer.depositAmount,
+    depositHeldBy: offer.depositHeldBy,
+    acceptanceDate: now,
+    closingDate: offer.closingDate,
+    possessionDate: offer.possessionDate || offer.closingDate,
+    status: offer.conditions.length > 0 ? 'conditional' : 'firm',
+    currentStep: 'offer_accepted',
+    buyerLawyer: offer.buyerLawyer
+  });
+
+  // Statutory cooling-off period, if the province gives the buyer one
+  if (property) {
+    openRescissionWindow(transaction, property);
+  }
+
+  const conditions = buildConditions(offer, transaction);
+  if (conditions.length > 0) {
+    transaction.conditions = conditions.map(c => c._id);
+    transaction.conditionDeadline = new Date(Math.max(...conditions.map(c => c.deadlineDate)));
+    await Condition.insertMany(conditions, { session });
+  }
+  await transaction.save({ session });
+
+  // Reject all other open offers on this listing
+  const otherOffers = await Offer.find({
+    listing: listing._id,
+    _id: { $ne: offer._id },
+    status: { $in: OPEN_OFFER_STATUSES }
+  }).select('buyer').session(session);
+
+  if (otherOffers.length > 0) {
+    await Offer.updateMany(
+      { _id: { $in: otherOffers.map(o => o._id) } },
+      { $set: { status: 'rejected', respondedAt: now } },
+      { session }
+    );
+  }
+
+  return { transaction, conditions, otherOffers };
+}
+
+/**
+ * Accept an offer atomically
+ * @param {Object} options
+ * @param {string} options.offerId
+ * @param {string} options.sellerId - User accepting (must be the offer's seller)
+ * @param {Date} options.now - Acceptance time (injectable for testing)
+ * @returns {Object} { offer, transaction, conditions, otherOffers }
+ * @throws {HttpError} When the offer can't be accepted
+ */
+async function acceptOffer({ offerId, sellerId, now = new Date() }) {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    // withTransaction retries transient write conflicts; a retry re-reads
+    // the listing and fails the version check if another accept committed
+    await session.withTransaction(async () => {
+      result = await acceptOfferInSession(session, { offerId, sellerId, now });
+    });
+
+    const offer = await Offer.findById(offerId)
+      .populate('property')
+      .populate('listing');
+
+    return { ...result, offer };
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  acceptOffer,
+  acceptOfferInSession
+};
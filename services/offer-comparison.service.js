@@ -0,0 +1,237 @@
+/**
+ * Offer Comparison Service
+ * Normalizes competing offers on a listing for side-by-side review, works
+ * out the seller's net proceeds on each, and ranks them by a weighted
+ * certainty score (how likely the deal is to close as written).
+ */
+
+const { checkOfferFinancing } = require('./mortgage.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Seller's platform fee, matching the Transaction platformFee default
+const DEFAULT_PLATFORM_FEE_RATE = 0.01;
+
+// Typical seller's legal fees when the seller doesn't supply a quote
+const DEFAULT_LEGAL_FEES = 1500;
+
+// Relative weight of each certainty factor; callers may override any of them
+const DEFAULT_CERTAINTY_WEIGHTS = {
+  conditions: 40,
+  financing: 30,
+  deposit: 20,
+  timeToFirm: 10
+};
+
+// How much each condition type reduces the conditions factor
+const CONDITION_RISK = {
+  sale_of_property: 0.5,
+  financing: 0.3,
+  appraisal: 0.2,
+  inspection: 0.2,
+  other: 0.15,
+  status_certificate: 0.1,
+  lawyer_review: 0.05
+};
+
+// Financing factor by financing type, before pre-approval
+const FINANCING_CERTAINTY = {
+  cash: 1,
+  assumption: 0.6,
+  vtb: 0.6,
+  conventional: 0.4,
+  insured: 0.4
+};
+
+// A deposit of this share of the price earns the full deposit factor
+const STRONG_DEPOSIT_PERCENT = 5;
+
+// Conditions running this long or longer earn nothing on time to firm
+const MAX_DAYS_TO_FIRM = 21;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Merge caller weights over the defaults
+ * @throws {Error} When a weight is unknown or not a non-negative number
+ */
+function resolveWeights(overrides = {}) {
+  const weights = { ...DEFAULT_CERTAINTY_WEIGHTS };
+
+  for (const [factor, value] of Object.entries(overrides)) {
+    if (!(factor in DEFAULT_CERTAINTY_WEIGHTS)) {
+      throw new Error(`Unknown certainty factor: ${factor}`);
+    }
+    const weight = Number(value);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Weight for ${factor} must be a non-negative number`);
+    }
+    weights[factor] = weight;
+  }
+
+  if (Object.values(weights).every(w => w === 0)) {
+    throw new Error('At least one certainty weight must be positive');
+  }
+
+  return weights;
+}
+
+/**
+ * Flatten an offer into the fields sellers compare
+ */
+function normalizeOffer(offer, now = new Date()) {
+  const conditions = (offer.conditions || []).map(c => ({
+    type: c.type,
+    description: c.description,
+    deadlineDays: c.deadlineDays
+  }));
+  const financing = offer.financing || {};
+
+  return {
+    offerId: offer._id,
+    buyer: offer.buyer,
+    status: offer.status,
+    offerPrice: offer.offerPrice,
+    depositAmount: offer.depositAmount,
+    depositPercent: offer.offerPrice ? round2(offer.depositAmount / offer.offerPrice * 100) : 0,
+    depositDueDate: offer.depositDueDate,
+    conditions,
+    isFirm: conditions.length === 0,
+    daysToFirm: conditions.length ? Math.max(...conditions.map(c => c.deadlineDays)) : 0,
+    closingDate: offer.closingDate,
+    daysToClosing: Math.ceil((new Date(offer.closingDate) - now) / DAY),
+    possessionDate: offer.possessionDate || offer.closingDate,
+    irrevocableDate: offer.irrevocableDate,
+    financing: {
+      type: financing.type || 'conventional',
+      preApproved: Boolean(financing.preApproved),
+      preApprovalAmount: financing.preApprovalAmount,
+      downPaymentPercentage: financing.downPaymentPercentage,
+      lenderName: financing.lenderName
+    },
+    financingWarnings: checkOfferFinancing(offer),
+    inclusions: offer.inclusions || [],
+    exclusions: offer.exclusions || []
+  };
+}
+
+/**
+ * Seller's net proceeds at a given sale price
+ * @param {number} salePrice
+ * @param {Object} options
+ * @param {number} options.platformFeeRate - Seller's platform fee rate
+ * @param {number} options.legalFees - Seller's legal fees
+ * @param {number} options.mortgagePayout - Mortgage balance discharged on closing
+ */
+function calculateNetProceeds(salePrice, {
+  platformFeeRate = DEFAULT_PLATFORM_FEE_RATE,
+  legalFees = DEFAULT_LEGAL_FEES,
+  mortgagePayout = 0
+} = {}) {
+  const platformFee = round2(salePrice * platformFeeRate);
+
+  return {
+    salePrice,
+    platformFee,
+    legalFees,
+    mortgagePayout,
+    netProceeds: round2(salePrice - platformFee - legalFees - mortgagePayout)
+  };
+}
+
+/**
+ * Score each certainty factor from 0 (least certain) to 1 (most certain)
+ */
+function certaintyFactors(normalized) {
+  const conditionRisk = normalized.conditions
+    .reduce((sum, c) => sum + (CONDITION_RISK[c.type] ?? CONDITION_RISK.other), 0);
+
+  const { financing } = normalized;
+  let financingScore = FINANCING_CERTAINTY[financing.type] ?? FINANCING_CERTAINTY.conventional;
+  if (financing.type !== 'cash' && financing.preApproved) {
+    // Pre-approval only counts in full when it covers the price less the down payment
+    const needed = normalized.offerPrice * (1 - (financing.downPaymentPercentage || 0) / 100);
+    const covered = !financing.preApprovalAmount || financing.preApprovalAmount >= needed;
+    financingScore += covered ? 0.4 : 0.2;
+  }
+
+  return {
+    conditions: Math.max(0, 1 - conditionRisk),
+    financing: Math.min(1, financingScore),
+    deposit: Math.min(1, normalized.depositPercent / STRONG_DEPOSIT_PERCENT),
+    timeToFirm: 1 - Math.min(normalized.daysToFirm, MAX_DAYS_TO_FIRM) / MAX_DAYS_TO_FIRM
+  };
+}
+
+/**
+ * Weighted certainty score out of 100
+ * @returns {Object} { score, factors }
+ */
+function calculateCertaintyScore(normalized, weights = DEFAULT_CERTAINTY_WEIGHTS) {
+  const factors = certaintyFactors(normalized);
+  const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+  const weighted = Object.entries(weights)
+    .reduce((sum, [factor, weight]) => sum + factors[factor] * weight, 0);
+
+  return {
+    score: Math.round(weighted / totalWeight * 100),
+    factors: Object.fromEntries(Object.entries(factors).map(([k, v]) => [k, round2(v)]))
+  };
+}
+
+/**
+ * Build the comparison sheet for a set of offers, ranked by certainty
+ * (ties go to the higher net proceeds)
+ * @param {Array} offers - Offer documents
+ * @param {Object} options
+ * @param {number} options.askingPrice
+ * @param {number} options.platformFeeRate
+ * @param {number} options.legalFees
+ * @param {number} options.mortgagePayout
+ * @param {Object} options.weights - Certainty weight overrides
+ * @param {Date} options.now
+ */
+function compareOffers(offers, {
+  askingPrice,
+  platformFeeRate = DEFAULT_PLATFORM_FEE_RATE,
+  legalFees = DEFAULT_LEGAL_FEES,
+  mortgagePayout = 0,
+  weights: weightOverrides,
+  now = new Date()
+} = {}) {
+  const weights = resolveWeights(weightOverrides);
+
+  const rows = offers.map(offer => {
+    const normalized = normalizeOffer(offer, now);
+    const certainty = calculateCertaintyScore(normalized, weights);
+
+    return {
+      ...normalized,
+      priceVsAsking: askingPrice ? round2(normalized.offerPrice - askingPrice) : null,
+      proceeds: calculateNetProceeds(normalized.offerPrice, { platformFeeRate, legalFees, mortgagePayout }),
+      certaintyScore: certainty.score,
+      certaintyFactors: certainty.factors
+    };
+  });
+
+  rows.sort((a, b) =>
+    b.certaintyScore - a.certaintyScore || b.proceeds.netProceeds - a.proceeds.netProceeds
+  );
+  rows.forEach((row, i) => { row.rank = i + 1; });
+
+  return {
+    assumptions: { askingPrice, platformFeeRate, legalFees, mortgagePayout, weights },
+    offers: rows
+  };
+}
+
+module.exports = {
+  DEFAULT_PLATFORM_FEE_RATE,
+  DEFAULT_LEGAL_FEES,
+  DEFAULT_CERTAINTY_WEIGHTS,
+  resolveWeights,
+  normalizeOffer,
+  calculateNetProceeds,
+  calculateCertaintyScore,
+  compareOffers
+};
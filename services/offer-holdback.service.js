@@ -0,0 +1,122 @@
+/**
+ * Offer Holdback Service
+ * Multiple-offer mode: offers on a listing are sealed from the seller until
+ * its presentation date, then revealed together. Buyers are only ever told
+ * how many competing offers exist, never their terms.
+ */
+
+const Offer = require('../models/offer.model');
+const Listing = require('../models/listing.model');
+const { notify, formatAddress } = require('./notification.service');
+
+const OPEN_OFFER_STATUSES = ['submitted', 'viewed'];
+
+/**
+ * Error text shown when the seller tries to see or act on sealed offers
+ */
+function sealedMessage(listing) {
+  return `Offers are sealed until ${listing.offerHoldback.presentationDate.toISOString()}`;
+}
+
+/**
+ * IDs of a seller's listings whose offers are currently sealed
+ */
+async function findSealedListingIds(sellerId, now = new Date()) {
+  const listings = await Listing.find({
+    seller: sellerId,
+    'offerHoldback.enabled': true,
+    'offerHoldback.presentationDate': { $gt: now }
+  }).select('_id');
+
+  return listings.map(l => l._id);
+}
+
+/**
+ * Number of open offers on a listing
+ */
+function countOpenOffers(listingId) {
+  return Offer.countDocuments({ listing: listingId, status: { $in: OPEN_OFFER_STATUSES } });
+}
+
+/**
+ * Earliest irrevocable date among a listing's open offers, or null if it
+ * has none
+ */
+async function findEarliestIrrevocableDate(listingId) {
+  const offer = await Offer.findOne({ listing: listingId, status: { $in: OPEN_OFFER_STATUSES } })
+    .sort({ irrevocableDate: 1 })
+    .select('irrevocableDate');
+
+  return offer ? offer.irrevocableDate : null;
+}
+
+/**
+ * Number of open offers on a listing from other buyers
+ */
+function countCompetingOffers(listingId, buyerId) {
+  return Offer.countDocuments({
+    listing: listingId,
+    buyer: { $ne: buyerId },
+    status: { $in: OPEN_OFFER_STATUSES }
+  });
+}
+
+/**
+ * Reveal held offers on listings whose presentation date has passed.
+ * Run by the 'reveal-held-offers' job; each listing is revealed once.
+ */
+async function revealHeldOffers(now) {
+  const listings = await Listing.find({
+    'offerHoldback.enabled': true,
+    'offerHoldback.presentationDate': { $lte: now },
+    'offerHoldback.revealedAt': null
+  }).populate('property', 'address');
+
+  let revealed = 0;
+  for (const listing of listings) {
+    const { modifiedCount } = await Listing.updateOne(
+      { _id: listing._id, 'offerHoldback.revealedAt': null },
+      { $set: { 'offerHoldback.revealedAt': now } }
+    );
+    if (!modifiedCount) continue;
+    revealed++;
+
+    const offers = await Offer.find({ listing: listing._id, status: { $in: OPEN_OFFER_STATUSES } })
+      .select('buyer');
+    const address = formatAddress(listing.property);
+
+    await notify({
+      userId: listing.seller,
+      type: 'offer',
+      title: 'Offers Ready for Review',
+      message: `${offers.length} offer${offers.length === 1 ? '' : 's'} on ${address} can now be reviewed`,
+      link: '/offers',
+      metadata: { propertyId: listing.property?._id }
+    });
+
+    const buyerIds = [...new Set(offers.map(o => o.buyer.toString()))];
+    await Promise.all(buyerIds.map(buyerId => {
+      const competing = offers.filter(o => o.buyer.toString() !== buyerId).length;
+      return notify({
+        userId: buyerId,
+        type: 'offer',
+        title: 'Offers Presented',
+        message: `Your offer on ${address} has been presented to the seller along with ${competing} competing offer${competing === 1 ? '' : 's'}`,
+        link: '/offers',
+        metadata: { propertyId: listing.property?._id }
+      });
+    }));
+  }
+
+  return { found: listings.length, revealed };
+}
+
+module.exports = {
+  OPEN_OFFER_STATUSES,
+  sealedMessage,
+  findSealedListingIds,
+  countOpenOffers,
+  findEarliestIrrevocableDate,
+  countCompetingOffers,
+  revealHeldOffers
+};
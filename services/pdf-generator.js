@@ -1,6 +1,10 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const Document = require('../models/document.model');
+const { getTemplate } = require('./document-templates');
+
+const BLANK = '_____________________________';
 
 /**
  * PDF Form Generator Service
@@ -268,7 +272,8 @@ class PDFGenerator {
 
     doc.text('The Buyer hereby confirms that the following condition(s) have been:');
     doc.moveDown();
-    doc.text('[ ] FULFILLED   [ ] WAIVED');
+    const box = resolution => (data.resolution === resolution ? '[X]' : '[ ]');
+    doc.text(`${box('fulfilled')} FULFILLED   ${box('waived')} WAIVED`);
     doc.moveDown(2);
 
     doc.fontSize(12).font('Helvetica-Bold').text('CONDITION:');
@@ -293,6 +298,173 @@ class PDFGenerator {
     });
   }
 
+  /**
+   * Generate Notice of Rescission (statutory cooling-off period)
+   */
+  async generateRescissionNotice(data, province = 'ON') {
+    const doc = new PDFDocument({ margin: 50 });
+    const fileName = `Rescission_${data.transactionId || Date.now()}.pdf`;
+    const filePath = path.join(this.outputDir, fileName);
+    const stream = fs.createWriteStream(filePath);
+
+    doc.pipe(stream);
+
+    this.addHeader(doc, province);
+
+    doc.fontSize(16).font('Helvetica-Bold')
+      .text('NOTICE OF RESCISSION', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10).font('Helvetica')
+      .text(data.authority || 'Statutory Rescission', { align: 'right' });
+    doc.moveDown(2);
+
+    doc.text(`RE: Property at ${data.propertyAddress || '_____________________________'}`);
+    doc.moveDown();
+    doc.text(`Agreement accepted: ${this.formatDate(data.acceptanceDate)}`);
+    doc.text(`Between Buyer: ${data.buyerName || '_____________________________'}`);
+    doc.text(`And Seller: ${data.sellerName || '_____________________________'}`);
+    doc.moveDown(2);
+
+    doc.text(`The Buyer hereby gives notice that the Buyer rescinds the above agreement under the ${data.ruleName || 'statutory rescission period'}.`);
+    doc.moveDown();
+    doc.text(`Rescission period ends: ${this.formatDate(data.deadline)}`);
+    doc.text(`Notice given: ${this.formatDate(data.exercisedAt)}`);
+    doc.moveDown(2);
+
+    doc.fontSize(12).font('Helvetica-Bold').text('SETTLEMENT');
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(10);
+
+    const money = (amount) => `$${(amount || 0).toLocaleString('en-CA', { minimumFractionDigits: 2 })}`;
+    doc.text(`Purchase Price: ${money(data.purchasePrice)}`);
+    doc.text(`Rescission Fee: ${money(data.feeAmount)}`);
+    doc.text(`Deposit Held: ${money(data.depositHeld)}`);
+    doc.text(`Deposit Paid to Seller: ${money(data.depositToSeller)}`);
+    doc.text(`Deposit Returned to Buyer: ${money(data.depositToBuyer)}`);
+    if (data.feeOwing > 0) {
+      doc.text(`Fee Still Owed by Buyer: ${money(data.feeOwing)}`);
+    }
+    doc.moveDown(2);
+
+    if (data.reason) {
+      doc.text(`Reason (optional): ${data.reason}`);
+      doc.moveDown(2);
+    }
+
+    doc.text('Buyer Signature: _____________________________');
+    doc.text(`Date: ${this.formatDate(data.exercisedAt)}`);
+
+    this.addFooter(doc, province);
+
+    doc.end();
+
+    return new Promise((resolve, reject) => {
+      stream.on('finish', () => resolve({ filePath, fileName }));
+      stream.on('error', reject);
+    });
+  }
+
+  /**
+   * Generate FINTRAC Client Identification Record
+   */
+  async generateFintracRecord(data, province = 'ON') {
+    const doc = new PDFDocument({ margin: 50 });
+    const fileName = `FINTRAC_Record_${data.userId || Date.now()}_${Date.now()}.pdf`;
+    const filePath = path.join(this.outputDir, fileName);
+    const stream = fs.createWriteStream(filePath);
+
+    doc.pipe(stream);
+
+    this.addHeader(doc, province);
+
+    doc.fontSize(16).font('Helvetica-Bold')
+      .text('CLIENT IDENTIFICATION RECORD', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10).font('Helvetica')
+      .text('FINTRAC - Real Estate Sector', { align: 'right' });
+    doc.moveDown(2);
+
+    const section = (heading, rows) => {
+      doc.fontSize(12).font('Helvetica-Bold').text(heading);
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(10);
+      rows.forEach(([label, value, format]) => doc.text(`${label}: ${this.formatValue(value, format)}`));
+      doc.moveDown(1.5);
+    };
+
+    section('CLIENT', [
+      ['Legal Name', data.legalName],
+      ['Date of Birth', data.dateOfBirth, 'date'],
+      ['Address', data.address],
+      ['Occupation', data.occupation],
+      ['Email', data.email],
+      ...(data.isBusinessClient ? [
+        ['Business Name', data.businessName],
+        ['Business Number', data.businessNumber]
+      ] : [])
+    ]);
+
+    const methodRows = {
+      government_id: [
+        ['Document Type', data.idType],
+        ['Document Number', data.idNumber],
+        ['Jurisdiction of Issue', data.idIssuingProvince],
+        ['Expiry Date', data.idExpiry, 'date']
+      ],
+      dual_process: (data.dualProcessSources || []).map((source, index) => [
+        `Source ${index + 1} (${source.category.replace(/_/g, ' ')})`,
+        `${source.sourceName}, ref. ${source.reference}`
+      ]),
+      credit_file: [
+        ['Credit Bureau', data.creditFile?.bureau],
+        ['Reference', data.creditFile?.reference],
+        ['File Established', data.creditFile?.establishedAt, 'date'],
+        ['Checked On', data.creditFile?.checkedAt, 'date']
+      ]
+    };
+    section('IDENTIFICATION', [
+      ['Method', data.verificationMethod?.replace(/_/g, ' ')],
+      ...(methodRows[data.verificationMethod] || []),
+      ['Verified On', data.verifiedAt, 'date'],
+      ['Verified By', data.reviewerName]
+    ]);
+
+    section('POLITICALLY EXPOSED PERSON DETERMINATION', [
+      ['PEP / HIO', data.isPEP],
+      ['Details', data.pepDetails],
+      ['Determined On', data.pepDeterminedAt, 'date']
+    ]);
+
+    if (data.isBusinessClient) {
+      section('BENEFICIAL OWNERSHIP', [
+        ['Confirmed', data.beneficialOwnerConfirmed],
+        ...(data.beneficialOwners || []).map(owner => [
+          owner.name,
+          `${owner.ownershipPercent}%${owner.address ? `, ${owner.address}` : ''}`
+        ])
+      ]);
+    }
+
+    section('RISK ASSESSMENT', [
+      ['Risk Level', data.riskLevel?.toUpperCase()],
+      ['Factors', (data.riskFactors || []).length ? data.riskFactors : ['None identified']],
+      ['Assessed On', data.riskAssessedAt, 'date']
+    ]);
+
+    doc.fontSize(8).text(`Record generated ${new Date().toISOString()}. Retain for at least five years.`);
+
+    this.addFooter(doc, province);
+
+    doc.end();
+
+    return new Promise((resolve, reject) => {
+      stream.on('finish', () => resolve({ filePath, fileName }));
+      stream.on('error', reject);
+    });
+  }
+
   /**
    * Generate Statement of Adjustments
    */
@@ -330,16 +502,24 @@ class PDFGenerator {
     doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
     doc.moveDown(0.5);
 
-    // Items
+    // Items - computed lines from the adjustments service, or the
+    // individual credits passed by the caller
     doc.font('Helvetica');
-    const items = [
-      { name: 'Purchase Price', buyer: '', seller: data.purchasePrice },
-      { name: 'Deposit', buyer: data.depositAmount, seller: '' },
-      { name: 'Property Tax Adjustment', buyer: data.propertyTaxCredit || 0, seller: data.propertyTaxDebit || 0 },
-      { name: 'Utility Adjustments', buyer: data.utilityCredit || 0, seller: data.utilityDebit || 0 }
-    ];
-
-    if (data.condoFees) {
+    const items = data.lines
+      ? data.lines.map(line => ({
+        name: line.item,
+        description: line.description,
+        buyer: line.creditBuyer,
+        seller: line.creditSeller
+      }))
+      : [
+        { name: 'Purchase Price', buyer: '', seller: data.purchasePrice },
+        { name: 'Deposit', buyer: data.depositAmount, seller: '' },
+        { name: 'Property Tax Adjustment', buyer: data.propertyTaxCredit || 0, seller: data.propertyTaxDebit || 0 },
+        { name: 'Utility Adjustments', buyer: data.utilityCredit || 0, seller: data.utilityDebit || 0 }
+      ];
+
+    if (!data.lines && data.condoFees) {
       items.push({ name: 'Condo Fee Adjustment', buyer: data.condoFeeCredit || 0, seller: data.condoFeeDebit || 0 });
     }
 
@@ -347,6 +527,9 @@ class PDFGenerator {
       doc.text(item.name, 50);
       doc.text(item.buyer ? `$${item.buyer.toLocaleString()}` : '', 300, doc.y - 12);
       doc.text(item.seller ? `$${item.seller.toLocaleString()}` : '', 420, doc.y - 12);
+      if (item.description) {
+        doc.fontSize(8).text(item.description, 60, doc.y, { width: 230 }).fontSize(10);
+      }
       doc.moveDown(0.5);
     });
 
@@ -355,8 +538,12 @@ class PDFGenerator {
     doc.moveTo(50, doc.y).lineTo(550, doc.y).stroke();
     doc.moveDown(0.5);
 
-    const totalBuyer = (data.depositAmount || 0) + (data.propertyTaxCredit || 0) + (data.utilityCredit || 0);
-    const totalSeller = (data.purchasePrice || 0) + (data.propertyTaxDebit || 0) + (data.utilityDebit || 0);
+    const totalBuyer = data.totals
+      ? data.totals.creditBuyer
+      : (data.depositAmount || 0) + (data.propertyTaxCredit || 0) + (data.utilityCredit || 0);
+    const totalSeller = data.totals
+      ? data.totals.creditSeller
+      : (data.purchasePrice || 0) + (data.propertyTaxDebit || 0) + (data.utilityDebit || 0);
     const balanceDue = totalSeller - totalBuyer;
 
     doc.font('Helvetica-Bold');
@@ -367,6 +554,109 @@ class PDFGenerator {
 
     doc.text(`BALANCE DUE ON CLOSING: $${balanceDue.toLocaleString()}`, 50);
 
+    if (data.closingDayParty) {
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(8)
+        .text(`Adjusted as of the closing date; the day of closing is apportioned to the ${data.closingDayParty}.`, 50);
+    }
+
+    this.addFooter(doc, province);
+
+    doc.end();
+
+    return new Promise((resolve, reject) => {
+      stream.on('finish', () => resolve({ filePath, fileName }));
+      stream.on('error', reject);
+    });
+  }
+
+  /**
+   * Render any document type. Types with a hand-built layout use it; the
+   * rest are rendered from their template, titled by the province's form.
+   * @param {string} documentType - A Document documentType
+   * @param {Object} data - Form data; data.documentId names the file
+   * @param {string} province
+   * @returns {Promise<Object>} { filePath, fileName }
+   */
+  async generateDocument(documentType, data = {}, province = 'ON') {
+    const template = getTemplate(documentType, province);
+    if (!template) {
+      throw new Error(`No template for document type: ${documentType}`);
+    }
+
+    if (template.generator) {
+      return this[template.generator](data, province);
+    }
+
+    return this.renderTemplate(template, data, {
+      province,
+      formInfo: Document.getFormInfo(province, documentType),
+      fileName: `${documentType}_${data.documentId || Date.now()}${data.version > 1 ? `_v${data.version}` : ''}.pdf`
+    });
+  }
+
+  /**
+   * Render a section-based template
+   */
+  async renderTemplate(template, data, { province, formInfo, fileName }) {
+    const doc = new PDFDocument({ margin: 50 });
+    const filePath = path.join(this.outputDir, fileName);
+    const stream = fs.createWriteStream(filePath);
+
+    doc.pipe(stream);
+
+    this.addHeader(doc, province);
+
+    doc.fontSize(16).font('Helvetica-Bold')
+      .text(template.heading || formInfo.title.toUpperCase(), { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(10).font('Helvetica')
+      .text(formInfo.formNumber, { align: 'right' });
+    doc.moveDown(2);
+
+    template.sections.forEach(section => {
+      if (section.heading) {
+        doc.fontSize(12).font('Helvetica-Bold').text(section.heading);
+        doc.moveDown(0.5);
+      }
+      doc.font('Helvetica').fontSize(10);
+
+      if (section.text) {
+        doc.text(section.text.replace(/\{(\w+)\}/g, (match, key) => this.formatValue(data[key])));
+      }
+
+      (section.fields || []).forEach(([label, key, format]) => {
+        doc.text(`${label}: ${this.formatValue(data[key], format)}`);
+      });
+
+      if (section.table) {
+        const rows = data[section.table.key] || [];
+        if (rows.length === 0) doc.text('None');
+        rows.forEach((row, index) => {
+          const cells = section.table.columns
+            .map(([label, key, format]) => `${label}: ${this.formatValue(row[key], format)}`);
+          doc.text(`${index + 1}. ${cells.join('   ')}`);
+        });
+      }
+
+      doc.moveDown(1.5);
+    });
+
+    if (template.signatures.length) {
+      doc.fontSize(12).font('Helvetica-Bold').text('SIGNATURES');
+      doc.moveDown();
+      doc.font('Helvetica').fontSize(10);
+
+      template.signatures.forEach(role => {
+        doc.text(`${role.toUpperCase()}:`);
+        doc.text(`Signature: ${BLANK}`);
+        doc.text(`Name: ${data[`${role}Name`] || BLANK}`);
+        doc.text(`Date: ${BLANK}`);
+        doc.moveDown();
+      });
+    }
+
     this.addFooter(doc, province);
 
     doc.end();
@@ -378,6 +668,15 @@ class PDFGenerator {
   }
 
   // Helper methods
+  formatValue(value, format) {
+    if (value === undefined || value === null || value === '') return BLANK;
+    if (format === 'date') return this.formatDate(value);
+    if (format === 'money') return `$${Number(value).toLocaleString('en-CA', { minimumFractionDigits: 2 })}`;
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+  }
+
   addHeader(doc, province) {
     doc.fontSize(10).font('Helvetica')
       .text('REAL ESTATE DIRECT', { align: 'left' });
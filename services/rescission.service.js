@@ -0,0 +1,210 @@
+/**
+ * Rescission Service
+ * Statutory cooling-off periods: opens the window on a new Transaction when
+ * a province rule applies, and lets the buyer rescind inside it - working
+ * out the fee, settling the deposit and generating the notice.
+ */
+
+const Transaction = require('../models/transaction.model');
+const Document = require('../models/document.model');
+const Listing = require('../models/listing.model');
+const Property = require('../models/property.model');
+const pdfGenerator = require('./pdf-generator');
+const { recordPdfVersion } = require('./document-integrity.service');
+const { formatAddress } = require('./notification.service');
+const {
+  getRescissionRule,
+  calculateRescissionDeadline,
+  calculateRescissionFee
+} = require('../config/provinces');
+const { HttpError } = require('./errors');
+
+// Deposit statuses where the money is actually held
+const HELD_DEPOSIT_STATUSES = ['received', 'held_in_trust'];
+
+/**
+ * Open the rescission window on a new transaction if a rule applies
+ * @param {Object} transaction - Unsaved Transaction with province and acceptanceDate
+ * @param {Object} property - { propertyType, newConstruction }
+ * @returns {Object|null} The rule applied
+ */
+function openRescissionWindow(transaction, property) {
+  const rule = getRescissionRule(transaction.province, property);
+  if (!rule) return null;
+
+  transaction.rescission = {
+    ruleId: rule.id,
+    name: rule.name,
+    authority: rule.authority,
+    deadline: calculateRescissionDeadline(rule, transaction.acceptanceDate),
+    feeRate: rule.feeRate
+  };
+
+  return rule;
+}
+
+/**
+ * Fee and deposit split if the buyer rescinds. The fee is paid from the
+ * deposit held; any shortfall is still owed by the buyer.
+ */
+function calculateRescissionSettlement(transaction) {
+  const feeAmount = calculateRescissionFee({ feeRate: transaction.rescission.feeRate }, transaction.purchasePrice);
+  const depositHeld = HELD_DEPOSIT_STATUSES.includes(transaction.depositStatus) ? transaction.depositAmount : 0;
+  const depositToSeller = Math.min(depositHeld, feeAmount);
+  const depositToBuyer = Math.round((depositHeld - depositToSeller) * 100) / 100;
+
+  let depositDisposition;
+  if (depositHeld > 0) {
+    if (depositToSeller === 0) depositDisposition = 'returned_to_buyer';
+    else if (depositToBuyer === 0) depositDisposition = 'released_to_seller';
+    else depositDisposition = 'split';
+  }
+
+  return {
+    feeAmount,
+    depositHeld,
+    depositToSeller,
+    depositToBuyer,
+    feeOwing: Math.round((feeAmount - depositToSeller) * 100) / 100,
+    depositDisposition
+  };
+}
+
+/**
+ * Rescind a transaction on the buyer's behalf
+ * @param {Object} options
+ * @param {string} options.transactionId
+ * @param {string} options.buyerId - User rescinding (must be the buyer)
+ * @param {string} options.reason - Optional; rescission needs no reason
+ * @param {string} options.ipAddress - Recorded with the buyer's signature on the notice
+ * @param {string} options.userAgent
+ * @param {Date} options.now
+ * @returns {Object} { transaction, document, settlement }
+ * @throws {HttpError} When the transaction can't be rescinded
+ */
+async function rescindTransaction({ transactionId, buyerId, reason, ipAddress, userAgent, now = new Date() }) {
+  const transaction = await Transaction.findById(transactionId)
+    .populate('buyer', 'name')
+    .populate('seller', 'name')
+    .populate('property', 'address legalDescription');
+
+  if (!transaction) {
+    throw new HttpError('Transaction not found', 404);
+  }
+  if (transaction.buyer._id.toString() !== buyerId) {
+    throw new HttpError('Only the buyer can rescind this transaction', 403);
+  }
+  if (!transaction.rescission?.deadline) {
+    throw new HttpError('No statutory rescission period applies to this transaction');
+  }
+  if (transaction.rescission.exercisedAt) {
+    throw new HttpError('This transaction has already been rescinded');
+  }
+  if (['cancelled', 'completed'].includes(transaction.status)) {
+    throw new HttpError(`Cannot rescind a ${transaction.status} transaction`);
+  }
+  if (!transaction.isRescissionOpen(now)) {
+    throw new HttpError(`The rescission period ended on ${transaction.rescission.deadline.toISOString()}`);
+  }
+
+  const settlement = calculateRescissionSettlement(transaction);
+  const cancellationReason = `Rescinded under the ${transaction.rescission.name}`;
+
+  // Claim the rescission so a concurrent request or cancellation can't also apply
+  const { modifiedCount } = await Transaction.updateOne(
+    { _id: transaction._id, 'rescission.exercisedAt': null, status: { $nin: ['cancelled', 'completed'] } },
+    {
+      $set: {
+        status: 'cancelled',
+        'rescission.exercisedAt': now,
+        'rescission.exercisedBy': buyerId,
+        'rescission.feeAmount': settlement.feeAmount,
+        'rescission.depositToSeller': settlement.depositToSeller,
+        'rescission.depositToBuyer': settlement.depositToBuyer,
+        'rescission.feeOwing': settlement.feeOwing,
+        cancellation: {
+          cancelledAt: now,
+          cancelledBy: buyerId,
+          reason: reason ? `${cancellationReason}: ${reason}` : cancellationReason,
+          depositDisposition: settlement.depositDisposition
+        }
+      }
+    }
+  );
+  if (!modifiedCount) {
+    throw new HttpError('Transaction was changed by another request', 409);
+  }
+
+  const noticeData = {
+    transactionId: transaction._id,
+    propertyAddress: formatAddress(transaction.property),
+    buyerName: transaction.buyer.name,
+    sellerName: transaction.seller.name,
+    acceptanceDate: transaction.acceptanceDate,
+    purchasePrice: transaction.purchasePrice,
+    ruleName: transaction.rescission.name,
+    authority: transaction.rescission.authority,
+    deadline: transaction.rescission.deadline,
+    exercisedAt: now,
+    reason,
+    ...settlement
+  };
+  const { filePath, fileName } = await pdfGenerator.generateRescissionNotice(noticeData, transaction.province);
+  const formInfo = Document.getFormInfo(transaction.province, 'notice_of_rescission');
+
+  const document = new Document({
+    transaction: transaction._id,
+    property: transaction.property._id,
+    documentType: 'notice_of_rescission',
+    province: transaction.province,
+    formNumber: formInfo.formNumber,
+    title: formInfo.title,
+    content: noticeData,
+    filePath,
+    fileName,
+    generatedPdfPath: filePath,
+    fileType: 'pdf',
+    mimeType: 'application/pdf',
+    status: 'signed',
+    requiredSignatures: [{ role: 'buyer', userId: buyerId, name: transaction.buyer.name }],
+    createdBy: buyerId,
+    accessibleBy: [transaction.buyer._id, transaction.seller._id],
+    generatedAt: now,
+    completedAt: now
+  });
+  recordPdfVersion(document, 'generated', filePath);
+  document.logAction('created', buyerId, 'Notice of rescission generated', ipAddress);
+  // Only the buyer gives the notice; their rescind request is their signature
+  document.addSignature({
+    role: 'buyer',
+    userId: buyerId,
+    name: transaction.buyer.name,
+    signedAt: now,
+    ipAddress,
+    userAgent
+  });
+  document.logAction('signed', buyerId, 'Signed as buyer', ipAddress);
+  await document.save();
+
+  await Transaction.updateOne(
+    { _id: transaction._id },
+    { $set: { 'rescission.noticeDocument': document._id }, $push: { documents: document._id } }
+  );
+
+  // Reactivate listing and property; updates skip the activatedAt hook, so
+  // set it here for saved-search alerts
+  await Listing.findByIdAndUpdate(transaction.listing, { status: 'active' });
+  await Property.findByIdAndUpdate(transaction.property._id, { status: 'active', activatedAt: now });
+
+  return {
+    transaction: await Transaction.findById(transaction._id),
+    document,
+    settlement
+  };
+}
+
+module.exports = {
+  openRescissionWindow,
+  calculateRescissionSettlement,
+  rescindTransaction
+};
@@ -0,0 +1,90 @@
+/**
+ * Saved Search Alert Service
+ * Matches newly activated properties against users' saved searches
+ * and emails digests according to each search's alert frequency.
+ * Run on a schedule by the 'saved-search-alerts' job.
+ */
+
+const SavedSearch = require('../models/saved-search.model');
+const Property = require('../models/property.model');
+const emailService = require('./email.service');
+
+const MAX_PROPERTIES_PER_DIGEST = 20;
+
+/**
+ * Find properties activated since the search was last checked
+ * @param {Object} search - SavedSearch document
+ * @param {Date} now - Upper bound for activation time
+ */
+async function findNewMatches(search, now = new Date()) {
+  const since = search.lastCheckedAt || search.createdAt;
+
+  const filter = {
+    ...Property.buildSearchFilter(search.criteria || {}),
+    activatedAt: { $gt: since, $lte: now }
+  };
+
+  return Property.find(filter)
+    .select('address askingPrice bedrooms bathrooms propertyType activatedAt')
+    .sort('-activatedAt')
+    .limit(MAX_PROPERTIES_PER_DIGEST);
+}
+
+/**
+ * Run one matching pass over all due saved searches
+ * @param {Date} now - Current time (injectable for testing)
+ * @returns {Object} Summary of the run
+ */
+async function runSavedSearchAlerts(now = new Date()) {
+  const appUrl = process.env.APP_URL || 'http://localhost:3000';
+  const summary = { checked: 0, notified: 0, skipped: 0 };
+
+  const searches = await SavedSearch.find({ alertsEnabled: true })
+    .populate('user', 'name email notificationSettings');
+
+  for (const search of searches) {
+    if (!search.isDue(now)) continue;
+    summary.checked++;
+
+    try {
+      const matches = await findNewMatches(search, now);
+      const user = search.user;
+      const emailAllowed = user && user.email &&
+        user.notificationSettings?.emailSavedSearches !== false;
+
+      search.lastCheckedAt = now;
+      search.lastMatchCount = matches.length;
+
+      if (matches.length > 0 && emailAllowed) {
+        await emailService.sendSavedSearchAlert(user.email, {
+          name: user.name,
+          searchName: search.name,
+          properties: matches.map(p => ({
+            address: `${p.address?.street || 'N/A'}, ${p.address?.city || ''}`,
+            askingPrice: p.askingPrice,
+            bedrooms: p.bedrooms,
+            bathrooms: p.bathrooms,
+            url: `${appUrl}/properties/${p._id}`
+          })),
+          manageUrl: `${appUrl}/saved-searches`
+        });
+        search.lastNotifiedAt = now;
+        summary.notified++;
+      } else if (matches.length > 0) {
+        summary.skipped++;
+      }
+
+      await search.save();
+    } catch (err) {
+      console.error(`Saved search alert failed for ${search._id}:`, err.message);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  findNewMatches,
+  runSavedSearchAlerts,
+  MAX_PROPERTIES_PER_DIGEST
+};
@@ -0,0 +1,361 @@
+/**
+ * Scheduled Jobs
+ * Time-based work run by the job scheduler: expiring offers and listings,
+ * revealing held offers, condition, showing and closing reminders, failing
+ * conditions past their deadline, and overdue transactions.
+ * Every job takes the current time as an argument and is safe to run
+ * repeatedly - records are only changed or notified once.
+ */
+
+const Offer = require('../models/offer.model');
+const Listing = require('../models/listing.model');
+const Property = require('../models/property.model');
+const Condition = require('../models/condition.model');
+const Showing = require('../models/showing.model');
+const Transaction = require('../models/transaction.model');
+const emailService = require('./email.service');
+const { notify, notifyMany, formatAddress } = require('./notification.service');
+const { toMinutes } = require('./showing-availability.service');
+const { runSavedSearchAlerts } = require('./saved-search.service');
+const { revealHeldOffers } = require('./offer-holdback.service');
+const { failExpiredConditions } = require('./condition.service');
+const { getProvince, localTime } = require('../config/provinces');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Send condition reminders when this many days remain
+const CONDITION_REMINDER_DAYS = [3, 1];
+
+// Remind both parties this long before a showing starts
+const SHOWING_REMINDER_LEAD = 24 * HOUR;
+
+// Remind both parties this many days before closing
+const CLOSING_REMINDER_DAYS = 7;
+
+// Transactions still in progress
+const OPEN_TRANSACTION_STATUSES = ['conditional', 'firm', 'closing'];
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+/**
+ * Expire offers whose irrevocable date has passed without a response
+ */
+async function expireOffers(now) {
+  const offers = await Offer.find({
+    status: { $in: ['submitted', 'viewed'] },
+    irrevocableDate: { $lt: now }
+  }).populate('property', 'address');
+
+  let expired = 0;
+  for (const offer of offers) {
+    // Conditional update so a response that lands mid-run isn't overwritten
+    const { modifiedCount } = await Offer.updateOne(
+      { _id: offer._id, status: { $in: ['submitted', 'viewed'] } },
+      { status: 'expired' }
+    );
+    if (!modifiedCount) continue;
+    expired++;
+
+    await notifyMany([offer.buyer, offer.seller], {
+      type: 'offer',
+      title: 'Offer Expired',
+      message: `The offer on ${formatAddress(offer.property)} expired without a response`,
+      link: '/offers',
+      metadata: { offerId: offer._id, propertyId: offer.property?._id }
+    });
+  }
+
+  return { found: offers.length, expired };
+}
+
+/**
+ * Expire active listings past their end date
+ */
+async function expireListings(now) {
+  const listings = await Listing.find({
+    status: 'active',
+    endDate: { $lt: now }
+  }).populate('property', 'address');
+
+  let expired = 0;
+  for (const listing of listings) {
+    const { modifiedCount } = await Listing.updateOne(
+      { _id: listing._id, status: 'active' },
+      { status: 'expired' }
+    );
+    if (!modifiedCount) continue;
+    expired++;
+
+    if (listing.property) {
+      await Property.updateOne(
+        { _id: listing.property._id, status: 'active' },
+        { status: 'expired' }
+      );
+    }
+
+    await notify({
+      userId: listing.seller,
+      type: 'system',
+      title: 'Listing Expired',
+      message: `Your listing for ${formatAddress(listing.property)} has expired. Relist it to keep receiving offers.`,
+      link: '/dashboard',
+      metadata: { propertyId: listing.property?._id }
+    });
+  }
+
+  return { found: listings.length, expired };
+}
+
+/**
+ * Which reminder threshold (in days) applies to a deadline, if any
+ * @returns {number|null} e.g. 3 when 2-3 days remain, 1 when under a day remains
+ */
+function conditionReminderThreshold(deadlineDate, now) {
+  const msRemaining = new Date(deadlineDate) - now;
+  if (msRemaining <= 0) return null;
+
+  const thresholds = [...CONDITION_REMINDER_DAYS].sort((a, b) => a - b);
+  return thresholds.find(days => msRemaining <= days * DAY) ?? null;
+}
+
+/**
+ * Remind the buyer (and tell the seller) as condition deadlines approach
+ */
+async function sendConditionReminders(now) {
+  const horizon = new Date(now.getTime() + Math.max(...CONDITION_REMINDER_DAYS) * DAY);
+
+  const conditions = await Condition.find({
+    status: { $in: Condition.OPEN_STATUSES },
+    deadlineDate: { $gt: now, $lte: horizon }
+  }).populate({
+    path: 'transaction',
+    select: 'buyer seller property status',
+    populate: [
+      { path: 'buyer', select: 'name email' },
+      { path: 'property', select: 'address' }
+    ]
+  });
+
+  let sent = 0;
+  for (const condition of conditions) {
+    const threshold = conditionReminderThreshold(condition.deadlineDate, now);
+    const transaction = condition.transaction;
+    if (!threshold || !transaction || !OPEN_TRANSACTION_STATUSES.includes(transaction.status)) continue;
+
+    // Claim this threshold first so a concurrent run can't send it twice
+    const { modifiedCount } = await Condition.updateOne(
+      { _id: condition._id, 'remindersSent.daysBeforeDeadline': { $ne: threshold } },
+      { $push: { remindersSent: { sentAt: now, daysBeforeDeadline: threshold } } }
+    );
+    if (!modifiedCount) continue;
+    sent++;
+
+    const daysRemaining = Math.ceil((condition.deadlineDate - now) / DAY);
+    const propertyAddress = formatAddress(transaction.property);
+
+    if (transaction.buyer?.email) {
+      await emailService.sendConditionReminder(transaction.buyer.email, {
+        propertyAddress,
+        conditionTitle: condition.title,
+        deadlineDate: condition.deadlineDate,
+        daysRemaining,
+        conditionUrl: `${appUrl()}/transactions/${transaction._id}`
+      });
+    }
+
+    await notifyMany([transaction.buyer?._id, transaction.seller], {
+      type: 'condition',
+      title: 'Condition Deadline Approaching',
+      message: `${condition.title} is due in ${daysRemaining} day${daysRemaining === 1 ? '' : 's'}`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { conditionId: condition._id, transactionId: transaction._id }
+    });
+  }
+
+  return { found: conditions.length, sent };
+}
+
+/**
+ * Start time of a showing. Dates are stored as UTC midnight of the local
+ * date, with the time slot in the property's local time alongside.
+ * @param {Object} showing - With the property's province populated
+ * @returns {Date|null} Null when the property or its province is gone
+ */
+function showingStartTime(showing) {
+  const province = showing.property?.province && getProvince(showing.property.province);
+  if (!province) return null;
+
+  const date = new Date(showing.requestedDate).toISOString().slice(0, 10);
+  return localTime(date, toMinutes(showing.timeSlot.start), province.timeZone);
+}
+
+/**
+ * Remind buyer and seller of approved showings starting within the next day
+ */
+async function sendShowingReminders(now) {
+  // Covers every showing that could start inside the lead window; local
+  // dates in Canada run up to a day behind UTC
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - DAY);
+  const showings = await Showing.find({
+    status: 'approved',
+    reminderSent: false,
+    requestedDate: { $gte: dayStart, $lte: new Date(now.getTime() + SHOWING_REMINDER_LEAD) }
+  })
+    .populate('property', 'address province')
+    .populate('buyer', 'name email')
+    .populate('seller', 'name email');
+
+  let sent = 0;
+  for (const showing of showings) {
+    const startsAt = showingStartTime(showing);
+    if (!startsAt || startsAt <= now || startsAt - now > SHOWING_REMINDER_LEAD) continue;
+
+    const { modifiedCount } = await Showing.updateOne(
+      { _id: showing._id, reminderSent: false },
+      { reminderSent: true }
+    );
+    if (!modifiedCount) continue;
+    sent++;
+
+    const propertyAddress = formatAddress(showing.property);
+    const time = `${showing.timeSlot.start} - ${showing.timeSlot.end}`;
+
+    for (const party of [showing.buyer, showing.seller]) {
+      if (!party?.email) continue;
+      await emailService.sendShowingReminder(party.email, {
+        name: party.name,
+        propertyAddress,
+        date: showing.requestedDate,
+        time,
+        showingUrl: `${appUrl()}/showings`
+      });
+    }
+
+    await notifyMany([showing.buyer?._id, showing.seller?._id], {
+      type: 'showing',
+      title: 'Showing Reminder',
+      message: `Showing at ${propertyAddress} on ${startsAt.toISOString().slice(0, 10)}, ${time}`,
+      link: '/showings',
+      metadata: { showingId: showing._id, propertyId: showing.property?._id }
+    });
+  }
+
+  return { found: showings.length, sent };
+}
+
+/**
+ * Email both parties once as closing approaches. The reminder is recorded
+ * in upcomingDeadlines against the closing date, so moving the closing
+ * date produces a fresh reminder.
+ */
+async function sendClosingReminders(now) {
+  const transactions = await Transaction.find({
+    status: { $in: OPEN_TRANSACTION_STATUSES },
+    closingDate: { $gte: now, $lte: new Date(now.getTime() + CLOSING_REMINDER_DAYS * DAY) }
+  })
+    .populate('buyer', 'name email')
+    .populate('seller', 'name email')
+    .populate('property', 'address');
+
+  let sent = 0;
+  for (const transaction of transactions) {
+    const { modifiedCount } = await Transaction.updateOne(
+      {
+        _id: transaction._id,
+        $nor: [{
+          upcomingDeadlines: { $elemMatch: { type: 'closing', date: transaction.closingDate, notified: true } }
+        }]
+      },
+      { $push: { upcomingDeadlines: { type: 'closing', date: transaction.closingDate, notified: true } } }
+    );
+    if (!modifiedCount) continue;
+    sent++;
+
+    const emailData = {
+      propertyAddress: formatAddress(transaction.property),
+      closingDate: transaction.closingDate,
+      daysUntilClosing: Math.ceil((transaction.closingDate - now) / DAY),
+      transactionUrl: `${appUrl()}/transactions/${transaction._id}`
+    };
+
+    for (const party of [transaction.buyer, transaction.seller]) {
+      if (party?.email) {
+        await emailService.sendClosingReminder(party.email, emailData);
+      }
+    }
+
+    await Transaction.updateOne({ _id: transaction._id }, { lastNotificationSent: now });
+  }
+
+  return { found: transactions.length, sent };
+}
+
+/**
+ * Flag transactions still open after their closing date
+ */
+async function flagOverdueTransactions(now) {
+  const transactions = await Transaction.find({
+    status: { $in: OPEN_TRANSACTION_STATUSES },
+    closingDate: { $lt: now },
+    overdueFlaggedAt: null
+  }).populate('property', 'address');
+
+  let flagged = 0;
+  for (const transaction of transactions) {
+    const { modifiedCount } = await Transaction.updateOne(
+      { _id: transaction._id, overdueFlaggedAt: null },
+      { overdueFlaggedAt: now }
+    );
+    if (!modifiedCount) continue;
+    flagged++;
+
+    await notifyMany([transaction.buyer, transaction.seller], {
+      type: 'transaction',
+      title: 'Closing Date Passed',
+      message: `The closing date for ${formatAddress(transaction.property)} has passed but the transaction is still open`,
+      link: `/transactions/${transaction._id}`,
+      metadata: { transactionId: transaction._id, propertyId: transaction.property?._id }
+    });
+  }
+
+  return { found: transactions.length, flagged };
+}
+
+// Job definitions registered with the scheduler at startup
+const JOBS = [
+  { name: 'expire-offers', intervalMs: 5 * MINUTE, handler: expireOffers, description: 'Expire offers past their irrevocable date' },
+  { name: 'reveal-held-offers', intervalMs: 5 * MINUTE, handler: revealHeldOffers, description: 'Reveal held offers once the presentation date passes' },
+  { name: 'expire-listings', intervalMs: HOUR, handler: expireListings, description: 'Expire active listings past their end date' },
+  { name: 'condition-reminders', intervalMs: HOUR, handler: sendConditionReminders, description: 'Remind parties of approaching condition deadlines' },
+  { name: 'expire-conditions', intervalMs: 15 * MINUTE, handler: failExpiredConditions, description: 'Fail conditions past their deadline and propose a mutual release' },
+  { name: 'showing-reminders', intervalMs: 15 * MINUTE, handler: sendShowingReminders, description: 'Remind parties of showings in the next 24 hours' },
+  { name: 'closing-reminders', intervalMs: 6 * HOUR, handler: sendClosingReminders, description: 'Remind parties of closings in the next 7 days' },
+  { name: 'overdue-transactions', intervalMs: HOUR, handler: flagOverdueTransactions, description: 'Flag open transactions past their closing date' },
+  { name: 'saved-search-alerts', intervalMs: 15 * MINUTE, handler: runSavedSearchAlerts, description: 'Email new listings matching saved searches' }
+];
+
+/**
+ * Register all scheduled jobs with a scheduler
+ */
+function registerScheduledJobs(scheduler) {
+  JOBS.forEach(job => scheduler.register(job));
+  return scheduler;
+}
+
+module.exports = {
+  JOBS,
+  CONDITION_REMINDER_DAYS,
+  SHOWING_REMINDER_LEAD,
+  CLOSING_REMINDER_DAYS,
+  expireOffers,
+  expireListings,
+  conditionReminderThreshold,
+  sendConditionReminders,
+  showingStartTime,
+  sendShowingReminders,
+  sendClosingReminders,
+  flagOverdueTransactions,
+  registerScheduledJobs
+};
@@ -0,0 +1,206 @@
+/**
+ * Job Scheduler Service
+ * Runs registered background jobs on fixed intervals inside the app process.
+ * Each job has a persistent Job record holding its schedule, lock and last
+ * result, so runs survive restarts and only one process runs a job at a time.
+ */
+
+const crypto = require('crypto');
+const Job = require('../models/job.model');
+
+const DEFAULT_POLL_INTERVAL = 60 * 1000; // 1 minute
+
+// Real clock - tests pass a fake one with a settable now()
+const systemClock = {
+  now: () => new Date()
+};
+
+class JobScheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.clock - { now() } returning the current Date
+   * @param {number} options.pollIntervalMs - How often to check for due jobs
+   */
+  constructor({ clock = systemClock, pollIntervalMs = DEFAULT_POLL_INTERVAL } = {}) {
+    this.clock = clock;
+    this.pollIntervalMs = pollIntervalMs;
+    this.instanceId = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    this.jobs = new Map();
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Register a job handler
+   * @param {Object} job
+   * @param {string} job.name - Unique job name
+   * @param {number} job.intervalMs - Time between runs
+   * @param {Function} job.handler - async (now) => result summary
+   * @param {string} job.description
+   */
+  register({ name, intervalMs, handler, description }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+    this.jobs.set(name, { name, intervalMs, handler, description });
+    return this;
+  }
+
+  /**
+   * Create or update the Job record for every registered job.
+   * New jobs are due immediately; existing jobs keep their next run time.
+   */
+  async syncJobs() {
+    const now = this.clock.now();
+
+    await Promise.all([...this.jobs.values()].map(job =>
+      Job.updateOne(
+        { name: job.name },
+        {
+          $set: { intervalMs: job.intervalMs, description: job.description },
+          $setOnInsert: { nextRunAt: now }
+        },
+        { upsert: true }
+      )
+    ));
+  }
+
+  /**
+   * Claim a job's lock. Returns the Job record, or null if it is not due
+   * or another run holds the lock.
+   */
+  async claim(name, { force = false } = {}) {
+    const now = this.clock.now();
+
+    return Job.findOneAndUpdate(
+      Job.claimableFilter(name, now, { force }),
+      {
+        $set: {
+          lockedAt: now,
+          lockedBy: this.instanceId,
+          lastRunAt: now,
+          lastStatus: 'running'
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run a job if it can be claimed
+   * @param {string} name
+   * @param {Object} options
+   * @param {boolean} options.force - Run even if not yet due (admin "run now")
+   * @returns {Object|null} { status, result?, error? } or null if not run
+   */
+  async runJob(name, { force = false } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const record = await this.claim(name, { force });
+    if (!record) {
+      return null;
+    }
+
+    const startedAt = this.clock.now();
+    let outcome;
+
+    try {
+      const result = await job.handler(startedAt);
+      outcome = { status: 'success', result };
+    } catch (err) {
+      console.error(`Job ${name} failed:`, err.message);
+      outcome = { status: 'failed', error: err.message };
+    }
+
+    const finishedAt = this.clock.now();
+
+    await Job.updateOne(
+      { name, lockedBy: this.instanceId },
+      {
+        $set: {
+          lockedAt: null,
+          lockedBy: null,
+          lastFinishedAt: finishedAt,
+          lastStatus: outcome.status,
+          lastResult: outcome.result ?? null,
+          lastError: outcome.error ?? null,
+          lastDurationMs: finishedAt - startedAt,
+          nextRunAt: new Date(startedAt.getTime() + job.intervalMs)
+        },
+        $inc: {
+          runCount: 1,
+          failureCount: outcome.status === 'failed' ? 1 : 0
+        }
+      }
+    );
+
+    return outcome;
+  }
+
+  /**
+   * Run every due job once, one after another
+   * @returns {Object} Outcomes keyed by job name (jobs that didn't run are omitted)
+   */
+  async tick() {
+    if (this.ticking) {
+      return {};
+    }
+
+    this.ticking = true;
+    const outcomes = {};
+
+    try {
+      for (const name of this.jobs.keys()) {
+        try {
+          const outcome = await this.runJob(name);
+          if (outcome) outcomes[name] = outcome;
+        } catch (err) {
+          console.error(`Scheduler error running ${name}:`, err.message);
+        }
+      }
+    } finally {
+      this.ticking = false;
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Sync job records and start polling for due jobs
+   */
+  async start() {
+    if (this.timer) return;
+
+    await this.syncJobs();
+
+    this.timer = setInterval(() => {
+      this.tick().catch(err => {
+        console.error('Scheduler tick error:', err.message);
+      });
+    }, this.pollIntervalMs);
+
+    // Don't keep the process alive just for background jobs
+    if (this.timer.unref) this.timer.unref();
+
+    console.log(`Job scheduler started with ${this.jobs.size} jobs`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const scheduler = new JobScheduler();
+
+module.exports = {
+  JobScheduler,
+  scheduler,
+  systemClock
+};
@@ -0,0 +1,160 @@
+/**
+ * Showing Availability Service
+ * Builds bookable showing slots from a listing's weekly availability
+ * windows, blackout dates, slot length and buffer time
+ */
+
+const DEFAULT_SLOT_MINUTES = 30;
+const DEFAULT_BUFFER_MINUTES = 0;
+
+// Used when the seller hasn't set any weekly windows yet
+const DEFAULT_WINDOW = { startTime: '09:00', endTime: '19:00' };
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Convert minutes after midnight to "HH:MM"
+ */
+function fromMinutes(total) {
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Calendar day key (YYYY-MM-DD). Showing dates are stored as UTC midnight.
+ */
+function dayKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Read slot settings from a listing, falling back to defaults
+ * @param {Object} listing - Listing document (may be null)
+ */
+function getShowingSettings(listing) {
+  return {
+    availability: listing?.showingAvailability?.length
+      ? listing.showingAvailability
+      : null,
+    blackoutDates: listing?.showingBlackoutDates || [],
+    slotMinutes: listing?.showingSlotMinutes || DEFAULT_SLOT_MINUTES,
+    bufferMinutes: listing?.showingBufferMinutes ?? DEFAULT_BUFFER_MINUTES
+  };
+}
+
+/**
+ * Check whether a date falls inside any blackout range
+ * @param {Date|string} date
+ * @param {Array} blackoutDates - [{ startDate, endDate }]
+ */
+function isBlackedOut(date, blackoutDates = []) {
+  const key = dayKey(date);
+  return blackoutDates.some(b => {
+    const start = dayKey(b.startDate);
+    const end = b.endDate ? dayKey(b.endDate) : start;
+    return key >= start && key <= end;
+  });
+}
+
+/**
+ * Get the seller's availability windows for the day of week of a date
+ * @returns {Array} [{ start, end }] in minutes after midnight
+ */
+function getWindowsForDate(date, availability) {
+  const dayOfWeek = new Date(date).getUTCDay();
+  const windows = availability
+    ? availability.filter(w => w.dayOfWeek === dayOfWeek)
+    : [DEFAULT_WINDOW];
+
+  return windows
+    .filter(w => w.startTime && w.endTime)
+    .map(w => ({ start: toMinutes(w.startTime), end: toMinutes(w.endTime) }))
+    .filter(w => w.end > w.start)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Whether [start, end) overlaps a booked showing, including buffer either side
+ */
+function overlapsBooking(start, end, bookedSlots, bufferMinutes) {
+  return bookedSlots.some(booked => {
+    const bookedStart = toMinutes(booked.start) - bufferMinutes;
+    const bookedEnd = toMinutes(booked.end) + bufferMinutes;
+    return start < bookedEnd && end > bookedStart;
+  });
+}
+
+/**
+ * Generate available slots for a date
+ * @param {Object} options
+ * @param {Date|string} options.date - Requested day
+ * @param {Object} options.settings - Result of getShowingSettings()
+ * @param {Array} options.bookedSlots - [{ start, end }] of existing showings that day
+ * @returns {Array} [{ start, end }]
+ */
+function generateSlots({ date, settings, bookedSlots = [] }) {
+  const { availability, blackoutDates, slotMinutes, bufferMinutes } = settings;
+
+  if (isBlackedOut(date, blackoutDates)) {
+    return [];
+  }
+
+  const slots = [];
+  for (const window of getWindowsForDate(date, availability)) {
+    for (let start = window.start; start + slotMinutes <= window.end; start += slotMinutes + bufferMinutes) {
+      const end = start + slotMinutes;
+      if (!overlapsBooking(start, end, bookedSlots, bufferMinutes)) {
+        slots.push({ start: fromMinutes(start), end: fromMinutes(end) });
+      }
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Check a requested time slot against the seller's availability
+ * @returns {Object} { available: boolean, reason?: string }
+ */
+function checkSlot({ date, timeSlot, settings, bookedSlots = [] }) {
+  const { availability, blackoutDates, slotMinutes, bufferMinutes } = settings;
+  const start = toMinutes(timeSlot.start);
+  const end = toMinutes(timeSlot.end);
+
+  if (end - start !== slotMinutes) {
+    return { available: false, reason: `Showings are ${slotMinutes} minutes long` };
+  }
+
+  if (isBlackedOut(date, blackoutDates)) {
+    return { available: false, reason: 'The seller is not available for showings on this date' };
+  }
+
+  const windows = getWindowsForDate(date, availability);
+  if (!windows.some(w => start >= w.start && end <= w.end)) {
+    return { available: false, reason: 'Requested time is outside the seller\'s showing hours' };
+  }
+
+  if (overlapsBooking(start, end, bookedSlots, bufferMinutes)) {
+    return { available: false, reason: 'This time slot is already booked' };
+  }
+
+  return { available: true };
+}
+
+module.exports = {
+  DEFAULT_SLOT_MINUTES,
+  DEFAULT_BUFFER_MINUTES,
+  toMinutes,
+  fromMinutes,
+  getShowingSettings,
+  isBlackedOut,
+  generateSlots,
+  checkSlot
+};
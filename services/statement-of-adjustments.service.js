@@ -0,0 +1,305 @@
+/**
+ * Statement of Adjustments Service
+ * Computes per-diem prorations as of the closing date - property taxes,
+ * condo fees, rental items and fuel oil - and turns them into statement
+ * lines, transaction financials and the Statement of Adjustments PDF.
+ */
+
+const Transaction = require('../models/transaction.model');
+const Offer = require('../models/offer.model');
+const Document = require('../models/document.model');
+const pdfGenerator = require('./pdf-generator');
+const { recordPdfVersion } = require('./document-integrity.service');
+const { formatAddress } = require('./notification.service');
+const { getClosingDayParty } = require('../config/provinces');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// UTC midnight of a date
+const startOfDay = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+const daysBetween = (from, to) => Math.round((to - from) / DAY);
+
+/**
+ * Split a period between seller and buyer at the closing date
+ * @param {Date} periodStart - First day of the period
+ * @param {Date} periodEnd - First day after the period
+ * @param {Date} closingDate
+ * @param {string} closingDayParty - 'buyer' or 'seller'
+ * @returns {Object} { totalDays, sellerDays, buyerDays }
+ */
+function splitPeriod(periodStart, periodEnd, closingDate, closingDayParty = 'buyer') {
+  const totalDays = daysBetween(periodStart, periodEnd);
+  const closing = startOfDay(closingDate);
+  const sellerDays = Math.min(
+    totalDays,
+    Math.max(0, daysBetween(periodStart, closing) + (closingDayParty === 'seller' ? 1 : 0))
+  );
+
+  return { totalDays, sellerDays, buyerDays: totalDays - sellerDays };
+}
+
+/**
+ * Property tax for the calendar year of closing. The seller owes taxes for
+ * their days; whatever they paid beyond that is credited back to them, and
+ * any shortfall is credited to the buyer who will pay the remaining bills.
+ * @returns {Object} { sellerShare, paid, creditSeller, creditBuyer, ... }
+ */
+function prorateAnnualAmount(annualAmount, paid, closingDate, closingDayParty) {
+  const year = startOfDay(closingDate).getUTCFullYear();
+  const split = splitPeriod(
+    new Date(Date.UTC(year, 0, 1)),
+    new Date(Date.UTC(year + 1, 0, 1)),
+    closingDate,
+    closingDayParty
+  );
+  const sellerShare = round2(annualAmount * split.sellerDays / split.totalDays);
+  const difference = round2(paid - sellerShare);
+
+  return {
+    ...split,
+    annualAmount,
+    perDiem: round2(annualAmount / split.totalDays),
+    sellerShare,
+    paid,
+    creditSeller: difference > 0 ? difference : 0,
+    creditBuyer: difference < 0 ? -difference : 0
+  };
+}
+
+/**
+ * A monthly charge for the month of closing. When the seller has paid the
+ * month, they're credited for the buyer's days; otherwise the buyer is
+ * credited for the seller's days.
+ */
+function prorateMonthlyAmount(monthlyAmount, closingDate, closingDayParty, paidBySeller = true) {
+  const closing = startOfDay(closingDate);
+  const year = closing.getUTCFullYear();
+  const month = closing.getUTCMonth();
+  const split = splitPeriod(
+    new Date(Date.UTC(year, month, 1)),
+    new Date(Date.UTC(year, month + 1, 1)),
+    closing,
+    closingDayParty
+  );
+  const perDiem = monthlyAmount / split.totalDays;
+
+  return {
+    ...split,
+    monthlyAmount,
+    perDiem: round2(perDiem),
+    paidBySeller,
+    creditSeller: paidBySeller ? round2(perDiem * split.buyerDays) : 0,
+    creditBuyer: paidBySeller ? 0 : round2(perDiem * split.sellerDays)
+  };
+}
+
+/**
+ * Compute the Statement of Adjustments
+ * @param {Object} input
+ * @param {string} input.province
+ * @param {Date} input.closingDate
+ * @param {number} input.purchasePrice
+ * @param {number} input.depositAmount
+ * @param {Object} input.propertyTax - { annualAmount, paid }
+ * @param {Object} input.condoFees - { monthlyAmount, paidForClosingMonth }
+ * @param {Array} input.rentalItems - Offer rental items [{ item, monthlyRent }]
+ * @param {boolean} input.rentalsPaidForClosingMonth
+ * @param {Object} input.fuelOil - { litres, pricePerLitre }
+ * @returns {Object} { closingDayParty, lines, adjustments, totals, balanceDueOnClosing }
+ */
+function calculateAdjustments({
+  province,
+  closingDate,
+  purchasePrice,
+  depositAmount = 0,
+  propertyTax,
+  condoFees,
+  rentalItems = [],
+  rentalsPaidForClosingMonth = true,
+  fuelOil
+}) {
+  const closingDayParty = getClosingDayParty(province);
+  const adjustments = {};
+  const lines = [
+    { item: 'Sale Price', creditBuyer: 0, creditSeller: purchasePrice },
+    { item: 'Deposit', creditBuyer: depositAmount, creditSeller: 0 }
+  ];
+
+  if (propertyTax?.annualAmount) {
+    const tax = prorateAnnualAmount(propertyTax.annualAmount, propertyTax.paid || 0, closingDate, closingDayParty);
+    adjustments.propertyTax = tax;
+    lines.push({
+      item: 'Property Taxes',
+      description: `${tax.annualAmount.toLocaleString()} for the year; seller's share ${tax.sellerDays}/${tax.totalDays} days, seller paid ${tax.paid.toLocaleString()}`,
+      creditBuyer: tax.creditBuyer,
+      creditSeller: tax.creditSeller
+    });
+  }
+
+  if (condoFees?.monthlyAmount) {
+    const fees = prorateMonthlyAmount(
+      condoFees.monthlyAmount,
+      closingDate,
+      closingDayParty,
+      condoFees.paidForClosingMonth !== false
+    );
+    adjustments.condoFees = fees;
+    lines.push({
+      item: 'Common Expenses',
+      description: `${fees.monthlyAmount.toLocaleString()}/month; buyer ${fees.buyerDays}/${fees.totalDays} days`,
+      creditBuyer: fees.creditBuyer,
+      creditSeller: fees.creditSeller
+    });
+  }
+
+  adjustments.rentalItems = rentalItems
+    .filter(rental => rental.monthlyRent > 0)
+    .map(rental => {
+      const prorated = prorateMonthlyAmount(rental.monthlyRent, closingDate, closingDayParty, rentalsPaidForClosingMonth);
+      lines.push({
+        item: `Rental: ${rental.item}`,
+        description: `${rental.monthlyRent.toLocaleString()}/month; buyer ${prorated.buyerDays}/${prorated.totalDays} days`,
+        creditBuyer: prorated.creditBuyer,
+        creditSeller: prorated.creditSeller
+      });
+      return { item: rental.item, ...prorated };
+    });
+
+  if (fuelOil?.litres > 0) {
+    // Oil left in the tank is bought by the buyer at the reading on closing
+    const amount = round2(fuelOil.litres * fuelOil.pricePerLitre);
+    adjustments.fuelOil = { ...fuelOil, creditSeller: amount, creditBuyer: 0 };
+    lines.push({
+      item: 'Fuel Oil',
+      description: `${fuelOil.litres} L at $${fuelOil.pricePerLitre}/L`,
+      creditBuyer: 0,
+      creditSeller: amount
+    });
+  }
+
+  const totals = {
+    creditBuyer: round2(lines.reduce((sum, l) => sum + l.creditBuyer, 0)),
+    creditSeller: round2(lines.reduce((sum, l) => sum + l.creditSeller, 0))
+  };
+
+  return {
+    closingDayParty,
+    lines,
+    adjustments,
+    totals,
+    balanceDueOnClosing: round2(totals.creditSeller - totals.creditBuyer)
+  };
+}
+
+// Net effect of an adjustment on the buyer: positive means the seller is credited
+const netToSeller = (adjustment) => adjustment ? round2(adjustment.creditSeller - adjustment.creditBuyer) : 0;
+
+/**
+ * Compute, save and render the Statement of Adjustments for a transaction.
+ * Regenerating replaces the previous statement and clears both approvals.
+ * @param {Object} options
+ * @param {string} options.transactionId
+ * @param {string} options.userId - Party generating the statement
+ * @param {Object} options.inputs - { propertyTaxPaid, annualPropertyTax,
+ *   condoFeePaidForClosingMonth, rentalsPaidForClosingMonth, fuelOil }
+ * @param {Date} options.now
+ * @returns {Object} { transaction, document, statement }
+ */
+async function generateStatementOfAdjustments({ transactionId, userId, inputs = {}, now = new Date() }) {
+  const transaction = await Transaction.findById(transactionId)
+    .populate('property', 'address propertyTaxes condoInfo')
+    .populate('buyer', 'name')
+    .populate('seller', 'name');
+
+  const offer = await Offer.findById(transaction.acceptedOffer).select('rentalItems');
+  const property = transaction.property;
+
+  const statement = calculateAdjustments({
+    province: transaction.province,
+    closingDate: transaction.closingDate,
+    purchasePrice: transaction.purchasePrice,
+    depositAmount: transaction.depositAmount,
+    propertyTax: {
+      annualAmount: inputs.annualPropertyTax ?? property?.propertyTaxes?.annualAmount,
+      paid: inputs.propertyTaxPaid || 0
+    },
+    condoFees: {
+      monthlyAmount: property?.condoInfo?.condoFees,
+      paidForClosingMonth: inputs.condoFeePaidForClosingMonth
+    },
+    rentalItems: offer?.rentalItems || [],
+    rentalsPaidForClosingMonth: inputs.rentalsPaidForClosingMonth !== false,
+    fuelOil: inputs.fuelOil
+  });
+
+  const pdfData = {
+    transactionId: transaction._id,
+    propertyAddress: formatAddress(property),
+    closingDate: transaction.closingDate,
+    buyerName: transaction.buyer.name,
+    sellerName: transaction.seller.name,
+    closingDayParty: statement.closingDayParty,
+    lines: statement.lines,
+    totals: statement.totals,
+    balanceDueOnClosing: statement.balanceDueOnClosing
+  };
+  const { filePath, fileName } = await pdfGenerator.generateStatementOfAdjustments(pdfData, transaction.province);
+  const formInfo = Document.getFormInfo(transaction.province, 'statement_of_adjustments');
+
+  const document = new Document({
+    transaction: transaction._id,
+    property: property?._id,
+    documentType: 'statement_of_adjustments',
+    province: transaction.province,
+    formNumber: formInfo.formNumber,
+    title: formInfo.title,
+    content: statement,
+    filePath,
+    fileName,
+    generatedPdfPath: filePath,
+    fileType: 'pdf',
+    mimeType: 'application/pdf',
+    createdBy: userId,
+    accessibleBy: [transaction.buyer._id, transaction.seller._id],
+    generatedAt: now
+  });
+  recordPdfVersion(document, 'generated', filePath);
+  document.logAction('created', userId, 'Statement of Adjustments generated');
+  await document.save();
+
+  const rentalTotal = statement.adjustments.rentalItems.reduce((sum, r) => sum + netToSeller(r), 0);
+
+  transaction.financials.propertyTaxAdjustment = netToSeller(statement.adjustments.propertyTax);
+  transaction.financials.condoFeeAdjustment = netToSeller(statement.adjustments.condoFees);
+  transaction.financials.utilityAdjustments = round2(rentalTotal);
+  transaction.financials.fuelAdjustment = netToSeller(statement.adjustments.fuelOil);
+
+  transaction.statementOfAdjustments = {
+    documentId: document._id,
+    generatedAt: now,
+    adjustmentDate: transaction.closingDate,
+    closingDayParty: statement.closingDayParty,
+    lines: statement.lines,
+    balanceDueOnClosing: statement.balanceDueOnClosing,
+    approvedByBuyer: false,
+    approvedBySeller: false
+  };
+  transaction.documents.push(document._id);
+  await transaction.save();
+
+  return { transaction, document, statement };
+}
+
+module.exports = {
+  splitPeriod,
+  prorateAnnualAmount,
+  prorateMonthlyAmount,
+  calculateAdjustments,
+  generateStatementOfAdjustments
+};
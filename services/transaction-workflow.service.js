@@ -0,0 +1,251 @@
+/**
+ * Transaction Workflow Service
+ * State machine over a transaction's currentStep and status: which step
+ * follows which, who may perform each transition, and what must be true first
+ */
+
+// Statuses that no longer move through the workflow
+const CLOSED_STATUSES = ['completed', 'cancelled', 'disputed'];
+
+// Deposit states that count as the deposit having been received
+const DEPOSIT_RECEIVED_STATUSES = ['received', 'held_in_trust', 'released'];
+
+/**
+ * Whether the Statement of Adjustments was generated for the current
+ * closing date - moving the closing date changes every proration
+ */
+function isStatementCurrent(transaction) {
+  const soa = transaction.statementOfAdjustments;
+  return Boolean(soa?.documentId && soa.adjustmentDate) &&
+         new Date(soa.adjustmentDate).getTime() === new Date(transaction.closingDate).getTime();
+}
+
+/**
+ * Guards - each returns true when its requirement is met
+ * Context: { transaction, conditions }
+ */
+const GUARDS = {
+  depositReceived: {
+    message: 'The deposit has not been confirmed as received',
+    check: ({ transaction }) => DEPOSIT_RECEIVED_STATUSES.includes(transaction.depositStatus)
+  },
+  conditionsResolved: {
+    message: 'All conditions must be fulfilled or waived',
+    check: ({ conditions = [] }) =>
+      conditions.every(c => c.status === 'fulfilled' || c.status === 'waived')
+  },
+  lawyersSet: {
+    message: 'Lawyers for both parties (or a notary in Quebec) must be set',
+    check: ({ transaction }) => {
+      if (transaction.province === 'QC' && transaction.notary?.name) {
+        return true;
+      }
+      return Boolean(transaction.buyerLawyer?.name && transaction.sellerLawyer?.name);
+    }
+  },
+  adjustmentsCurrent: {
+    message: 'The Statement of Adjustments must be generated for the current closing date',
+    check: ({ transaction }) => isStatementCurrent(transaction)
+  },
+  adjustmentsApproved: {
+    message: 'The Statement of Adjustments must be approved by both parties',
+    check: ({ transaction }) => Boolean(
+      transaction.statementOfAdjustments?.approvedByBuyer &&
+      transaction.statementOfAdjustments?.approvedBySeller
+    )
+  }
+};
+
+/**
+ * Allowed transitions, in workflow order. Each step can only move to the
+ * next one; going back is an admin reversal (see revertTransition).
+ * roles - which party may perform the transition
+ * status - transaction status after the transition, if it changes
+ */
+const TRANSITIONS = [
+  { from: 'offer_accepted', to: 'deposit_pending', roles: ['buyer'], guards: [] },
+  { from: 'deposit_pending', to: 'conditions_pending', roles: ['seller'], guards: ['depositReceived'] },
+  { from: 'conditions_pending', to: 'conditions_complete', roles: ['buyer'], guards: ['depositReceived', 'conditionsResolved'], status: 'firm' },
+  { from: 'conditions_complete', to: 'lawyer_engaged', roles: ['buyer', 'seller'], guards: ['lawyersSet'] },
+  { from: 'lawyer_engaged', to: 'title_search', roles: ['buyer'], guards: [] },
+  { from: 'title_search', to: 'mortgage_finalized', roles: ['buyer'], guards: [] },
+  { from: 'mortgage_finalized', to: 'closing_documents', roles: ['buyer', 'seller'], guards: [] },
+  { from: 'closing_documents', to: 'final_walkthrough', roles: ['buyer', 'seller'], guards: ['adjustmentsCurrent', 'adjustmentsApproved'] },
+  { from: 'final_walkthrough', to: 'closing_day', roles: ['buyer'], guards: ['adjustmentsCurrent', 'adjustmentsApproved'], status: 'closing' },
+  {
+    from: 'closing_day',
+    to: 'completed',
+    roles: ['seller'],
+    guards: ['depositReceived', 'conditionsResolved', 'lawyersSet', 'adjustmentsCurrent', 'adjustmentsApproved'],
+    status: 'completed'
+  }
+];
+
+/**
+ * Which side of the transaction a user is on
+ * @returns {string|null} 'buyer', 'seller' or null
+ */
+function getPartyRole(transaction, userId) {
+  const id = (ref) => (ref?._id || ref)?.toString();
+  if (id(transaction.buyer) === userId) return 'buyer';
+  if (id(transaction.seller) === userId) return 'seller';
+  return null;
+}
+
+/**
+ * The transition out of the transaction's current step, if any
+ */
+function getNextTransition(transaction) {
+  return TRANSITIONS.find(t => t.from === transaction.currentStep) || null;
+}
+
+/**
+ * Messages for every guard of a transition that is not satisfied
+ * @param {Object} transition
+ * @param {Object} context - { transaction, conditions }
+ * @returns {Array<string>}
+ */
+function getUnmetRequirements(transition, context) {
+  return transition.guards
+    .filter(name => !GUARDS[name].check(context))
+    .map(name => GUARDS[name].message);
+}
+
+/**
+ * Check whether a party may move the transaction to a step
+ * @param {Object} options
+ * @param {Object} options.transaction
+ * @param {Array} options.conditions - Condition documents for the transaction
+ * @param {string} options.toStep - Requested step
+ * @param {string} options.role - 'buyer', 'seller' or 'system' (automatic transitions skip the role check)
+ * @returns {Object} { allowed, transition?, httpStatus?, error?, unmet? }
+ */
+function checkTransition({ transaction, conditions = [], toStep, role }) {
+  if (CLOSED_STATUSES.includes(transaction.status)) {
+    return { allowed: false, httpStatus: 400, error: `Transaction is ${transaction.status}` };
+  }
+
+  const transition = getNextTransition(transaction);
+  if (!transition || transition.to !== toStep) {
+    return {
+      allowed: false,
+      httpStatus: 400,
+      error: `Cannot move from ${transaction.currentStep} to ${toStep}`,
+      nextStep: transition?.to
+    };
+  }
+
+  if (role !== 'system' && !transition.roles.includes(role)) {
+    return {
+      allowed: false,
+      httpStatus: 403,
+      error: `Only the ${transition.roles.join(' or ')} can move the transaction to ${toStep}`
+    };
+  }
+
+  const unmet = getUnmetRequirements(transition, { transaction, conditions });
+  if (unmet.length > 0) {
+    return { allowed: false, httpStatus: 400, error: 'Transaction requirements not met', unmet };
+  }
+
+  return { allowed: true, transition };
+}
+
+/**
+ * Apply a checked transition to the transaction (does not save)
+ */
+function applyTransition(transaction, transition, { userId, notes } = {}) {
+  const now = new Date();
+
+  transaction.stepsCompleted.push({
+    step: transition.from,
+    completedAt: now,
+    completedBy: userId,
+    notes,
+    previousStatus: transaction.status
+  });
+
+  transaction.currentStep = transition.to;
+
+  if (transition.status) {
+    transaction.status = transition.status;
+  }
+  if (transition.status === 'firm' && !transaction.firmDate) {
+    transaction.firmDate = now;
+  }
+  if (transition.status === 'completed') {
+    transaction.actualClosingDate = now;
+  }
+
+  return transaction;
+}
+
+/**
+ * Undo the most recent transition (admin only - does not save)
+ * @returns {Object|null} { from, to } or null if there is nothing to revert
+ */
+function revertTransition(transaction, { userId, reason }) {
+  const last = transaction.stepsCompleted[transaction.stepsCompleted.length - 1];
+  if (!last || transaction.status === 'cancelled') {
+    return null;
+  }
+
+  const from = transaction.currentStep;
+  const fromStatus = transaction.status;
+  const toStatus = last.previousStatus || fromStatus;
+
+  transaction.stepsCompleted.pop();
+  transaction.currentStep = last.step;
+  transaction.status = toStatus;
+
+  if (fromStatus === 'firm' && toStatus === 'conditional') {
+    transaction.firmDate = undefined;
+  }
+  if (fromStatus === 'completed') {
+    transaction.actualClosingDate = undefined;
+  }
+
+  transaction.stepReversals.push({
+    fromStep: from,
+    toStep: last.step,
+    fromStatus,
+    toStatus,
+    reversedAt: new Date(),
+    reversedBy: userId,
+    reason
+  });
+
+  return { from, to: last.step };
+}
+
+/**
+ * Summary of the next transition for display
+ * @returns {Object|null} { nextStep, roles, canAdvance, unmet }
+ */
+function describeNextStep(transaction, conditions, role) {
+  const transition = getNextTransition(transaction);
+  if (!transition || CLOSED_STATUSES.includes(transaction.status)) {
+    return null;
+  }
+
+  const unmet = getUnmetRequirements(transition, { transaction, conditions });
+  return {
+    nextStep: transition.to,
+    roles: transition.roles,
+    canAdvance: transition.roles.includes(role) && unmet.length === 0,
+    unmet
+  };
+}
+
+module.exports = {
+  GUARDS,
+  TRANSITIONS,
+  isStatementCurrent,
+  getPartyRole,
+  getNextTransition,
+  getUnmetRequirements,
+  checkTransition,
+  applyTransition,
+  revertTransition,
+  describeNextStep
+};
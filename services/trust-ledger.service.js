@@ -0,0 +1,355 @@
+/**
+ * Trust Ledger Service
+ * Double-entry ledger of the deposit held in trust on each transaction:
+ * deposits and interest coming in, and the final release to the seller,
+ * refund to the buyer or split between them. Releases need a closed deal,
+ * a signed mutual release or a statutory rescission, and admins reconcile
+ * the ledgers against receipts of funds and the trust bank balance.
+ */
+
+const TrustLedgerEntry = require('../models/trust-ledger-entry.model');
+const Transaction = require('../models/transaction.model');
+const FundsReceipt = require('../models/funds-receipt.model');
+const { HttpError } = require('./errors');
+
+// Receipt of funds purposes that go into trust
+const DEPOSIT_PURPOSES = ['deposit', 'additional_deposit'];
+
+// Deposit statuses where the full deposit should be in trust, and where it
+// should all have been paid out
+const HELD_DEPOSIT_STATUSES = ['received', 'held_in_trust'];
+const PAID_OUT_DEPOSIT_STATUSES = ['released', 'refunded'];
+
+const DEPOSIT_DISPOSITIONS = {
+  release_to_seller: 'released_to_seller',
+  refund_to_buyer: 'returned_to_buyer',
+  split_disposition: 'split'
+};
+
+const roundCents = amount => Math.round(amount * 100) / 100;
+
+const formatMoney = amount => `$${amount.toLocaleString('en-CA', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Account balances and running totals from a transaction's entries. The
+ * trust bank carries a debit balance; the amounts owed to the parties carry
+ * credit balances, so a reconciled ledger has trustBank equal to heldTotal.
+ * @returns {Object} { trustBank, depositsHeld, interestHeld, heldTotal,
+ *   received, interest, paidToBuyer, paidToSeller }
+ */
+function calculateBalances(entries) {
+  const totals = {
+    trustBank: 0,
+    depositsHeld: 0,
+    interestHeld: 0,
+    received: 0,
+    interest: 0,
+    paidToBuyer: 0,
+    paidToSeller: 0
+  };
+
+  entries.forEach(entry => entry.lines.forEach(line => {
+    if (line.account === 'trust_bank') {
+      totals.trustBank += line.debit - line.credit;
+      if (line.party === 'buyer') totals.paidToBuyer += line.credit;
+      if (line.party === 'seller') totals.paidToSeller += line.credit;
+    } else if (line.account === 'deposits_held') {
+      totals.depositsHeld += line.credit - line.debit;
+      totals.received += line.credit;
+    } else if (line.account === 'interest_held') {
+      totals.interestHeld += line.credit - line.debit;
+      totals.interest += line.credit;
+    }
+  }));
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = roundCents(totals[key]);
+  });
+  totals.heldTotal = roundCents(totals.depositsHeld + totals.interestHeld);
+  return totals;
+}
+
+/**
+ * A transaction's entries in posting order with its balances
+ * @returns {Object} { entries, balances }
+ */
+async function getLedger(transaction) {
+  const entries = await TrustLedgerEntry.find({ transaction: transaction._id }).sort({ entryNumber: 1 });
+  return { entries, balances: calculateBalances(entries) };
+}
+
+// Append an entry, numbered after the transaction's last one
+async function postEntry(transaction, { type, lines, postedAt, postedBy, memo, fundsReceipt, authority }) {
+  const last = await TrustLedgerEntry.findOne({ transaction: transaction._id })
+    .sort({ entryNumber: -1 })
+    .select('entryNumber');
+
+  const entry = new TrustLedgerEntry({
+    transaction: transaction._id,
+    entryNumber: (last?.entryNumber || 0) + 1,
+    type,
+    heldBy: transaction.depositHeldBy,
+    postedAt,
+    postedBy,
+    memo,
+    fundsReceipt,
+    authority,
+    lines
+  });
+
+  try {
+    await entry.save();
+  } catch (err) {
+    // Another posting took the same entry number
+    if (err.code === 11000) {
+      throw new HttpError('The trust ledger was changed by another request', 409);
+    }
+    throw err;
+  }
+  return entry;
+}
+
+/**
+ * Post a deposit into trust from its receipt of funds. Receipts for other
+ * purposes (balance due on closing) don't pass through the deposit trust.
+ * @returns {Object|null} The entry posted
+ */
+async function recordDeposit(transaction, fundsReceipt, { postedBy } = {}) {
+  if (!DEPOSIT_PURPOSES.includes(fundsReceipt.purpose)) return null;
+
+  const amount = roundCents(fundsReceipt.amount);
+  return postEntry(transaction, {
+    type: fundsReceipt.purpose === 'deposit' ? 'deposit_received' : 'additional_deposit',
+    postedAt: fundsReceipt.receivedAt,
+    postedBy,
+    memo: `${fundsReceipt.method.replace(/_/g, ' ')} from ${fundsReceipt.payer.name}`,
+    fundsReceipt: fundsReceipt._id,
+    lines: [
+      { account: 'trust_bank', debit: amount, party: 'buyer' },
+      { account: 'deposits_held', credit: amount, party: 'buyer' }
+    ]
+  });
+}
+
+/**
+ * Post interest earned on the deposit while it is held
+ * @param {Object} interest - { amount, memo }
+ */
+async function recordInterest(transaction, { amount, memo }, { postedBy, now = new Date() } = {}) {
+  amount = roundCents(amount);
+  if (!(amount > 0)) {
+    throw new HttpError('Interest must be a positive amount');
+  }
+
+  const { balances } = await getLedger(transaction);
+  if (balances.heldTotal <= 0) {
+    throw new HttpError('No funds are held in trust for this transaction');
+  }
+
+  return postEntry(transaction, {
+    type: 'interest_earned',
+    postedAt: now,
+    postedBy,
+    memo,
+    lines: [
+      { account: 'trust_bank', debit: amount },
+      { account: 'interest_held', credit: amount }
+    ]
+  });
+}
+
+/**
+ * What allows the funds to be released, if anything. A completed deal
+ * releases the deposit to the seller; a signed mutual release or a statutory
+ * rescission fixes how much of the deposit the seller receives.
+ * @returns {Object|null} { type, document, depositToSeller }
+ */
+function getReleaseAuthority(transaction) {
+  if (transaction.status === 'completed') {
+    return { type: 'completion' };
+  }
+
+  if (transaction.rescission?.exercisedAt) {
+    return {
+      type: 'rescission',
+      document: transaction.rescission.noticeDocument,
+      depositToSeller: transaction.rescission.depositToSeller || 0
+    };
+  }
+
+  if (transaction.mutualRelease?.status === 'signed') {
+    return {
+      type: 'mutual_release',
+      document: transaction.mutualRelease.document,
+      depositToSeller: transaction.mutualRelease.depositToSeller || 0
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Pay out everything held in trust. Releases are all-or-nothing: the
+ * amounts to the buyer and seller must add up to the deposits and interest
+ * held. Interest follows the buyer's share unless the release says otherwise.
+ * @param {Object} release - { toBuyer, toSeller, memo }
+ * @returns {Object} { entry, balances }
+ */
+async function releaseDeposit(transaction, { toBuyer = 0, toSeller = 0, memo }, { postedBy, now = new Date() } = {}) {
+  toBuyer = roundCents(toBuyer);
+  toSeller = roundCents(toSeller);
+  if (toBuyer < 0 || toSeller < 0) {
+    throw new HttpError('Release amounts cannot be negative');
+  }
+
+  const { entries, balances } = await getLedger(transaction);
+  if (balances.heldTotal <= 0) {
+    throw new HttpError('No funds are held in trust for this transaction');
+  }
+  if (roundCents(toBuyer + toSeller) !== balances.heldTotal) {
+    throw new HttpError(`The release must pay out the full ${formatMoney(balances.heldTotal)} held in trust`);
+  }
+
+  const authority = getReleaseAuthority(transaction);
+  if (!authority) {
+    throw new HttpError(
+      'Funds can only be released once the transaction completes or both parties sign a mutual release',
+      409
+    );
+  }
+  if (authority.type === 'completion' && toSeller < balances.depositsHeld) {
+    throw new HttpError(`On completion the ${formatMoney(balances.depositsHeld)} deposit is released to the seller`);
+  }
+  if (authority.type !== 'completion' && toSeller !== roundCents(authority.depositToSeller)) {
+    const source = authority.type === 'rescission' ? 'rescission settlement' : 'signed mutual release';
+    throw new HttpError(`The ${source} pays ${formatMoney(authority.depositToSeller)} to the seller`);
+  }
+
+  let type = 'split_disposition';
+  if (!toBuyer) type = 'release_to_seller';
+  else if (!toSeller) type = 'refund_to_buyer';
+
+  const lines = [{ account: 'deposits_held', debit: balances.depositsHeld }];
+  if (balances.interestHeld > 0) lines.push({ account: 'interest_held', debit: balances.interestHeld });
+  if (toBuyer > 0) lines.push({ account: 'trust_bank', credit: toBuyer, party: 'buyer' });
+  if (toSeller > 0) lines.push({ account: 'trust_bank', credit: toSeller, party: 'seller' });
+
+  const entry = await postEntry(transaction, {
+    type,
+    postedAt: now,
+    postedBy,
+    memo,
+    authority: { type: authority.type, document: authority.document },
+    lines
+  });
+
+  transaction.depositStatus = toSeller > 0 ? 'released' : 'refunded';
+  if (transaction.status === 'cancelled') {
+    transaction.cancellation.depositDisposition = DEPOSIT_DISPOSITIONS[type];
+  }
+  await transaction.save();
+
+  return { entry, balances: calculateBalances([...entries, entry]) };
+}
+
+/**
+ * Check one transaction's ledger against its receipts of funds and deposit
+ * status
+ * @param {Object} transaction - Transaction
+ * @param {Array} entries - Its ledger entries
+ * @param {Array} receipts - Its deposit receipts of funds
+ * @returns {Object} { transaction, heldBy, depositAmount, depositStatus, status, balances, exceptions }
+ */
+function reconcileTransaction(transaction, entries, receipts) {
+  const balances = calculateBalances(entries);
+  const exceptions = [];
+
+  if (balances.trustBank !== balances.heldTotal) {
+    exceptions.push('Trust bank balance does not equal the amounts held for the parties');
+  }
+  if (balances.trustBank < 0) {
+    exceptions.push('Trust bank balance is overdrawn');
+  }
+
+  const unposted = receipts.filter(receipt =>
+    !entries.some(entry => entry.fundsReceipt && entry.fundsReceipt.equals(receipt._id)));
+  unposted.forEach(receipt => {
+    exceptions.push(`Receipt of ${formatMoney(receipt.amount)} on ${receipt.receivedAt.toISOString().slice(0, 10)} has no ledger entry`);
+  });
+
+  if (HELD_DEPOSIT_STATUSES.includes(transaction.depositStatus) && balances.depositsHeld < transaction.depositAmount) {
+    exceptions.push(`Deposit is marked ${transaction.depositStatus.replace(/_/g, ' ')} but ${formatMoney(balances.depositsHeld)} of ${formatMoney(transaction.depositAmount)} is held`);
+  }
+  if (PAID_OUT_DEPOSIT_STATUSES.includes(transaction.depositStatus) && balances.heldTotal !== 0) {
+    exceptions.push(`Deposit is marked ${transaction.depositStatus} but ${formatMoney(balances.heldTotal)} is still held`);
+  }
+  if (['completed', 'cancelled'].includes(transaction.status) && balances.heldTotal > 0) {
+    exceptions.push(`Transaction is ${transaction.status} and ${formatMoney(balances.heldTotal)} awaits release`);
+  }
+
+  return {
+    transaction: transaction._id,
+    heldBy: transaction.depositHeldBy,
+    depositAmount: transaction.depositAmount,
+    depositStatus: transaction.depositStatus,
+    status: transaction.status,
+    balances,
+    exceptions
+  };
+}
+
+/**
+ * Reconcile every transaction with funds in trust. Ledger entries and
+ * receipts are taken as of `asOf`; deposit and transaction statuses are
+ * current. With the trust account's bank statement balance, the report also
+ * shows the difference between the bank and the ledgers.
+ * @param {Object} options - { asOf, heldBy, bankBalance }
+ * @returns {Object} { asOf, heldBy, totals, exceptionCount, transactions }
+ */
+async function reconciliationReport({ asOf = new Date(), heldBy, bankBalance } = {}) {
+  const [entries, receipts] = await Promise.all([
+    TrustLedgerEntry.find({ postedAt: { $lte: asOf } }).sort({ entryNumber: 1 }),
+    FundsReceipt.find({ purpose: { $in: DEPOSIT_PURPOSES }, receivedAt: { $lte: asOf } })
+  ]);
+
+  const transactionIds = [...new Set([...entries, ...receipts].map(r => r.transaction.toString()))];
+  const filter = { _id: { $in: transactionIds } };
+  if (heldBy) filter.depositHeldBy = heldBy;
+  const transactions = await Transaction.find(filter).sort({ createdAt: 1 });
+
+  const forTransaction = (records, transaction) => records.filter(r => r.transaction.equals(transaction._id));
+  const results = transactions.map(transaction =>
+    reconcileTransaction(transaction, forTransaction(entries, transaction), forTransaction(receipts, transaction)));
+
+  const sum = field => roundCents(results.reduce((total, r) => total + r.balances[field], 0));
+  const totals = {
+    trustBank: sum('trustBank'),
+    depositsHeld: sum('depositsHeld'),
+    interestHeld: sum('interestHeld'),
+    heldTotal: sum('heldTotal')
+  };
+  if (bankBalance !== undefined) {
+    totals.bankBalance = roundCents(bankBalance);
+    totals.bankDifference = roundCents(totals.bankBalance - totals.trustBank);
+  }
+
+  return {
+    asOf,
+    heldBy: heldBy || null,
+    totals,
+    exceptionCount: results.filter(r => r.exceptions.length > 0).length,
+    transactions: results
+  };
+}
+
+module.exports = {
+  DEPOSIT_PURPOSES,
+  calculateBalances,
+  getLedger,
+  recordDeposit,
+  recordInterest,
+  getReleaseAuthority,
+  releaseDeposit,
+  reconcileTransaction,
+  reconciliationReport
+};
@@ -0,0 +1,82 @@
+/**
+ * Audit Service Tests
+ * Tests for audit query building and CSV export
+ */
+
+const mongoose = require('mongoose');
+const { buildAuditQuery, auditLogsToCsv, SECURITY_ACTIONS } = require('../services/audit.service');
+
+describe('Audit Service', () => {
+  describe('buildAuditQuery', () => {
+    it('should return an empty query without filters', () => {
+      expect(buildAuditQuery()).toEqual({});
+    });
+
+    it('should combine filters', () => {
+      const userId = new mongoose.Types.ObjectId();
+      const query = buildAuditQuery({
+        userId,
+        action: 'OFFER_ACCEPT',
+        resourceType: 'offer',
+        success: false,
+        startDate: '2024-01-01',
+        endDate: '2024-01-31'
+      });
+
+      expect(query.userId).toBe(userId);
+      expect(query.action).toBe('OFFER_ACCEPT');
+      expect(query.resourceType).toBe('offer');
+      expect(query.success).toBe(false);
+      expect(query.timestamp.$gte).toEqual(new Date('2024-01-01'));
+      expect(query.timestamp.$lte).toEqual(new Date('2024-01-31'));
+    });
+
+    it('should match any of several actions', () => {
+      const query = buildAuditQuery({ action: SECURITY_ACTIONS });
+      expect(query.action).toEqual({ $in: SECURITY_ACTIONS });
+    });
+  });
+
+  describe('auditLogsToCsv', () => {
+    const userId = new mongoose.Types.ObjectId();
+    const log = {
+      timestamp: new Date('2024-03-01T15:30:00Z'),
+      action: 'OFFER_SUBMIT',
+      success: true,
+      userId,
+      userEmail: 'buyer@example.com',
+      userIP: '127.0.0.1',
+      resourceType: 'offer',
+      resourceId: new mongoose.Types.ObjectId(),
+      details: { offerPrice: 500000, note: 'Includes "fridge", stove' }
+    };
+
+    it('should include a header row', () => {
+      const csv = auditLogsToCsv([]);
+      expect(csv).toBe('timestamp,action,success,userId,userEmail,userIP,resourceType,resourceId,details,errorMessage');
+    });
+
+    it('should write one row per log', () => {
+      const lines = auditLogsToCsv([log, log]).split('\n');
+      expect(lines).toHaveLength(3);
+      expect(lines[1]).toContain('2024-03-01T15:30:00.000Z,OFFER_SUBMIT,true');
+      expect(lines[1]).toContain(userId.toString());
+    });
+
+    it('should quote values containing commas and quotes', () => {
+      const row = auditLogsToCsv([log]).split('\n')[1];
+      expect(row).toContain('"{""offerPrice"":500000,""note"":""Includes \\""fridge\\"", stove""}"');
+    });
+
+    it('should use the populated user when userId is populated', () => {
+      const populated = { ...log, userEmail: null, userId: { _id: userId, email: 'populated@example.com' } };
+      const row = auditLogsToCsv([populated]).split('\n')[1];
+      expect(row).toContain(`${userId},populated@example.com`);
+    });
+
+    it('should neutralise spreadsheet formulas', () => {
+      const row = auditLogsToCsv([{ ...log, errorMessage: '=HYPERLINK("x")' }]).split('\n')[1];
+      expect(row).toContain('"\'=HYPERLINK(""x"")"');
+    });
+  });
+});
@@ -0,0 +1,400 @@
+/**
+ * Condition Lifecycle Tests
+ * Tests for resolving conditions by signed notice of fulfillment or waiver,
+ * going firm on the last one, extending deadlines by signed amendment and
+ * failing conditions whose deadline passes
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction.model');
+const Condition = require('../models/condition.model');
+const Document = require('../models/document.model');
+const DocumentVersion = require('../models/document-version.model');
+const TrustLedgerEntry = require('../models/trust-ledger-entry.model');
+const Notification = require('../models/notification.model');
+const SigningEnvelope = require('../models/signing-envelope.model');
+const pdfGenerator = require('../services/pdf-generator');
+const {
+  requestConditionNotice,
+  completeConditionNotice,
+  proposeExtension,
+  closeExtension,
+  completeExtension,
+  failExpiredConditions
+} = require('../services/condition.service');
+const {
+  NOW,
+  DAY,
+  buyer,
+  seller,
+  mockQuery,
+  buildTransaction,
+  buildCondition
+} = require('./fixtures');
+
+const signedDocument = (documentType, content, signers) => new Document({
+  documentType,
+  status: 'signed',
+  content,
+  signatures: signers.map(([role, userId]) => ({ role, userId }))
+});
+
+describe('Condition Lifecycle', () => {
+  beforeEach(() => {
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+    jest.spyOn(Document.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(pdfGenerator, 'generateDocument').mockResolvedValue({ filePath: __filename, fileName: 'condition.pdf' });
+    jest.spyOn(DocumentVersion, 'create').mockResolvedValue({});
+    jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Condition, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('requestConditionNotice', () => {
+    it('should generate a notice of fulfillment for the buyer to sign', async () => {
+      const transaction = buildTransaction();
+      const condition = buildCondition(transaction);
+      jest.spyOn(Condition, 'findById').mockResolvedValue(condition);
+
+      const { document } = await requestConditionNotice(transaction, condition, {
+        userId: buyer._id.toString(),
+        status: 'fulfilled',
+        notes: 'Mortgage commitment received',
+        now: NOW
+      });
+
+      expect(document.documentType).toBe('notice_fulfillment');
+      expect(document.status).toBe('pending_signatures');
+      expect(document.requiredSignatures.map(s => [s.role, s.userId])).toEqual([['buyer', buyer._id]]);
+      expect(document.content).toMatchObject({
+        conditionId: condition._id,
+        resolution: 'fulfilled',
+        conditions: [{ title: 'Financing Condition', fulfilledAt: NOW }]
+      });
+      expect(Condition.updateOne).toHaveBeenCalledWith(
+        { _id: condition._id, status: { $in: ['pending', 'extended'] }, waiverDocument: null },
+        { $set: { waiverDocument: document._id } }
+      );
+      expect(condition.status).toBe('pending');
+    });
+
+    it('should generate a waiver when the buyer waives', async () => {
+      const transaction = buildTransaction();
+      const condition = buildCondition(transaction);
+      jest.spyOn(Condition, 'findById').mockResolvedValue(condition);
+
+      const { document } = await requestConditionNotice(transaction, condition, {
+        userId: buyer._id.toString(),
+        status: 'waived',
+        now: NOW
+      });
+
+      expect(document.documentType).toBe('condition_waiver');
+    });
+
+    it('should only let the buyer give notice', async () => {
+      const transaction = buildTransaction();
+
+      await expect(requestConditionNotice(transaction, buildCondition(transaction), {
+        userId: seller._id.toString(),
+        status: 'fulfilled',
+        now: NOW
+      })).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should refuse notice after the deadline has passed', async () => {
+      const transaction = buildTransaction();
+      const condition = buildCondition(transaction, { deadlineDate: new Date(NOW.getTime() - DAY) });
+
+      await expect(requestConditionNotice(transaction, condition, {
+        userId: buyer._id.toString(),
+        status: 'fulfilled',
+        now: NOW
+      })).rejects.toThrow(/deadline has passed/);
+      expect(pdfGenerator.generateDocument).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('completeConditionNotice', () => {
+    it('should waive the condition once the buyer signs and go firm on the last one', async () => {
+      const transaction = buildTransaction({ buyer: buyer._id, seller: seller._id });
+      const condition = buildCondition(transaction);
+      const document = signedDocument('condition_waiver', { conditionId: condition._id }, [['buyer', buyer._id]]);
+      condition.waiverDocument = document._id;
+      jest.spyOn(Condition, 'findOne').mockResolvedValue(condition);
+      jest.spyOn(Condition, 'findById').mockResolvedValue(condition);
+      jest.spyOn(Condition, 'find').mockResolvedValue([
+        buildCondition(transaction, { status: 'fulfilled' }),
+        buildCondition(transaction, { status: 'waived' })
+      ]);
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+
+      const result = await completeConditionNotice(document, { now: NOW });
+
+      expect(Condition.updateOne.mock.calls[0][1].$set).toMatchObject({
+        status: 'waived',
+        resolutionMethod: 'waived',
+        resolvedBy: buyer._id
+      });
+      expect(result.firm).toBe(true);
+      expect(transaction.status).toBe('firm');
+      expect(transaction.currentStep).toBe('conditions_complete');
+      expect(transaction.save).toHaveBeenCalled();
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user: seller._id, title: 'Condition Waived' }));
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'Deal is Firm' }));
+    });
+
+    it('should stay conditional while other conditions are outstanding', async () => {
+      const transaction = buildTransaction({ buyer: buyer._id, seller: seller._id });
+      const condition = buildCondition(transaction);
+      const document = signedDocument('notice_fulfillment', { conditionId: condition._id }, [['buyer', buyer._id]]);
+      condition.waiverDocument = document._id;
+      jest.spyOn(Condition, 'findOne').mockResolvedValue(condition);
+      jest.spyOn(Condition, 'findById').mockResolvedValue(condition);
+      jest.spyOn(Condition, 'find').mockResolvedValue([
+        buildCondition(transaction, { status: 'fulfilled' }),
+        buildCondition(transaction, { status: 'extended' })
+      ]);
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+
+      const result = await completeConditionNotice(document, { now: NOW });
+
+      expect(Condition.updateOne.mock.calls[0][1].$set.status).toBe('fulfilled');
+      expect(result.firm).toBe(false);
+      expect(transaction.status).toBe('conditional');
+    });
+
+    it('should ignore a notice not signed by the buyer', async () => {
+      const transaction = buildTransaction({ buyer: buyer._id, seller: seller._id });
+      const condition = buildCondition(transaction);
+      const document = signedDocument('notice_fulfillment', { conditionId: condition._id }, [['buyer', seller._id]]);
+      jest.spyOn(Condition, 'findOne').mockResolvedValue(condition);
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+
+      expect(await completeConditionNotice(document, { now: NOW })).toBeNull();
+      expect(Condition.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('proposeExtension', () => {
+    it('should generate an amendment for both parties to sign', async () => {
+      const transaction = buildTransaction();
+      const condition = buildCondition(transaction);
+      const newDeadline = new Date(NOW.getTime() + 12 * DAY);
+      jest.spyOn(Condition, 'findById').mockResolvedValue(condition);
+
+      const { document } = await proposeExtension(transaction, condition, {
+        userId: buyer._id.toString(),
+        newDeadline: newDeadline.toISOString(),
+        reason: 'Appraisal delayed',
+        now: NOW
+      });
+
+      expect(document.documentType).toBe('amendment');
+      expect(document.title).toBe('Amendment to Agreement: Financing Condition Deadline');
+      expect(document.requiredSignatures.map(s => s.role)).toEqual(['buyer', 'seller']);
+      expect(document.content.changes).toEqual([{
+        term: 'Financing Condition deadline',
+        from: pdfGenerator.formatValue(condition.deadlineDate, 'date'),
+        to: pdfGenerator.formatValue(newDeadline, 'date')
+      }]);
+      expect(Condition.updateOne.mock.calls[0][1].$push.extensions).toMatchObject({
+        status: 'proposed',
+        previousDeadline: condition.deadlineDate,
+        newDeadline,
+        proposedBy: buyer._id.toString(),
+        document: document._id
+      });
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: seller._id,
+        title: 'Condition Extension Proposed'
+      }));
+    });
+
+    it('should need a later deadline before closing', async () => {
+      const transaction = buildTransaction();
+      const condition = buildCondition(transaction);
+      const propose = newDeadline => proposeExtension(transaction, condition, {
+        userId: seller._id.toString(),
+        newDeadline,
+        reason: 'More time',
+        now: NOW
+      });
+
+      await expect(propose(new Date(NOW.getTime() + DAY))).rejects.toThrow(/after the current deadline/);
+      await expect(propose(transaction.closingDate)).rejects.toThrow(/before the closing date/);
+    });
+
+    it('should allow only one extension awaiting signatures', async () => {
+      const transaction = buildTransaction();
+      const condition = buildCondition(transaction, { extensions: [{ status: 'proposed' }] });
+
+      await expect(proposeExtension(transaction, condition, {
+        userId: buyer._id.toString(),
+        newDeadline: new Date(NOW.getTime() + 12 * DAY),
+        reason: 'More time',
+        now: NOW
+      })).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('closeExtension', () => {
+    const proposed = (transaction) => buildCondition(transaction, {
+      extensions: [{ status: 'proposed', proposedBy: buyer._id, document: new mongoose.Types.ObjectId() }]
+    });
+
+    it('should not let the proposer decline their own extension', async () => {
+      const transaction = buildTransaction();
+
+      await expect(closeExtension(transaction, proposed(transaction), { userId: buyer._id.toString(), action: 'decline' }))
+        .rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should void the amendment when the other party declines', async () => {
+      const transaction = buildTransaction();
+      const condition = proposed(transaction);
+      const extension = condition.extensions[0];
+      const document = new Document({ _id: extension.document, status: 'partially_signed' });
+      jest.spyOn(Document, 'findById').mockResolvedValue(document);
+      jest.spyOn(SigningEnvelope, 'updateMany').mockResolvedValue({});
+      jest.spyOn(Condition, 'findById').mockResolvedValue(condition);
+
+      await closeExtension(transaction, condition, { userId: seller._id.toString(), action: 'decline', reason: 'No more time' });
+
+      expect(Condition.updateOne).toHaveBeenCalledWith(
+        { _id: condition._id, extensions: { $elemMatch: { _id: extension._id, status: 'proposed' } } },
+        { $set: { 'extensions.$.status': 'declined' } }
+      );
+      expect(document.status).toBe('voided');
+    });
+  });
+
+  describe('completeExtension', () => {
+    it('should move the deadline once both parties sign', async () => {
+      const transaction = buildTransaction({ buyer: buyer._id, seller: seller._id });
+      const documentId = new mongoose.Types.ObjectId();
+      const condition = buildCondition(transaction, { remindersSent: [{ sentAt: NOW, daysBeforeDeadline: 3 }] });
+      const newDeadline = new Date(NOW.getTime() + 12 * DAY);
+      condition.extensions.push({
+        status: 'proposed',
+        previousDeadline: condition.deadlineDate,
+        newDeadline,
+        proposedBy: buyer._id,
+        document: documentId
+      });
+      const document = signedDocument('amendment', { conditionId: condition._id }, [['buyer', buyer._id], ['seller', seller._id]]);
+      document._id = documentId;
+      jest.spyOn(Condition, 'findOne').mockResolvedValue(condition);
+      jest.spyOn(Condition, 'findById').mockResolvedValue(condition);
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+
+      const result = await completeExtension(document, { now: NOW });
+
+      expect(result.extension.newDeadline).toEqual(newDeadline);
+      expect(Condition.updateOne.mock.calls[0][1].$set).toMatchObject({
+        status: 'extended',
+        deadlineDate: newDeadline,
+        remindersSent: [],
+        'extensions.$.status': 'agreed',
+        'extensions.$.agreedByBuyer': true,
+        'extensions.$.agreedBySeller': true
+      });
+      expect(Notification.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('should ignore amendments that do not extend a condition', async () => {
+      jest.spyOn(Condition, 'findOne');
+
+      expect(await completeExtension(signedDocument('amendment', { changes: [] }, []))).toBeNull();
+      expect(Condition.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('failExpiredConditions', () => {
+    it('should fail overdue conditions, lapse their extension and tell both parties', async () => {
+      const transaction = new Transaction({
+        buyer: buyer._id,
+        seller: seller._id,
+        status: 'conditional',
+        mutualRelease: { status: 'proposed' }
+      });
+      const condition = buildCondition(transaction, {
+        deadlineDate: new Date(NOW.getTime() - DAY),
+        extensions: [{ status: 'proposed', proposedBy: buyer._id }]
+      });
+      condition.transaction = transaction;
+      jest.spyOn(Condition, 'find').mockReturnValue({ populate: async () => [condition] });
+      jest.spyOn(Condition, 'findById').mockResolvedValue(condition);
+
+      expect(await failExpiredConditions(NOW)).toEqual({ found: 1, failed: 1 });
+
+      const [filter, update] = Condition.updateOne.mock.calls[0];
+      expect(filter['extensions._id']).toEqual(condition.extensions[0]._id);
+      expect(update.$set).toMatchObject({ status: 'failed', resolutionMethod: 'failed', 'extensions.$.status': 'lapsed' });
+      expect(Notification.create).toHaveBeenCalledTimes(2);
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'Condition Deadline Passed' }));
+      expect(Transaction.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should propose a mutual release on behalf of the buyer', async () => {
+      const transaction = new Transaction({ buyer: buyer._id, seller: seller._id, status: 'conditional' });
+      const condition = buildCondition(transaction, { deadlineDate: new Date(NOW.getTime() - DAY) });
+      condition.transaction = transaction;
+      const populated = buildTransaction({ _id: transaction._id });
+      jest.spyOn(Condition, 'find').mockReturnValue({ populate: async () => [condition] });
+      jest.spyOn(Condition, 'findById').mockResolvedValue(condition);
+      jest.spyOn(Transaction, 'findById').mockReturnValueOnce(mockQuery(populated)).mockResolvedValueOnce(populated);
+      jest.spyOn(TrustLedgerEntry, 'find').mockReturnValue({ sort: async () => [] });
+
+      await failExpiredConditions(NOW);
+
+      expect(Transaction.updateOne.mock.calls[0][1].$set.mutualRelease).toMatchObject({
+        status: 'proposed',
+        proposedBy: buyer._id.toString(),
+        reason: 'Condition failed: Financing Condition',
+        failedCondition: 'Financing Condition'
+      });
+    });
+
+    it('should fail every overdue condition on a transaction with one mutual release', async () => {
+      const financing = buildCondition(buildTransaction(), { deadlineDate: new Date(NOW.getTime() - DAY) });
+      const inspection = buildCondition(buildTransaction(), {
+        conditionType: 'inspection',
+        title: 'Inspection Condition',
+        deadlineDate: new Date(NOW.getTime() - DAY)
+      });
+      const transactionId = new mongoose.Types.ObjectId();
+      // Each condition populates its own copy of the transaction
+      financing.transaction = new Transaction({ _id: transactionId, buyer: buyer._id, seller: seller._id, status: 'conditional' });
+      inspection.transaction = new Transaction({ _id: transactionId, buyer: buyer._id, seller: seller._id, status: 'conditional' });
+      const populated = buildTransaction({ _id: transactionId });
+      const released = buildTransaction({ _id: transactionId, mutualRelease: { status: 'proposed' } });
+      jest.spyOn(Condition, 'find').mockReturnValue({ populate: async () => [financing, inspection] });
+      jest.spyOn(Condition, 'findById').mockImplementation(async (id) => (id.equals(financing._id) ? financing : inspection));
+      jest.spyOn(Transaction, 'findById')
+        .mockReturnValueOnce(mockQuery(populated))
+        .mockResolvedValueOnce(populated)
+        .mockReturnValueOnce(mockQuery(released));
+      jest.spyOn(TrustLedgerEntry, 'find').mockReturnValue({ sort: async () => [] });
+
+      expect(await failExpiredConditions(NOW)).toEqual({ found: 2, failed: 2 });
+      expect(Condition.updateOne).toHaveBeenCalledTimes(2);
+      expect(Transaction.updateOne).toHaveBeenCalledTimes(1);
+      expect(Transaction.updateOne.mock.calls[0][1].$set.mutualRelease.failedCondition).toBe('Financing Condition');
+    });
+
+    it('should skip conditions resolved mid-run', async () => {
+      const transaction = new Transaction({ buyer: buyer._id, seller: seller._id, status: 'conditional' });
+      const condition = buildCondition(transaction, { deadlineDate: new Date(NOW.getTime() - DAY) });
+      condition.transaction = transaction;
+      jest.spyOn(Condition, 'find').mockReturnValue({ populate: async () => [condition] });
+      Condition.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await failExpiredConditions(NOW)).toEqual({ found: 1, failed: 0 });
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Document Integrity Tests
+ * Tests for PDF hashing, the signature/audit hash chain, the certificate of
+ * completion and tamper detection
+ */
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { PDFDocument } = require('pdf-lib');
+const Document = require('../models/document.model');
+const pdfGenerator = require('../services/pdf-generator');
+const {
+  hashFile,
+  recordPdfVersion,
+  checkCurrentPdf,
+  completeSignedDocument,
+  verifyDocumentIntegrity
+} = require('../services/document-integrity.service');
+
+const buildDocument = () => new Document({
+  documentType: 'mutual_release',
+  province: 'ON',
+  title: 'Mutual Release',
+  createdBy: new mongoose.Types.ObjectId(),
+  requiredSignatures: [{ role: 'buyer' }, { role: 'seller' }]
+});
+
+describe('Document Integrity', () => {
+  const generated = [];
+
+  const generate = async (name) => {
+    const { filePath } = await pdfGenerator.generateDocument('mutual_release', { documentId: name }, 'ON');
+    generated.push(filePath);
+    return filePath;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    generated.forEach(filePath => fs.existsSync(filePath) && fs.unlinkSync(filePath));
+  });
+
+  describe('hash chain', () => {
+    it('should chain signatures and audit entries in order', () => {
+      const document = buildDocument();
+      document.logAction('created', document.createdBy, 'Document generated');
+      document.addSignature({ role: 'buyer', name: 'Jane Buyer', ipAddress: '10.0.0.1' });
+      document.logAction('signed', null, 'Signed as buyer');
+
+      const result = document.verifyChain();
+
+      expect(result.valid).toBe(true);
+      expect(result.length).toBe(3);
+      expect(document.signatures[0].previousHash).toBe(document.auditLog[0].hash);
+      expect(document.auditLog[1].previousHash).toBe(document.signatures[0].hash);
+      expect(document.chainHash).toBe(document.auditLog[1].hash);
+    });
+
+    it('should start from the genesis hash', () => {
+      const document = buildDocument();
+      document.logAction('created', null, 'Document generated');
+
+      expect(document.auditLog[0].previousHash).toBe(Document.GENESIS_HASH);
+    });
+
+    it('should detect an edited signature', () => {
+      const document = buildDocument();
+      document.addSignature({ role: 'buyer', name: 'Jane Buyer', ipAddress: '10.0.0.1' });
+      document.logAction('signed', null, 'Signed as buyer');
+
+      document.signatures[0].ipAddress = '10.0.0.2';
+
+      expect(document.verifyChain().issues).toEqual(['Entry 0 (signature) has been modified']);
+    });
+
+    it('should detect a removed audit entry', () => {
+      const document = buildDocument();
+      document.logAction('created', null, 'Document generated');
+      document.logAction('viewed', null, 'Document viewed');
+      document.logAction('downloaded', null, 'Document downloaded');
+
+      document.auditLog.splice(1, 1);
+
+      expect(document.verifyChain().valid).toBe(false);
+    });
+
+    it('should leave entries from before chaining unchecked', () => {
+      const document = buildDocument();
+      document.auditLog.push({ action: 'created', timestamp: new Date() });
+      document.logAction('viewed', null, 'Document viewed');
+
+      const result = document.verifyChain();
+
+      expect(result.valid).toBe(true);
+      expect(result.unchainedEntries).toBe(1);
+    });
+
+    it('should only save a stored document over the chain it was loaded with', () => {
+      const stored = buildDocument();
+      stored.logAction('created', null, 'Document generated');
+      const document = Document.hydrate(stored.toObject());
+
+      document.logAction('viewed', null, 'Document viewed');
+      document.logAction('downloaded', null, 'Document downloaded');
+
+      expect(document.$where).toEqual({ chainLength: 1 });
+    });
+
+    it('should re-link an audit entry when another request extends the chain first', async () => {
+      const stored = buildDocument();
+      stored.logAction('created', null, 'Document generated');
+      const document = Document.hydrate(stored.toObject());
+      stored.logAction('viewed', null, 'Document viewed');
+      jest.spyOn(Document, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+      jest.spyOn(Document, 'findById').mockReturnValue({ select: async () => stored });
+
+      const entry = await document.recordAction('downloaded', null, 'Document downloaded');
+
+      const [filter, update] = Document.updateOne.mock.calls[1];
+      expect(filter.chainLength).toBe(2);
+      expect(update.$set.chainLength).toBe(3);
+      expect(entry.sequence).toBe(2);
+      expect(entry.previousHash).toBe(stored.chainHash);
+      expect(document.auditLog).toHaveLength(2);
+
+      stored.auditLog.push(update.$push.auditLog);
+      Object.assign(stored, update.$set);
+      expect(stored.verifyChain().valid).toBe(true);
+    });
+
+    describe('saveChained', () => {
+      const conflict = (document) => new mongoose.Error.VersionError(document, 0, ['signatures']);
+
+      // The stored copy after another request appended to the chain
+      const load = (stored) => {
+        jest.spyOn(Document, 'findById').mockReturnValue({ session: async () => Document.hydrate(stored.toObject()) });
+      };
+
+      it('should re-link new entries after the stored chain head and keep the other changes', async () => {
+        const stored = buildDocument();
+        stored.logAction('created', null, 'Document generated');
+        const document = Document.hydrate(stored.toObject());
+        stored.logAction('viewed', null, 'Document viewed');
+        load(stored);
+        const save = jest.spyOn(Document.prototype, 'save')
+          .mockRejectedValueOnce(conflict(document))
+          .mockImplementation(async function() { return this; });
+
+        document.addSignature({ role: 'buyer', name: 'Jane Buyer' });
+        document.logAction('signed', null, 'Signed as buyer');
+        document.status = 'partially_signed';
+        const saved = await document.saveChained();
+
+        expect(save).toHaveBeenCalledTimes(2);
+        expect(saved).not.toBe(document);
+        expect(saved.status).toBe('partially_signed');
+        expect(saved.$where).toEqual({ chainLength: 2 });
+        expect(saved.auditLog.map(entry => [entry.action, entry.sequence])).toEqual([['created', 0], ['viewed', 1], ['signed', 3]]);
+        expect(saved.signatures[0].sequence).toBe(2);
+        expect(saved.signatures[0].previousHash).toBe(stored.chainHash);
+        expect(saved.verifyChain().valid).toBe(true);
+      });
+
+      it('should leave a document another request finished signing signed', async () => {
+        const stored = buildDocument();
+        stored.logAction('created', null, 'Document generated');
+        const document = Document.hydrate(stored.toObject());
+        stored.addSignature({ role: 'seller', name: 'John Seller' });
+        stored.status = 'signed';
+        load(stored);
+        jest.spyOn(Document.prototype, 'save')
+          .mockRejectedValueOnce(conflict(document))
+          .mockImplementation(async function() { return this; });
+
+        document.addSignature({ role: 'buyer', name: 'Jane Buyer' });
+        document.status = 'partially_signed';
+        const saved = await document.saveChained();
+
+        expect(saved.status).toBe('signed');
+        expect(saved.signatures).toHaveLength(2);
+      });
+
+      it('should not retry a document that was not loaded from the database', async () => {
+        const document = buildDocument();
+        document.logAction('created', null, 'Document generated');
+        jest.spyOn(Document.prototype, 'save').mockRejectedValue(conflict(document));
+        const findById = jest.spyOn(Document, 'findById');
+
+        await expect(document.saveChained()).rejects.toThrow(mongoose.Error.VersionError);
+        expect(findById).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('PDF hashes', () => {
+    it('should bind entries to the PDF hash at the time', async () => {
+      const filePath = await generate('integrity_bind');
+      const document = buildDocument();
+      document.generatedPdfPath = filePath;
+
+      const hash = recordPdfVersion(document, 'generated', filePath);
+      document.logAction('created', null, 'Document generated');
+
+      expect(hash).toMatch(/^[a-f0-9]{64}$/);
+      expect(document.fileHash).toBe(hash);
+      expect(document.auditLog[0].documentHash).toBe(hash);
+      expect(checkCurrentPdf(document).matches).toBe(true);
+    });
+
+    it('should detect a modified PDF', async () => {
+      const filePath = await generate('integrity_tamper');
+      const document = buildDocument();
+      document.generatedPdfPath = filePath;
+      recordPdfVersion(document, 'generated', filePath);
+      document.logAction('created', null, 'Document generated');
+
+      fs.appendFileSync(filePath, '% tampered\n');
+
+      const result = verifyDocumentIntegrity(document);
+      expect(checkCurrentPdf(document).matches).toBe(false);
+      expect(result.valid).toBe(false);
+      expect(result.issues).toContain('The current PDF does not match its recorded SHA-256');
+    });
+  });
+
+  describe('completeSignedDocument', () => {
+    it('should append a certificate of completion and record the signed version', async () => {
+      const filePath = await generate('integrity_complete');
+      const document = buildDocument();
+      document.generatedPdfPath = filePath;
+      recordPdfVersion(document, 'generated', filePath);
+      document.logAction('created', null, 'Document generated');
+      document.addSignature({ role: 'buyer', name: 'Jane Buyer' });
+      document.addSignature({ role: 'seller', name: 'Jöhn Séller 王' });
+
+      const hash = await completeSignedDocument(document);
+      generated.push(document.generatedPdfPath);
+
+      const original = await PDFDocument.load(fs.readFileSync(filePath));
+      const signed = await PDFDocument.load(fs.readFileSync(document.generatedPdfPath));
+      expect(signed.getPageCount()).toBe(original.getPageCount() + 1);
+
+      expect(document.generatedPdfPath).toMatch(/_signed\.pdf$/);
+      expect(hash).toBe(hashFile(document.generatedPdfPath));
+      expect(document.pdfVersions.map(v => v.label)).toEqual(['generated', 'signed']);
+
+      const completed = document.auditLog[document.auditLog.length - 1];
+      expect(completed.action).toBe('completed');
+      expect(completed.documentHash).toBe(hash);
+
+      const result = verifyDocumentIntegrity(document);
+      expect(result.valid).toBe(true);
+      expect(result.chain.length).toBe(4);
+    });
+
+    it('should only log completion when there is no PDF', async () => {
+      const document = buildDocument();
+
+      expect(await completeSignedDocument(document)).toBeNull();
+      expect(document.auditLog[0].action).toBe('completed');
+    });
+  });
+});
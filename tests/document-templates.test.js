@@ -0,0 +1,84 @@
+/**
+ * Document Template Tests
+ * Tests that every document type has a template and renders to a PDF
+ */
+
+const fs = require('fs');
+const Document = require('../models/document.model');
+const pdfGenerator = require('../services/pdf-generator');
+const { TEMPLATES, getTemplate } = require('../services/document-templates');
+
+const documentTypes = Document.schema.path('documentType').enumValues;
+
+describe('Document Templates', () => {
+  const generated = [];
+
+  afterAll(() => {
+    generated.forEach(filePath => fs.existsSync(filePath) && fs.unlinkSync(filePath));
+  });
+
+  it('should have a template for every document type', () => {
+    const missing = documentTypes.filter(type => !TEMPLATES[type]);
+    expect(missing).toEqual([]);
+  });
+
+  it('should point hand-built layouts at existing generator methods', () => {
+    Object.values(TEMPLATES)
+      .filter(template => template.generator)
+      .forEach(template => {
+        expect(typeof pdfGenerator[template.generator]).toBe('function');
+      });
+  });
+
+  it('should apply province overrides', () => {
+    const quebec = getTemplate('direction_re_title', 'QC');
+    const ontario = getTemplate('direction_re_title', 'ON');
+
+    expect(quebec.heading).toBe('DIRECTION RE: DEED OF SALE');
+    expect(quebec.sections[1].text).toMatch(/notary/);
+    expect(quebec.sections[2]).toEqual(ontario.sections[2]);
+  });
+
+  it('should return null for an unknown type', () => {
+    expect(getTemplate('not_a_form', 'ON')).toBeNull();
+  });
+
+  it('should render every document type to a PDF', async () => {
+    for (const type of documentTypes) {
+      const { filePath, fileName } = await pdfGenerator.generateDocument(type, {
+        documentId: `test_${type}`,
+        transactionId: `test_${type}`,
+        propertyAddress: '123 Test St, Toronto, ON',
+        buyerName: 'Jane Buyer',
+        sellerName: 'John Seller',
+        purchasePrice: 750000,
+        changes: [{ term: 'Closing Date', from: 'June 1', to: 'June 15' }]
+      }, 'ON');
+      generated.push(filePath);
+
+      expect(fileName).toMatch(/\.pdf$/);
+      expect(fs.readFileSync(filePath).subarray(0, 4).toString()).toBe('%PDF');
+    }
+  });
+
+  it('should name generic templates after the document', async () => {
+    const { filePath, fileName } = await pdfGenerator.generateDocument('mutual_release', { documentId: 'abc123' }, 'ON');
+    generated.push(filePath);
+
+    expect(fileName).toBe('mutual_release_abc123.pdf');
+  });
+
+  it('should reject unknown document types', async () => {
+    await expect(pdfGenerator.generateDocument('not_a_form', {}, 'ON')).rejects.toThrow(/No template/);
+  });
+
+  describe('formatValue', () => {
+    it('should format money, dates, lists and blanks', () => {
+      expect(pdfGenerator.formatValue(1500, 'money')).toBe('$1,500.00');
+      expect(pdfGenerator.formatValue(['Fridge', 'Stove'])).toBe('Fridge, Stove');
+      expect(pdfGenerator.formatValue(true)).toBe('Yes');
+      expect(pdfGenerator.formatValue(undefined)).toMatch(/^_+$/);
+      expect(pdfGenerator.formatValue('2026-06-15T12:00:00Z', 'date')).toMatch(/2026/);
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Document Upload Tests
+ * Tests for magic-byte validation of uploaded documents and attaching
+ * uploads to condition sub-records
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Condition = require('../models/condition.model');
+const {
+  detectFileType,
+  verifyAttachmentSignature,
+  ATTACHMENT_SIGNATURES
+} = require('../middleware/upload');
+
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 0x0D]);
+
+describe('Document Upload', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-test-'));
+  const writeFile = (name, contents) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('detectFileType', () => {
+    it('should recognise PDFs and images by their magic bytes', () => {
+      expect(detectFileType(writeFile('letter.pdf', '%PDF-1.7\n...'), ATTACHMENT_SIGNATURES)).toBe('application/pdf');
+      expect(detectFileType(writeFile('scan.png', PNG_HEADER), ATTACHMENT_SIGNATURES)).toBe('image/png');
+      expect(detectFileType(writeFile('scan.jpg', Buffer.from([0xFF, 0xD8, 0xFF, 0xE0])), ATTACHMENT_SIGNATURES)).toBe('image/jpeg');
+    });
+
+    it('should not trust the file extension', () => {
+      expect(detectFileType(writeFile('report.pdf', '<html><script>alert(1)</script>'), ATTACHMENT_SIGNATURES)).toBeNull();
+    });
+
+    it('should handle files shorter than the signature', () => {
+      expect(detectFileType(writeFile('empty.pdf', ''), ATTACHMENT_SIGNATURES)).toBeNull();
+    });
+  });
+
+  describe('verifyAttachmentSignature', () => {
+    const mockRes = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    it('should pass valid files and record the detected type', () => {
+      const req = { file: { path: writeFile('ok.pdf', '%PDF-1.4'), originalname: 'ok.pdf' } };
+      const next = jest.fn();
+
+      verifyAttachmentSignature(req, mockRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.file.detectedMimeType).toBe('application/pdf');
+    });
+
+    it('should reject and delete a file whose contents do not match', () => {
+      const filePath = writeFile('fake.pdf', 'MZ executable');
+      const req = { file: { path: filePath, originalname: 'fake.pdf' } };
+      const res = mockRes();
+      const next = jest.fn();
+
+      verifyAttachmentSignature(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    it('should continue when no file was uploaded', () => {
+      const next = jest.fn();
+
+      verifyAttachmentSignature({}, mockRes(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('Condition.attachDocument', () => {
+    const buildCondition = (conditionType) => new Condition({
+      transaction: new mongoose.Types.ObjectId(),
+      offer: new mongoose.Types.ObjectId(),
+      conditionType,
+      title: 'Condition',
+      description: 'Condition',
+      deadlineDate: new Date()
+    });
+    const upload = (documentType) => ({ _id: new mongoose.Types.ObjectId(), documentType });
+
+    it('should set the inspection report on an inspection condition', () => {
+      const condition = buildCondition('inspection');
+      const report = upload('home_inspection_report');
+
+      expect(condition.attachDocument(report)).toBe('inspectionDetails.inspectionReport');
+      expect(condition.inspectionDetails.inspectionReport).toEqual(report._id);
+      expect(condition.documents).toEqual([report._id]);
+    });
+
+    it('should set the approval letter and commitment on a financing condition', () => {
+      const condition = buildCondition('financing');
+      const letter = upload('pre_approval_letter');
+      const commitment = upload('mortgage_commitment');
+
+      condition.attachDocument(letter);
+      condition.attachDocument(commitment);
+
+      expect(condition.financingDetails.approvalLetter).toEqual(letter._id);
+      expect(condition.financingDetails.commitmentLetter).toEqual(commitment._id);
+    });
+
+    it('should mark a status certificate as received', () => {
+      const condition = buildCondition('status_certificate');
+
+      condition.attachDocument(upload('status_certificate'));
+
+      expect(condition.statusCertDetails.receivedDate).toBeInstanceOf(Date);
+    });
+
+    it('should only list documents with no matching sub-record', () => {
+      const condition = buildCondition('inspection');
+
+      expect(condition.attachDocument(upload('survey_certificate'))).toBeNull();
+      expect(condition.inspectionDetails.inspectionReport).toBeUndefined();
+      expect(condition.documents).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Document Versioning Tests
+ * Tests for field-level diffs, immutable version snapshots, and amendments
+ * that invalidate existing signatures
+ */
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Document = require('../models/document.model');
+const DocumentVersion = require('../models/document-version.model');
+const Transaction = require('../models/transaction.model');
+const SigningEnvelope = require('../models/signing-envelope.model');
+const {
+  diffContent,
+  describePath,
+  editDocument,
+  amendDocument
+} = require('../services/document-versioning.service');
+
+const buildDocument = (overrides = {}) => new Document({
+  documentType: 'agreement_purchase_sale',
+  province: 'ON',
+  title: 'Agreement of Purchase and Sale',
+  content: { purchasePrice: 500000, closingDate: '2026-11-30', chattels: ['fridge', 'stove'] },
+  requiredSignatures: [{ role: 'buyer' }, { role: 'seller' }],
+  createdBy: new mongoose.Types.ObjectId(),
+  ...overrides
+});
+
+const signBoth = (document) => {
+  document.addSignature({ role: 'buyer', name: 'Jane Buyer', signatureData: 'Jane Buyer' });
+  document.addSignature({ role: 'seller', name: 'John Seller', signatureData: 'John Seller' });
+  document.status = 'signed';
+};
+
+describe('Document Versioning', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('diffContent', () => {
+    it('should report changed, added and removed fields by path', () => {
+      const changes = diffContent(
+        { purchasePrice: 500000, closingDate: '2026-11-30', deposit: 25000 },
+        { purchasePrice: 495000, closingDate: '2026-11-30', inclusions: 'Shed' }
+      );
+
+      expect(changes).toEqual([
+        { path: 'deposit', type: 'removed', from: 25000, to: undefined },
+        { path: 'inclusions', type: 'added', from: undefined, to: 'Shed' },
+        { path: 'purchasePrice', type: 'changed', from: 500000, to: 495000 }
+      ]);
+    });
+
+    it('should descend into nested objects and arrays', () => {
+      const changes = diffContent(
+        { buyer: { name: 'Jane', phone: '555' }, chattels: ['fridge', 'stove'] },
+        { buyer: { name: 'Jane', phone: '556' }, chattels: ['fridge', 'stove', 'washer'] }
+      );
+
+      expect(changes.map(c => c.path)).toEqual(['buyer.phone', 'chattels.2']);
+    });
+
+    it('should compare dates by value', () => {
+      const changes = diffContent(
+        { closingDate: new Date('2026-11-30T00:00:00Z') },
+        { closingDate: new Date('2026-11-30T00:00:00Z') }
+      );
+
+      expect(changes).toEqual([]);
+    });
+  });
+
+  describe('describePath', () => {
+    it('should label content paths for the amendment form', () => {
+      expect(describePath('closingDate')).toBe('Closing Date');
+      expect(describePath('chattels.2')).toBe('Chattels #3');
+    });
+  });
+
+  describe('DocumentVersion', () => {
+    it('should reject updates to a recorded version', async () => {
+      const version = new DocumentVersion({ document: new mongoose.Types.ObjectId(), version: 1 });
+      version.isNew = false;
+
+      await expect(version.save()).rejects.toThrow(/cannot be modified/);
+    });
+  });
+
+  describe('invalidateSignatures', () => {
+    it('should keep invalidated signatures but no longer count them', () => {
+      const document = buildDocument();
+      signBoth(document);
+      expect(document.isFullySigned()).toBe(true);
+
+      expect(document.invalidateSignatures('Superseded by version 2')).toBe(2);
+
+      expect(document.signatures).toHaveLength(2);
+      expect(document.signatures[0].invalidatedReason).toBe('Superseded by version 2');
+      expect(document.isFullySigned()).toBe(false);
+      expect(document.getMissingSignatures().map(s => s.role)).toEqual(['buyer', 'seller']);
+    });
+  });
+
+  describe('editDocument', () => {
+    it('should record the change as a new version', async () => {
+      const document = buildDocument();
+      jest.spyOn(DocumentVersion, 'exists').mockResolvedValue(true);
+      const create = jest.spyOn(DocumentVersion, 'create').mockImplementation(async (data) => data);
+      jest.spyOn(document, 'save').mockResolvedValue(document);
+
+      const result = await editDocument(document, {
+        content: { purchasePrice: 490000 },
+        reason: 'Price negotiated down',
+        userId: document.createdBy
+      });
+
+      expect(document.version).toBe(2);
+      expect(document.content.closingDate).toBe('2026-11-30');
+      expect(result.changes).toEqual([{ path: 'purchasePrice', type: 'changed', from: 500000, to: 490000 }]);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ version: 2, reason: 'Price negotiated down' }));
+      expect(document.auditLog[document.auditLog.length - 1].action).toBe('edited');
+    });
+
+    it('should refuse signed documents', async () => {
+      const document = buildDocument();
+      signBoth(document);
+
+      await expect(editDocument(document, { content: { purchasePrice: 1 }, reason: 'x' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should refuse a change that changes nothing', async () => {
+      const document = buildDocument();
+      jest.spyOn(DocumentVersion, 'exists').mockResolvedValue(true);
+
+      await expect(editDocument(document, { content: { purchasePrice: 500000 }, reason: 'x' }))
+        .rejects.toThrow(/No changes/);
+    });
+  });
+
+  describe('amendDocument', () => {
+    it('should create a linked amendment and require the parties to sign again', async () => {
+      const parent = buildDocument({ transaction: new mongoose.Types.ObjectId() });
+      signBoth(parent);
+
+      jest.spyOn(DocumentVersion, 'exists').mockResolvedValue(true);
+      jest.spyOn(DocumentVersion, 'create').mockImplementation(async (data) => data);
+      jest.spyOn(Transaction, 'findById').mockReturnValue({
+        populate() { return this; },
+        then: (resolve) => resolve(null)
+      });
+      const pushDocument = jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const voidEnvelopes = jest.spyOn(SigningEnvelope, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(Document.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+
+      const result = await amendDocument(parent, {
+        content: { closingDate: '2026-12-15' },
+        reason: 'Closing moved',
+        userId: parent.createdBy
+      });
+
+      try {
+        const { amendment } = result;
+        expect(amendment.documentType).toBe('amendment');
+        expect(amendment.parentDocument).toEqual(parent._id);
+        expect(amendment.parentVersion).toBe(2);
+        expect(amendment.content.changes).toEqual([{ term: 'Closing Date', from: '2026-11-30', to: '2026-12-15' }]);
+        expect(amendment.requiredSignatures.map(s => s.role)).toEqual(['buyer', 'seller']);
+        expect(fs.existsSync(amendment.generatedPdfPath)).toBe(true);
+
+        expect(parent.version).toBe(2);
+        expect(parent.status).toBe('pending_signatures');
+        expect(parent.amendments).toEqual([amendment._id]);
+        expect(parent.getActiveSignatures()).toHaveLength(0);
+        expect(result.invalidatedSignatures).toBe(2);
+        expect(parent.verifyChain().valid).toBe(true);
+
+        expect(voidEnvelopes).toHaveBeenCalledWith(
+          { document: parent._id, status: 'pending' },
+          { $set: { status: 'voided' } }
+        );
+        expect(pushDocument).toHaveBeenCalledWith({ _id: parent.transaction }, { $push: { documents: amendment._id } });
+      } finally {
+        [result.amendment.generatedPdfPath].forEach(p => p && fs.existsSync(p) && fs.unlinkSync(p));
+      }
+    });
+
+    it('should send unsigned documents to editing instead', async () => {
+      await expect(amendDocument(buildDocument(), { content: { purchasePrice: 1 }, reason: 'x' }))
+        .rejects.toThrow(/edit unsigned documents directly/);
+    });
+  });
+});
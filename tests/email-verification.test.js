@@ -0,0 +1,100 @@
+/**
+ * Email Verification Tests
+ * Tests for verification tokens and the verified-email gate
+ */
+
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const requireVerifiedEmail = require('../middleware/verified-email.middleware');
+
+describe('Email Verification', () => {
+  const buildUser = () => new User({
+    name: 'Test User',
+    email: 'test@example.com',
+    password: 'Password123!'
+  });
+
+  describe('createEmailVerificationToken', () => {
+    it('should store a hash of the token, not the token itself', () => {
+      const user = buildUser();
+      const token = user.createEmailVerificationToken();
+
+      expect(token).toHaveLength(64);
+      expect(user.emailVerificationToken).not.toBe(token);
+      expect(user.emailVerificationToken).toBe(
+        crypto.createHash('sha256').update(token).digest('hex')
+      );
+    });
+
+    it('should expire in 24 hours', () => {
+      const user = buildUser();
+      user.createEmailVerificationToken();
+
+      const ttl = user.emailVerificationExpires.getTime() - Date.now();
+      expect(ttl).toBeGreaterThan(23.9 * 60 * 60 * 1000);
+      expect(ttl).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+    });
+
+    it('should issue a new token on each call', () => {
+      const user = buildUser();
+      const first = user.createEmailVerificationToken();
+      const second = user.createEmailVerificationToken();
+
+      expect(first).not.toBe(second);
+    });
+  });
+
+  describe('markEmailVerified', () => {
+    it('should default to unverified', () => {
+      expect(buildUser().emailVerified).toBe(false);
+    });
+
+    it('should verify and clear the token', () => {
+      const user = buildUser();
+      user.createEmailVerificationToken();
+      user.markEmailVerified();
+
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerificationToken).toBeUndefined();
+      expect(user.emailVerificationExpires).toBeUndefined();
+    });
+  });
+
+  describe('requireVerifiedEmail', () => {
+    const mockRes = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should block unverified users with EMAIL_NOT_VERIFIED', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: () => Promise.resolve({ emailVerified: false })
+      });
+      const res = mockRes();
+      const next = jest.fn();
+
+      await requireVerifiedEmail({ user: { userId: 'u1' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('should allow verified users through', async () => {
+      jest.spyOn(User, 'findById').mockReturnValue({
+        select: () => Promise.resolve({ emailVerified: true })
+      });
+      const next = jest.fn();
+
+      await requireVerifiedEmail({ user: { userId: 'u1' } }, mockRes(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * FINTRAC Tests
+ * Tests for client identification: method requirements, PEP and risk
+ * assessment, the identification record and the acceptance check
+ */
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const pdfGenerator = require('../services/pdf-generator');
+const { hashFile } = require('../services/document-integrity.service');
+const {
+  submitIdentification,
+  checkMethodRequirements,
+  assessRisk,
+  reviewIdentification,
+  getUnverifiedParties,
+  complianceView
+} = require('../services/fintrac.service');
+const { NOW, buildIdentifiedUser } = require('./fixtures');
+
+const reviewer = { _id: new mongoose.Types.ObjectId(), name: 'Casey Compliance' };
+
+describe('FINTRAC', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('submitIdentification', () => {
+    it('should store only identity fields and queue the submission', () => {
+      const user = buildIdentifiedUser({ status: 'not_submitted' });
+
+      submitIdentification(user, { occupation: 'Teacher', verified: true, riskLevel: 'low' }, NOW);
+
+      expect(user.fintracCompliance.occupation).toBe('Teacher');
+      expect(user.fintracCompliance.verified).toBe(false);
+      expect(user.fintracCompliance.status).toBe('submitted');
+      expect(user.fintracCompliance.verificationHistory[0].action).toBe('submitted');
+    });
+
+    it('should refuse changes once verified', () => {
+      const user = buildIdentifiedUser({ status: 'verified' });
+
+      expect(() => submitIdentification(user, { occupation: 'Teacher' })).toThrow(/already been verified/);
+    });
+  });
+
+  describe('checkMethodRequirements', () => {
+    it('should accept a current government ID with an uploaded image', () => {
+      expect(checkMethodRequirements(buildIdentifiedUser().fintracCompliance, 'government_id', NOW)).toEqual([]);
+    });
+
+    it('should reject an expired government ID', () => {
+      const compliance = buildIdentifiedUser({ idExpiry: new Date('2026-01-01') }).fintracCompliance;
+
+      expect(checkMethodRequirements(compliance, 'government_id', NOW)).toEqual([
+        'The government ID has expired or has no expiry date'
+      ]);
+    });
+
+    it('should need two different kinds of dual-process source from different organisations', () => {
+      const sameKind = buildIdentifiedUser({
+        dualProcessSources: [
+          { category: 'name_address', sourceName: 'Hydro One', reference: '1' },
+          { category: 'name_address', sourceName: 'Rogers', reference: '2' }
+        ]
+      }).fintracCompliance;
+      const valid = buildIdentifiedUser({
+        dualProcessSources: [
+          { category: 'name_address', sourceName: 'Hydro One', reference: '1' },
+          { category: 'name_financial_account', sourceName: 'TD Bank', reference: '2' }
+        ]
+      }).fintracCompliance;
+
+      expect(checkMethodRequirements(sameKind, 'dual_process', NOW)).toHaveLength(1);
+      expect(checkMethodRequirements(valid, 'dual_process', NOW)).toEqual([]);
+    });
+
+    it('should need a credit file at least three years old', () => {
+      const recent = buildIdentifiedUser({
+        creditFile: { bureau: 'Equifax', reference: 'EQ-1', establishedAt: new Date('2024-01-01') }
+      }).fintracCompliance;
+
+      expect(checkMethodRequirements(recent, 'credit_file', NOW)[0]).toMatch(/at least 3 years/);
+    });
+  });
+
+  describe('assessRisk', () => {
+    it('should rate PEPs and unconfirmed beneficial ownership high', () => {
+      expect(assessRisk(buildIdentifiedUser({ isPEP: true }).fintracCompliance).level).toBe('high');
+      expect(assessRisk(buildIdentifiedUser({ isBusinessClient: true }).fintracCompliance)).toEqual({
+        level: 'high',
+        factors: ['Beneficial ownership not confirmed']
+      });
+    });
+
+    it('should rate clients outside Canada medium', () => {
+      const compliance = buildIdentifiedUser({ address: { street: '1 Rue', city: 'Paris', country: 'France' } }).fintracCompliance;
+
+      expect(assessRisk(compliance).level).toBe('medium');
+    });
+
+    it('should rate everyone else low', () => {
+      expect(assessRisk(buildIdentifiedUser().fintracCompliance)).toEqual({ level: 'low', factors: [] });
+    });
+  });
+
+  describe('reviewIdentification', () => {
+    it('should verify, record the PEP determination and risk, and produce the record', async () => {
+      const user = buildIdentifiedUser();
+
+      await reviewIdentification(user, {
+        decision: 'approve',
+        method: 'government_id',
+        isPEP: false,
+        riskLevel: 'low'
+      }, reviewer, NOW);
+
+      const compliance = user.fintracCompliance;
+      try {
+        expect(compliance.status).toBe('verified');
+        expect(compliance.verified).toBe(true);
+        expect(compliance.verificationMethod).toBe('government_id');
+        expect(compliance.pepDeterminedAt).toEqual(NOW);
+        expect(compliance.riskLevel).toBe('low');
+        expect(compliance.verificationHistory.map(h => h.action))
+          .toEqual(['pep_determination', 'risk_assessment', 'verified', 'record_generated']);
+        expect(fs.existsSync(compliance.recordPath)).toBe(true);
+        expect(compliance.recordHash).toBe(hashFile(compliance.recordPath));
+      } finally {
+        if (compliance.recordPath && fs.existsSync(compliance.recordPath)) fs.unlinkSync(compliance.recordPath);
+      }
+    });
+
+    it('should not let the reviewer lower the assessed risk', async () => {
+      const user = buildIdentifiedUser();
+      jest.spyOn(pdfGenerator, 'generateFintracRecord').mockResolvedValue({ filePath: __filename });
+
+      await reviewIdentification(user, {
+        decision: 'approve',
+        method: 'government_id',
+        isPEP: true,
+        pepDetails: 'Member of Parliament',
+        riskLevel: 'low'
+      }, reviewer, NOW);
+
+      expect(user.fintracCompliance.riskLevel).toBe('high');
+      expect(user.fintracCompliance.riskFactors[0]).toMatch(/Politically exposed/);
+    });
+
+    it('should refuse approval when the method requirements are not met', async () => {
+      const user = buildIdentifiedUser({ idDocuments: [] });
+
+      await expect(reviewIdentification(user, { decision: 'approve', method: 'government_id', isPEP: false }, reviewer, NOW))
+        .rejects.toThrow(/No ID document has been uploaded/);
+      expect(user.fintracCompliance.verified).toBe(false);
+    });
+
+    it('should record a rejection with its reason', async () => {
+      const user = buildIdentifiedUser();
+
+      await reviewIdentification(user, { decision: 'reject', notes: 'ID image is illegible' }, reviewer, NOW);
+
+      expect(user.fintracCompliance.status).toBe('rejected');
+      expect(user.fintracCompliance.rejectionReason).toBe('ID image is illegible');
+    });
+
+    it('should not let reviewers verify themselves', async () => {
+      const user = buildIdentifiedUser();
+
+      await expect(reviewIdentification(user, { decision: 'approve', method: 'government_id', isPEP: false }, user, NOW))
+        .rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('getUnverifiedParties', () => {
+    it('should name the parties without a verified identification', async () => {
+      const buyer = new mongoose.Types.ObjectId();
+      const seller = new mongoose.Types.ObjectId();
+      jest.spyOn(User, 'find').mockReturnValue({
+        select: () => ({ session: async () => [{ _id: seller }] })
+      });
+
+      expect(await getUnverifiedParties({ buyer, seller })).toEqual(['buyer']);
+    });
+  });
+
+  describe('complianceView', () => {
+    it('should mask the ID number and hide the risk assessment from the client', () => {
+      const view = complianceView(buildIdentifiedUser({ riskLevel: 'high' }));
+
+      expect(view.idNumber).toBe('*************1234');
+      expect(view).not.toHaveProperty('riskLevel');
+      expect(view.idDocuments[0]).not.toHaveProperty('filePath');
+    });
+
+    it('should show reviewers the full details', () => {
+      const view = complianceView(buildIdentifiedUser({ riskLevel: 'high' }), { reviewer: true });
+
+      expect(view.idNumber).toBe('B1234-56789-01234');
+      expect(view.riskLevel).toBe('high');
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Test Fixtures
+ * Shared parties, records and query mocks for the unit suites. Each builder
+ * takes overrides for the fields a test cares about.
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction.model');
+const Condition = require('../models/condition.model');
+const User = require('../models/user.model');
+const FundsReceipt = require('../models/funds-receipt.model');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const buyer = { _id: new mongoose.Types.ObjectId(), name: 'Jane Buyer', email: 'jane@example.com' };
+const seller = { _id: new mongoose.Types.ObjectId(), name: 'Sam Seller', email: 'sam@example.com' };
+
+// Chainable query resolving to the given result
+const mockQuery = (result) => {
+  const query = {
+    session: jest.fn(() => query),
+    populate: jest.fn(() => query),
+    select: jest.fn(() => query),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+// Transaction as the services load it, populated with the parties
+const buildTransaction = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  property: { _id: new mongoose.Types.ObjectId(), address: { street: '1 Main St', city: 'Toronto', province: 'ON' } },
+  listing: new mongoose.Types.ObjectId(),
+  buyer,
+  seller,
+  province: 'ON',
+  status: 'conditional',
+  currentStep: 'conditions_pending',
+  purchasePrice: 800000,
+  depositAmount: 40000,
+  depositStatus: 'received',
+  depositHeldBy: 'seller_lawyer',
+  closingDate: new Date(NOW.getTime() + 60 * DAY),
+  stepsCompleted: [],
+  cancellation: {},
+  save: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+// Unsaved Transaction document, for the model's own methods
+const buildTransactionDocument = (overrides = {}) => new Transaction({
+  property: new mongoose.Types.ObjectId(),
+  listing: new mongoose.Types.ObjectId(),
+  acceptedOffer: new mongoose.Types.ObjectId(),
+  buyer: buyer._id,
+  seller: seller._id,
+  province: 'ON',
+  purchasePrice: 800000,
+  depositAmount: 40000,
+  acceptanceDate: NOW,
+  closingDate: new Date(NOW.getTime() + 60 * DAY),
+  ...overrides
+});
+
+const buildCondition = (transaction, overrides = {}) => new Condition({
+  transaction: transaction._id,
+  offer: new mongoose.Types.ObjectId(),
+  conditionType: 'financing',
+  title: 'Financing Condition',
+  description: 'Conditional upon the Buyer arranging a new first mortgage',
+  deadlineDate: new Date(NOW.getTime() + 5 * DAY),
+  ...overrides
+});
+
+// User who has submitted FINTRAC identification
+const buildIdentifiedUser = (compliance = {}) => new User({
+  name: 'Jane Buyer',
+  email: 'jane@example.com',
+  password: 'secret123',
+  fintracCompliance: {
+    status: 'submitted',
+    legalFirstName: 'Jane',
+    legalLastName: 'Buyer',
+    dateOfBirth: new Date('1985-03-14'),
+    occupation: 'Engineer',
+    address: { street: '1 Main St', city: 'Toronto', province: 'ON', postalCode: 'M5V 1A1' },
+    idType: 'drivers_license',
+    idNumber: 'B1234-56789-01234',
+    idExpiry: new Date('2029-01-01'),
+    idIssuingProvince: 'ON',
+    idDocuments: [{ label: 'government_id_front', filePath: '/tmp/id.png', hash: 'abc' }],
+    ...compliance
+  }
+});
+
+// Deposit paid by the buyer by bank draft
+const buildFundsReceipt = (transaction, overrides = {}) => new FundsReceipt({
+  transaction: transaction._id,
+  amount: 40000,
+  method: 'bank_draft',
+  receivedAt: NOW,
+  payer: { user: buyer._id, name: buyer.name, identificationVerified: true },
+  account: { institution: 'TD Bank', number: '1234567890' },
+  thirdParty: { involved: false },
+  sourceOfFunds: { type: 'savings' },
+  retainUntil: FundsReceipt.retentionDate(NOW),
+  ...overrides
+});
+
+module.exports = {
+  NOW,
+  DAY,
+  buyer,
+  seller,
+  mockQuery,
+  buildTransaction,
+  buildTransactionDocument,
+  buildCondition,
+  buildIdentifiedUser,
+  buildFundsReceipt
+};
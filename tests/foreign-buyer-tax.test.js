@@ -0,0 +1,173 @@
+/**
+ * Foreign Buyer Tax Tests
+ * Tests Ontario NRST, BC APTT, the federal prohibition and first-time
+ * buyer eligibility for non-Canadian buyers
+ */
+
+const {
+  calculateLandTransferTax,
+  checkFederalForeignBuyerBan,
+  estimateClosingCosts,
+  isForeignBuyer,
+  normalizeTaxOptions
+} = require('../config/provinces');
+
+describe('Foreign Buyer Taxes', () => {
+  describe('isForeignBuyer', () => {
+    it('should treat citizens and permanent residents as Canadian', () => {
+      expect(isForeignBuyer({ citizenship: 'citizen' })).toBe(false);
+      expect(isForeignBuyer({ citizenship: 'permanent_resident', residency: 'non_resident' })).toBe(false);
+    });
+
+    it('should treat foreign nationals and foreign-controlled corporations as foreign', () => {
+      expect(isForeignBuyer({ citizenship: 'foreign_national' })).toBe(true);
+      expect(isForeignBuyer({ buyerType: 'corporation', isForeignControlled: true })).toBe(true);
+      expect(isForeignBuyer({ buyerType: 'corporation', isForeignControlled: false })).toBe(false);
+    });
+  });
+
+  describe('Ontario NRST', () => {
+    it('should add 25% of the price for a foreign national', () => {
+      const result = calculateLandTransferTax('ON', 800000, { citizenship: 'foreign_national' });
+      const canadian = calculateLandTransferTax('ON', 800000);
+
+      expect(result.foreignBuyerTax).toBe(200000);
+      expect(result.total).toBe(canadian.total + 200000);
+      expect(result.lineItems).toContainEqual(expect.objectContaining({ code: 'NRST', amount: 200000 }));
+    });
+
+    it('should not charge citizens', () => {
+      const result = calculateLandTransferTax('ON', 800000, { citizenship: 'citizen' });
+      expect(result.foreignBuyerTax).toBe(0);
+      expect(result.lineItems.find(item => item.code === 'NRST')).toBeUndefined();
+    });
+
+    it('should explain a claimed exemption', () => {
+      const result = calculateLandTransferTax('ON', 800000, {
+        citizenship: 'foreign_national',
+        exemptions: ['provincial_nominee']
+      });
+
+      expect(result.foreignBuyerTax).toBe(0);
+      expect(result.exemptions).toContainEqual(expect.objectContaining({
+        code: 'provincial_nominee',
+        applied: true
+      }));
+    });
+
+    it('should deny the first-time buyer refund to foreign nationals', () => {
+      const result = calculateLandTransferTax('ON', 400000, {
+        citizenship: 'foreign_national',
+        isFirstTimeBuyer: true
+      });
+
+      expect(result.rebate).toBe(0);
+      expect(result.exemptions).toContainEqual(expect.objectContaining({
+        code: 'first_time_buyer',
+        applied: false
+      }));
+    });
+  });
+
+  describe('BC APTT', () => {
+    it('should charge 20% in a specified regional district', () => {
+      const result = calculateLandTransferTax('BC', 1000000, {
+        citizenship: 'foreign_national',
+        regionalDistrict: 'metro_vancouver'
+      });
+      expect(result.foreignBuyerTax).toBe(200000);
+    });
+
+    it('should assume the tax applies when the district is unknown', () => {
+      const result = calculateLandTransferTax('BC', 1000000, { citizenship: 'foreign_national' });
+      const item = result.lineItems.find(i => i.code === 'APTT');
+
+      expect(item.amount).toBe(200000);
+      expect(item.explanation).toMatch(/assumes/);
+    });
+
+    it('should not charge outside the specified districts', () => {
+      const result = calculateLandTransferTax('BC', 1000000, {
+        citizenship: 'foreign_national',
+        regionalDistrict: 'cariboo'
+      });
+
+      expect(result.foreignBuyerTax).toBe(0);
+      expect(result.exemptions[0].code).toBe('outside_specified_area');
+    });
+  });
+
+  it('should not add a foreign buyer tax in provinces without one', () => {
+    const result = calculateLandTransferTax('AB', 500000, { citizenship: 'foreign_national' });
+    expect(result.foreignBuyerTax).toBe(0);
+  });
+
+  describe('checkFederalForeignBuyerBan', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    it('should apply to foreign nationals in a metropolitan area', () => {
+      expect(checkFederalForeignBuyerBan({ citizenship: 'foreign_national' }, now).applies).toBe(true);
+    });
+
+    it('should not apply outside census metropolitan areas', () => {
+      const result = checkFederalForeignBuyerBan({
+        citizenship: 'foreign_national',
+        inCensusMetropolitanArea: false
+      }, now);
+      expect(result.applies).toBe(false);
+    });
+
+    it('should only accept the work permit exception for residents', () => {
+      const resident = checkFederalForeignBuyerBan({
+        citizenship: 'foreign_national',
+        residency: 'resident',
+        exemptions: ['work_permit']
+      }, now);
+      const nonResident = checkFederalForeignBuyerBan({
+        citizenship: 'foreign_national',
+        residency: 'non_resident',
+        exemptions: ['work_permit']
+      }, now);
+
+      expect(resident.applies).toBe(false);
+      expect(nonResident.applies).toBe(true);
+    });
+
+    it('should lapse when the prohibition expires', () => {
+      const result = checkFederalForeignBuyerBan(
+        { citizenship: 'foreign_national' },
+        new Date('2027-01-02T00:00:00Z')
+      );
+      expect(result.applies).toBe(false);
+    });
+  });
+
+  describe('normalizeTaxOptions', () => {
+    it('should parse query string values', () => {
+      const options = normalizeTaxOptions({
+        isFirstTimeBuyer: 'true',
+        citizenship: 'foreign_national',
+        exemptions: 'refugee, provincial_nominee',
+        inCensusMetropolitanArea: 'false'
+      });
+
+      expect(options.isFirstTimeBuyer).toBe(true);
+      expect(options.citizenship).toBe('foreign_national');
+      expect(options.exemptions).toEqual(['refugee', 'provincial_nominee']);
+      expect(options.inCensusMetropolitanArea).toBe(false);
+    });
+
+    it('should reject unknown citizenship values', () => {
+      expect(() => normalizeTaxOptions({ citizenship: 'martian' })).toThrow(/citizenship/);
+    });
+  });
+
+  it('should include the foreign buyer tax in closing cost estimates', () => {
+    const costs = estimateClosingCosts('ON', 800000, { citizenship: 'foreign_national' });
+
+    expect(costs.foreignBuyerTax).toBe(200000);
+    expect(costs.lineItems).toContainEqual(expect.objectContaining({ code: 'NRST' }));
+    expect(costs.lineItems).toContainEqual(expect.objectContaining({ code: 'legal' }));
+    expect(costs.total).toBeGreaterThan(200000);
+  });
+});
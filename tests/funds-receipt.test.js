@@ -0,0 +1,240 @@
+/**
+ * Funds Receipt Tests
+ * Tests for FINTRAC receipt of funds records: the 24-hour large cash rule,
+ * suspicious transaction indicators, compliance review and retention
+ */
+
+const mongoose = require('mongoose');
+const FundsReceipt = require('../models/funds-receipt.model');
+const User = require('../models/user.model');
+const {
+  evaluateIndicators,
+  findLargeCash,
+  recordFundsReceipt,
+  reviewFundsReceipt,
+  receiptView
+} = require('../services/funds-receipt.service');
+const { NOW, buyer, seller, buildTransaction, buildFundsReceipt } = require('./fixtures');
+
+const HOUR = 60 * 60 * 1000;
+
+const transaction = buildTransaction({ buyer: buyer._id, seller: seller._id });
+
+const cash = (amount, hoursBefore) => buildFundsReceipt(transaction, {
+  method: 'cash',
+  amount,
+  receivedAt: new Date(NOW.getTime() - hoursBefore * HOUR)
+});
+
+const context = (overrides = {}) => ({
+  transaction,
+  previousReceipts: [],
+  recentCash: [],
+  largeCash: null,
+  buyerRiskLevel: 'low',
+  ...overrides
+});
+
+describe('Funds Receipts', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findLargeCash', () => {
+    it('should flag a single cash amount of $10,000 or more', () => {
+      expect(findLargeCash(cash(10000, 0), [])).toMatchObject({ aggregateAmount: 10000, relatedReceipts: [] });
+      expect(findLargeCash(cash(9999.99, 0), [])).toBeNull();
+    });
+
+    it('should add up cash from the same payer within 24 hours', () => {
+      const earlier = cash(6000, 20);
+
+      expect(findLargeCash(cash(5000, 0), [earlier])).toEqual({
+        aggregateAmount: 11000,
+        relatedReceipts: [earlier._id]
+      });
+    });
+
+    it('should not add up cash more than 24 hours apart', () => {
+      expect(findLargeCash(cash(5000, 0), [cash(6000, 25)])).toBeNull();
+    });
+
+    it('should ignore other payment methods', () => {
+      expect(findLargeCash(buildFundsReceipt(transaction, { amount: 50000 }), [])).toBeNull();
+    });
+  });
+
+  describe('evaluateIndicators', () => {
+    const codes = (receipt, ctx) => evaluateIndicators(receipt, context(ctx)).map(i => i.code);
+
+    it('should find nothing in an ordinary deposit from the buyer', () => {
+      expect(codes(buildFundsReceipt(transaction))).toEqual([]);
+    });
+
+    it('should flag cash structured under the threshold', () => {
+      expect(codes(cash(5000, 0), { recentCash: [cash(5000, 72)] })).toContain('CASH_STRUCTURING');
+      expect(codes(cash(9500, 0))).toEqual(['CASH_NEAR_THRESHOLD']);
+    });
+
+    it('should flag third parties and payers other than the buyer', () => {
+      const thirdParty = buildFundsReceipt(transaction, {
+        thirdParty: { involved: true, person: { name: 'Uncle Bob', address: '2 Side St' }, relationship: 'Uncle' }
+      });
+      const stranger = buildFundsReceipt(transaction, { payer: { name: 'Someone Else', address: '3 Elm St' } });
+
+      expect(codes(thirdParty)).toEqual(['THIRD_PARTY']);
+      expect(codes(stranger)).toEqual(['PAYER_NOT_BUYER', 'PAYER_NOT_IDENTIFIED']);
+    });
+
+    it('should flag foreign accounts, excess funds and unexplained gifts', () => {
+      expect(codes(buildFundsReceipt(transaction, { account: { institution: 'HSBC', number: '1', country: 'Hong Kong' } })))
+        .toEqual(['FOREIGN_ACCOUNT']);
+      expect(codes(buildFundsReceipt(transaction, { amount: 50000 }))).toEqual(['EXCESS_FUNDS']);
+      expect(codes(buildFundsReceipt(transaction, { sourceOfFunds: { type: 'gift' } }))).toEqual(['UNEXPLAINED_SOURCE']);
+    });
+
+    it('should flag high-risk buyers', () => {
+      expect(codes(buildFundsReceipt(transaction), { buyerRiskLevel: 'high' })).toEqual(['HIGH_RISK_CLIENT']);
+    });
+  });
+
+  describe('recordFundsReceipt', () => {
+    const buyerAccount = new User({
+      _id: buyer._id,
+      name: 'Jane',
+      email: 'jane@example.com',
+      password: 'secret123',
+      fintracCompliance: {
+        verified: true,
+        legalFirstName: 'Jane',
+        legalLastName: 'Buyer',
+        occupation: 'Engineer',
+        address: { street: '1 Main St', city: 'Toronto', province: 'ON' }
+      }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(buyerAccount);
+      jest.spyOn(FundsReceipt.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    });
+
+    it('should take the payer from the buyer and keep the record five years', async () => {
+      jest.spyOn(FundsReceipt, 'find').mockResolvedValue([]);
+
+      const receipt = await recordFundsReceipt(transaction, {
+        amount: 40000,
+        method: 'bank_draft',
+        receivedAt: NOW,
+        account: { institution: 'TD Bank', number: '1234567890' },
+        thirdParty: { involved: false },
+        sourceOfFunds: { type: 'savings' }
+      }, { now: NOW });
+
+      expect(receipt.payer.toObject()).toMatchObject({ name: 'Jane Buyer', occupation: 'Engineer', identificationVerified: true });
+      expect(receipt.payer.address).toBe('1 Main St, Toronto, ON, Canada');
+      expect(receipt.retainUntil).toEqual(new Date('2031-06-01T12:00:00Z'));
+      expect(receipt.review.status).toBe('not_required');
+    });
+
+    it('should flag large cash and queue it for review with a report deadline', async () => {
+      const earlier = cash(7000, 3);
+      jest.spyOn(FundsReceipt, 'find')
+        .mockResolvedValueOnce([earlier])
+        .mockResolvedValueOnce([earlier]);
+
+      const receipt = await recordFundsReceipt(transaction, {
+        amount: 3000,
+        method: 'cash',
+        purpose: 'additional_deposit',
+        receivedAt: NOW,
+        thirdParty: { involved: false },
+        sourceOfFunds: { type: 'savings' }
+      }, { now: NOW });
+
+      expect(receipt.largeCash.flagged).toBe(true);
+      expect(receipt.largeCash.aggregateAmount).toBe(10000);
+      expect(receipt.largeCash.reportDueBy).toEqual(new Date('2026-06-16T12:00:00Z'));
+      expect(receipt.indicators.map(i => i.code)).toContain('LARGE_CASH');
+      expect(receipt.review.status).toBe('pending');
+    });
+
+    it('should only copy identity details from a party to the transaction', async () => {
+      await expect(recordFundsReceipt(transaction, {
+        amount: 40000,
+        method: 'bank_draft',
+        payer: { user: new mongoose.Types.ObjectId() },
+        thirdParty: { involved: false },
+        sourceOfFunds: { type: 'savings' }
+      }, { now: NOW })).rejects.toThrow(/must be a party to the transaction/);
+      expect(User.findById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse funds received in the future', async () => {
+      await expect(recordFundsReceipt(transaction, { receivedAt: new Date(NOW.getTime() + HOUR) }, { now: NOW }))
+        .rejects.toThrow(/future/);
+    });
+  });
+
+  describe('reviewFundsReceipt', () => {
+    const reviewer = { _id: new mongoose.Types.ObjectId() };
+
+    it('should require the large cash report before clearing', () => {
+      const receipt = cash(12000, 0);
+      receipt.largeCash = { flagged: true, aggregateAmount: 12000 };
+
+      expect(() => reviewFundsReceipt(receipt, { decision: 'cleared', notes: 'ok' }, reviewer, NOW))
+        .toThrow(/large cash transaction report/);
+
+      reviewFundsReceipt(receipt, { decision: 'cleared', notes: 'ok', lctrReference: 'LCTR-1' }, reviewer, NOW);
+      expect(receipt.largeCash.reportReference).toBe('LCTR-1');
+      expect(receipt.review.status).toBe('cleared');
+    });
+
+    it('should require a report reference to mark a receipt reported', () => {
+      expect(() => reviewFundsReceipt(buildFundsReceipt(transaction), { decision: 'reported', notes: 'x' }, reviewer, NOW))
+        .toThrow(/report reference/);
+    });
+
+    it('should not reopen a reported receipt', () => {
+      const receipt = buildFundsReceipt(transaction, { review: { status: 'reported', reportReference: 'STR-1' } });
+
+      expect(() => reviewFundsReceipt(receipt, { decision: 'cleared', notes: 'x' }, reviewer, NOW))
+        .toThrow(expect.objectContaining({ status: 409 }));
+    });
+  });
+
+  describe('FundsReceipt', () => {
+    it('should not allow the recorded funds to change', () => {
+      const receipt = buildFundsReceipt(transaction);
+      receipt.isNew = false;
+
+      receipt.amount = 1;
+
+      expect(receipt.amount).toBe(40000);
+    });
+  });
+
+  describe('receiptView', () => {
+    it('should mask the account number and hide the review from parties', () => {
+      const view = receiptView(buildFundsReceipt(transaction));
+
+      expect(view.account.number).toBe('****7890');
+      expect(view).not.toHaveProperty('indicators');
+      expect(receiptView(buildFundsReceipt(transaction), { reviewer: true }).account.number).toBe('1234567890');
+    });
+
+    it('should show parties the payer by name only', () => {
+      const receipt = buildFundsReceipt(transaction, {
+        payer: { user: buyer._id, name: 'Jane Buyer', address: '1 Main St', dateOfBirth: new Date('1990-01-01'), occupation: 'Engineer' },
+        thirdParty: { involved: true, person: { name: 'Pat Parent', address: '2 Oak St' }, relationship: 'parent' }
+      });
+
+      const view = receiptView(receipt);
+
+      expect(view.payer).toEqual({ user: buyer._id, name: 'Jane Buyer' });
+      expect(view.thirdParty).toMatchObject({ involved: true, relationship: 'parent', person: { name: 'Pat Parent' } });
+      expect(view.thirdParty.person).not.toHaveProperty('address');
+      expect(receiptView(receipt, { reviewer: true }).payer.occupation).toBe('Engineer');
+    });
+  });
+});
@@ -2,11 +2,21 @@
  * Global test setup - runs once before all tests
  */
 
+const { MongoBinary } = require('mongodb-memory-server');
+
 module.exports = async () => {
   // Set test environment variables
   process.env.NODE_ENV = 'test';
   process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing';
   process.env.MONGO_URI = process.env.MONGO_URI_TEST || 'mongodb://localhost:27017/real-estate-test';
 
+  // Replica set tests need a mongod binary, downloaded on first use and
+  // cached; without one (e.g. offline) they are skipped
+  try {
+    process.env.MONGOMS_SYSTEM_BINARY = await MongoBinary.getPath();
+  } catch (err) {
+    console.log(`\n⚠️  No mongod binary, skipping replica set tests: ${err.message.split('\n')[0]}`);
+  }
+
   console.log('\n🧪 Starting test suite...');
 };
@@ -0,0 +1,197 @@
+/**
+ * Local Signing Tests
+ * Tests for the built-in e-signature provider: stored envelopes and token
+ * hashes, signer order, and stamping signatures into the PDF
+ */
+
+const fs = require('fs');
+const { PDFDocument } = require('pdf-lib');
+const mongoose = require('mongoose');
+const SigningEnvelope = require('../models/signing-envelope.model');
+const Document = require('../models/document.model');
+const Notification = require('../models/notification.model');
+const Transaction = require('../models/transaction.model');
+const User = require('../models/user.model');
+const pdfGenerator = require('../services/pdf-generator');
+const { ESignatureService, esignatureService } = require('../services/esignature.service');
+const { resolveSigners, getBlockedReason, signEnvelope } = require('../services/local-signing.service');
+const { recordPdfVersion, hashFile, verifyDocumentIntegrity } = require('../services/document-integrity.service');
+
+// 1x1 PNG
+const SIGNATURE = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const buildEnvelope = (overrides = {}) => new SigningEnvelope({
+  envelopeId: 'ENV-TEST',
+  documentType: 'agreement_purchase_sale',
+  documentName: 'Agreement of Purchase and Sale',
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  signers: [
+    { order: 0, role: 'buyer', name: 'Jane Buyer', email: 'buyer@example.com', tokenHash: esignatureService.hashSignatureToken('aa11') },
+    { order: 1, role: 'seller', name: 'John Seller', email: 'seller@example.com', tokenHash: esignatureService.hashSignatureToken('bb22') }
+  ],
+  ...overrides
+});
+
+describe('Local Signing', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createLocalSigningRequest', () => {
+    it('should store the envelope with token hashes and order signers by role', async () => {
+      const create = jest.spyOn(SigningEnvelope, 'create').mockResolvedValue({});
+      const service = new ESignatureService();
+
+      const result = await service.createLocalSigningRequest({
+        envelopeId: 'ENV-1',
+        documentType: 'agreement_purchase_sale',
+        documentPath: '/tmp/aps.pdf',
+        signers: [
+          { email: 'seller@example.com', name: 'Seller', role: 'seller' },
+          { email: 'buyer@example.com', name: 'Buyer', role: 'buyer' }
+        ],
+        expiresInDays: 30
+      });
+
+      expect(result.signers.map(s => s.role)).toEqual(['buyer', 'seller']);
+      expect(result.signers[1].signingUrl).toMatch(/\/api\/documents\/sign\/ENV-1\?signer=1&token=[a-f0-9]{64}$/);
+
+      const stored = create.mock.calls[0][0];
+      expect(stored.signers[0].tokenHash).toBe(service.hashSignatureToken(result.signers[0].signatureToken));
+      expect(stored.signers[0].tokenHash).not.toBe(result.signers[0].signatureToken);
+      expect(stored.signers[0]).not.toHaveProperty('signatureToken');
+    });
+  });
+
+  describe('resolveSigners', () => {
+    it('should send a party\'s link to their own account, not an address the sender chose', async () => {
+      const seller = { _id: new mongoose.Types.ObjectId(), name: 'Sam Seller', email: 'sam@example.com' };
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => seller });
+      const document = new Document({
+        documentType: 'mutual_release',
+        requiredSignatures: [{ role: 'seller', userId: seller._id, name: seller.name, email: seller.email }]
+      });
+
+      const signers = await resolveSigners(document, [
+        { role: 'seller', email: 'proposer@example.com', name: 'Not The Seller' }
+      ]);
+
+      expect(User.findById).toHaveBeenCalledWith(seller._id);
+      expect(signers).toEqual([{ email: 'sam@example.com', name: 'Sam Seller', role: 'seller', order: 1, userId: seller._id }]);
+    });
+
+    it('should bind the buyer and seller of a transaction document to the parties', async () => {
+      const buyer = { _id: new mongoose.Types.ObjectId(), name: 'Jane Buyer', email: 'jane@example.com' };
+      const transaction = { buyer: buyer._id, seller: new mongoose.Types.ObjectId() };
+      jest.spyOn(Transaction, 'findById').mockReturnValue({ select: async () => transaction });
+      jest.spyOn(User, 'findById').mockReturnValue({ select: async () => buyer });
+      const document = new Document({
+        transaction: new mongoose.Types.ObjectId(),
+        documentType: 'agreement_purchase_sale',
+        requiredSignatures: [{ role: 'buyer' }, { role: 'witness' }]
+      });
+
+      const signers = await resolveSigners(document, [
+        { role: 'buyer', email: 'someone@example.com' },
+        { role: 'witness', email: 'witness@example.com', name: 'Wes Witness', order: 3 }
+      ]);
+
+      expect(signers[0]).toMatchObject({ email: 'jane@example.com', name: 'Jane Buyer', userId: buyer._id });
+      expect(signers[1]).toEqual({ email: 'witness@example.com', name: 'Wes Witness', role: 'witness', order: 3, userId: undefined });
+    });
+  });
+
+  describe('verifySignatureToken', () => {
+    it('should accept only the matching token', () => {
+      const hash = esignatureService.hashSignatureToken('abc123');
+
+      expect(esignatureService.verifySignatureToken('abc123', hash)).toBe(true);
+      expect(esignatureService.verifySignatureToken('abc124', hash)).toBe(false);
+      expect(esignatureService.verifySignatureToken(undefined, hash)).toBe(false);
+    });
+  });
+
+  describe('getBlockedReason', () => {
+    it('should make later signers wait their turn', () => {
+      const envelope = buildEnvelope();
+
+      expect(getBlockedReason(envelope, envelope.signers[0])).toBeNull();
+      expect(getBlockedReason(envelope, envelope.signers[1])).toMatch(/Waiting for Jane Buyer/);
+    });
+
+    it('should block expired and voided envelopes', () => {
+      const expired = buildEnvelope({ expiresAt: new Date(Date.now() - 1000) });
+      const voided = buildEnvelope({ status: 'voided' });
+
+      expect(getBlockedReason(expired, expired.signers[0])).toMatch(/expired/);
+      expect(getBlockedReason(voided, voided.signers[0])).toMatch(/voided/);
+    });
+  });
+
+  describe('signEnvelope', () => {
+    it('should reject a wrong token', async () => {
+      jest.spyOn(SigningEnvelope, 'findOne').mockResolvedValue(buildEnvelope());
+
+      await expect(signEnvelope('ENV-TEST', 0, 'ffff', { signatureImage: SIGNATURE }))
+        .rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should reject signing out of order', async () => {
+      jest.spyOn(SigningEnvelope, 'findOne').mockResolvedValue(buildEnvelope());
+
+      await expect(signEnvelope('ENV-TEST', 1, 'bb22', { signatureImage: SIGNATURE }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should reject a signature that is not a PNG', async () => {
+      await expect(signEnvelope('ENV-TEST', 0, 'aa11', { signatureImage: 'data:text/html;base64,PGI+' }))
+        .rejects.toThrow(/PNG/);
+    });
+
+    it('should complete the envelope and stamp the PDF on the last signature', async () => {
+      const { filePath } = await pdfGenerator.generateDocument('mutual_release', { documentId: 'local_signing_test' }, 'ON');
+      const document = new Document({
+        documentType: 'agreement_purchase_sale',
+        province: 'ON',
+        title: 'Agreement of Purchase and Sale',
+        createdBy: new mongoose.Types.ObjectId(),
+        generatedPdfPath: filePath
+      });
+      recordPdfVersion(document, 'generated', filePath);
+      const envelope = buildEnvelope({ sourcePdfPath: filePath, document: document._id });
+      envelope.signers[0].status = 'signed';
+      envelope.signers[0].signedAt = new Date();
+      envelope.signers[0].signatureImage = SIGNATURE;
+
+      jest.spyOn(SigningEnvelope, 'findOne').mockResolvedValue(envelope);
+      jest.spyOn(Document, 'findById').mockResolvedValue(document);
+      jest.spyOn(document, 'save').mockResolvedValue(document);
+      const updateOne = jest.spyOn(SigningEnvelope, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Notification, 'create').mockResolvedValue({});
+
+      const result = await signEnvelope('ENV-TEST', 1, 'bb22', { signatureImage: SIGNATURE, ipAddress: '127.0.0.1' });
+
+      try {
+        expect(result.completed).toBe(true);
+        expect(result.pendingSigners).toEqual([]);
+        expect(updateOne).toHaveBeenCalledWith(
+          { envelopeId: 'ENV-TEST', status: 'pending' },
+          { $set: expect.objectContaining({ status: 'completed' }) }
+        );
+
+        const original = await PDFDocument.load(fs.readFileSync(filePath));
+        const signed = await PDFDocument.load(fs.readFileSync(envelope.signedPdfPath));
+        expect(envelope.signedPdfPath).toMatch(/_signed\.pdf$/);
+        expect(signed.getPageCount()).toBe(original.getPageCount() + 1);
+
+        expect(document.status).toBe('signed');
+        expect(document.generatedPdfPath).toBe(envelope.signedPdfPath);
+        expect(document.fileHash).toBe(hashFile(envelope.signedPdfPath));
+        expect(document.signatures[0].documentHash).toBe(hashFile(filePath));
+        expect(verifyDocumentIntegrity(document).valid).toBe(true);
+      } finally {
+        [filePath, envelope.signedPdfPath].forEach(p => p && fs.existsSync(p) && fs.unlinkSync(p));
+      }
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Mortgage Service Tests
+ * Tests minimum down payment, mortgage default insurance, the stress test,
+ * GDS/TDS ratios and amortization with semi-annual compounding
+ */
+
+const {
+  calculateMinimumDownPayment,
+  calculateInsurancePremium,
+  calculateQualifyingRate,
+  periodicRate,
+  calculatePayment,
+  buildAmortizationSchedule,
+  calculateDebtServiceRatios,
+  checkOfferFinancing
+} = require('../services/mortgage.service');
+
+describe('Mortgage Service', () => {
+  describe('calculateMinimumDownPayment', () => {
+    it('should require 5% up to $500,000', () => {
+      expect(calculateMinimumDownPayment(400000).minimumDownPayment).toBe(20000);
+    });
+
+    it('should require 10% on the portion above $500,000', () => {
+      const result = calculateMinimumDownPayment(700000);
+
+      expect(result.minimumDownPayment).toBe(45000);
+      expect(result.tiers).toHaveLength(2);
+    });
+
+    it('should require 20% at $1.5 million or more', () => {
+      const result = calculateMinimumDownPayment(1500000);
+
+      expect(result.minimumDownPayment).toBe(300000);
+      expect(result.insurable).toBe(false);
+    });
+  });
+
+  describe('calculateInsurancePremium', () => {
+    it('should not require insurance with 20% down', () => {
+      const result = calculateInsurancePremium({ purchasePrice: 500000, downPayment: 100000 });
+
+      expect(result.required).toBe(false);
+      expect(result.premium).toBe(0);
+    });
+
+    it('should charge 4% at 95% LTV and add it to the mortgage', () => {
+      const result = calculateInsurancePremium({ purchasePrice: 500000, downPayment: 25000, province: 'AB' });
+
+      expect(result.premiumRate).toBe(0.04);
+      expect(result.premium).toBe(19000);
+      expect(result.totalMortgage).toBe(494000);
+      expect(result.premiumTax).toBe(0);
+    });
+
+    it('should add provincial sales tax on the premium in Ontario', () => {
+      const result = calculateInsurancePremium({ purchasePrice: 500000, downPayment: 50000, province: 'ON' });
+
+      // 90% LTV: 3.10% premium, 8% tax paid on closing
+      expect(result.premium).toBe(13950);
+      expect(result.premiumTax).toBe(1116);
+      expect(result.totalMortgage).toBe(463950);
+    });
+
+    it('should add the surcharge for a 30-year amortization when eligible', () => {
+      const result = calculateInsurancePremium({
+        purchasePrice: 500000,
+        downPayment: 50000,
+        amortization: 30,
+        isFirstTimeBuyer: true
+      });
+
+      expect(result.premiumRate).toBe(0.033);
+    });
+
+    it('should refuse 30 years for other buyers', () => {
+      const result = calculateInsurancePremium({ purchasePrice: 500000, downPayment: 50000, amortization: 30 });
+
+      expect(result.available).toBe(false);
+      expect(result.reasons[0]).toMatch(/25 years/);
+    });
+
+    it('should refuse a down payment below the minimum', () => {
+      const result = calculateInsurancePremium({ purchasePrice: 700000, downPayment: 35000 });
+
+      expect(result.available).toBe(false);
+      expect(result.reasons[0]).toMatch(/below the minimum/);
+    });
+  });
+
+  describe('calculateQualifyingRate', () => {
+    it('should use the contract rate plus 2%', () => {
+      expect(calculateQualifyingRate(4.5)).toBe(6.5);
+    });
+
+    it('should not go below the 5.25% floor', () => {
+      expect(calculateQualifyingRate(2.99)).toBe(5.25);
+    });
+  });
+
+  describe('Payments', () => {
+    it('should compound semi-annually', () => {
+      // 5% semi-annual is 5.0625% effective
+      expect(Math.pow(1 + periodicRate(5, 12), 12) - 1).toBeCloseTo(0.050625, 10);
+    });
+
+    it('should calculate the monthly payment', () => {
+      expect(calculatePayment(400000, 5, 25)).toBe(2326.42);
+    });
+
+    it('should halve the monthly payment for accelerated bi-weekly', () => {
+      expect(calculatePayment(400000, 5, 25, 'accelerated_biweekly')).toBe(1163.21);
+    });
+
+    it('should reject an unknown frequency', () => {
+      expect(() => calculatePayment(400000, 5, 25, 'daily')).toThrow(/frequency/);
+    });
+
+    it('should handle a zero rate', () => {
+      expect(calculatePayment(300000, 0, 25)).toBe(1000);
+    });
+  });
+
+  describe('buildAmortizationSchedule', () => {
+    it('should pay the balance to zero over the amortization', () => {
+      const result = buildAmortizationSchedule(400000, 5, 25);
+      const last = result.schedule[result.schedule.length - 1];
+
+      expect(result.payments).toBe(300);
+      expect(last.balance).toBe(0);
+      expect(result.yearly).toHaveLength(25);
+      expect(result.totalPaid).toBeCloseTo(400000 + result.totalInterest, 2);
+    });
+
+    it('should split each payment into interest and principal', () => {
+      const { schedule } = buildAmortizationSchedule(400000, 5, 25);
+
+      expect(schedule[0].interest).toBe(Math.round(400000 * periodicRate(5, 12) * 100) / 100);
+      expect(schedule[0].interest + schedule[0].principal).toBeCloseTo(2326.42, 2);
+    });
+
+    it('should pay off early with accelerated payments', () => {
+      const monthly = buildAmortizationSchedule(400000, 5, 25);
+      const accelerated = buildAmortizationSchedule(400000, 5, 25, 'accelerated_biweekly');
+
+      expect(accelerated.payoffYears).toBeLessThan(25);
+      expect(accelerated.totalInterest).toBeLessThan(monthly.totalInterest);
+    });
+  });
+
+  describe('calculateDebtServiceRatios', () => {
+    it('should qualify at the stress-test rate', () => {
+      const result = calculateDebtServiceRatios({
+        annualIncome: 150000,
+        mortgageAmount: 494000,
+        contractRate: 4.5,
+        annualPropertyTax: 5000
+      });
+
+      expect(result.qualifyingRate).toBe(6.5);
+      expect(result.qualifyingPayment).toBeGreaterThan(result.contractPayment);
+      expect(result.gds).toBeLessThan(39);
+      expect(result.qualifies).toBe(true);
+    });
+
+    it('should fail TDS when other debts are too high', () => {
+      const result = calculateDebtServiceRatios({
+        annualIncome: 150000,
+        mortgageAmount: 494000,
+        contractRate: 4.5,
+        annualPropertyTax: 5000,
+        monthlyDebts: 2000
+      });
+
+      expect(result.tds).toBeGreaterThan(44);
+      expect(result.qualifies).toBe(false);
+    });
+  });
+
+  describe('checkOfferFinancing', () => {
+    it('should warn when the down payment is below the legal minimum', () => {
+      const warnings = checkOfferFinancing({
+        offerPrice: 700000,
+        financing: { type: 'insured', downPaymentPercentage: 5 }
+      });
+
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toMatch(/below the legal minimum of \$45,000/);
+    });
+
+    it('should warn when insured financing is not available', () => {
+      const warnings = checkOfferFinancing({
+        offerPrice: 1600000,
+        financing: { type: 'insured', downPaymentAmount: 400000 }
+      });
+
+      expect(warnings).toEqual([expect.stringMatching(/not available/)]);
+    });
+
+    it('should not warn about cash offers or enough down', () => {
+      expect(checkOfferFinancing({ offerPrice: 700000, financing: { type: 'cash' } })).toEqual([]);
+      expect(checkOfferFinancing({
+        offerPrice: 700000,
+        financing: { type: 'conventional', downPaymentAmount: 140000 }
+      })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Mutual Release Tests
+ * Tests for ending an agreement by mutual release: the proposal and its
+ * deposit split, declining and withdrawing, and cancelling once both sign
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction.model');
+const Document = require('../models/document.model');
+const DocumentVersion = require('../models/document-version.model');
+const TrustLedgerEntry = require('../models/trust-ledger-entry.model');
+const Notification = require('../models/notification.model');
+const Listing = require('../models/listing.model');
+const Property = require('../models/property.model');
+const SigningEnvelope = require('../models/signing-envelope.model');
+const pdfGenerator = require('../services/pdf-generator');
+const {
+  getDepositDisposition,
+  proposeMutualRelease,
+  closeMutualRelease,
+  completeMutualRelease
+} = require('../services/mutual-release.service');
+const { NOW, buyer, seller, mockQuery, buildTransaction } = require('./fixtures');
+
+const mockDepositHeld = (amount) => {
+  const entries = amount ? [new TrustLedgerEntry({
+    lines: [
+      { account: 'trust_bank', debit: amount, party: 'buyer' },
+      { account: 'deposits_held', credit: amount, party: 'buyer' }
+    ]
+  })] : [];
+  jest.spyOn(TrustLedgerEntry, 'find').mockReturnValue({ sort: async () => entries });
+};
+
+describe('Mutual Release', () => {
+  beforeEach(() => {
+    jest.spyOn(Notification, 'create').mockResolvedValue({});
+    jest.spyOn(Document.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDepositDisposition', () => {
+    it('should describe where the deposit goes', () => {
+      expect(getDepositDisposition({ depositToBuyer: 40000, depositToSeller: 0 })).toBe('returned_to_buyer');
+      expect(getDepositDisposition({ depositToBuyer: 0, depositToSeller: 40000 })).toBe('released_to_seller');
+      expect(getDepositDisposition({ depositToBuyer: 30000, depositToSeller: 10000 })).toBe('split');
+      expect(getDepositDisposition({ depositToBuyer: 0, depositToSeller: 0 })).toBeUndefined();
+    });
+  });
+
+  describe('proposeMutualRelease', () => {
+    beforeEach(() => {
+      jest.spyOn(pdfGenerator, 'generateDocument').mockResolvedValue({ filePath: __filename, fileName: 'release.pdf' });
+      jest.spyOn(DocumentVersion, 'create').mockResolvedValue({});
+      jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    it('should generate the release for both parties and return the deposit to the buyer by default', async () => {
+      const transaction = buildTransaction();
+      jest.spyOn(Transaction, 'findById')
+        .mockReturnValueOnce(mockQuery(transaction))
+        .mockResolvedValueOnce(transaction);
+      mockDepositHeld(40000);
+
+      const { document } = await proposeMutualRelease({
+        transactionId: transaction._id,
+        userId: buyer._id.toString(),
+        reason: 'Financing not approved',
+        failedCondition: 'Financing',
+        now: NOW
+      });
+
+      expect(document.documentType).toBe('mutual_release');
+      expect(document.status).toBe('pending_signatures');
+      expect(document.content).toMatchObject({
+        depositAmount: 40000,
+        depositHolder: "Seller's lawyer",
+        depositToBuyer: 40000,
+        depositToSeller: 0
+      });
+      expect(document.requiredSignatures.map(s => [s.role, s.userId])).toEqual([
+        ['buyer', buyer._id],
+        ['seller', seller._id]
+      ]);
+      expect(Transaction.updateOne.mock.calls[0][1].$set.mutualRelease).toMatchObject({
+        status: 'proposed',
+        reason: 'Financing not approved',
+        depositToBuyer: 40000,
+        document: document._id
+      });
+      expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: seller._id,
+        title: 'Mutual Release Proposed'
+      }));
+    });
+
+    it('should need the split to account for the whole deposit held', async () => {
+      jest.spyOn(Transaction, 'findById').mockReturnValueOnce(mockQuery(buildTransaction()));
+      mockDepositHeld(40000);
+
+      await expect(proposeMutualRelease({
+        transactionId: new mongoose.Types.ObjectId(),
+        userId: seller._id.toString(),
+        reason: 'Buyer walked away',
+        depositToBuyer: 10000,
+        depositToSeller: 20000
+      })).rejects.toThrow(/must add up to the \$40,000 deposit/);
+      expect(Transaction.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should allow only one open proposal', async () => {
+      const transaction = buildTransaction({ mutualRelease: { status: 'proposed' } });
+      jest.spyOn(Transaction, 'findById').mockReturnValueOnce(mockQuery(transaction));
+
+      await expect(proposeMutualRelease({ transactionId: transaction._id, userId: buyer._id.toString(), reason: 'x' }))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('closeMutualRelease', () => {
+    const proposed = () => buildTransaction({
+      mutualRelease: { status: 'proposed', proposedBy: buyer._id, document: new mongoose.Types.ObjectId() }
+    });
+
+    it('should not let the proposer decline their own release', async () => {
+      jest.spyOn(Transaction, 'findById').mockReturnValueOnce(mockQuery(proposed()));
+
+      await expect(closeMutualRelease({ transactionId: 'id', userId: buyer._id.toString(), action: 'decline' }))
+        .rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should void the release document when the other party declines', async () => {
+      const transaction = proposed();
+      const document = new Document({ _id: transaction.mutualRelease.document, status: 'partially_signed' });
+      jest.spyOn(Transaction, 'findById')
+        .mockReturnValueOnce(mockQuery(transaction))
+        .mockResolvedValueOnce(transaction);
+      jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Document, 'findById').mockResolvedValue(document);
+      jest.spyOn(SigningEnvelope, 'updateMany').mockResolvedValue({});
+
+      await closeMutualRelease({ transactionId: transaction._id, userId: seller._id.toString(), action: 'decline', reason: 'We can close' });
+
+      expect(Transaction.updateOne.mock.calls[0][1].$set['mutualRelease.status']).toBe('declined');
+      expect(document.status).toBe('voided');
+      expect(SigningEnvelope.updateMany).toHaveBeenCalledWith(
+        { document: document._id, status: 'pending' },
+        { $set: { status: 'voided' } }
+      );
+    });
+  });
+
+  describe('completeMutualRelease', () => {
+    const signedRelease = (transaction, signers) => new Document({
+      transaction: transaction._id,
+      documentType: 'mutual_release',
+      status: 'signed',
+      signatures: signers.map(([role, userId]) => ({ role, userId }))
+    });
+
+    it('should cancel the transaction and relist the property once both parties sign', async () => {
+      const transaction = buildTransaction({ property: new mongoose.Types.ObjectId() });
+      const document = signedRelease(transaction, [['buyer', buyer._id], ['seller', seller._id]]);
+      transaction.mutualRelease = {
+        status: 'proposed',
+        proposedBy: buyer._id,
+        reason: 'Financing not approved',
+        depositToBuyer: 40000,
+        depositToSeller: 0,
+        document: document._id
+      };
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+      jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(Listing, 'findByIdAndUpdate').mockResolvedValue({});
+      jest.spyOn(Property, 'findByIdAndUpdate').mockResolvedValue({});
+
+      expect(await completeMutualRelease(document, { now: NOW })).toBe(transaction);
+
+      const { $set } = Transaction.updateOne.mock.calls[0][1];
+      expect($set.status).toBe('cancelled');
+      expect($set['mutualRelease.status']).toBe('signed');
+      expect($set.cancellation).toMatchObject({
+        cancelledBy: buyer._id,
+        reason: 'Mutual release: Financing not approved',
+        depositDisposition: 'returned_to_buyer'
+      });
+      expect(Listing.findByIdAndUpdate).toHaveBeenCalledWith(transaction.listing, { status: 'active' });
+      expect(Property.findByIdAndUpdate).toHaveBeenCalledWith(transaction.property, { status: 'active', activatedAt: NOW });
+    });
+
+    it('should not cancel when someone else signed for a party', async () => {
+      const transaction = buildTransaction();
+      const document = signedRelease(transaction, [['buyer', buyer._id], ['seller', buyer._id]]);
+      transaction.mutualRelease = { status: 'proposed', document: document._id };
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+      jest.spyOn(Transaction, 'updateOne');
+
+      expect(await completeMutualRelease(document)).toBeNull();
+      expect(Transaction.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should ignore releases that are not the open proposal', async () => {
+      const transaction = buildTransaction({ mutualRelease: { status: 'withdrawn' } });
+      jest.spyOn(Transaction, 'findById').mockResolvedValue(transaction);
+
+      expect(await completeMutualRelease(signedRelease(transaction, []))).toBeNull();
+    });
+  });
+});
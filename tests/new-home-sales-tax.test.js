@@ -0,0 +1,131 @@
+/**
+ * New Home Sales Tax Tests
+ * Tests GST/HST/QST on new construction, the new housing rebates and
+ * their phase-outs, and tax-included prices
+ */
+
+const {
+  calculateNewHomeSalesTax,
+  estimateClosingCosts,
+  normalizeTaxOptions
+} = require('../config/provinces');
+
+describe('New Home Sales Tax', () => {
+  it('should exempt resale homes', () => {
+    const result = calculateNewHomeSalesTax('ON', 600000, {});
+
+    expect(result.taxable).toBe(false);
+    expect(result.netTax).toBe(0);
+    expect(result.explanations[0]).toMatch(/exempt/);
+  });
+
+  it('should throw for an unknown province', () => {
+    expect(() => calculateNewHomeSalesTax('XX', 500000, { isNewlyBuilt: true })).toThrow();
+  });
+
+  describe('Plus tax', () => {
+    it('should give the full rebates below the federal phase-out', () => {
+      const result = calculateNewHomeSalesTax('ON', 300000, { isNewlyBuilt: true, gstIncluded: false });
+
+      expect(result.gst).toBe(15000);
+      expect(result.provincialTax).toBe(24000);
+      expect(result.federalRebate).toBe(5400);
+      expect(result.provincialRebate).toBe(18000);
+      expect(result.netTax).toBe(15600);
+      expect(result.payableOnClosing).toBe(15600);
+    });
+
+    it('should phase out the federal rebate between $350,000 and $450,000', () => {
+      const result = calculateNewHomeSalesTax('ON', 400000, { isNewlyBuilt: true, gstIncluded: false });
+
+      // $6,300 maximum halfway through the phase-out
+      expect(result.federalRebate).toBe(3150);
+      expect(result.provincialRebate).toBe(24000);
+    });
+
+    it('should give no federal rebate at $450,000 or more', () => {
+      const result = calculateNewHomeSalesTax('ON', 900000, { isNewlyBuilt: true, gstIncluded: false });
+
+      expect(result.federalRebate).toBe(0);
+      expect(result.provincialRebate).toBe(24000);
+      expect(result.explanations.join(' ')).toMatch(/No GST\/HST new housing rebate/);
+    });
+
+    it('should charge GST only in provinces without HST', () => {
+      const result = calculateNewHomeSalesTax('AB', 300000, { isNewlyBuilt: true, gstIncluded: false });
+
+      expect(result.provincialTax).toBe(0);
+      expect(result.netTax).toBe(15000 - 5400);
+    });
+
+    it('should phase out the QST rebate between $200,000 and $225,000', () => {
+      const result = calculateNewHomeSalesTax('QC', 212500, { isNewlyBuilt: true, gstIncluded: false });
+      const fullQstRebate = Math.min(212500 * 0.09975 * 0.36, 9975);
+
+      expect(result.taxType).toBe('GST_QST');
+      expect(result.provincialRebate).toBeCloseTo(fullQstRebate / 2, 1);
+    });
+
+    it('should tax substantial renovations like new homes', () => {
+      const result = calculateNewHomeSalesTax('NB', 300000, { isSubstantialRenovation: true, gstIncluded: false });
+
+      expect(result.taxable).toBe(true);
+      expect(result.provincialTax).toBe(30000);
+    });
+
+    it('should deny rebates when the home is not a primary residence', () => {
+      const result = calculateNewHomeSalesTax('ON', 300000, {
+        isNewlyBuilt: true,
+        gstIncluded: false,
+        primaryResidence: false
+      });
+
+      expect(result.federalRebate).toBe(0);
+      expect(result.provincialRebate).toBe(0);
+      expect(result.netTax).toBe(39000);
+    });
+  });
+
+  describe('Tax included', () => {
+    it('should back out a pre-tax price that grosses up to the offer price', () => {
+      const result = calculateNewHomeSalesTax('ON', 800000, { isNewlyBuilt: true, gstIncluded: true });
+
+      expect(result.basePrice + result.netTax).toBeCloseTo(800000, 0);
+      expect(result.payableOnClosing).toBe(0);
+    });
+
+    it('should handle prices inside the phase-out range', () => {
+      const result = calculateNewHomeSalesTax('ON', 430000, { isNewlyBuilt: true, gstIncluded: true });
+
+      expect(result.basePrice).toBeGreaterThan(350000);
+      expect(result.basePrice).toBeLessThan(450000);
+      expect(result.basePrice + result.netTax).toBeCloseTo(430000, 0);
+    });
+  });
+
+  it('should parse the new home options from a query string', () => {
+    const options = normalizeTaxOptions({ isNewlyBuilt: 'true', gstIncluded: 'false' });
+
+    expect(options.isNewlyBuilt).toBe(true);
+    expect(options.gstIncluded).toBe(false);
+    expect(options.primaryResidence).toBe(true);
+  });
+
+  describe('Closing costs', () => {
+    it('should add net tax payable on a plus-tax purchase', () => {
+      const resale = estimateClosingCosts('ON', 300000, {});
+      const plusTax = estimateClosingCosts('ON', 300000, { isNewlyBuilt: true, gstIncluded: false });
+
+      expect(plusTax.total - resale.total).toBe(15600);
+      expect(plusTax.lineItems).toContainEqual(expect.objectContaining({ code: 'sales_tax', amount: 15600 }));
+    });
+
+    it('should show tax included in the price without adding to the total', () => {
+      const resale = estimateClosingCosts('ON', 300000, {});
+      const included = estimateClosingCosts('ON', 300000, { isNewlyBuilt: true, gstIncluded: true });
+
+      expect(included.total).toBe(resale.total);
+      expect(included.lineItems).toContainEqual(expect.objectContaining({ code: 'sales_tax', amount: 0 }));
+    });
+  });
+});
@@ -3,6 +3,10 @@
  * Tests for notification system functionality
  */
 
+const mongoose = require('mongoose');
+const Notification = require('../models/notification.model');
+const { formatAddress } = require('../services/notification.service');
+
 describe('Notification System', () => {
   describe('Notification Types', () => {
     const validTypes = ['offer', 'message', 'transaction', 'document', 'payment', 'system'];
@@ -129,4 +133,47 @@ describe('Notification System', () => {
       expect(unreadCount).toBe(0);
     });
   });
+
+  describe('Notification Model', () => {
+    const userId = new mongoose.Types.ObjectId();
+
+    it('should default to unread', () => {
+      const notification = new Notification({ user: userId, type: 'offer', title: 'New Offer Received' });
+      expect(notification.read).toBe(false);
+      expect(notification.readAt).toBeUndefined();
+    });
+
+    it('should accept showing and condition types', () => {
+      ['showing', 'condition'].forEach(type => {
+        const notification = new Notification({ user: userId, type, title: 'Update' });
+        expect(notification.validateSync()).toBeUndefined();
+      });
+    });
+
+    it('should reject unknown types', () => {
+      const notification = new Notification({ user: userId, type: 'invalid', title: 'Update' });
+      expect(notification.validateSync().errors.type).toBeDefined();
+    });
+
+    it('should set readAt once when marked read', () => {
+      const notification = new Notification({ user: userId, type: 'message', title: 'New Message' });
+
+      notification.markRead();
+      const firstReadAt = notification.readAt;
+      notification.markRead();
+
+      expect(notification.read).toBe(true);
+      expect(notification.readAt).toBe(firstReadAt);
+    });
+  });
+
+  describe('formatAddress', () => {
+    it('should join street and city', () => {
+      expect(formatAddress({ address: { street: '123 Main St', city: 'Toronto' } })).toBe('123 Main St, Toronto');
+    });
+
+    it('should fall back when address is missing', () => {
+      expect(formatAddress(null)).toBe('your property');
+    });
+  });
 });
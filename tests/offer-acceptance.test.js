@@ -0,0 +1,171 @@
+/**
+ * Offer Acceptance Tests
+ * Concurrency tests for atomic offer acceptance against an in-memory
+ * MongoDB replica set (multi-document transactions need a replica set).
+ * Skipped when globalSetup could not get a mongod binary.
+ */
+
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Offer = require('../models/offer.model');
+const Listing = require('../models/listing.model');
+const Property = require('../models/property.model');
+const Transaction = require('../models/transaction.model');
+const Condition = require('../models/condition.model');
+const User = require('../models/user.model');
+const { acceptOffer } = require('../services/offer-acceptance.service');
+const { HttpError } = require('../services/errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const describeWithMongod = process.env.MONGOMS_SYSTEM_BINARY ? describe : describe.skip;
+
+describeWithMongod('Offer Acceptance', () => {
+  let replSet;
+  let sellerId;
+  let listing;
+  let offers;
+
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+
+    // Collections must exist before they are written inside a transaction
+    await Promise.all([Offer, Listing, Property, Transaction, Condition, User].map(m => m.createCollection()));
+  }, 60000);
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([Offer, Listing, Property, Transaction, Condition, User].map(m => m.deleteMany({})));
+
+    sellerId = new mongoose.Types.ObjectId();
+    const propertyId = new mongoose.Types.ObjectId();
+    await Property.collection.insertOne({ _id: propertyId, seller: sellerId, status: 'active' });
+
+    listing = await Listing.create({
+      property: propertyId,
+      seller: sellerId,
+      status: 'active',
+      startDate: new Date(),
+      endDate: new Date(Date.now() + 90 * DAY)
+    });
+
+    offers = await Promise.all([1, 2, 3, 4, 5].map(n => Offer.create({
+      property: propertyId,
+      listing: listing._id,
+      buyer: new mongoose.Types.ObjectId(),
+      seller: sellerId,
+      province: 'ON',
+      offerPrice: 800000 + n * 1000,
+      depositAmount: 40000,
+      depositDueDate: new Date(Date.now() + DAY),
+      closingDate: new Date(Date.now() + 60 * DAY),
+      irrevocableDate: new Date(Date.now() + 2 * DAY),
+      conditions: [{ type: 'inspection', deadlineDays: 5 }],
+      status: 'submitted'
+    })));
+
+    // Every party has completed FINTRAC identification
+    await User.collection.insertMany([sellerId, ...offers.map(o => o.buyer)].map(_id => ({
+      _id,
+      fintracCompliance: { verified: true, status: 'verified' }
+    })));
+  });
+
+  const accept = (offer, sellerOverride) => acceptOffer({
+    offerId: offer._id.toString(),
+    sellerId: (sellerOverride || sellerId).toString()
+  });
+
+  it('should accept an offer and reject the others', async () => {
+    const { offer, transaction, otherOffers } = await accept(offers[0]);
+
+    expect(offer.status).toBe('accepted');
+    expect(offer.listing.status).toBe('pending');
+    expect(offer.property.status).toBe('pending');
+    expect(transaction.conditions).toHaveLength(1);
+    expect(otherOffers).toHaveLength(4);
+
+    expect(await Transaction.countDocuments()).toBe(1);
+    expect(await Condition.countDocuments({ transaction: transaction._id })).toBe(1);
+    expect(await Offer.countDocuments({ status: 'rejected' })).toBe(4);
+  });
+
+  it('should let only one of several concurrent accepts win the listing', async () => {
+    const results = await Promise.allSettled(offers.map(o => accept(o)));
+
+    const winners = results.filter(r => r.status === 'fulfilled');
+    const losers = results.filter(r => r.status === 'rejected');
+
+    expect(winners).toHaveLength(1);
+    expect(losers).toHaveLength(offers.length - 1);
+    losers.forEach(r => expect(r.reason).toBeInstanceOf(HttpError));
+
+    expect(await Transaction.countDocuments()).toBe(1);
+    expect(await Condition.countDocuments()).toBe(1);
+    expect(await Offer.countDocuments({ status: 'accepted' })).toBe(1);
+    expect(await Offer.countDocuments({ status: 'rejected' })).toBe(offers.length - 1);
+  });
+
+  it('should let only one of two concurrent accepts of the same offer win', async () => {
+    const results = await Promise.allSettled([accept(offers[0]), accept(offers[0])]);
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect(await Transaction.countDocuments()).toBe(1);
+  });
+
+  it('should roll everything back if acceptance fails midway', async () => {
+    jest.spyOn(Transaction.prototype, 'save').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(accept(offers[0])).rejects.toThrow('disk full');
+
+    expect((await Listing.findById(listing._id)).status).toBe('active');
+    expect((await Offer.findById(offers[0]._id)).status).toBe('submitted');
+    expect(await Offer.countDocuments({ status: 'rejected' })).toBe(0);
+    expect(await Condition.countDocuments()).toBe(0);
+    expect(await Transaction.countDocuments()).toBe(0);
+
+    jest.restoreAllMocks();
+  });
+
+  it('should refuse offers on a listing that is no longer active', async () => {
+    await Listing.updateOne({ _id: listing._id }, { status: 'withdrawn' });
+
+    await expect(accept(offers[0])).rejects.toMatchObject({ status: 409 });
+    expect(await Transaction.countDocuments()).toBe(0);
+  });
+
+  it('should refuse a stale listing version', async () => {
+    // Another request saved the listing after it was read
+    const stale = await Listing.findById(listing._id);
+    const fresh = await Listing.findById(listing._id);
+    fresh.status = 'withdrawn';
+    await fresh.save();
+
+    stale.status = 'pending';
+    await expect(stale.save()).rejects.toThrow(mongoose.Error.VersionError);
+  });
+
+  it('should only let the seller accept', async () => {
+    await expect(accept(offers[0], new mongoose.Types.ObjectId()))
+      .rejects.toMatchObject({ status: 403 });
+  });
+
+  it('should refuse an expired offer', async () => {
+    await Offer.updateOne({ _id: offers[0]._id }, { irrevocableDate: new Date(Date.now() - DAY) });
+
+    await expect(accept(offers[0])).rejects.toMatchObject({ status: 400, message: 'Offer has expired' });
+  });
+
+  it('should refuse until both parties have completed FINTRAC identification', async () => {
+    await User.updateOne({ _id: offers[0].buyer }, { $set: { 'fintracCompliance.verified': false } });
+
+    await expect(accept(offers[0])).rejects.toMatchObject({ status: 403, message: expect.stringMatching(/buyer$/) });
+    expect((await Listing.findById(listing._id)).status).toBe('active');
+    expect(await Transaction.countDocuments()).toBe(0);
+  });
+});
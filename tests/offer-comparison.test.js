@@ -0,0 +1,153 @@
+/**
+ * Offer Comparison Tests
+ * Tests for offer normalization, seller net proceeds and certainty ranking
+ */
+
+const {
+  DEFAULT_CERTAINTY_WEIGHTS,
+  resolveWeights,
+  normalizeOffer,
+  calculateNetProceeds,
+  calculateCertaintyScore,
+  compareOffers
+} = require('../services/offer-comparison.service');
+
+const now = new Date('2026-05-01T12:00:00Z');
+
+const buildOffer = (overrides = {}) => ({
+  _id: overrides._id || 'offer',
+  status: 'submitted',
+  offerPrice: 800000,
+  depositAmount: 40000,
+  depositDueDate: new Date('2026-05-02T00:00:00Z'),
+  closingDate: new Date('2026-06-30T12:00:00Z'),
+  irrevocableDate: new Date('2026-05-02T18:00:00Z'),
+  conditions: [],
+  financing: { type: 'cash' },
+  inclusions: ['Fridge'],
+  exclusions: [],
+  ...overrides
+});
+
+describe('Offer Comparison', () => {
+  describe('normalizeOffer', () => {
+    it('should flatten the terms sellers compare', () => {
+      const normalized = normalizeOffer(buildOffer({
+        conditions: [
+          { type: 'financing', deadlineDays: 5 },
+          { type: 'inspection', deadlineDays: 7 }
+        ],
+        financing: { type: 'conventional', preApproved: true, preApprovalAmount: 640000 }
+      }), now);
+
+      expect(normalized.depositPercent).toBe(5);
+      expect(normalized.isFirm).toBe(false);
+      expect(normalized.daysToFirm).toBe(7);
+      expect(normalized.daysToClosing).toBe(60);
+      expect(normalized.financing).toMatchObject({ type: 'conventional', preApproved: true });
+      expect(normalized.inclusions).toEqual(['Fridge']);
+    });
+
+    it('should treat an offer without conditions as firm', () => {
+      const normalized = normalizeOffer(buildOffer(), now);
+      expect(normalized.isFirm).toBe(true);
+      expect(normalized.daysToFirm).toBe(0);
+    });
+  });
+
+  describe('calculateNetProceeds', () => {
+    it('should deduct the platform fee, legal fees and mortgage payout', () => {
+      expect(calculateNetProceeds(800000, { legalFees: 2000, mortgagePayout: 350000 })).toEqual({
+        salePrice: 800000,
+        platformFee: 8000,
+        legalFees: 2000,
+        mortgagePayout: 350000,
+        netProceeds: 440000
+      });
+    });
+
+    it('should use default legal fees and no mortgage', () => {
+      expect(calculateNetProceeds(500000).netProceeds).toBe(493500);
+    });
+  });
+
+  describe('calculateCertaintyScore', () => {
+    it('should give a firm cash offer with a strong deposit full marks', () => {
+      expect(calculateCertaintyScore(normalizeOffer(buildOffer(), now)).score).toBe(100);
+    });
+
+    it('should score conditional, unapproved financing lower', () => {
+      const risky = normalizeOffer(buildOffer({
+        depositAmount: 10000,
+        conditions: [
+          { type: 'sale_of_property', deadlineDays: 30 },
+          { type: 'financing', deadlineDays: 10 }
+        ],
+        financing: { type: 'conventional', preApproved: false }
+      }), now);
+
+      const { score, factors } = calculateCertaintyScore(risky);
+      expect(score).toBeLessThan(50);
+      expect(factors.conditions).toBe(0.2);
+      expect(factors.timeToFirm).toBe(0);
+    });
+
+    it('should give less credit for a pre-approval that does not cover the mortgage', () => {
+      const offer = (preApprovalAmount) => normalizeOffer(buildOffer({
+        financing: { type: 'conventional', preApproved: true, preApprovalAmount, downPaymentPercentage: 20 }
+      }), now);
+
+      expect(calculateCertaintyScore(offer(640000)).factors.financing).toBe(0.8);
+      expect(calculateCertaintyScore(offer(500000)).factors.financing).toBe(0.6);
+    });
+  });
+
+  describe('resolveWeights', () => {
+    it('should merge overrides over the defaults', () => {
+      expect(resolveWeights({ deposit: '0' })).toEqual({ ...DEFAULT_CERTAINTY_WEIGHTS, deposit: 0 });
+    });
+
+    it('should reject unknown factors and invalid weights', () => {
+      expect(() => resolveWeights({ price: 10 })).toThrow('Unknown certainty factor: price');
+      expect(() => resolveWeights({ deposit: -1 })).toThrow('non-negative');
+      expect(() => resolveWeights({ conditions: 0, financing: 0, deposit: 0, timeToFirm: 0 }))
+        .toThrow('At least one certainty weight must be positive');
+    });
+  });
+
+  describe('compareOffers', () => {
+    const firmLow = buildOffer({ _id: 'firm', offerPrice: 780000, depositAmount: 39000 });
+    const conditionalHigh = buildOffer({
+      _id: 'conditional',
+      offerPrice: 850000,
+      depositAmount: 42500,
+      conditions: [{ type: 'financing', deadlineDays: 5 }],
+      financing: { type: 'conventional', preApproved: true }
+    });
+
+    it('should rank by certainty and report proceeds against the asking price', () => {
+      const { offers, assumptions } = compareOffers([conditionalHigh, firmLow], {
+        askingPrice: 800000,
+        mortgagePayout: 300000,
+        now
+      });
+
+      expect(offers.map(o => o.offerId)).toEqual(['firm', 'conditional']);
+      expect(offers.map(o => o.rank)).toEqual([1, 2]);
+      expect(offers[0].priceVsAsking).toBe(-20000);
+      expect(offers[1].proceeds.netProceeds).toBe(850000 - 8500 - 1500 - 300000);
+      expect(assumptions.mortgagePayout).toBe(300000);
+    });
+
+    it('should let weights change the ranking', () => {
+      // Only the deposit counts: both have 5%, so the higher net proceeds wins the tie
+      const { offers } = compareOffers([firmLow, conditionalHigh], {
+        weights: { conditions: 0, financing: 0, timeToFirm: 0 },
+        now
+      });
+
+      expect(offers[0].offerId).toBe('conditional');
+      expect(offers[0].certaintyScore).toBe(offers[1].certaintyScore);
+    });
+  });
+});
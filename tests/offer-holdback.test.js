@@ -0,0 +1,119 @@
+/**
+ * Offer Holdback Tests
+ * Tests for multiple-offer mode: sealed offers, presentation and sign-backs
+ */
+
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const Offer = require('../models/offer.model');
+const Notification = require('../models/notification.model');
+const { sealedMessage, findEarliestIrrevocableDate, revealHeldOffers } = require('../services/offer-holdback.service');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2026-05-01T12:00:00Z');
+
+const buildListing = (offerHoldback) => new Listing({
+  property: new mongoose.Types.ObjectId(),
+  seller: new mongoose.Types.ObjectId(),
+  endDate: new Date('2026-08-01T00:00:00Z'),
+  offerHoldback
+});
+
+describe('Offer Holdback', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Listing.isHoldingOffers', () => {
+    it('should hold offers before the presentation date', () => {
+      const listing = buildListing({ enabled: true, presentationDate: new Date(now.getTime() + HOUR) });
+      expect(listing.isHoldingOffers(now)).toBe(true);
+    });
+
+    it('should release offers once the presentation date passes', () => {
+      const listing = buildListing({ enabled: true, presentationDate: new Date(now.getTime() - HOUR) });
+      expect(listing.isHoldingOffers(now)).toBe(false);
+    });
+
+    it('should not hold offers when holdback is off', () => {
+      expect(buildListing().isHoldingOffers(now)).toBe(false);
+      const disabled = buildListing({ enabled: false, presentationDate: new Date(now.getTime() + HOUR) });
+      expect(disabled.isHoldingOffers(now)).toBe(false);
+    });
+  });
+
+  it('should tell the seller when sealed offers open', () => {
+    const listing = buildListing({ enabled: true, presentationDate: new Date('2026-05-02T18:00:00Z') });
+    expect(sealedMessage(listing)).toBe('Offers are sealed until 2026-05-02T18:00:00.000Z');
+  });
+
+  it('should track sign-back invitations on offers', () => {
+    const offer = new Offer({
+      signBack: { invitedAt: now, deadline: new Date(now.getTime() + 4 * HOUR), message: 'Best and final by 6pm' }
+    });
+    expect(offer.signBack.respondedAt).toBeUndefined();
+    expect(offer.signBack.message).toBe('Best and final by 6pm');
+  });
+
+  describe('findEarliestIrrevocableDate', () => {
+    it('should find the first open offer to expire', async () => {
+      const irrevocableDate = new Date(now.getTime() + 24 * HOUR);
+      const select = jest.fn().mockResolvedValue({ irrevocableDate });
+      const sort = jest.fn().mockReturnValue({ select });
+      jest.spyOn(Offer, 'findOne').mockReturnValue({ sort });
+      const listingId = new mongoose.Types.ObjectId();
+
+      expect(await findEarliestIrrevocableDate(listingId)).toBe(irrevocableDate);
+      expect(Offer.findOne).toHaveBeenCalledWith({ listing: listingId, status: { $in: ['submitted', 'viewed'] } });
+      expect(sort).toHaveBeenCalledWith({ irrevocableDate: 1 });
+    });
+
+    it('should be null without open offers', async () => {
+      jest.spyOn(Offer, 'findOne').mockReturnValue({ sort: () => ({ select: async () => null }) });
+
+      expect(await findEarliestIrrevocableDate(new mongoose.Types.ObjectId())).toBeNull();
+    });
+  });
+
+  describe('revealHeldOffers', () => {
+    const listing = buildListing({ enabled: true, presentationDate: new Date(now.getTime() - HOUR) });
+    listing.property = { _id: new mongoose.Types.ObjectId(), address: { street: '1 Main St', city: 'Toronto' } };
+
+    const buyerA = new mongoose.Types.ObjectId();
+    const buyerB = new mongoose.Types.ObjectId();
+    const offers = [{ buyer: buyerA }, { buyer: buyerB }, { buyer: buyerB }];
+
+    beforeEach(() => {
+      jest.spyOn(Listing, 'find').mockReturnValue({ populate: () => Promise.resolve([listing]) });
+      jest.spyOn(Offer, 'find').mockReturnValue({ select: () => Promise.resolve(offers) });
+      jest.spyOn(Notification, 'create').mockResolvedValue({});
+    });
+
+    it('should notify the seller and each buyer with their competing offer count', async () => {
+      jest.spyOn(Listing, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await revealHeldOffers(now);
+
+      expect(result).toEqual({ found: 1, revealed: 1 });
+      expect(Listing.updateOne).toHaveBeenCalledWith(
+        { _id: listing._id, 'offerHoldback.revealedAt': null },
+        { $set: { 'offerHoldback.revealedAt': now } }
+      );
+
+      const messages = Notification.create.mock.calls.map(([n]) => [n.user.toString(), n.message]);
+      expect(messages).toHaveLength(3);
+      expect(messages).toContainEqual([listing.seller.toString(), expect.stringContaining('3 offers')]);
+      expect(messages).toContainEqual([buyerA.toString(), expect.stringContaining('2 competing offers')]);
+      expect(messages).toContainEqual([buyerB.toString(), expect.stringContaining('1 competing offer')]);
+    });
+
+    it('should not notify again when the listing was already revealed', async () => {
+      jest.spyOn(Listing, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      const result = await revealHeldOffers(now);
+
+      expect(result).toEqual({ found: 1, revealed: 0 });
+      expect(Notification.create).not.toHaveBeenCalled();
+    });
+  });
+});
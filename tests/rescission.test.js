@@ -0,0 +1,193 @@
+/**
+ * Rescission Tests
+ * Tests for statutory cooling-off rules, deadlines, fees and deposit settlement
+ */
+
+const Transaction = require('../models/transaction.model');
+const {
+  getRescissionRule,
+  calculateRescissionDeadline,
+  calculateRescissionFee,
+  bcStatutoryHolidays
+} = require('../config/provinces');
+const Document = require('../models/document.model');
+const Listing = require('../models/listing.model');
+const Property = require('../models/property.model');
+const User = require('../models/user.model');
+const pdfGenerator = require('../services/pdf-generator');
+const {
+  openRescissionWindow,
+  calculateRescissionSettlement,
+  rescindTransaction
+} = require('../services/rescission.service');
+const { mockQuery, buildTransactionDocument } = require('./fixtures');
+
+// BC resale accepted on a Friday afternoon, Pacific time
+const BC_RESALE = {
+  province: 'BC',
+  acceptanceDate: new Date('2026-05-15T20:00:00Z'),
+  closingDate: new Date('2026-07-15T00:00:00Z')
+};
+
+describe('Rescission', () => {
+  describe('getRescissionRule', () => {
+    it('should apply the BC rescission period to resale homes', () => {
+      expect(getRescissionRule('BC', { propertyType: 'detached' }).id).toBe('bc_home_buyer_rescission');
+      expect(getRescissionRule('BC', { propertyType: 'condo' }).feeRate).toBe(0.0025);
+    });
+
+    it('should not apply to non-residential property', () => {
+      expect(getRescissionRule('BC', { propertyType: 'commercial' })).toBeNull();
+      expect(getRescissionRule('BC', { propertyType: 'land' })).toBeNull();
+    });
+
+    it('should apply the Ontario cooling-off period to new condos only', () => {
+      expect(getRescissionRule('ON', { propertyType: 'condo', newConstruction: true }).id).toBe('on_new_condo_cooling_off');
+      expect(getRescissionRule('ON', { propertyType: 'condo' })).toBeNull();
+      expect(getRescissionRule('ON', { propertyType: 'detached', newConstruction: true })).toBeNull();
+    });
+
+    it('should return null for provinces without rescission rules', () => {
+      expect(getRescissionRule('AB', { propertyType: 'detached' })).toBeNull();
+    });
+  });
+
+  describe('calculateRescissionDeadline', () => {
+    const bcRule = getRescissionRule('BC', { propertyType: 'detached' });
+    const onRule = getRescissionRule('ON', { propertyType: 'condo', newConstruction: true });
+
+    it('should end at midnight Pacific on the third business day', () => {
+      // Accepted Tuesday 1pm PDT: Wednesday, Thursday, Friday
+      const deadline = calculateRescissionDeadline(bcRule, new Date('2026-06-02T20:00:00Z'));
+      expect(deadline).toEqual(new Date('2026-06-06T06:59:59Z'));
+    });
+
+    it('should skip weekends and BC statutory holidays', () => {
+      // Accepted Friday before Victoria Day: Tuesday, Wednesday, Thursday
+      const deadline = calculateRescissionDeadline(bcRule, new Date('2026-05-15T20:00:00Z'));
+      expect(deadline).toEqual(new Date('2026-05-22T06:59:59Z'));
+    });
+
+    it('should use the local date of acceptance', () => {
+      // 5am UTC Saturday is still Friday evening in Vancouver
+      const deadline = calculateRescissionDeadline(bcRule, new Date('2026-01-10T05:00:00Z'));
+      expect(deadline).toEqual(new Date('2026-01-15T07:59:59Z'));
+    });
+
+    it('should count calendar days across a daylight saving change', () => {
+      const deadline = calculateRescissionDeadline(onRule, new Date('2026-03-05T15:00:00Z'));
+      expect(deadline).toEqual(new Date('2026-03-16T03:59:59Z'));
+    });
+  });
+
+  it('should list BC statutory holidays including moveable ones', () => {
+    const holidays = bcStatutoryHolidays(2026);
+    expect(holidays).toEqual(expect.arrayContaining([
+      '2026-02-16', // Family Day
+      '2026-04-03', // Good Friday
+      '2026-05-18', // Victoria Day
+      '2026-08-03', // BC Day
+      '2026-10-12'  // Thanksgiving
+    ]));
+  });
+
+  it('should charge the BC fee of 0.25% of the purchase price', () => {
+    const bcRule = getRescissionRule('BC', { propertyType: 'detached' });
+    expect(calculateRescissionFee(bcRule, 800000)).toBe(2000);
+  });
+
+  describe('openRescissionWindow', () => {
+    it('should record the rule and deadline on the transaction', () => {
+      const transaction = buildTransactionDocument(BC_RESALE);
+      const rule = openRescissionWindow(transaction, { propertyType: 'detached' });
+
+      expect(rule.id).toBe('bc_home_buyer_rescission');
+      expect(transaction.rescission.deadline).toEqual(new Date('2026-05-22T06:59:59Z'));
+      expect(transaction.isRescissionOpen(new Date('2026-05-21T12:00:00Z'))).toBe(true);
+      expect(transaction.isRescissionOpen(new Date('2026-05-22T07:00:00Z'))).toBe(false);
+    });
+
+    it('should leave the transaction alone when no rule applies', () => {
+      const transaction = buildTransactionDocument({ ...BC_RESALE, province: 'AB' });
+      expect(openRescissionWindow(transaction, { propertyType: 'detached' })).toBeNull();
+      expect(transaction.isRescissionOpen()).toBe(false);
+    });
+  });
+
+  describe('calculateRescissionSettlement', () => {
+    const rescinding = (overrides) => {
+      const transaction = buildTransactionDocument({ ...BC_RESALE, ...overrides });
+      openRescissionWindow(transaction, { propertyType: 'detached' });
+      return transaction;
+    };
+
+    it('should pay the fee from the deposit and return the rest', () => {
+      expect(calculateRescissionSettlement(rescinding({ depositStatus: 'received' }))).toEqual({
+        feeAmount: 2000,
+        depositHeld: 40000,
+        depositToSeller: 2000,
+        depositToBuyer: 38000,
+        feeOwing: 0,
+        depositDisposition: 'split'
+      });
+    });
+
+    it('should leave the fee owing when no deposit has been received', () => {
+      const settlement = calculateRescissionSettlement(rescinding({ depositStatus: 'pending' }));
+      expect(settlement.depositHeld).toBe(0);
+      expect(settlement.feeOwing).toBe(2000);
+      expect(settlement.depositDisposition).toBeUndefined();
+    });
+
+    it('should release a deposit smaller than the fee to the seller', () => {
+      const settlement = calculateRescissionSettlement(rescinding({ depositStatus: 'received', depositAmount: 1500 }));
+      expect(settlement.depositToSeller).toBe(1500);
+      expect(settlement.feeOwing).toBe(500);
+      expect(settlement.depositDisposition).toBe('released_to_seller');
+    });
+
+    it('should return the whole deposit when there is no fee', () => {
+      const transaction = buildTransactionDocument({ ...BC_RESALE, province: 'ON', depositStatus: 'held_in_trust' });
+      openRescissionWindow(transaction, { propertyType: 'condo', newConstruction: true });
+
+      const settlement = calculateRescissionSettlement(transaction);
+      expect(settlement.depositToBuyer).toBe(40000);
+      expect(settlement.depositDisposition).toBe('returned_to_buyer');
+    });
+  });
+
+  describe('rescindTransaction', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should record the buyer as signing the notice of rescission', async () => {
+      const now = new Date('2026-05-20T12:00:00Z');
+      const transaction = buildTransactionDocument({ ...BC_RESALE, depositStatus: 'received' });
+      openRescissionWindow(transaction, { propertyType: 'detached' });
+      transaction.buyer = new User({ _id: transaction.buyer, name: 'Jane Buyer' });
+      transaction.seller = new User({ _id: transaction.seller, name: 'Sam Seller' });
+      transaction.property = new Property({ _id: transaction.property, address: { street: '1 Main St', city: 'Vancouver', province: 'BC' } });
+      jest.spyOn(Transaction, 'findById').mockReturnValueOnce(mockQuery(transaction)).mockResolvedValueOnce(transaction);
+      jest.spyOn(Transaction, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(pdfGenerator, 'generateRescissionNotice').mockResolvedValue({ filePath: __filename, fileName: 'rescission.pdf' });
+      jest.spyOn(Document.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      jest.spyOn(Listing, 'findByIdAndUpdate').mockResolvedValue({});
+      jest.spyOn(Property, 'findByIdAndUpdate').mockResolvedValue({});
+
+      const { document } = await rescindTransaction({
+        transactionId: transaction._id.toString(),
+        buyerId: transaction.buyer._id.toString(),
+        ipAddress: '203.0.113.5',
+        now
+      });
+
+      expect(document.status).toBe('signed');
+      expect(document.isFullySigned()).toBe(true);
+      expect(document.signatures[0]).toMatchObject({ role: 'buyer', name: 'Jane Buyer', ipAddress: '203.0.113.5', signedAt: now });
+      expect(document.signatures[0].userId).toEqual(transaction.buyer._id);
+      expect(document.verifyChain().valid).toBe(true);
+      expect(Property.findByIdAndUpdate).toHaveBeenCalledWith(transaction.property._id, { status: 'active', activatedAt: now });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Saved Search Tests
+ * Tests for saved search criteria matching and alert scheduling
+ */
+
+const Property = require('../models/property.model');
+const SavedSearch = require('../models/saved-search.model');
+const emailService = require('../services/email.service');
+const { findNewMatches, runSavedSearchAlerts } = require('../services/saved-search.service');
+
+describe('Saved Searches', () => {
+  describe('Property.buildSearchFilter', () => {
+    it('should only match active properties by default', () => {
+      const filter = Property.buildSearchFilter({});
+      expect(filter).toEqual({ status: 'active' });
+    });
+
+    it('should build price, bedroom and bathroom ranges', () => {
+      const filter = Property.buildSearchFilter({
+        province: 'ON',
+        propertyType: 'condo',
+        minPrice: '400000',
+        maxPrice: 750000,
+        minBedrooms: '2',
+        minBathrooms: '1.5'
+      });
+
+      expect(filter.province).toBe('ON');
+      expect(filter.propertyType).toBe('condo');
+      expect(filter.askingPrice).toEqual({ $gte: 400000, $lte: 750000 });
+      expect(filter.bedrooms).toEqual({ $gte: 2 });
+      expect(filter.bathrooms).toEqual({ $gte: 1.5 });
+    });
+
+    it('should match city case-insensitively', () => {
+      const filter = Property.buildSearchFilter({ city: 'toronto' });
+      expect(filter['address.city'].test('Toronto')).toBe(true);
+    });
+
+    it('should match regex characters in the city literally', () => {
+      const filter = Property.buildSearchFilter({ city: '(a+)+$' });
+      expect(filter['address.city'].test('aaaa')).toBe(false);
+      expect(filter['address.city'].test('(a+)+$')).toBe(true);
+      expect(Property.buildSearchFilter({ city: 'St. John\'s' })['address.city'].test('StX John\'s')).toBe(false);
+    });
+  });
+
+  describe('SavedSearch.isDue', () => {
+    const now = new Date('2024-06-15T12:00:00Z');
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    it('should always be due for instant alerts', () => {
+      const search = new SavedSearch({ name: 'Test', frequency: 'instant', lastCheckedAt: hoursAgo(0.1) });
+      expect(search.isDue(now)).toBe(true);
+    });
+
+    it('should wait a full day for daily alerts', () => {
+      const recent = new SavedSearch({ name: 'Test', frequency: 'daily', lastCheckedAt: hoursAgo(12) });
+      const stale = new SavedSearch({ name: 'Test', frequency: 'daily', lastCheckedAt: hoursAgo(24) });
+
+      expect(recent.isDue(now)).toBe(false);
+      expect(stale.isDue(now)).toBe(true);
+    });
+
+    it('should wait a full week for weekly alerts', () => {
+      const recent = new SavedSearch({ name: 'Test', frequency: 'weekly', lastCheckedAt: hoursAgo(24 * 6) });
+      const stale = new SavedSearch({ name: 'Test', frequency: 'weekly', lastCheckedAt: hoursAgo(24 * 7) });
+
+      expect(recent.isDue(now)).toBe(false);
+      expect(stale.isDue(now)).toBe(true);
+    });
+
+    it('should never be due when alerts are disabled', () => {
+      const search = new SavedSearch({ name: 'Test', frequency: 'instant', alertsEnabled: false });
+      expect(search.isDue(now)).toBe(false);
+    });
+  });
+
+  describe('saved search alerts', () => {
+    const now = new Date('2024-06-15T12:00:00Z');
+    const lastCheckedAt = new Date('2024-06-14T12:00:00Z');
+    // A property put back on the market when its deal fell through
+    const relisted = {
+      _id: 'property1',
+      address: { street: '123 Test St', city: 'Toronto' },
+      askingPrice: 650000,
+      bedrooms: 2,
+      bathrooms: 2,
+      activatedAt: new Date('2024-06-15T09:00:00Z')
+    };
+
+    const mockMatches = (properties) => {
+      const query = { select: () => query, sort: () => query, limit: async () => properties };
+      return jest.spyOn(Property, 'find').mockReturnValue(query);
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should find active properties activated since the last check', async () => {
+      const find = mockMatches([relisted]);
+
+      const matches = await findNewMatches({ criteria: { city: 'Toronto' }, lastCheckedAt }, now);
+
+      const [filter] = find.mock.calls[0];
+      expect(filter.status).toBe('active');
+      expect(filter.activatedAt).toEqual({ $gt: lastCheckedAt, $lte: now });
+      expect(matches).toEqual([relisted]);
+    });
+
+    it('should email new matches and record the check', async () => {
+      mockMatches([relisted]);
+      const search = {
+        _id: 'search1',
+        name: 'Toronto Condos',
+        criteria: { city: 'Toronto' },
+        lastCheckedAt,
+        user: { name: 'John Buyer', email: 'buyer@example.com' },
+        isDue: () => true,
+        save: jest.fn().mockResolvedValue()
+      };
+      jest.spyOn(SavedSearch, 'find').mockReturnValue({ populate: async () => [search] });
+      jest.spyOn(emailService, 'sendSavedSearchAlert').mockResolvedValue({ success: true });
+
+      expect(await runSavedSearchAlerts(now)).toEqual({ checked: 1, notified: 1, skipped: 0 });
+
+      expect(emailService.sendSavedSearchAlert).toHaveBeenCalledWith('buyer@example.com', expect.objectContaining({
+        searchName: 'Toronto Condos',
+        properties: [expect.objectContaining({ address: '123 Test St, Toronto', url: expect.stringContaining('/properties/property1') })]
+      }));
+      expect(search.lastCheckedAt).toBe(now);
+      expect(search.lastMatchCount).toBe(1);
+      expect(search.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('sendSavedSearchAlert', () => {
+    it('should send a digest email', async () => {
+      const result = await emailService.sendSavedSearchAlert('buyer@example.com', {
+        name: 'John Buyer',
+        searchName: 'Toronto Condos',
+        properties: [
+          { address: '123 Test St, Toronto', askingPrice: 650000, bedrooms: 2, bathrooms: 2, url: 'http://localhost/properties/1' }
+        ],
+        manageUrl: 'http://localhost/saved-searches'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.subject).toContain('1 New Listing');
+    });
+  });
+});
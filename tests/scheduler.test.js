@@ -0,0 +1,271 @@
+/**
+ * Job Scheduler Tests
+ * Tests for the background job scheduler and scheduled jobs, using a fake clock
+ */
+
+const mongoose = require('mongoose');
+const Job = require('../models/job.model');
+const Offer = require('../models/offer.model');
+const Notification = require('../models/notification.model');
+const { JobScheduler } = require('../services/scheduler.service');
+const {
+  JOBS,
+  conditionReminderThreshold,
+  showingStartTime,
+  expireOffers
+} = require('../services/scheduled-jobs.service');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Clock whose time only moves when the test says so
+const createFakeClock = (start) => ({
+  time: new Date(start),
+  now() { return new Date(this.time); },
+  advance(ms) { this.time = new Date(this.time.getTime() + ms); }
+});
+
+// In-memory stand-in for the jobs collection
+const createJobStore = () => {
+  const records = new Map();
+
+  jest.spyOn(Job, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+    let record = records.get(filter.name);
+    if (!record) {
+      if (!options.upsert) return { modifiedCount: 0 };
+      record = { name: filter.name, enabled: true, lockedAt: null, runCount: 0, failureCount: 0, ...update.$setOnInsert };
+      records.set(filter.name, record);
+    }
+    if (filter.lockedBy && record.lockedBy !== filter.lockedBy) return { modifiedCount: 0 };
+
+    Object.assign(record, update.$set);
+    for (const [key, value] of Object.entries(update.$inc || {})) {
+      record[key] += value;
+    }
+    return { modifiedCount: 1 };
+  });
+
+  jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const record = records.get(filter.name);
+    if (!record || record.lockedAt) return null;
+    if (filter.nextRunAt && (!record.enabled || record.nextRunAt > filter.nextRunAt.$lte)) return null;
+
+    Object.assign(record, update.$set);
+    return { ...record };
+  });
+
+  return records;
+};
+
+describe('Job Scheduler', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Job model', () => {
+    const buildJob = (overrides = {}) => new Job({
+      name: 'test-job',
+      intervalMs: HOUR,
+      nextRunAt: new Date('2026-01-01T12:00:00Z'),
+      ...overrides
+    });
+
+    it('should be due once nextRunAt has passed', () => {
+      const job = buildJob();
+      expect(job.isDue(new Date('2026-01-01T11:59:00Z'))).toBe(false);
+      expect(job.isDue(new Date('2026-01-01T12:00:00Z'))).toBe(true);
+    });
+
+    it('should not be due when disabled', () => {
+      const job = buildJob({ enabled: false });
+      expect(job.isDue(new Date('2026-01-02T00:00:00Z'))).toBe(false);
+    });
+
+    it('should treat stale locks as released', () => {
+      const now = new Date('2026-01-01T12:00:00Z');
+      const job = buildJob({ lockedAt: new Date(now.getTime() - 5 * 60 * 1000) });
+      expect(job.isLocked(now)).toBe(true);
+
+      job.lockedAt = new Date(now.getTime() - Job.LOCK_TIMEOUT - 1);
+      expect(job.isLocked(now)).toBe(false);
+    });
+
+    it('should skip the due check when forced', () => {
+      const now = new Date('2026-01-01T12:00:00Z');
+      expect(Job.claimableFilter('test-job', now).nextRunAt).toEqual({ $lte: now });
+      expect(Job.claimableFilter('test-job', now, { force: true }).nextRunAt).toBeUndefined();
+    });
+  });
+
+  describe('JobScheduler', () => {
+    let clock;
+    let records;
+    let scheduler;
+    let handler;
+
+    beforeEach(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      clock = createFakeClock('2026-01-01T00:00:00Z');
+      records = createJobStore();
+      handler = jest.fn(async () => ({ processed: 1 }));
+
+      scheduler = new JobScheduler({ clock });
+      scheduler.register({ name: 'test-job', intervalMs: HOUR, handler });
+      await scheduler.syncJobs();
+    });
+
+    it('should reject duplicate job names', () => {
+      expect(() => scheduler.register({ name: 'test-job', intervalMs: HOUR, handler }))
+        .toThrow('Job already registered: test-job');
+    });
+
+    it('should run a new job on the first tick', async () => {
+      const outcomes = await scheduler.tick();
+
+      expect(handler).toHaveBeenCalledWith(clock.now());
+      expect(outcomes['test-job']).toEqual({ status: 'success', result: { processed: 1 } });
+      expect(records.get('test-job').runCount).toBe(1);
+      expect(records.get('test-job').lockedAt).toBeNull();
+    });
+
+    it('should not run again until the interval has passed', async () => {
+      await scheduler.tick();
+      clock.advance(HOUR - 1);
+      await scheduler.tick();
+      expect(handler).toHaveBeenCalledTimes(1);
+
+      clock.advance(1);
+      await scheduler.tick();
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(records.get('test-job').nextRunAt).toEqual(new Date('2026-01-01T02:00:00Z'));
+    });
+
+    it('should keep the schedule of existing jobs on restart', async () => {
+      await scheduler.tick();
+      await scheduler.syncJobs();
+      await scheduler.tick();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not run a job locked by another process', async () => {
+      records.get('test-job').lockedAt = clock.now();
+
+      const outcomes = await scheduler.tick();
+      expect(outcomes).toEqual({});
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should run a job early when forced', async () => {
+      await scheduler.tick();
+      const outcome = await scheduler.runJob('test-job', { force: true });
+
+      expect(outcome.status).toBe('success');
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+
+    it('should record failures and release the lock', async () => {
+      handler.mockRejectedValueOnce(new Error('boom'));
+
+      const outcome = await scheduler.runJob('test-job');
+
+      expect(outcome).toEqual({ status: 'failed', error: 'boom' });
+      const record = records.get('test-job');
+      expect(record.lastStatus).toBe('failed');
+      expect(record.lastError).toBe('boom');
+      expect(record.failureCount).toBe(1);
+      expect(record.lockedAt).toBeNull();
+    });
+
+    it('should throw for unknown jobs', async () => {
+      await expect(scheduler.runJob('missing')).rejects.toThrow('Unknown job: missing');
+    });
+  });
+
+  describe('Scheduled jobs', () => {
+    it('should register each job once with an interval', () => {
+      const names = JOBS.map(j => j.name);
+      expect(new Set(names).size).toBe(names.length);
+      expect(names).toEqual(expect.arrayContaining([
+        'expire-offers', 'expire-listings', 'condition-reminders', 'expire-conditions',
+        'showing-reminders', 'closing-reminders', 'overdue-transactions', 'saved-search-alerts',
+        'reveal-held-offers'
+      ]));
+      JOBS.forEach(job => expect(job.intervalMs).toBeGreaterThan(0));
+    });
+
+    describe('conditionReminderThreshold', () => {
+      const now = new Date('2026-01-01T00:00:00Z');
+
+      it('should pick the 3 day reminder when 2-3 days remain', () => {
+        expect(conditionReminderThreshold(new Date(now.getTime() + 2.5 * DAY), now)).toBe(3);
+      });
+
+      it('should pick the 1 day reminder when under a day remains', () => {
+        expect(conditionReminderThreshold(new Date(now.getTime() + 6 * HOUR), now)).toBe(1);
+      });
+
+      it('should not remind for distant or passed deadlines', () => {
+        expect(conditionReminderThreshold(new Date(now.getTime() + 5 * DAY), now)).toBeNull();
+        expect(conditionReminderThreshold(new Date(now.getTime() - HOUR), now)).toBeNull();
+      });
+    });
+
+    describe('showingStartTime', () => {
+      const buildShowing = (province, requestedDate) => ({
+        property: province && { province },
+        requestedDate: new Date(requestedDate),
+        timeSlot: { start: '14:30', end: '15:00' }
+      });
+
+      it('should read the start time in the property\'s province time zone', () => {
+        // Daylight saving time in Ontario, standard time in British Columbia
+        expect(showingStartTime(buildShowing('ON', '2026-03-10T00:00:00Z'))).toEqual(new Date('2026-03-10T18:30:00Z'));
+        expect(showingStartTime(buildShowing('BC', '2026-01-10T00:00:00Z'))).toEqual(new Date('2026-01-10T22:30:00Z'));
+        expect(showingStartTime(buildShowing('NL', '2026-07-01T00:00:00Z'))).toEqual(new Date('2026-07-01T17:00:00Z'));
+      });
+
+      it('should have no start time without the property\'s province', () => {
+        expect(showingStartTime(buildShowing(null, '2026-03-10T00:00:00Z'))).toBeNull();
+      });
+    });
+
+    describe('expireOffers', () => {
+      const offer = {
+        _id: new mongoose.Types.ObjectId(),
+        buyer: new mongoose.Types.ObjectId(),
+        seller: new mongoose.Types.ObjectId(),
+        property: { _id: new mongoose.Types.ObjectId(), address: { street: '1 Main St', city: 'Toronto' } }
+      };
+
+      beforeEach(() => {
+        jest.spyOn(Offer, 'find').mockReturnValue({ populate: () => Promise.resolve([offer]) });
+        jest.spyOn(Notification, 'create').mockResolvedValue({});
+      });
+
+      it('should expire and notify both parties', async () => {
+        jest.spyOn(Offer, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const result = await expireOffers(new Date('2026-01-01T00:00:00Z'));
+
+        expect(result).toEqual({ found: 1, expired: 1 });
+        expect(Offer.updateOne).toHaveBeenCalledWith(
+          { _id: offer._id, status: { $in: ['submitted', 'viewed'] } },
+          { status: 'expired' }
+        );
+        expect(Notification.create).toHaveBeenCalledTimes(2);
+      });
+
+      it('should not notify again when another run already expired the offer', async () => {
+        jest.spyOn(Offer, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+        const result = await expireOffers(new Date('2026-01-01T00:00:00Z'));
+
+        expect(result).toEqual({ found: 1, expired: 0 });
+        expect(Notification.create).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
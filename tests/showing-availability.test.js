@@ -0,0 +1,137 @@
+/**
+ * Showing Availability Tests
+ * Tests for slot generation from listing availability windows
+ */
+
+const {
+  getShowingSettings,
+  isBlackedOut,
+  generateSlots,
+  checkSlot
+} = require('../services/showing-availability.service');
+
+describe('Showing Availability', () => {
+  // 2024-06-15 is a Saturday (dayOfWeek 6)
+  const saturday = '2024-06-15';
+  const listing = {
+    showingAvailability: [
+      { dayOfWeek: 6, startTime: '10:00', endTime: '12:00' },
+      { dayOfWeek: 6, startTime: '14:00', endTime: '15:00' },
+      { dayOfWeek: 0, startTime: '13:00', endTime: '16:00' }
+    ],
+    showingBlackoutDates: [
+      { startDate: new Date('2024-07-01'), endDate: new Date('2024-07-03') }
+    ],
+    showingSlotMinutes: 30,
+    showingBufferMinutes: 0
+  };
+
+  describe('getShowingSettings', () => {
+    it('should fall back to defaults without a listing', () => {
+      const settings = getShowingSettings(null);
+      expect(settings.availability).toBeNull();
+      expect(settings.slotMinutes).toBe(30);
+      expect(settings.bufferMinutes).toBe(0);
+    });
+  });
+
+  describe('isBlackedOut', () => {
+    it('should match dates inside a blackout range', () => {
+      expect(isBlackedOut('2024-07-02', listing.showingBlackoutDates)).toBe(true);
+      expect(isBlackedOut('2024-07-03', listing.showingBlackoutDates)).toBe(true);
+      expect(isBlackedOut('2024-07-04', listing.showingBlackoutDates)).toBe(false);
+    });
+
+    it('should treat a missing end date as a single day', () => {
+      const blackouts = [{ startDate: new Date('2024-08-01') }];
+      expect(isBlackedOut('2024-08-01', blackouts)).toBe(true);
+      expect(isBlackedOut('2024-08-02', blackouts)).toBe(false);
+    });
+  });
+
+  describe('generateSlots', () => {
+    it('should only generate slots inside the weekly windows', () => {
+      const slots = generateSlots({ date: saturday, settings: getShowingSettings(listing) });
+
+      expect(slots.map(s => s.start)).toEqual(['10:00', '10:30', '11:00', '11:30', '14:00', '14:30']);
+      expect(slots[0].end).toBe('10:30');
+    });
+
+    it('should return no slots on days without windows', () => {
+      // 2024-06-17 is a Monday
+      expect(generateSlots({ date: '2024-06-17', settings: getShowingSettings(listing) })).toEqual([]);
+    });
+
+    it('should return no slots on blackout dates', () => {
+      // 2024-07-01 is a Monday, but use a listing open every day
+      const openDaily = {
+        ...listing,
+        showingAvailability: [0, 1, 2, 3, 4, 5, 6].map(d => ({ dayOfWeek: d, startTime: '09:00', endTime: '17:00' }))
+      };
+      expect(generateSlots({ date: '2024-07-01', settings: getShowingSettings(openDaily) })).toEqual([]);
+    });
+
+    it('should use default hours when no windows are configured', () => {
+      const slots = generateSlots({ date: saturday, settings: getShowingSettings({}) });
+      expect(slots).toHaveLength(20);
+      expect(slots[0]).toEqual({ start: '09:00', end: '09:30' });
+      expect(slots[slots.length - 1]).toEqual({ start: '18:30', end: '19:00' });
+    });
+
+    it('should apply slot length and buffer time', () => {
+      const settings = getShowingSettings({ ...listing, showingSlotMinutes: 45, showingBufferMinutes: 15 });
+      const slots = generateSlots({ date: saturday, settings });
+
+      expect(slots.map(s => s.start)).toEqual(['10:00', '11:00', '14:00']);
+      expect(slots[0].end).toBe('10:45');
+    });
+
+    it('should exclude slots overlapping booked showings plus buffer', () => {
+      const settings = getShowingSettings({ ...listing, showingBufferMinutes: 15 });
+      const slots = generateSlots({
+        date: saturday,
+        settings,
+        bookedSlots: [{ start: '10:00', end: '10:30' }]
+      });
+
+      // 10:00-10:30 is booked; 10:45 is the first slot clear of the 15 minute buffer
+      expect(slots.map(s => s.start)).toEqual(['10:45', '11:30', '14:00']);
+    });
+  });
+
+  describe('checkSlot', () => {
+    const settings = getShowingSettings(listing);
+
+    it('should accept a slot inside a window', () => {
+      const result = checkSlot({ date: saturday, timeSlot: { start: '11:00', end: '11:30' }, settings });
+      expect(result.available).toBe(true);
+    });
+
+    it('should reject a slot outside the windows', () => {
+      const result = checkSlot({ date: saturday, timeSlot: { start: '12:00', end: '12:30' }, settings });
+      expect(result.available).toBe(false);
+      expect(result.reason).toMatch(/outside/);
+    });
+
+    it('should reject a slot with the wrong length', () => {
+      const result = checkSlot({ date: saturday, timeSlot: { start: '10:00', end: '11:00' }, settings });
+      expect(result.available).toBe(false);
+    });
+
+    it('should reject a slot on a blackout date', () => {
+      const result = checkSlot({ date: '2024-07-02', timeSlot: { start: '10:00', end: '10:30' }, settings });
+      expect(result.available).toBe(false);
+    });
+
+    it('should reject a slot that overlaps an existing booking', () => {
+      const result = checkSlot({
+        date: saturday,
+        timeSlot: { start: '10:00', end: '10:30' },
+        settings,
+        bookedSlots: [{ start: '10:00', end: '10:30' }]
+      });
+      expect(result.available).toBe(false);
+      expect(result.reason).toMatch(/booked/);
+    });
+  });
+});
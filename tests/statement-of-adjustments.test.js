@@ -0,0 +1,109 @@
+/**
+ * Statement of Adjustments Tests
+ * Tests for per-diem prorations as of the closing date
+ */
+
+const {
+  splitPeriod,
+  prorateAnnualAmount,
+  prorateMonthlyAmount,
+  calculateAdjustments
+} = require('../services/statement-of-adjustments.service');
+const { getClosingDayParty } = require('../config/provinces');
+
+// 2026 is not a leap year: an annual amount of 3,650 is $10 a day
+const closingDate = new Date('2026-06-30T00:00:00Z');
+
+describe('Statement of Adjustments', () => {
+  it('should charge the closing day to the buyer in Ontario', () => {
+    expect(getClosingDayParty('ON')).toBe('buyer');
+  });
+
+  describe('splitPeriod', () => {
+    const yearStart = new Date('2026-01-01T00:00:00Z');
+    const yearEnd = new Date('2027-01-01T00:00:00Z');
+
+    it('should give the seller every day before closing', () => {
+      expect(splitPeriod(yearStart, yearEnd, closingDate, 'buyer'))
+        .toEqual({ totalDays: 365, sellerDays: 180, buyerDays: 185 });
+    });
+
+    it('should give the seller the closing day when the province says so', () => {
+      expect(splitPeriod(yearStart, yearEnd, closingDate, 'seller').sellerDays).toBe(181);
+    });
+
+    it('should ignore the time of day of the closing date', () => {
+      expect(splitPeriod(yearStart, yearEnd, new Date('2026-06-30T18:00:00Z')).sellerDays).toBe(180);
+    });
+  });
+
+  describe('prorateAnnualAmount', () => {
+    it('should credit the seller for taxes paid beyond their share', () => {
+      const tax = prorateAnnualAmount(3650, 2000, closingDate, 'buyer');
+      expect(tax.perDiem).toBe(10);
+      expect(tax.sellerShare).toBe(1800);
+      expect(tax.creditSeller).toBe(200);
+      expect(tax.creditBuyer).toBe(0);
+    });
+
+    it('should credit the buyer for unpaid taxes owed by the seller', () => {
+      const tax = prorateAnnualAmount(3650, 1000, closingDate, 'buyer');
+      expect(tax.creditBuyer).toBe(800);
+      expect(tax.creditSeller).toBe(0);
+    });
+
+    it('should use 366 days in a leap year', () => {
+      expect(prorateAnnualAmount(3660, 0, new Date('2028-03-01T00:00:00Z'), 'buyer'))
+        .toMatchObject({ totalDays: 366, sellerDays: 60, creditBuyer: 600 });
+    });
+  });
+
+  describe('prorateMonthlyAmount', () => {
+    it('should credit the seller for the buyer\'s days of a prepaid month', () => {
+      const fees = prorateMonthlyAmount(600, new Date('2026-06-21T00:00:00Z'), 'buyer');
+      expect(fees).toMatchObject({ totalDays: 30, buyerDays: 10, creditSeller: 200, creditBuyer: 0 });
+    });
+
+    it('should credit the buyer for the seller\'s days when the month is unpaid', () => {
+      const fees = prorateMonthlyAmount(600, new Date('2026-06-21T00:00:00Z'), 'buyer', false);
+      expect(fees).toMatchObject({ sellerDays: 20, creditSeller: 0, creditBuyer: 400 });
+    });
+  });
+
+  describe('calculateAdjustments', () => {
+    const statement = calculateAdjustments({
+      province: 'ON',
+      closingDate,
+      purchasePrice: 800000,
+      depositAmount: 40000,
+      propertyTax: { annualAmount: 3650, paid: 2000 },
+      condoFees: { monthlyAmount: 600 },
+      rentalItems: [{ item: 'Water heater', monthlyRent: 30 }, { item: 'Furnace', monthlyRent: 0 }],
+      fuelOil: { litres: 500, pricePerLitre: 1.2 }
+    });
+
+    it('should list every adjustment with its credit', () => {
+      expect(statement.closingDayParty).toBe('buyer');
+      expect(statement.lines.map(l => [l.item, l.creditBuyer, l.creditSeller])).toEqual([
+        ['Sale Price', 0, 800000],
+        ['Deposit', 40000, 0],
+        ['Property Taxes', 0, 200],
+        ['Common Expenses', 0, 20],
+        ['Rental: Water heater', 0, 1],
+        ['Fuel Oil', 0, 600]
+      ]);
+    });
+
+    it('should work out the balance due on closing', () => {
+      expect(statement.totals).toEqual({ creditBuyer: 40000, creditSeller: 800821 });
+      expect(statement.balanceDueOnClosing).toBe(760821);
+    });
+
+    it('should leave out adjustments with no amounts', () => {
+      const bare = calculateAdjustments({ province: 'BC', closingDate, purchasePrice: 500000, depositAmount: 25000 });
+      expect(bare.lines).toHaveLength(2);
+      expect(bare.adjustments.rentalItems).toEqual([]);
+      expect(bare.balanceDueOnClosing).toBe(475000);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Transaction Workflow Tests
+ * Tests for the transaction state machine: order, roles, guards and reversal
+ */
+
+const mongoose = require('mongoose');
+const Transaction = require('../models/transaction.model');
+const {
+  TRANSITIONS,
+  getPartyRole,
+  checkTransition,
+  applyTransition,
+  revertTransition,
+  describeNextStep
+} = require('../services/transaction-workflow.service');
+const { buyer, seller, buildTransactionDocument } = require('./fixtures');
+
+describe('Transaction Workflow', () => {
+  // Satisfies every guard
+  const readyTransaction = (currentStep) => {
+    const transaction = buildTransactionDocument({
+      currentStep,
+      depositStatus: 'received',
+      buyerLawyer: { name: 'Buyer Lawyer' },
+      sellerLawyer: { name: 'Seller Lawyer' },
+      statementOfAdjustments: {
+        documentId: new mongoose.Types.ObjectId(),
+        approvedByBuyer: true,
+        approvedBySeller: true
+      }
+    });
+    transaction.statementOfAdjustments.adjustmentDate = transaction.closingDate;
+    return transaction;
+  };
+
+  describe('getPartyRole', () => {
+    it('should identify buyer and seller', () => {
+      const transaction = buildTransactionDocument();
+      expect(getPartyRole(transaction, buyer._id.toString())).toBe('buyer');
+      expect(getPartyRole(transaction, seller._id.toString())).toBe('seller');
+    });
+
+    it('should return null for other users', () => {
+      const transaction = buildTransactionDocument();
+      expect(getPartyRole(transaction, new mongoose.Types.ObjectId().toString())).toBeNull();
+    });
+
+    it('should handle populated parties', () => {
+      const transaction = { buyer: { _id: buyer._id }, seller: { _id: seller._id } };
+      expect(getPartyRole(transaction, seller._id.toString())).toBe('seller');
+    });
+  });
+
+  describe('Transition order', () => {
+    it('should cover every step in sequence', () => {
+      const steps = Transaction.schema.path('currentStep').enumValues;
+      expect(TRANSITIONS.map(t => t.from)).toEqual(steps.slice(0, -1));
+      expect(TRANSITIONS.map(t => t.to)).toEqual(steps.slice(1));
+    });
+
+    it('should reject skipping ahead', () => {
+      const result = checkTransition({
+        transaction: readyTransaction('offer_accepted'),
+        toStep: 'completed',
+        role: 'seller'
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.httpStatus).toBe(400);
+      expect(result.nextStep).toBe('deposit_pending');
+    });
+
+    it('should reject moving backwards', () => {
+      const result = checkTransition({
+        transaction: readyTransaction('title_search'),
+        toStep: 'lawyer_engaged',
+        role: 'buyer'
+      });
+      expect(result.allowed).toBe(false);
+    });
+
+    it('should reject transitions on a cancelled transaction', () => {
+      const transaction = readyTransaction('offer_accepted');
+      transaction.status = 'cancelled';
+
+      const result = checkTransition({ transaction, toStep: 'deposit_pending', role: 'buyer' });
+      expect(result.allowed).toBe(false);
+      expect(result.error).toBe('Transaction is cancelled');
+    });
+  });
+
+  describe('Roles', () => {
+    it('should only let the seller complete the transaction', () => {
+      const transaction = readyTransaction('closing_day');
+
+      const asBuyer = checkTransition({ transaction, toStep: 'completed', role: 'buyer' });
+      expect(asBuyer.allowed).toBe(false);
+      expect(asBuyer.httpStatus).toBe(403);
+
+      const asSeller = checkTransition({ transaction, toStep: 'completed', role: 'seller' });
+      expect(asSeller.allowed).toBe(true);
+    });
+
+    it('should let system transitions skip the role check', () => {
+      const result = checkTransition({
+        transaction: readyTransaction('conditions_pending'),
+        toStep: 'conditions_complete',
+        role: 'system'
+      });
+      expect(result.allowed).toBe(true);
+    });
+  });
+
+  describe('Guards', () => {
+    it('should require the deposit before conditions', () => {
+      const transaction = buildTransactionDocument({ currentStep: 'deposit_pending' });
+
+      const result = checkTransition({ transaction, toStep: 'conditions_pending', role: 'seller' });
+      expect(result.allowed).toBe(false);
+      expect(result.unmet).toContain('The deposit has not been confirmed as received');
+    });
+
+    it('should require all conditions resolved to go firm', () => {
+      const transaction = readyTransaction('conditions_pending');
+      const conditions = [{ status: 'fulfilled' }, { status: 'pending' }];
+
+      const result = checkTransition({ transaction, conditions, toStep: 'conditions_complete', role: 'buyer' });
+      expect(result.allowed).toBe(false);
+      expect(result.unmet).toEqual(['All conditions must be fulfilled or waived']);
+    });
+
+    it('should require both lawyers', () => {
+      const transaction = readyTransaction('conditions_complete');
+      transaction.sellerLawyer = {};
+
+      const result = checkTransition({ transaction, toStep: 'lawyer_engaged', role: 'seller' });
+      expect(result.allowed).toBe(false);
+    });
+
+    it('should accept a notary in Quebec', () => {
+      const transaction = buildTransactionDocument({
+        province: 'QC',
+        currentStep: 'conditions_complete',
+        notary: { name: 'Notaire' }
+      });
+
+      const result = checkTransition({ transaction, toStep: 'lawyer_engaged', role: 'buyer' });
+      expect(result.allowed).toBe(true);
+    });
+
+    it('should require both approvals of the Statement of Adjustments', () => {
+      const transaction = readyTransaction('closing_documents');
+      transaction.statementOfAdjustments.approvedBySeller = false;
+
+      const result = checkTransition({ transaction, toStep: 'final_walkthrough', role: 'buyer' });
+      expect(result.unmet).toEqual(['The Statement of Adjustments must be approved by both parties']);
+    });
+
+    it('should require a new Statement of Adjustments after the closing date moves', () => {
+      const transaction = readyTransaction('closing_documents');
+      transaction.closingDate = new Date(transaction.closingDate.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+      const result = checkTransition({ transaction, toStep: 'final_walkthrough', role: 'buyer' });
+      expect(result.allowed).toBe(false);
+      expect(result.unmet).toEqual(['The Statement of Adjustments must be generated for the current closing date']);
+    });
+
+    it('should block completion while a condition is pending', () => {
+      const result = checkTransition({
+        transaction: readyTransaction('closing_day'),
+        conditions: [{ status: 'pending' }],
+        toStep: 'completed',
+        role: 'seller'
+      });
+      expect(result.allowed).toBe(false);
+    });
+  });
+
+  describe('applyTransition', () => {
+    it('should record the completed step and update status', () => {
+      const transaction = readyTransaction('conditions_pending');
+      const { transition } = checkTransition({ transaction, toStep: 'conditions_complete', role: 'buyer' });
+
+      applyTransition(transaction, transition, { userId: buyer._id, notes: 'Done' });
+
+      expect(transaction.currentStep).toBe('conditions_complete');
+      expect(transaction.status).toBe('firm');
+      expect(transaction.firmDate).toBeInstanceOf(Date);
+      expect(transaction.stepsCompleted[0].step).toBe('conditions_pending');
+      expect(transaction.stepsCompleted[0].previousStatus).toBe('conditional');
+    });
+
+    it('should set the actual closing date on completion', () => {
+      const transaction = readyTransaction('closing_day');
+      const { transition } = checkTransition({ transaction, toStep: 'completed', role: 'seller' });
+
+      applyTransition(transaction, transition, { userId: seller._id });
+
+      expect(transaction.status).toBe('completed');
+      expect(transaction.actualClosingDate).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('revertTransition', () => {
+    it('should restore the previous step and status', () => {
+      const transaction = readyTransaction('conditions_pending');
+      const { transition } = checkTransition({ transaction, toStep: 'conditions_complete', role: 'buyer' });
+      applyTransition(transaction, transition, { userId: buyer._id });
+
+      const adminId = new mongoose.Types.ObjectId();
+      const reverted = revertTransition(transaction, { userId: adminId, reason: 'Entered in error' });
+
+      expect(reverted).toEqual({ from: 'conditions_complete', to: 'conditions_pending' });
+      expect(transaction.currentStep).toBe('conditions_pending');
+      expect(transaction.status).toBe('conditional');
+      expect(transaction.firmDate).toBeUndefined();
+      expect(transaction.stepsCompleted).toHaveLength(0);
+      expect(transaction.stepReversals[0].reason).toBe('Entered in error');
+      expect(transaction.stepReversals[0].reversedBy.toString()).toBe(adminId.toString());
+    });
+
+    it('should return null when there is nothing to revert', () => {
+      const transaction = buildTransactionDocument();
+      expect(revertTransition(transaction, { reason: 'x' })).toBeNull();
+    });
+  });
+
+  describe('describeNextStep', () => {
+    it('should report blockers for the next step', () => {
+      const transaction = buildTransactionDocument({ currentStep: 'deposit_pending' });
+      const next = describeNextStep(transaction, [], 'seller');
+
+      expect(next.nextStep).toBe('conditions_pending');
+      expect(next.canAdvance).toBe(false);
+      expect(next.unmet).toHaveLength(1);
+    });
+
+    it('should return null once completed', () => {
+      const transaction = readyTransaction('completed');
+      transaction.status = 'completed';
+      expect(describeNextStep(transaction, [], 'seller')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * Trust Ledger Tests
+ * Tests for the deposit trust ledger: balanced entries, balances, gated
+ * releases and reconciliation
+ */
+
+const mongoose = require('mongoose');
+const TrustLedgerEntry = require('../models/trust-ledger-entry.model');
+const FundsReceipt = require('../models/funds-receipt.model');
+const {
+  calculateBalances,
+  recordDeposit,
+  recordInterest,
+  releaseDeposit,
+  reconcileTransaction
+} = require('../services/trust-ledger.service');
+const { NOW, buildTransaction } = require('./fixtures');
+
+const entry = (transaction, type, lines, extra = {}) => new TrustLedgerEntry({
+  transaction: transaction._id,
+  entryNumber: 1,
+  type,
+  postedAt: NOW,
+  lines,
+  ...extra
+});
+
+const deposit = (transaction, amount, fundsReceipt) => entry(transaction, 'deposit_received', [
+  { account: 'trust_bank', debit: amount, party: 'buyer' },
+  { account: 'deposits_held', credit: amount, party: 'buyer' }
+], { fundsReceipt });
+
+const interest = (transaction, amount) => entry(transaction, 'interest_earned', [
+  { account: 'trust_bank', debit: amount },
+  { account: 'interest_held', credit: amount }
+]);
+
+// Stubs the ledger reads and saves a release or posting makes
+const mockLedger = (entries) => {
+  jest.spyOn(TrustLedgerEntry, 'find').mockReturnValue({ sort: async () => entries });
+  jest.spyOn(TrustLedgerEntry, 'findOne').mockReturnValue({
+    sort: () => ({ select: async () => ({ entryNumber: entries.length }) })
+  });
+  jest.spyOn(TrustLedgerEntry.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+};
+
+describe('Trust Ledger', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('TrustLedgerEntry', () => {
+    it('should reject entries whose debits and credits differ', async () => {
+      const transaction = buildTransaction();
+      const unbalanced = entry(transaction, 'deposit_received', [
+        { account: 'trust_bank', debit: 100 },
+        { account: 'deposits_held', credit: 99.99 }
+      ]);
+
+      await expect(unbalanced.validate()).rejects.toThrow(/do not balance/);
+      await expect(deposit(transaction, 100).validate()).resolves.toBeUndefined();
+    });
+
+    it('should reject lines that are both or neither debit and credit', async () => {
+      const transaction = buildTransaction();
+      const invalid = entry(transaction, 'deposit_received', [
+        { account: 'trust_bank', debit: 100, credit: 100 },
+        { account: 'deposits_held' }
+      ]);
+
+      await expect(invalid.validate()).rejects.toThrow(/either a debit or a credit/);
+    });
+  });
+
+  describe('calculateBalances', () => {
+    it('should hold deposits and interest against the trust bank', () => {
+      const transaction = buildTransaction();
+      const balances = calculateBalances([
+        deposit(transaction, 25000),
+        deposit(transaction, 15000),
+        interest(transaction, 42.17)
+      ]);
+
+      expect(balances).toMatchObject({
+        trustBank: 40042.17,
+        depositsHeld: 40000,
+        interestHeld: 42.17,
+        heldTotal: 40042.17,
+        received: 40000,
+        interest: 42.17,
+        paidToBuyer: 0,
+        paidToSeller: 0
+      });
+    });
+  });
+
+  describe('recordDeposit', () => {
+    it('should post a deposit receipt as the next entry', async () => {
+      const transaction = buildTransaction();
+      mockLedger([deposit(transaction, 10000)]);
+      const receipt = new FundsReceipt({
+        transaction: transaction._id,
+        purpose: 'additional_deposit',
+        amount: 30000,
+        method: 'wire_transfer',
+        receivedAt: NOW,
+        payer: { name: 'Jane Buyer' }
+      });
+
+      const posted = await recordDeposit(transaction, receipt);
+
+      expect(posted.entryNumber).toBe(2);
+      expect(posted.type).toBe('additional_deposit');
+      expect(posted.heldBy).toBe('seller_lawyer');
+      expect(posted.fundsReceipt).toEqual(receipt._id);
+      expect(calculateBalances([posted]).depositsHeld).toBe(30000);
+    });
+
+    it('should not post funds that are not a deposit', async () => {
+      const receipt = new FundsReceipt({ purpose: 'balance_due', amount: 500000 });
+
+      expect(await recordDeposit(buildTransaction(), receipt)).toBeNull();
+    });
+  });
+
+  describe('recordInterest', () => {
+    it('should refuse interest when nothing is held', async () => {
+      mockLedger([]);
+
+      await expect(recordInterest(buildTransaction(), { amount: 10 })).rejects.toThrow(/No funds are held/);
+    });
+  });
+
+  describe('releaseDeposit', () => {
+    it('should not release before completion or a signed mutual release', async () => {
+      const transaction = buildTransaction();
+      mockLedger([deposit(transaction, 40000)]);
+
+      await expect(releaseDeposit(transaction, { toSeller: 40000 }))
+        .rejects.toMatchObject({ status: 409 });
+      expect(transaction.save).not.toHaveBeenCalled();
+    });
+
+    it('should release the deposit to the seller on completion with interest to the buyer', async () => {
+      const transaction = buildTransaction({ status: 'completed' });
+      mockLedger([deposit(transaction, 40000), interest(transaction, 50)]);
+
+      const { entry: release, balances } = await releaseDeposit(transaction, { toSeller: 40000, toBuyer: 50 }, { now: NOW });
+
+      expect(release.type).toBe('split_disposition');
+      expect(release.authority.type).toBe('completion');
+      expect(balances).toMatchObject({ trustBank: 0, heldTotal: 0, paidToSeller: 40000, paidToBuyer: 50 });
+      expect(transaction.depositStatus).toBe('released');
+      expect(transaction.save).toHaveBeenCalled();
+    });
+
+    it('should not pay the deposit back to the buyer on completion', async () => {
+      const transaction = buildTransaction({ status: 'completed' });
+      mockLedger([deposit(transaction, 40000)]);
+
+      await expect(releaseDeposit(transaction, { toBuyer: 40000 })).rejects.toThrow(/released to the seller/);
+    });
+
+    it('should follow the signed mutual release and record the disposition', async () => {
+      const document = new mongoose.Types.ObjectId();
+      const transaction = buildTransaction({
+        status: 'cancelled',
+        mutualRelease: { status: 'signed', document, depositToBuyer: 40000, depositToSeller: 0 }
+      });
+      mockLedger([deposit(transaction, 40000)]);
+
+      await expect(releaseDeposit(transaction, { toBuyer: 30000, toSeller: 10000 }))
+        .rejects.toThrow(/signed mutual release pays \$0.00 to the seller/);
+
+      const { entry: refund } = await releaseDeposit(transaction, { toBuyer: 40000 });
+
+      expect(refund.type).toBe('refund_to_buyer');
+      expect(refund.authority).toMatchObject({ type: 'mutual_release', document });
+      expect(transaction.depositStatus).toBe('refunded');
+      expect(transaction.cancellation.depositDisposition).toBe('returned_to_buyer');
+    });
+
+    it('should pay out the full amount held', async () => {
+      const transaction = buildTransaction({ status: 'completed' });
+      mockLedger([deposit(transaction, 40000)]);
+
+      await expect(releaseDeposit(transaction, { toSeller: 35000 })).rejects.toThrow(/full \$40,000.00/);
+    });
+  });
+
+  describe('reconcileTransaction', () => {
+    it('should report nothing for a ledger that matches its receipts', () => {
+      const transaction = buildTransaction();
+      const receipt = { _id: new mongoose.Types.ObjectId(), amount: 40000, receivedAt: NOW };
+
+      expect(reconcileTransaction(transaction, [deposit(transaction, 40000, receipt._id)], [receipt]).exceptions)
+        .toEqual([]);
+    });
+
+    it('should flag unposted receipts, short deposits and funds awaiting release', () => {
+      const transaction = buildTransaction({ status: 'completed' });
+      const receipt = { _id: new mongoose.Types.ObjectId(), amount: 15000, receivedAt: NOW };
+
+      const { exceptions } = reconcileTransaction(transaction, [deposit(transaction, 25000)], [receipt]);
+
+      expect(exceptions).toEqual([
+        'Receipt of $15,000.00 on 2026-06-01 has no ledger entry',
+        'Deposit is marked received but $25,000.00 of $40,000.00 is held',
+        'Transaction is completed and $25,000.00 awaits release'
+      ]);
+    });
+  });
+});